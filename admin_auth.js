@@ -0,0 +1,140 @@
+// Admin authentication: signed session tokens with role-based guards.
+// Accounts come from ADMIN_USERS (JSON array of { username, role, passwordHash | password })
+// or, for a single account, ADMIN_USERNAME/ADMIN_PASSWORD (role: superadmin).
+// Hash a password for ADMIN_USERS with: node admin_auth.js hash <password>
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'coordinator', 'superadmin'];
+const COOKIE_NAME = 'admin_session';
+const SESSION_TTL_MS = (parseFloat(process.env.ADMIN_SESSION_TTL_HOURS || '12') || 12) * 60 * 60 * 1000;
+
+// Tokens are stateless so they survive serverless cold starts, as long as the secret is configured
+const SESSION_SECRET = process.env.ADMIN_SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(password), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, user) {
+  if (user.passwordHash) {
+    const [scheme, salt, hash] = String(user.passwordHash).split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+  if (user.password === undefined) return false;
+  const a = crypto.createHash('sha256').update(String(password)).digest();
+  const b = crypto.createHash('sha256').update(String(user.password)).digest();
+  return crypto.timingSafeEqual(a, b);
+}
+
+function loadUsers() {
+  const users = new Map();
+  if (process.env.ADMIN_USERS) {
+    try {
+      const list = JSON.parse(process.env.ADMIN_USERS);
+      (Array.isArray(list) ? list : []).forEach((u) => {
+        if (!u || !u.username || !ROLES.includes(u.role)) return;
+        users.set(String(u.username), { username: String(u.username), role: u.role, passwordHash: u.passwordHash, password: u.password });
+      });
+    } catch (e) {
+      console.error('Invalid ADMIN_USERS configuration:', e.message);
+    }
+  }
+  if (process.env.ADMIN_PASSWORD) {
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    if (!users.has(username)) users.set(username, { username, role: 'superadmin', password: process.env.ADMIN_PASSWORD });
+  }
+  return users;
+}
+const users = loadUsers();
+if (require.main !== module && users.size === 0) console.warn('No admin accounts configured (ADMIN_USERS / ADMIN_PASSWORD); admin routes are disabled');
+if (require.main !== module && users.size > 0 && !process.env.ADMIN_SESSION_SECRET) console.warn('ADMIN_SESSION_SECRET not set; admin sessions will not survive a restart');
+
+function sign(payload) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+function issueToken(user) {
+  const payload = Buffer.from(JSON.stringify({ u: user.username, r: user.role, exp: Date.now() + SESSION_TTL_MS })).toString('base64url');
+  return `${payload}.${sign(payload)}`;
+}
+
+function verifyToken(token) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, sig] = token.split('.');
+  if (!payload || !sig) return null;
+  const expected = Buffer.from(sign(payload));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data || !data.exp || data.exp < Date.now()) return null;
+    // Accounts removed or demoted in config lose access even with an unexpired token
+    const user = users.get(data.u);
+    if (!user || user.role !== data.r) return null;
+    return { username: user.username, role: user.role };
+  } catch (_) { return null; }
+}
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const idx = part.indexOf('=');
+    if (idx === -1) continue;
+    if (part.slice(0, idx).trim() === name) return decodeURIComponent(part.slice(idx + 1).trim());
+  }
+  return null;
+}
+
+function tokenFromRequest(req) {
+  const auth = req.headers.authorization || '';
+  if (auth.startsWith('Bearer ')) return auth.slice(7).trim();
+  return readCookie(req, COOKIE_NAME);
+}
+
+function sessionCookie(req, token, maxAgeMs) {
+  const secure = req.secure || process.env.NODE_ENV === 'production' ? '; Secure' : '';
+  return `${COOKIE_NAME}=${encodeURIComponent(token)}; Path=/; HttpOnly; SameSite=Strict; Max-Age=${Math.floor(maxAgeMs / 1000)}${secure}`;
+}
+
+function hasRole(user, role) {
+  return Boolean(user) && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function requireRole(role) {
+  return (req, res, next) => {
+    if (users.size === 0) return res.status(503).json({ error: 'Admin access is not configured' });
+    const admin = verifyToken(tokenFromRequest(req));
+    if (!admin) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(admin, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    req.admin = admin;
+    next();
+  };
+}
+
+// The signed-in admin, if any, for routes that are public but show admins more
+function adminFromRequest(req) {
+  return users.size === 0 ? null : verifyToken(tokenFromRequest(req));
+}
+
+function login(username, password) {
+  const user = users.get(String(username || ''));
+  if (!user || !verifyPassword(password || '', user)) return null;
+  return { user: { username: user.username, role: user.role }, token: issueToken(user) };
+}
+
+module.exports = { ROLES, SESSION_TTL_MS, login, requireRole, hasRole, adminFromRequest, sessionCookie, hashPassword, isConfigured: () => users.size > 0 };
+
+if (require.main === module) {
+  const [cmd, password] = process.argv.slice(2);
+  if (cmd === 'hash' && password) {
+    console.log(hashPassword(password));
+  } else {
+    console.log('Usage: node admin_auth.js hash <password>');
+    process.exitCode = 1;
+  }
+}
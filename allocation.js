@@ -0,0 +1,68 @@
+// Ranked-preference allocation. Pure functions: the same inputs and seed always give the same result.
+const crypto = require('crypto');
+
+const ALGORITHMS = ['serial-dictatorship', 'priority-lottery'];
+
+// mulberry32 seeded from a SHA-256 of the seed string
+function createRng(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function shuffle(items, rng) {
+  const out = items.slice();
+  for (let i = out.length - 1; i > 0; i--) {
+    const j = Math.floor(rng() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+function generateSeed() {
+  return crypto.randomBytes(8).toString('hex');
+}
+
+// problems: formatted problems ({ id, selectedCount, maxSelections })
+// preferences: [{ teamNumber, teamName, teamLeader, preferences: [problemId, ...] }]
+// priorities: { [teamNumber]: number } - higher goes first (priority-lottery only)
+function allocate({ algorithm, seed, problems, preferences, priorities = {}, registeredTeams = [] }) {
+  if (!ALGORITHMS.includes(algorithm)) throw new Error(`Unknown allocation algorithm: ${algorithm}`);
+  const rng = createRng(seed);
+  const remaining = new Map(problems.map(p => [p.id, Math.max(0, p.maxSelections - p.selectedCount)]));
+  const registered = new Set(registeredTeams.map(t => String(t)));
+  // Sort by team number first so input order never affects the outcome
+  const eligible = preferences
+    .filter(p => !registered.has(String(p.teamNumber)))
+    .sort((a, b) => String(a.teamNumber).localeCompare(String(b.teamNumber), undefined, { numeric: true }));
+  let order = shuffle(eligible, rng);
+  if (algorithm === 'priority-lottery') {
+    // Stable sort keeps the lottery order within each priority tier
+    order = order
+      .map((p, index) => ({ p, index, priority: Number(priorities[p.teamNumber]) || 0 }))
+      .sort((a, b) => b.priority - a.priority || a.index - b.index)
+      .map(x => x.p);
+  }
+  const assignments = [];
+  const unassigned = [];
+  order.forEach((pref, index) => {
+    const choices = Array.isArray(pref.preferences) ? pref.preferences : [];
+    const rank = choices.findIndex(id => (remaining.get(id) || 0) > 0);
+    const entry = { teamNumber: pref.teamNumber, teamName: pref.teamName, teamLeader: pref.teamLeader, order: index + 1, priority: Number(priorities[pref.teamNumber]) || 0 };
+    if (rank === -1) {
+      unassigned.push(entry);
+      return;
+    }
+    const problemStatementId = choices[rank];
+    remaining.set(problemStatementId, remaining.get(problemStatementId) - 1);
+    assignments.push({ ...entry, problemStatementId, rank: rank + 1 });
+  });
+  return { algorithm, seed: String(seed), assignments, unassigned };
+}
+
+module.exports = { ALGORITHMS, allocate, generateSeed };
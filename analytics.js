@@ -0,0 +1,122 @@
+// Selection analytics for the admin dashboard (GET /api/stats), for sizing maxSelections in the next edition. Built only
+// from what every store returns: formatted problems, registration rows (keyed team_number), the roster and audit entries.
+const BUCKET_MS = 60 * 1000;
+
+const timeOf = (at) => {
+  const t = at ? new Date(at).getTime() : NaN;
+  return Number.isFinite(t) ? t : null;
+};
+
+// Registrations per minute, oldest first, with the running total; minutes without registrations are left out
+function registrationTimeline(registrations) {
+  const buckets = new Map();
+  registrations.forEach(r => {
+    const t = timeOf(r.registration_date_time);
+    if (t === null) return;
+    const minute = t - (t % BUCKET_MS);
+    buckets.set(minute, (buckets.get(minute) || 0) + 1);
+  });
+  let total = 0;
+  return Array.from(buckets.keys()).sort((a, b) => a - b).map(minute => {
+    total += buckets.get(minute);
+    return { minute: new Date(minute).toISOString(), count: buckets.get(minute), total };
+  });
+}
+
+// When each problem statement took its last seat, counted from openedAt (else the event's first registration).
+// Problems still open have filledAt and seconds null.
+function timeToFill(problems, registrations, openedAt) {
+  const times = new Map();
+  registrations.forEach(r => {
+    const t = timeOf(r.registration_date_time);
+    if (t === null) return;
+    if (!times.has(r.problem_statement_id)) times.set(r.problem_statement_id, []);
+    times.get(r.problem_statement_id).push(t);
+  });
+  const all = Array.from(times.values()).flat();
+  const start = timeOf(openedAt) ?? (all.length ? Math.min(...all) : null);
+  return problems.map(p => {
+    const taken = (times.get(p.id) || []).sort((a, b) => a - b);
+    const filled = taken.length >= p.maxSelections ? taken[p.maxSelections - 1] : null;
+    return {
+      id: p.id,
+      title: p.title,
+      maxSelections: p.maxSelections,
+      selectedCount: p.selectedCount,
+      filledAt: filled === null ? null : new Date(filled).toISOString(),
+      seconds: filled === null ? null : Math.max(0, Math.round((filled - start) / 1000))
+    };
+  });
+}
+
+// Seats taken over seats offered, per value of key ('category' or 'difficulty'; problems without one are 'Unspecified')
+function fillRates(problems, key) {
+  const groups = new Map();
+  problems.forEach(p => {
+    const name = p[key] || 'Unspecified';
+    const group = groups.get(name) || { [key]: name, problems: 0, capacity: 0, selected: 0 };
+    group.problems++;
+    group.capacity += p.maxSelections;
+    group.selected += p.selectedCount;
+    groups.set(name, group);
+  });
+  return Array.from(groups.values())
+    .map(g => ({ ...g, rate: g.capacity ? Math.round((g.selected / g.capacity) * 1000) / 1000 : null }))
+    .sort((a, b) => String(a[key]).localeCompare(String(b[key])));
+}
+
+// Without a roster any team may register, so there is nobody to count as missing
+function rosterCoverage(teams, registrations) {
+  if (teams.length === 0) return { rostered: 0, registered: 0, unregistered: null };
+  const registered = new Set(registrations.map(r => String(r.team_number)));
+  const count = teams.filter(t => registered.has(String(t.teamNumber))).length;
+  return { rostered: teams.length, registered: count, unregistered: teams.length - count };
+}
+
+// The 409s a full problem gives: a seat hold (the registration page's first step) or a direct registration
+const TURNED_AWAY = { 'hold.create': 'full', 'registration.create': 'problem_full' };
+
+// Teams turned away because the problem was full, per problem, next to its waitlist. rejected counts every attempt;
+// rejectedTeams counts each team once per problem, however many holds and registrations it tried.
+function demand(problems, auditEntries) {
+  const rejected = new Map();
+  auditEntries
+    .filter(e => e.outcome === 'rejected' && TURNED_AWAY[e.action] === e.reason)
+    .forEach(e => {
+      const entry = rejected.get(e.target) || { attempts: 0, teams: new Set() };
+      entry.attempts++;
+      if (e.teamNumber) entry.teams.add(e.teamNumber);
+      rejected.set(e.target, entry);
+    });
+  return problems.map(p => ({
+    id: p.id,
+    title: p.title,
+    maxSelections: p.maxSelections,
+    selectedCount: p.selectedCount,
+    rejected: rejected.has(p.id) ? rejected.get(p.id).attempts : 0,
+    rejectedTeams: rejected.has(p.id) ? rejected.get(p.id).teams.size : 0,
+    waitlistCount: p.waitlistCount || 0
+  }));
+}
+
+function computeStats({ problems, registrations, teams = [], auditEntries = [], openedAt = null }) {
+  const available = problems.filter(p => p.isAvailable).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    openedAt,
+    totals: {
+      problems: problems.length,
+      capacity: problems.reduce((sum, p) => sum + p.maxSelections, 0),
+      registrations: registrations.length,
+      available,
+      full: problems.length - available
+    },
+    timeline: registrationTimeline(registrations),
+    timeToFill: timeToFill(problems, registrations, openedAt),
+    fillRates: { category: fillRates(problems, 'category'), difficulty: fillRates(problems, 'difficulty') },
+    roster: rosterCoverage(teams, registrations),
+    demand: demand(problems, auditEntries)
+  };
+}
+
+module.exports = { computeStats, registrationTimeline, timeToFill, fillRates, rosterCoverage, demand };
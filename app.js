@@ -1,9 +1,26 @@
 // Monolithic Node.js app serving API and frontend
 const express = require('express');
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
-const DatabaseManager = require('./json_store');
-const MongoStore = require('./mongo_store');
+const stores = require('./stores');
+const roster = require('./roster');
+const snapshot = require('./snapshot');
+const backups = require('./backups');
+const adminAuth = require('./admin_auth');
+const allocation = require('./allocation');
+const phases = require('./phases');
+const { toCsv, REGISTRATION_COLUMNS, PROBLEM_COLUMNS, streamCsv, streamXlsx } = require('./spreadsheets');
+const pdfReports = require('./pdf_reports');
+const { EventChannel } = require('./live_events');
+const { EventRegistry, validateEventInput, publicEventInfo } = require('./event_registry');
+const eventBus = require('./event_bus');
+const receipts = require('./receipts');
+const mailer = require('./mailer');
+const webhooks = require('./webhooks');
+const { computeStats } = require('./analytics');
+const { validateProblemInput, parseProblemFile, planProblemImport } = require('./problem_statements');
+const QRCode = require('qrcode');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
@@ -18,7 +35,10 @@ function formatProblems(statements) {
     const technologies = Array.isArray(ps.technologies) ? ps.technologies : (ps.technologies ? ps.technologies : []);
     const selectedCount = Number.isFinite(ps.selected_count) ? ps.selected_count : (parseInt(ps.selected_count || '0', 10) || 0);
     const maxSelections = Math.max(1, (Number.isFinite(ps.max_selections) ? ps.max_selections : (parseInt(ps.max_selections || '0', 10) || 0)));
-    const isAvailable = selectedCount < maxSelections;
+    // Seats held by teams in the confirmation step are taken for everyone else
+    const heldCount = Number.isFinite(ps.held_count) ? ps.held_count : 0;
+    const isAvailable = selectedCount + heldCount < maxSelections;
+    const waitlistCount = Number.isFinite(ps.waitlist_count) ? ps.waitlist_count : 0;
     return {
       id: ps.id,
       title: ps.title,
@@ -27,166 +47,1635 @@ function formatProblems(statements) {
       difficulty: ps.difficulty || null,
       technologies,
       selectedCount,
+      heldCount,
       maxSelections,
-      isAvailable
+      isAvailable,
+      waitlistCount
     };
   });
 }
 
-// Ensure database is initialized before handling any requests on Vercel
-let dbReadyPromise = null;
-if (process.env.VERCEL) {
-  dbReadyPromise = (async () => { try { await initializeDatabase(); } catch (e) { console.error('DB init failed:', e); } })();
-  app.use(async (req, res, next) => {
-    try { if (dbReadyPromise) await dbReadyPromise; } catch (_) {}
-    next();
+// Add rate limiting (enabled in production only)
+const rateLimit = require('express-rate-limit');
+const limiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 1000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: 'Too many requests from this IP, please try again later.',
+  trustProxy: true
+});
+if (process.env.NODE_ENV === 'production') {
+  app.use('/api/', limiter);
+}
+// Login attempts are always limited to slow down password guessing
+const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many login attempts, please try again later.' },
+  trustProxy: true
+});
+
+// Hosted events. The default event keeps data.json, teams.csv and the unprefixed collections;
+// every other event gets data.<slug>.json / data.<slug>.sqlite / teams.<slug>.csv, or collections prefixed with "<slug>_".
+const DEFAULT_EVENT = { slug: process.env.DEFAULT_EVENT_SLUG || 'main', name: process.env.EVENT_NAME || 'TechFrontier 2K25 Hackathon' };
+const STORE_BACKEND = stores.storeBackend();
+
+function jsonStore(slug) {
+  return stores.createStore('json', slug, { scoped: slug !== DEFAULT_EVENT.slug });
+}
+
+function createStore(slug) {
+  return stores.createStore(STORE_BACKEND, slug, { scoped: slug !== DEFAULT_EVENT.slug });
+}
+
+// The roster lives in the event's store; teams.csv (teams.<slug>.csv) seeds it once when the store has no teams
+function rosterPath(slug) {
+  return roster.rosterFile(slug, { scoped: slug !== DEFAULT_EVENT.slug });
+}
+
+async function seedRoster(event) {
+  const file = rosterPath(event.slug);
+  if (!fs.existsSync(file)) return;
+  const { db } = event;
+  if ((await db.getSettings()).rosterSeeded || (await db.getTeams()).length > 0) return;
+  const { errors, records } = await roster.parseRosterFile(fs.readFileSync(file, 'utf8'), 'csv');
+  if (errors.length) return console.error(`Could not read ${path.basename(file)}:`, errors.join('; '));
+  // Rows that fail validation are left out rather than blocking the whole roster
+  const teams = [];
+  records.forEach((record, i) => {
+    const { errors: rowErrors, value } = roster.validateTeamInput(record, false);
+    if (rowErrors.length) console.warn(`${path.basename(file)} row ${i + 1} skipped: ${rowErrors.join('; ')}`);
+    else if (!teams.some(t => t.teamNumber === value.teamNumber)) teams.push(value);
   });
+  await db.upsertTeams(teams);
+  await db.updateSettings({ rosterSeeded: { file: path.basename(file), teams: teams.length, at: new Date().toISOString() } });
+  console.log(`Imported ${teams.length} teams from ${path.basename(file)} into the roster`);
+}
+
+// Roster enforcement: when the roster has teams, only listed teams may register,
+// with matching name/leader and (unless disabled) their issued access code
+const ROSTER_ENFORCED = process.env.ENFORCE_ROSTER !== '0';
+const ACCESS_CODE_REQUIRED = process.env.REQUIRE_ACCESS_CODE !== '0';
+const ACCESS_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+function generateAccessCode() {
+  let code = '';
+  for (let i = 0; i < 8; i++) code += ACCESS_CODE_ALPHABET[crypto.randomInt(ACCESS_CODE_ALPHABET.length)];
+  return code;
+}
+function normalizeAccessCode(code) {
+  return String(code || '').toUpperCase().replace(/[\s-]/g, '');
+}
+function accessCodeMatches(issuedCode, given) {
+  const a = Buffer.from(normalizeAccessCode(issuedCode));
+  const b = Buffer.from(normalizeAccessCode(given));
+  return a.length > 0 && a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+function normalizeName(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+// Returns { team } with the roster's canonical details, or { status, error }
+async function verifyAgainstRoster(event, { teamNumber, teamName, teamLeader, accessCode }) {
+  const target = String(teamNumber).trim();
+  if (!ROSTER_ENFORCED) return { team: { teamNumber: target, teamName, teamLeader } };
+  const team = await event.db.getTeam(target);
+  if (!team) {
+    if ((await event.db.getTeams()).length === 0) return { team: { teamNumber: target, teamName, teamLeader } };
+    return { status: 403, error: 'Team number is not on the registered roster.' };
+  }
+  if (normalizeName(team.teamName) !== normalizeName(teamName) || normalizeName(team.teamLeader) !== normalizeName(teamLeader)) {
+    return { status: 403, error: 'Team name or leader does not match the roster for this team number.' };
+  }
+  if (ACCESS_CODE_REQUIRED) {
+    const issued = await event.db.getTeamAccessCode(target);
+    if (!issued) return { status: 403, error: 'No access code has been issued for this team yet. Please contact the organisers.' };
+    if (!accessCodeMatches(issued.code, accessCode)) return { status: 403, error: 'Invalid access code.' };
+  }
+  return { team };
+}
+
+// SSE for live updates. Admins get full payloads; the public stream only carries per-problem count changes.
+const SSE_REPLAY_BUFFER = parseInt(process.env.SSE_REPLAY_BUFFER || '500', 10) || 500;
+const PUBLIC_SSE_HEADERS = { 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Cache-Control, Last-Event-ID' };
+// Event types whose payload is already public
+const PUBLIC_PASSTHROUGH = new Set(['phase-change', 'allocation-settings']);
+
+function countsOf(problem) {
+  return { selectedCount: problem.selectedCount, heldCount: problem.heldCount, maxSelections: problem.maxSelections, waitlistCount: problem.waitlistCount, isAvailable: problem.isAvailable };
+}
+
+// Problems whose counts differ from what the event's public stream last announced
+function countChanges(event, problems) {
+  const changes = [];
+  const next = new Map();
+  problems.forEach(p => {
+    const counts = countsOf(p);
+    const previous = event.publishedCounts.get(p.id);
+    next.set(p.id, counts);
+    if (!previous || Object.keys(counts).some(key => counts[key] !== previous[key])) {
+      changes.push({ id: p.id, ...counts, selectedDelta: counts.selectedCount - (previous ? previous.selectedCount : 0) });
+    }
+  });
+  event.publishedCounts.forEach((_, id) => { if (!next.has(id)) changes.push({ id, removed: true }); });
+  event.publishedCounts = next;
+  return changes;
+}
+
+// Events go through the bus so SSE clients of every instance receive them, in the same order and with the same ids.
+// Webhooks are queued here, on the instance that made the change, so each change is delivered once.
+function broadcastUpdate(event, type, data) {
+  event.liveBus.publish(type, data).catch(error => console.error('Error publishing live event:', error));
+  queueWebhooks(event, webhooks.changesFor(type, data)).catch(error => console.error('Error queueing webhooks:', error));
+}
+
+// Outgoing webhooks (see webhooks.js); subscriptions are kept in the event's settings
+async function webhookSubscriptions(event) {
+  const { webhooks: list } = await event.db.getSettings();
+  return Array.isArray(list) ? list : [];
+}
+
+async function queueWebhooks(event, changes) {
+  if (changes.length === 0) return [];
+  const deliveries = webhooks.buildDeliveries(event.slug, await webhookSubscriptions(event), changes);
+  if (deliveries.length === 0) return [];
+  await event.db.queueWebhookDeliveries(deliveries);
+  deliverWebhooks(event);
+  return deliveries;
+}
+
+// One delivery run at a time per event, on a timer and straight after deliveries are queued
+function deliverWebhooks(event) {
+  if (!event.webhookRun) {
+    event.webhookRun = webhookSubscriptions(event)
+      .then(subscriptions => (subscriptions.length ? webhooks.deliverDue(event.db, subscriptions) : null))
+      .catch(error => { console.error(`Webhook delivery for ${event.slug} failed:`, error); return null; })
+      .finally(() => { event.webhookRun = null; });
+  }
+  return event.webhookRun;
+}
+
+async function deliverLiveEvent(event, { seq, type, data, origin }) {
+  if (origin !== eventBus.INSTANCE_ID) {
+    // Another instance changed the data; stop serving our cached copy
+    try { await event.db.refresh(); } catch (error) { console.error('Error refreshing store after remote event:', error); }
+    if (type === 'phase-change') getPhaseState(event).then(state => schedulePhaseTimer(event, state)).catch(() => {});
+  }
+  event.adminEvents.publish(type, data, seq);
+  if (PUBLIC_PASSTHROUGH.has(type)) {
+    event.publicEvents.publish(type, data, seq);
+  } else if (data && Array.isArray(data.problems)) {
+    const changes = countChanges(event, data.problems);
+    if (type === 'problem-update') event.publicEvents.publish(type, { action: data.action, problemId: data.problemId, changes }, seq);
+    else if (changes.length) event.publicEvents.publish(type, { changes }, seq);
+  }
+}
+
+async function startEventBus(event) {
+  try {
+    const bus = eventBus.createEventBus(event.db, { MongoStore: stores.MongoStore, slug: event.slug === DEFAULT_EVENT.slug ? null : event.slug });
+    const seq = await bus.start(live => deliverLiveEvent(event, live));
+    await event.liveBus.stop();
+    event.liveBus = bus;
+    event.adminEvents.reset(seq);
+    event.publicEvents.reset(seq);
+    console.log(`Live events for ${event.slug}: ${bus.name} bus`);
+  } catch (error) {
+    console.error('Live event bus failed to start, staying on this instance only:', error);
+  }
+}
+
+// Audit journal: every mutation is recorded with who, from where, and before/after payloads
+function clientIp(req) {
+  return req.headers['x-forwarded-for']?.toString().split(',')[0].trim() || req.ip || '';
+}
+
+function auditActor(req, teamNumber) {
+  if (!req) return { type: 'system', id: 'system' };
+  if (req.admin) return { type: 'admin', id: req.admin.username, role: req.admin.role };
+  if (req.teamNumber || teamNumber) return { type: 'team', id: String(req.teamNumber || teamNumber) };
+  return { type: 'anonymous', id: null };
+}
+
+// Journal failures are logged but never fail the request that triggered them. Entries go to the request's event unless one is given.
+async function audit(req, action, { event = req && req.event, teamNumber = null, target = null, before = null, after = null, outcome = 'success', reason = null, actor = null } = {}) {
+  const entry = {
+    id: crypto.randomUUID(),
+    at: new Date().toISOString(),
+    action,
+    outcome,
+    reason,
+    actor: actor || auditActor(req, teamNumber),
+    ip: req ? clientIp(req) : null,
+    userAgent: req ? req.headers['user-agent'] || null : null,
+    teamNumber: teamNumber === null ? null : String(teamNumber),
+    target,
+    before,
+    after
+  };
+  try {
+    await event.db.appendAudit(entry);
+  } catch (error) {
+    console.error('Error writing audit entry:', error);
+  }
+}
+
+// Announce teams moved off a waitlist into a freed slot
+async function broadcastPromotions(event, promoted) {
+  if (!Array.isArray(promoted) || promoted.length === 0) return;
+  for (const entry of promoted) {
+    await audit(null, 'waitlist.promote', { event, teamNumber: entry.teamNumber, target: entry.problemStatementId, after: entry });
+  }
+  try {
+    const registrations = await event.db.getAllRegistrations();
+    const problems = formatProblems(await event.db.getAllProblemStatements());
+    broadcastUpdate(event, 'waitlist-promotion', { promoted, registrations, problems });
+  } catch (_) {}
+  await notifyTeams(event, 'waitlist-promotion', promoted.map(entry => ({ teamNumber: entry.teamNumber, problemStatementId: entry.problemStatementId, receipt: true })));
+}
+
+// Email notices (see mailer.js) go to the member emails on the team's roster entry, through the event's outbox.
+// notices: [{ teamNumber, problemStatementId, from, position, receipt }]; receipt links the team's current registration.
+// Failures are logged, never passed on to the request that caused them.
+const mailTransport = mailer.createTransport();
+
+// Links in emails need PUBLIC_BASE_URL; without it they are left out
+function publicUrl(pathname) {
+  const base = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+  return base ? `${base}${pathname}` : null;
+}
+
+// Built before the change when it removes what the emails describe (resets, deleted problems), queued after it
+async function composeNotices(event, template, notices) {
+  if (!mailTransport || notices.length === 0) return [];
+  try {
+    const { db } = event;
+    const info = await registry.get(event.slug);
+    const problems = new Map((await db.getAllProblemStatements()).map(p => [p.id, { id: p.id, title: p.title }]));
+    const problemRef = (id) => (id ? problems.get(id) || { id, title: null } : null);
+    const emails = [];
+    for (const notice of notices) {
+      const team = await db.getTeam(notice.teamNumber);
+      if (!team) continue;
+      const registration = notice.receipt ? await db.getRegistrationByTeamNumber(team.teamNumber) : null;
+      const email = mailer.composeEmail(template, {
+        eventName: info ? info.name : event.slug,
+        team: { teamNumber: team.teamNumber, teamName: team.teamName },
+        problem: problemRef(notice.problemStatementId),
+        from: problemRef(notice.from),
+        position: notice.position || null,
+        // Receipt pages are not event-scoped: the token names its event
+        receiptUrl: registration ? publicUrl((await receiptFor(event, registration)).url) : null,
+        portalUrl: publicUrl(event.slug === DEFAULT_EVENT.slug ? '/team' : `/e/${event.slug}/team`)
+      }, team.members.map(m => m.email));
+      if (email) emails.push(email);
+    }
+    return emails;
+  } catch (error) {
+    console.error('Error composing notification emails:', error);
+    return [];
+  }
+}
+
+async function queueNotices(event, emails) {
+  if (emails.length === 0) return;
+  try {
+    await event.db.queueEmails(emails);
+    deliverOutbox(event);
+  } catch (error) {
+    console.error('Error queueing notification emails:', error);
+  }
+}
+
+async function notifyTeams(event, template, notices) {
+  await queueNotices(event, await composeNotices(event, template, notices));
+}
+
+// One outbox run at a time per event, on a timer and straight after emails are queued
+function deliverOutbox(event) {
+  if (!mailTransport) return Promise.resolve(null);
+  if (!event.mailRun) {
+    event.mailRun = mailer.deliverDue(event.db, mailTransport)
+      .then(outcome => {
+        if (outcome.failed) console.error(`${outcome.failed} email(s) for ${event.slug} failed for good; see the outbox`);
+        return outcome;
+      })
+      .catch(error => { console.error(`Outbox delivery for ${event.slug} failed:`, error); return null; })
+      .finally(() => { event.mailRun = null; });
+  }
+  return event.mailRun;
+}
+
+// Event lifecycle (see phases.js). Scheduled transitions are applied lazily on each check and by a timer per event.
+// TEAM_CHANGE_DEADLINE is the default event's team change deadline until one is saved with its phase schedule
+const LEGACY_TEAM_CHANGE_DEADLINE = process.env.TEAM_CHANGE_DEADLINE || null;
+
+async function getPhaseState(event) {
+  const { db } = event;
+  const stored = (await db.getSettings()).phase;
+  const legacy = LEGACY_TEAM_CHANGE_DEADLINE && event.slug === DEFAULT_EVENT.slug && !(stored && 'teamChangeDeadline' in stored);
+  const state = phases.normalizeState(legacy ? { ...stored, teamChangeDeadline: LEGACY_TEAM_CHANGE_DEADLINE } : stored);
+  const current = phases.effectivePhase(state);
+  if (current === state.current) return state;
+  const advanced = { ...state, current, changedAt: new Date().toISOString(), changedBy: 'schedule' };
+  await db.updateSettings({ phase: advanced });
+  await audit(null, 'phase.scheduled', { event, actor: { type: 'system', id: 'schedule' }, target: current, before: { phase: state.current }, after: { phase: current } });
+  broadcastPhaseChange(event, advanced);
+  return advanced;
+}
+
+function phasePayload(state) {
+  return {
+    phase: state.current,
+    phases: phases.PHASES,
+    schedule: state.schedule,
+    next: phases.nextTransition(state),
+    teamChangeDeadline: state.teamChangeDeadline,
+    changedAt: state.changedAt || null,
+    changedBy: state.changedBy || null,
+    serverTime: new Date().toISOString()
+  };
+}
+
+function broadcastPhaseChange(event, state) {
+  broadcastUpdate(event, 'phase-change', phasePayload(state));
+  schedulePhaseTimer(event, state);
+}
+
+function schedulePhaseTimer(event, state) {
+  if (event.phaseTimer) clearTimeout(event.phaseTimer);
+  event.phaseTimer = null;
+  const next = phases.nextTransition(state);
+  if (!next) return;
+  // Re-check at least hourly so long delays stay within setTimeout's range
+  const delay = Math.min(Math.max(new Date(next.at).getTime() - Date.now(), 0) + 50, 60 * 60 * 1000);
+  event.phaseTimer = setTimeout(() => {
+    getPhaseState(event).then(latest => schedulePhaseTimer(event, latest)).catch(error => console.error('Error applying scheduled phase:', error));
+  }, delay);
+  if (event.phaseTimer.unref) event.phaseTimer.unref();
+}
+
+const PHASE_MESSAGES = {
+  register: 'Problem selection is not open right now.',
+  teamChange: 'Selections cannot be changed right now.',
+  adminChange: 'The event is frozen; selections can no longer be changed.',
+  reset: 'Reset is only allowed while the event is in draft, revealed or closed.'
+};
+
+// Backups of the whole event (backups.js), taken before anything destructive
+async function backupEvent(event, reason, { req = null, actor = auditActor(req), skipUnchanged = false } = {}) {
+  const info = await registry.get(event.slug);
+  return backups.takeBackup(event.db, { event: info, reason, actor, skipUnchanged });
+}
+
+// Returns false, having answered the request, when the backup failed; the change must not go ahead then
+async function backupFirst(req, res, reason) {
+  try {
+    await backupEvent(req.event, reason, { req });
+    return true;
+  } catch (error) {
+    console.error(`Error taking backup before ${reason}:`, error);
+    res.status(500).json({ error: 'Could not take a backup first; nothing was changed' });
+    return false;
+  }
+}
+
+function requirePhase(action) {
+  return async (req, res, next) => {
+    try {
+      const { current } = await getPhaseState(req.event);
+      if (!phases.allows(current, action)) return res.status(403).json({ error: PHASE_MESSAGES[action], phase: current });
+      req.phase = current;
+      next();
+    } catch (error) {
+      console.error('Error checking event phase:', error);
+      res.status(500).json({ error: 'Failed to check event phase' });
+    }
+  };
+}
+
+async function initializeDatabase(event) {
+  try {
+    await event.db.init();
+    const DATA_FILE = path.join(__dirname, 'data.json');
+    // Mongo and SQLite deployments of the default event start from the problems in data.json
+    if (event.slug === DEFAULT_EVENT.slug && fs.existsSync(DATA_FILE)) {
+      const jsonData = JSON.parse(fs.readFileSync(DATA_FILE));
+      const existingProblems = await event.db.getAllProblemStatements();
+      if (existingProblems.length === 0 && jsonData.problemStatements?.length > 0) {
+        await event.db.importFromJSON(jsonData);
+      }
+    }
+    await seedRoster(event);
+  } catch (error) {
+    console.error('Error during database initialization:', error);
+    // Fallback to JSON/Blob store if the configured backend fails
+    try {
+      event.db = jsonStore(event.slug);
+      await event.db.init();
+      console.warn(`Fell back to JSON/Blob store after ${STORE_BACKEND} init failure`);
+    } catch (e) {
+      console.error('Fallback store initialization failed:', e);
+    }
+  }
+  await startEventBus(event);
+}
+
+// Each hosted event is opened once per process: store, live channels, bus and timers
+const openEvents = new Map();
+let homeEvent = null;
+const registry = new EventRegistry(DEFAULT_EVENT, () => homeEvent.db);
+
+async function openEvent(slug) {
+  const event = {
+    slug,
+    db: createStore(slug),
+    adminEvents: new EventChannel('admin', { bufferSize: SSE_REPLAY_BUFFER }),
+    publicEvents: new EventChannel('public', { bufferSize: SSE_REPLAY_BUFFER, headers: PUBLIC_SSE_HEADERS }),
+    liveBus: new eventBus.MemoryBus(),
+    publishedCounts: new Map(),
+    phaseTimer: null,
+    backupTimer: null,
+    holdTimer: null,
+    mailTimer: null,
+    mailRun: null,
+    webhookTimer: null,
+    webhookRun: null
+  };
+  await event.liveBus.start(live => deliverLiveEvent(event, live));
+  await initializeDatabase(event);
+  try {
+    countChanges(event, formatProblems(await event.db.getAllProblemStatements()));
+  } catch (e) {
+    console.error('Failed to load initial problem counts:', e);
+  }
+  try {
+    schedulePhaseTimer(event, await getPhaseState(event));
+  } catch (e) {
+    console.error('Phase scheduler failed to start:', e);
+  }
+  // Holds left over from before a restart expire on schedule too
+  expireHolds(event).catch(e => console.error('Hold expiry failed to start:', e));
+  if (slug === DEFAULT_EVENT.slug) homeEvent = event;
+  // Scheduled backups are skipped while nothing has changed since the last one
+  if (backups.INTERVAL_MINUTES > 0) {
+    event.backupTimer = setInterval(() => {
+      backupEvent(event, 'scheduled', { skipUnchanged: true }).catch(error => console.error(`Scheduled backup of ${slug} failed:`, error));
+    }, backups.INTERVAL_MINUTES * 60 * 1000);
+    event.backupTimer.unref();
+  }
+  // Emails queued before a restart, and retries, go out on the outbox timer
+  if (mailTransport) {
+    event.mailTimer = setInterval(() => deliverOutbox(event), mailer.INTERVAL_SECONDS * 1000);
+    event.mailTimer.unref();
+    deliverOutbox(event);
+  }
+  event.webhookTimer = setInterval(() => deliverWebhooks(event), webhooks.INTERVAL_SECONDS * 1000);
+  event.webhookTimer.unref();
+  return event;
+}
+
+// Concurrent first requests share one opening; a failed open is retried on the next request
+function loadEvent(slug) {
+  if (!openEvents.has(slug)) openEvents.set(slug, openEvent(slug).catch(error => { openEvents.delete(slug); throw error; }));
+  return openEvents.get(slug);
+}
+
+// Event-scoped API, served for the default event under /api and for any event under /api/events/:slug
+const api = express.Router();
+
+async function useEvent(slug, req, res, next) {
+  try {
+    await loadEvent(DEFAULT_EVENT.slug);
+    const info = await registry.get(slug);
+    if (!info || (info.archived && !adminAuth.adminFromRequest(req))) return res.status(404).json({ error: 'Event not found' });
+    req.event = await loadEvent(slug);
+    req.eventInfo = info;
+    next();
+  } catch (error) {
+    console.error('Error opening event:', error);
+    res.status(500).json({ error: 'Failed to open event' });
+  }
+}
+
+app.use('/api/events/:slug', (req, res, next) => useEvent(String(req.params.slug).toLowerCase(), req, res, next), api);
+app.use('/api', (req, res, next) => useEvent(DEFAULT_EVENT.slug, req, res, next), api);
+
+// API
+api.get('/problem-statements', async (req, res) => {
+  try {
+    const { db } = req.event;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    // Problems stay hidden from the public until they are revealed
+    const { current } = await getPhaseState(req.event);
+    if (!phases.allows(current, 'viewProblems') && !adminAuth.adminFromRequest(req)) return res.json([]);
+    const statements = await db.getAllProblemStatements();
+    const formatted = formatProblems(statements);
+    res.json(formatted);
+  } catch (error) {
+    console.error('Error fetching problem statements:', error);
+    // If Mongo connection fails on Vercel, fall back dynamically and retry once
+    if ((error && (error.name === 'MongoServerSelectionError' || String(error).includes('MongoServerSelectionError'))) || (process.env.VERCEL && process.env.MONGODB_URI)) {
+      try {
+        req.event.db = jsonStore(req.event.slug);
+        await req.event.db.init();
+        const statements = await req.event.db.getAllProblemStatements();
+        const formatted = formatProblems(statements);
+        return res.json(formatted);
+      } catch (e2) {
+        console.error('Fallback fetch failed:', e2);
+      }
+    }
+    res.status(500).json({ error: 'Failed to fetch problem statements' });
+  }
+});
+
+// Problem statement CRUD (coordinators)
+async function broadcastProblemChange(event, action, problemId) {
+  try {
+    const registrations = await event.db.getAllRegistrations();
+    const problems = formatProblems(await event.db.getAllProblemStatements());
+    broadcastUpdate(event, 'problem-update', { action, problemId, registrations, problems });
+  } catch (_) {}
+}
+
+api.post('/problem-statements', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { errors, value } = validateProblemInput(req.body, false);
+    if (errors.length) return res.status(400).json({ error: 'Invalid problem statement', details: errors });
+    if (!value.id) {
+      // Next free psNNN id, matching the seeded defaults
+      const existing = new Set((await db.getAllProblemStatements()).map(p => p.id));
+      let n = existing.size + 1;
+      while (existing.has(`ps${String(n).padStart(3, '0')}`)) n++;
+      value.id = `ps${String(n).padStart(3, '0')}`;
+    }
+    const result = await db.createProblemStatement(value);
+    if (result.changes === 0) return res.status(409).json({ error: `Problem statement ${value.id} already exists` });
+    await broadcastProblemChange(req.event, 'created', value.id);
+    const created = formatProblems(await db.getAllProblemStatements()).find(p => p.id === value.id);
+    await audit(req, 'problem.create', { target: value.id, after: created });
+    res.status(201).json({ success: true, problemStatement: created });
+  } catch (error) {
+    console.error('Error creating problem statement:', error);
+    res.status(500).json({ error: 'Failed to create problem statement' });
+  }
+});
+
+// Body: the file as text/csv, or JSON (an array of problems or { problemStatements }). ?mode=merge|replace (default
+// merge); ?dryRun=1 only reports the diff, validation errors and conflicts.
+api.post('/admin/problem-statements/import', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const mode = String(req.query.mode || 'merge');
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const format = typeof req.body === 'string' ? 'csv' : 'json';
+    const parsed = parseProblemFile(req.body, format);
+    if (parsed.errors.length) return res.status(400).json({ error: 'Invalid problem statement file', details: parsed.errors });
+    const plan = planProblemImport(await db.getAllProblemStatements(), parsed.records, mode);
+    if (plan.errors.length) return res.status(400).json({ error: 'Invalid problem statement file', details: plan.errors });
+    if (dryRun) return res.json({ dryRun: true, mode, format, diff: plan.diff, conflicts: plan.conflicts });
+    if (plan.conflicts.length) return res.status(409).json({ error: 'Some problems conflict with current registrations', mode, diff: plan.diff, conflicts: plan.conflicts });
+    const { upsert, remove } = plan.result;
+    if (!upsert.length && !remove.length) return res.json({ dryRun: false, mode, format, diff: plan.diff, conflicts: [] });
+    if (!(await backupFirst(req, res, 'import'))) return;
+    // The store checks capacity again in the same write, in case registrations came in since the plan
+    const result = await db.upsertProblemStatements(upsert, { remove });
+    if (result.changes === 0) return res.status(409).json({ error: 'Some problems conflict with current registrations', mode, diff: plan.diff, conflicts: result.conflicts });
+    await audit(req, 'problem.import', { target: mode, after: plan.diff });
+    await broadcastProblemChange(req.event, 'imported', null);
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ dryRun: false, mode, format, diff: plan.diff, conflicts: [] });
+  } catch (error) {
+    console.error('Error importing problem statements:', error);
+    res.status(500).json({ error: 'Failed to import problem statements' });
+  }
+});
+
+// Lowering maxSelections below the registered teams needs a resolution: { moves: [{ teamNumber, problemStatementId }],
+// remove: [teamNumber], keepOverCapacity, reason }. Without one the affected teams come back with a 409.
+function validateCapacityResolution(input, registered, maxSelections, problemIds) {
+  const errors = [];
+  const onProblem = new Set(registered.map(r => r.team_number));
+  const moves = Array.isArray(input.moves) ? input.moves.map(m => ({ teamNumber: String((m || {}).teamNumber || '').trim(), problemStatementId: String((m || {}).problemStatementId || '').trim() })) : [];
+  const remove = Array.isArray(input.remove) ? input.remove.map(t => String(t).trim()) : [];
+  const reason = typeof input.reason === 'string' ? input.reason.trim().slice(0, 500) : '';
+  const teams = [...moves.map(m => m.teamNumber), ...remove];
+  teams.filter(t => !onProblem.has(t)).forEach(t => errors.push(`Team ${t} is not registered for this problem statement`));
+  if (new Set(teams).size !== teams.length) errors.push('Each team can only be moved or removed once');
+  // problemIds: where teams can be moved (every problem but this one)
+  moves.filter(m => !problemIds.has(m.problemStatementId)).forEach(m => errors.push(`Choose another problem statement to move team ${m.teamNumber} to`));
+  if (!input.keepOverCapacity && registered.length - teams.length > maxSelections) {
+    errors.push(`Move or remove at least ${registered.length - maxSelections} team(s), or keep the problem over capacity`);
+  }
+  if (input.keepOverCapacity && !reason) errors.push('A reason is required to keep the problem over capacity');
+  return { errors, value: { moves, remove, keepOverCapacity: Boolean(input.keepOverCapacity), reason: reason || null } };
 }
 
-// Add rate limiting (enabled in production only)
-const rateLimit = require('express-rate-limit');
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 1000,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: 'Too many requests from this IP, please try again later.',
-  trustProxy: true
+api.patch('/problem-statements/:id', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const id = String(req.params.id).trim();
+    const { errors, value } = validateProblemInput(req.body, true);
+    if (errors.length) return res.status(400).json({ error: 'Invalid problem statement', details: errors });
+    if (Object.keys(value).length === 0) return res.status(400).json({ error: 'No fields to update' });
+    const existing = await db.getProblemStatementById(id);
+    if (!existing) return res.status(404).json({ error: 'Problem statement not found' });
+    let result = await db.updateProblemStatement(id, value);
+    let resolution = null;
+    if (result.reason === 'over_capacity') {
+      // Latest registrations first in line to be moved; the admin can pick any of them
+      const registered = (await db.getRegistrationsByProblemStatement(id))
+        .sort((a, b) => String(a.registration_date_time).localeCompare(String(b.registration_date_time)));
+      const affectedTeams = registered.map((r, i) => ({ teamNumber: r.team_number, teamName: r.team_name, teamLeader: r.team_leader, registeredAt: r.registration_date_time, suggested: i >= value.maxSelections }));
+      if (!req.body.resolution) {
+        return res.status(409).json({
+          error: `${registered.length} team(s) are registered but the new limit is ${value.maxSelections}. Move or remove teams, or keep the problem over capacity.`,
+          reason: 'over_capacity',
+          registered: registered.length,
+          maxSelections: value.maxSelections,
+          affectedTeams
+        });
+      }
+      const problemIds = new Set((await db.getAllProblemStatements()).map(p => p.id));
+      problemIds.delete(id);
+      const checked = validateCapacityResolution(req.body.resolution, registered, value.maxSelections, problemIds);
+      if (checked.errors.length) return res.status(400).json({ error: 'Invalid capacity resolution', details: checked.errors, affectedTeams });
+      resolution = checked.value;
+      if (resolution.remove.length && !(await backupFirst(req, res, 'capacity-change'))) return;
+      // The new limit, the moves and the removals are one write: a move that no longer fits leaves everything as it was
+      const before = new Map(registered.map(r => [r.team_number, r]));
+      result = await db.updateProblemStatement(id, value, { force: resolution.keepOverCapacity, moves: resolution.moves, remove: resolution.remove });
+      if (result.reason === 'move_conflict' || result.reason === 'over_capacity') {
+        return res.status(409).json({
+          error: 'The capacity change was not applied: some teams could not be moved. Choose other problem statements and try again.',
+          reason: result.reason,
+          conflicts: result.conflicts || [],
+          affectedTeams
+        });
+      }
+      for (const move of result.moved) {
+        await audit(req, 'registration.move', { teamNumber: move.teamNumber, target: move.to, before: before.get(move.teamNumber), after: await db.getRegistrationByTeamNumber(move.teamNumber), reason: `capacity change on ${id}` });
+        await notifyTeams(req.event, 'move', [{ teamNumber: move.teamNumber, problemStatementId: move.to, from: move.from, receipt: true }]);
+      }
+      for (const teamNumber of result.removed) {
+        await audit(req, 'registration.delete', { teamNumber, target: id, before: before.get(teamNumber), reason: `capacity change on ${id}` });
+        await notifyTeams(req.event, 'deletion', [{ teamNumber, problemStatementId: id }]);
+      }
+    }
+    const updated = formatProblems(await db.getAllProblemStatements()).find(p => p.id === id);
+    await audit(req, 'problem.update', { target: id, before: existing, after: resolution ? { ...updated, resolution } : updated, reason: resolution && resolution.reason });
+    await broadcastProblemChange(req.event, 'updated', id);
+    for (const move of (resolution ? result.moved : [])) await broadcastAssignment(req.event, 'moved', { teamNumber: move.teamNumber, from: move.from, to: move.to, forced: false });
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ success: true, problemStatement: updated });
+  } catch (error) {
+    console.error('Error updating problem statement:', error);
+    res.status(500).json({ error: 'Failed to update problem statement' });
+  }
+});
+
+api.delete('/problem-statements/:id', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const id = String(req.params.id).trim();
+    const existing = await db.getProblemStatementById(id);
+    if (!existing) return res.status(404).json({ error: 'Problem statement not found' });
+    const registrations = await db.getRegistrationsByProblemStatement(id);
+    // Deleting cascades to the problem's registrations and waitlist
+    if (!(await backupFirst(req, res, 'problem-delete'))) return;
+    const notices = await composeNotices(req.event, 'deletion', registrations.map(r => ({ teamNumber: r.team_number, problemStatementId: id })));
+    const result = await db.deleteProblemStatement(id);
+    if (result.changes === 0) return res.status(404).json({ error: 'Problem statement not found' });
+    await audit(req, 'problem.delete', { target: id, before: { problemStatement: existing, registrations }, after: null });
+    await queueNotices(req.event, notices);
+    await broadcastProblemChange(req.event, 'deleted', id);
+    res.json({ success: true, message: 'Problem statement deleted', removedRegistrations: registrations.length });
+  } catch (error) {
+    console.error('Error deleting problem statement:', error);
+    res.status(500).json({ error: 'Failed to delete problem statement' });
+  }
+});
+
+// Admin session
+app.post('/api/admin/login', loginLimiter, (req, res) => {
+  if (!adminAuth.isConfigured()) return res.status(503).json({ error: 'Admin access is not configured' });
+  const { username, password } = req.body || {};
+  const session = adminAuth.login(username, password);
+  if (!session) {
+    audit(req, 'admin.login', { actor: { type: 'anonymous', id: String(username || '') }, outcome: 'rejected', reason: 'invalid_credentials' });
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+  audit(req, 'admin.login', { actor: { type: 'admin', id: session.user.username, role: session.user.role } });
+  res.setHeader('Set-Cookie', adminAuth.sessionCookie(req, session.token, adminAuth.SESSION_TTL_MS));
+  res.json({ user: session.user, token: session.token });
+});
+
+app.post('/api/admin/logout', (req, res) => {
+  const admin = adminAuth.adminFromRequest(req);
+  if (admin) audit(req, 'admin.logout', { actor: { type: 'admin', id: admin.username, role: admin.role } });
+  res.setHeader('Set-Cookie', adminAuth.sessionCookie(req, '', 0));
+  res.json({ ok: true });
+});
+
+app.get('/api/admin/me', adminAuth.requireRole('viewer'), (req, res) => {
+  res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+  res.json({ user: req.admin });
+});
+
+// Hosted events: a public list for the event picker; superadmins create and rebrand events
+app.get('/api/editions', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json((await registry.list()).filter(e => !e.archived).map(publicEventInfo));
+  } catch (error) {
+    console.error('Error listing events:', error);
+    res.status(500).json({ error: 'Failed to list events' });
+  }
+});
+
+// Registration receipts (receipts.js) carry their event, so one verify URL serves every event. Unless RECEIPT_SECRET or
+// ADMIN_SESSION_SECRET is set, they are signed with a secret kept in the default event's settings.
+async function receiptSecret() {
+  return receipts.loadSecret((await loadEvent(DEFAULT_EVENT.slug)).db);
+}
+
+async function receiptFor(event, registration) {
+  const token = receipts.issueReceipt(event.slug, registration, await receiptSecret());
+  return { token, url: `/receipt/${token}` };
+}
+
+const RECEIPT_FAILURES = {
+  withdrawn: [410, 'This registration has been withdrawn or deleted since the receipt was issued.'],
+  changed: [409, 'This team\'s selection has changed since the receipt was issued.']
+};
+
+async function verifyReceipt(token) {
+  const claims = receipts.readReceipt(token, await receiptSecret());
+  if (!claims) return { status: 400, body: { valid: false, reason: 'invalid', error: 'This receipt is not genuine.' } };
+  await loadEvent(DEFAULT_EVENT.slug);
+  const info = await registry.get(claims.event);
+  if (!info) return { status: 404, body: { valid: false, reason: 'invalid', error: 'The event on this receipt no longer exists.' } };
+  const { db } = await loadEvent(claims.event);
+  const registration = await db.getRegistrationByTeamNumber(claims.teamNumber);
+  const problem = await db.getProblemStatementById(claims.problemStatementId);
+  const named = registration || (await db.getTeam(claims.teamNumber)) || {};
+  const { valid, reason } = receipts.checkReceipt(claims, registration);
+  const [status, error] = valid ? [200, null] : RECEIPT_FAILURES[reason];
+  return {
+    status,
+    body: {
+      valid,
+      reason,
+      ...(error && { error }),
+      event: publicEventInfo(info),
+      team: { teamNumber: claims.teamNumber, teamName: named.teamName || null, teamLeader: named.teamLeader || null },
+      problemStatement: { id: claims.problemStatementId, title: problem ? problem.title : null },
+      registeredAt: claims.registeredAt
+    }
+  };
+}
+
+app.get('/api/verify/:token', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    const { status, body } = await verifyReceipt(req.params.token);
+    res.status(status).json(body);
+  } catch (error) {
+    console.error('Error verifying receipt:', error);
+    res.status(500).json({ error: 'Failed to verify receipt' });
+  }
+});
+
+// QR code of the receipt page, for showing at the venue; PUBLIC_BASE_URL overrides the host it points at
+app.get('/api/verify/:token/qr.svg', async (req, res) => {
+  try {
+    if (!receipts.readReceipt(req.params.token, await receiptSecret())) return res.status(400).json({ error: 'This receipt is not genuine.' });
+    const base = (process.env.PUBLIC_BASE_URL || `${req.protocol}://${req.get('host')}`).replace(/\/+$/, '');
+    const svg = await QRCode.toString(`${base}/receipt/${req.params.token}`, { type: 'svg', margin: 2, errorCorrectionLevel: 'M' });
+    res.set('Content-Type', 'image/svg+xml');
+    if (req.query.download) res.set('Content-Disposition', 'attachment; filename="registration-receipt.svg"');
+    res.send(svg);
+  } catch (error) {
+    console.error('Error drawing receipt QR code:', error);
+    res.status(500).json({ error: 'Failed to draw QR code' });
+  }
+});
+
+app.get('/api/admin/editions', adminAuth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await registry.list());
+  } catch (error) {
+    console.error('Error listing events:', error);
+    res.status(500).json({ error: 'Failed to list events' });
+  }
+});
+
+app.post('/api/admin/editions', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { errors, value } = validateEventInput(req.body, false);
+    if (errors.length) return res.status(400).json({ error: 'Invalid event', details: errors });
+    const created = await registry.create(value);
+    if (!created) return res.status(409).json({ error: `Event ${value.slug} already exists` });
+    // New events start hidden so problems can be prepared before the reveal
+    const event = await loadEvent(created.slug);
+    await event.db.updateSettings({ phase: phases.normalizeState({ current: 'draft' }) });
+    // Event definitions live with the default event, so they are journalled there
+    await audit(req, 'event.create', { target: created.slug, after: created });
+    res.status(201).json({ success: true, event: created });
+  } catch (error) {
+    console.error('Error creating event:', error);
+    res.status(500).json({ error: 'Failed to create event' });
+  }
+});
+
+app.patch('/api/admin/editions/:slug', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const slug = String(req.params.slug).toLowerCase();
+    const { errors, value } = validateEventInput(req.body, true);
+    if (errors.length) return res.status(400).json({ error: 'Invalid event', details: errors });
+    if (Object.keys(value).length === 0) return res.status(400).json({ error: 'No fields to update' });
+    const before = await registry.get(slug);
+    if (!before) return res.status(404).json({ error: 'Event not found' });
+    if (before.isDefault && value.archived) return res.status(400).json({ error: 'The default event cannot be archived' });
+    const updated = await registry.update(slug, value);
+    await audit(req, 'event.update', { target: slug, before, after: updated });
+    res.json({ success: true, event: updated });
+  } catch (error) {
+    console.error('Error updating event:', error);
+    res.status(500).json({ error: 'Failed to update event' });
+  }
+});
+
+api.get('/event', (req, res) => {
+  res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+  res.json(publicEventInfo(req.eventInfo));
+});
+
+app.get('/api/ip', (req, res) => {
+  res.json({ ip: clientIp(req) });
+});
+
+// Public roster lookups (used to prefill the registration form) leave out emails and phone numbers
+api.get('/teams', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json((await req.event.db.getTeams()).map(roster.publicTeam));
+  } catch (_) { res.status(500).json({ error: 'Failed to load teams' }); }
+});
+
+api.get('/teams/:teamNumber', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    const team = await req.event.db.getTeam(req.params.teamNumber);
+    if (!team) return res.status(404).json({ error: 'Team not found' });
+    res.json(roster.publicTeam(team));
+  } catch (_) { res.status(500).json({ error: 'Failed to load team' }); }
+});
+
+// Admin: roster. Team numbers are fixed once created, and a team with a registration or waitlist entry stays on the
+// roster until that is withdrawn.
+function broadcastRosterChange(event, action, teamNumber) {
+  broadcastUpdate(event, 'roster', { action, teamNumber });
+}
+
+async function teamsInUse(db) {
+  const registrations = await db.getAllRegistrations();
+  const waitlist = await db.getWaitlist();
+  return new Set([...registrations.map(r => r.team_number), ...waitlist.map(w => w.teamNumber)]);
+}
+
+api.get('/admin/teams', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    const inUse = await teamsInUse(db);
+    res.json({ teams: (await db.getTeams()).map(t => ({ ...t, registered: inUse.has(t.teamNumber) })) });
+  } catch (error) {
+    console.error('Error fetching teams:', error);
+    res.status(500).json({ error: 'Failed to fetch teams' });
+  }
+});
+
+api.post('/admin/teams', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { errors, value } = roster.validateTeamInput(req.body, false);
+    if (errors.length) return res.status(400).json({ error: 'Invalid team', details: errors });
+    const team = { institution: null, contactPhone: null, members: [], ...value };
+    const result = await db.createTeam(team);
+    if (result.changes === 0) return res.status(409).json({ error: `Team ${team.teamNumber} is already on the roster` });
+    await audit(req, 'roster.create', { teamNumber: team.teamNumber, after: team });
+    broadcastRosterChange(req.event, 'created', team.teamNumber);
+    res.status(201).json({ success: true, team: await db.getTeam(team.teamNumber) });
+  } catch (error) {
+    console.error('Error creating team:', error);
+    res.status(500).json({ error: 'Failed to create team' });
+  }
+});
+
+api.patch('/admin/teams/:teamNumber', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const before = await db.getTeam(req.params.teamNumber);
+    if (!before) return res.status(404).json({ error: 'Team not found' });
+    const { errors, value } = roster.validateTeamInput(req.body, true);
+    if (errors.length) return res.status(400).json({ error: 'Invalid team', details: errors });
+    if (!Object.keys(value).length) return res.status(400).json({ error: 'No fields to update' });
+    const after = { ...before, ...value };
+    await db.upsertTeams([after]);
+    await audit(req, 'roster.update', { teamNumber: before.teamNumber, before, after });
+    broadcastRosterChange(req.event, 'updated', before.teamNumber);
+    res.json({ success: true, team: after });
+  } catch (error) {
+    console.error('Error updating team:', error);
+    res.status(500).json({ error: 'Failed to update team' });
+  }
+});
+
+api.delete('/admin/teams/:teamNumber', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const before = await db.getTeam(req.params.teamNumber);
+    if (!before) return res.status(404).json({ error: 'Team not found' });
+    if ((await teamsInUse(db)).has(before.teamNumber)) {
+      return res.status(409).json({ error: `Team ${before.teamNumber} has a registration or waitlist entry. Withdraw it before removing the team.` });
+    }
+    if (!(await backupFirst(req, res, 'team-delete'))) return;
+    await db.upsertTeams([], { remove: [before.teamNumber] });
+    await audit(req, 'roster.delete', { teamNumber: before.teamNumber, before, after: null });
+    broadcastRosterChange(req.event, 'deleted', before.teamNumber);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting team:', error);
+    res.status(500).json({ error: 'Failed to delete team' });
+  }
+});
+
+// Body: a CSV (text/csv), an XLSX workbook or JSON. ?mode=merge|replace (default merge); ?dryRun=1 only reports the
+// diff and conflicts. Any invalid row rejects the whole file, with one message per problem.
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+api.post('/admin/teams/import', adminAuth.requireRole('coordinator'), express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), express.raw({ type: XLSX_TYPE, limit: '5mb' }), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const mode = String(req.query.mode || 'merge');
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const format = Buffer.isBuffer(req.body) ? 'xlsx' : (typeof req.body === 'string' ? 'csv' : 'json');
+    const parsed = await roster.parseRosterFile(req.body, format);
+    if (parsed.errors.length) return res.status(400).json({ error: 'Invalid roster file', details: parsed.errors });
+    const plan = roster.planRosterImport(await db.getTeams(), parsed.records, mode, { registered: await teamsInUse(db) });
+    if (plan.errors.length) return res.status(400).json({ error: 'Invalid roster file', details: plan.errors });
+    if (dryRun) return res.json({ dryRun: true, mode, format, diff: plan.diff, conflicts: plan.conflicts });
+    if (plan.conflicts.length) return res.status(409).json({ error: 'Some teams to remove have registrations or waitlist entries', mode, diff: plan.diff, conflicts: plan.conflicts });
+    const { upsert, remove } = plan.result;
+    if (!upsert.length && !remove.length) return res.json({ dryRun: false, mode, format, diff: plan.diff, conflicts: [] });
+    if (!(await backupFirst(req, res, 'import'))) return;
+    await db.upsertTeams(upsert, { remove });
+    await audit(req, 'roster.import', { target: mode, after: plan.diff });
+    broadcastRosterChange(req.event, 'imported', null);
+    res.json({ dryRun: false, mode, format, diff: plan.diff, conflicts: [] });
+  } catch (error) {
+    console.error('Error importing teams:', error);
+    res.status(500).json({ error: 'Failed to import teams' });
+  }
+});
+
+api.get('/export/teams/csv', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { header, rows } = roster.rosterSheet(await req.event.db.getTeams());
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="teams.csv"');
+    res.send(toCsv(header, rows));
+  } catch (error) {
+    console.error('Error exporting teams:', error);
+    res.status(500).json({ error: 'Failed to export teams' });
+  }
+});
+
+// Admin: team access codes
+async function listAccessCodes(event) {
+  const codes = new Map((await event.db.getTeamAccessCodes()).map(c => [c.teamNumber, c]));
+  return (await event.db.getTeams()).map(({ teamNumber, teamName, teamLeader }) => ({
+    teamNumber,
+    teamName,
+    teamLeader,
+    accessCode: codes.get(teamNumber)?.code || null,
+    issuedAt: codes.get(teamNumber)?.createdAt || null
+  }));
+}
+
+api.get('/admin/access-codes', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    const teams = await listAccessCodes(req.event);
+    res.json({ rosterEnforced: ROSTER_ENFORCED && teams.length > 0, accessCodeRequired: ACCESS_CODE_REQUIRED, teams });
+  } catch (error) {
+    console.error('Error fetching access codes:', error);
+    res.status(500).json({ error: 'Failed to fetch access codes' });
+  }
+});
+
+api.post('/admin/access-codes', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { teamNumbers, regenerate } = req.body || {};
+    // Replacing codes that were already handed out is restricted to superadmins
+    if (regenerate && !adminAuth.hasRole(req.admin, 'superadmin')) return res.status(403).json({ error: 'Requires superadmin role' });
+    const wanted = Array.isArray(teamNumbers) ? new Set(teamNumbers.map(t => String(t).trim())) : null;
+    const rostered = (await db.getTeams()).map(t => t.teamNumber);
+    const unknown = wanted ? Array.from(wanted).filter(t => !rostered.includes(t)) : [];
+    if (unknown.length) return res.status(400).json({ error: 'Unknown team numbers', details: unknown });
+    const existing = new Set((await db.getTeamAccessCodes()).map(c => c.teamNumber));
+    const createdAt = new Date().toISOString();
+    const codes = rostered
+      .filter(t => (!wanted || wanted.has(t)) && (regenerate || !existing.has(t)))
+      .map(teamNumber => ({ teamNumber, code: generateAccessCode(), createdAt }));
+    await db.saveTeamAccessCodes(codes);
+    // The codes themselves stay out of the journal
+    await audit(req, 'access-codes.generate', { after: { regenerate: Boolean(regenerate), teamNumbers: codes.map(c => c.teamNumber) } });
+    res.json({ success: true, generated: codes.length, teams: await listAccessCodes(req.event) });
+  } catch (error) {
+    console.error('Error generating access codes:', error);
+    res.status(500).json({ error: 'Failed to generate access codes' });
+  }
+});
+
+api.get('/export/access-codes/csv', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const teams = await listAccessCodes(req.event);
+    const csv = toCsv(['Team Number', 'Team Name', 'Team Leader', 'Access Code'], teams.map(t => [t.teamNumber, t.teamName, t.teamLeader, t.accessCode || '']));
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="team-access-codes.csv"');
+    res.send(csv);
+  } catch (error) {
+    console.error('Error exporting access codes:', error);
+    res.status(500).json({ error: 'Failed to export access codes' });
+  }
+});
+
+// Team self-service: view, swap or withdraw a selection using the team's access code, until the event's change deadline
+const teamAuthLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 100,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { error: 'Too many attempts, please try again later.' },
+  trustProxy: true
+});
+
+async function requireTeamCode(req, res, next) {
+  try {
+    const teamNumber = String(req.params.teamNumber).trim();
+    const issued = await req.event.db.getTeamAccessCode(teamNumber);
+    if (!issued || !accessCodeMatches(issued.code, req.headers['x-team-access-code'])) {
+      return res.status(401).json({ error: 'Invalid team number or access code' });
+    }
+    req.teamNumber = teamNumber;
+    next();
+  } catch (error) {
+    console.error('Error verifying team access code:', error);
+    res.status(500).json({ error: 'Failed to verify team' });
+  }
+}
+
+async function teamStatus(event, teamNumber) {
+  const { db } = event;
+  const registration = await db.getRegistrationByTeamNumber(teamNumber);
+  const state = await getPhaseState(event);
+  const phase = state.current;
+  const problems = phases.allows(phase, 'viewProblems') ? formatProblems(await db.getAllProblemStatements()) : [];
+  const waiting = (await db.getWaitlist()).find(w => w.teamNumber === teamNumber);
+  const ranked = (await db.getPreferences()).find(p => p.teamNumber === teamNumber);
+  const rostered = await db.getTeam(teamNumber);
+  return {
+    team: rostered || (registration ? { teamNumber, teamName: registration.teamName, teamLeader: registration.teamLeader } : { teamNumber }),
+    registration: registration ? {
+      problemStatement: problems.find(p => p.id === registration.problemStatementId) || null,
+      registeredAt: registration.registrationDateTime,
+      receipt: await receiptFor(event, registration)
+    } : null,
+    waitlist: waiting ? {
+      problemStatement: problems.find(p => p.id === waiting.problemStatementId) || null,
+      position: waiting.position,
+      joinedAt: waiting.joinedAt
+    } : null,
+    preferences: ranked ? { problemStatementIds: ranked.preferences, submittedAt: ranked.submittedAt } : null,
+    changeDeadline: state.teamChangeDeadline,
+    phase,
+    canChange: phases.teamChangesOpen(state) && phases.allows(phase, 'teamChange'),
+    problems
+  };
+}
+
+api.get('/team/:teamNumber', teamAuthLimiter, requireTeamCode, async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await teamStatus(req.event, req.teamNumber));
+  } catch (error) {
+    console.error('Error fetching team status:', error);
+    res.status(500).json({ error: 'Failed to fetch team status' });
+  }
+});
+
+api.post('/team/:teamNumber/swap', teamAuthLimiter, requireTeamCode, requirePhase('teamChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    if (!phases.teamChangesOpen(await getPhaseState(req.event))) return res.status(403).json({ error: 'The deadline for changing selections has passed.' });
+    const { problemStatementId } = req.body || {};
+    if (!problemStatementId) return res.status(400).json({ error: 'Missing required field: problemStatementId' });
+    const current = await db.getRegistrationByTeamNumber(req.teamNumber);
+    if (!current) return res.status(404).json({ error: 'Your team has no selection to change.' });
+    if (current.problemStatementId === problemStatementId) return res.status(400).json({ error: 'Your team has already selected this problem statement.' });
+    const ps = await db.getProblemStatementById(problemStatementId);
+    if (!ps) return res.status(404).json({ error: 'Problem statement not found.' });
+    const result = await db.swapRegistrationAtomic(req.teamNumber, problemStatementId);
+    if (!result) {
+      await audit(req, 'team.swap', { teamNumber: req.teamNumber, target: problemStatementId, before: current, outcome: 'rejected', reason: 'problem_full' });
+      return res.status(409).json({ error: 'That problem statement is full. Your current selection has been kept.' });
+    }
+    await audit(req, 'team.swap', { teamNumber: req.teamNumber, target: problemStatementId, before: current, after: await db.getRegistrationByTeamNumber(req.teamNumber) });
+    try {
+      const registrations = await db.getAllRegistrations();
+      const problems = formatProblems(await db.getAllProblemStatements());
+      broadcastUpdate(req.event, 'swap', { registrations, problems, teamNumber: req.teamNumber, from: result.from, to: result.to });
+    } catch (_) {}
+    await notifyTeams(req.event, 'swap', [{ teamNumber: req.teamNumber, problemStatementId: result.to, from: result.from, receipt: true }]);
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ success: true, message: 'Selection changed successfully', ...(await teamStatus(req.event, req.teamNumber)) });
+  } catch (error) {
+    console.error('Error swapping registration:', error);
+    res.status(500).json({ error: 'Failed to change selection' });
+  }
+});
+
+api.delete('/team/:teamNumber/registration', teamAuthLimiter, requireTeamCode, requirePhase('teamChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    if (!phases.teamChangesOpen(await getPhaseState(req.event))) return res.status(403).json({ error: 'The deadline for changing selections has passed.' });
+    const before = await db.getRegistrationByTeamNumber(req.teamNumber);
+    const result = await db.deleteRegistration(req.teamNumber);
+    if (result.changes === 0) return res.status(404).json({ error: 'Your team has no selection to withdraw.' });
+    await audit(req, 'team.withdraw', { teamNumber: req.teamNumber, target: before && before.problemStatementId, before });
+    try {
+      const registrations = await db.getAllRegistrations();
+      const problems = formatProblems(await db.getAllProblemStatements());
+      broadcastUpdate(req.event, 'deletion', { registrations, problems, deletedTeamNumber: req.teamNumber, problemStatementId: before && before.problemStatementId, withdrawn: true });
+    } catch (_) {}
+    await notifyTeams(req.event, 'withdrawal', [{ teamNumber: req.teamNumber, problemStatementId: before && before.problemStatementId }]);
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ success: true, message: 'Selection withdrawn', ...(await teamStatus(req.event, req.teamNumber)) });
+  } catch (error) {
+    console.error('Error withdrawing registration:', error);
+    res.status(500).json({ error: 'Failed to withdraw selection' });
+  }
+});
+
+api.delete('/team/:teamNumber/waitlist', teamAuthLimiter, requireTeamCode, requirePhase('teamChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const before = (await db.getWaitlist()).find(w => w.teamNumber === req.teamNumber) || null;
+    const result = await db.leaveWaitlist(req.teamNumber);
+    if (result.changes === 0) return res.status(404).json({ error: 'Your team is not on a waitlist.' });
+    await audit(req, 'waitlist.leave', { teamNumber: req.teamNumber, target: before && before.problemStatementId, before });
+    await broadcastWaitlistChange(req.event, 'left', req.teamNumber);
+    res.json({ success: true, message: 'Left the waitlist', ...(await teamStatus(req.event, req.teamNumber)) });
+  } catch (error) {
+    console.error('Error leaving waitlist:', error);
+    res.status(500).json({ error: 'Failed to leave waitlist' });
+  }
+});
+
+// Waitlist for full problem statements; freed slots are filled in join order
+async function broadcastWaitlistChange(event, action, teamNumber) {
+  try {
+    const problems = formatProblems(await event.db.getAllProblemStatements());
+    broadcastUpdate(event, 'waitlist', { action, teamNumber, problems });
+  } catch (_) {}
+}
+
+api.post('/waitlist', requirePhase('register'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { problemStatementId } = req.body || {};
+    if (!req.body?.teamNumber || !req.body?.teamName || !req.body?.teamLeader || !problemStatementId) {
+      return res.status(400).json({ error: 'Missing required fields: teamNumber, teamName, teamLeader, problemStatementId' });
+    }
+    if ((await getAllocationConfig(req.event)).mode === 'preference') {
+      return res.status(403).json({ error: 'Selection for this event is by ranked preference. Please submit your ranking instead.' });
+    }
+    const rosterCheck = await verifyAgainstRoster(req.event, req.body);
+    if (rosterCheck.error) return res.status(rosterCheck.status).json({ error: rosterCheck.error });
+    const { teamNumber, teamName, teamLeader } = rosterCheck.team;
+    const result = await db.joinWaitlistAtomic({ teamNumber, teamName, teamLeader, problemStatementId });
+    if (result.changes === 0) {
+      const reasons = {
+        registered: [409, 'Team number already registered.'],
+        not_found: [404, 'Problem statement not found.'],
+        available: [409, 'This problem statement has free slots. Please register for it directly.']
+      };
+      const [status, error] = reasons[result.reason] || [409, 'Unable to join the waitlist.'];
+      await audit(req, 'waitlist.join', { teamNumber, target: problemStatementId, outcome: 'rejected', reason: result.reason });
+      return res.status(status).json({ error, reason: result.reason });
+    }
+    await audit(req, 'waitlist.join', { teamNumber, target: problemStatementId, after: { teamNumber, teamName, teamLeader, problemStatementId, position: result.position } });
+    await broadcastWaitlistChange(req.event, 'joined', teamNumber);
+    await notifyTeams(req.event, 'waitlist-join', [{ teamNumber, problemStatementId, position: result.position }]);
+    res.json({ success: true, message: `Joined the waitlist at position ${result.position}`, position: result.position, problemStatementId });
+  } catch (error) {
+    console.error('Error joining waitlist:', error);
+    res.status(500).json({ error: 'Failed to join waitlist' });
+  }
+});
+
+// Seat holds: a team reserves a seat while it reads the confirmation dialog, then registers (which uses up the hold)
+const HOLD_SECONDS = Math.max(10, parseInt(process.env.HOLD_SECONDS || '90', 10) || 90);
+
+async function broadcastHoldChange(event, action, teamNumber, problemStatementId) {
+  try {
+    const registrations = await event.db.getAllRegistrations();
+    const problems = formatProblems(await event.db.getAllProblemStatements());
+    broadcastUpdate(event, 'hold', { action, teamNumber, problemStatementId, registrations, problems });
+  } catch (_) {}
+}
+
+// Releases expired holds (their seats may go to the waitlist) and sets a timer for the next one to expire
+async function expireHolds(event) {
+  if (event.holdTimer) clearTimeout(event.holdTimer);
+  event.holdTimer = null;
+  const { changes, promoted } = await event.db.expireHolds();
+  if (changes > 0) {
+    await broadcastHoldChange(event, 'expired', null, null);
+    await broadcastPromotions(event, promoted);
+  }
+  const [next] = await event.db.getHolds();
+  if (!next) return;
+  event.holdTimer = setTimeout(() => {
+    expireHolds(event).catch(error => console.error(`Hold expiry for ${event.slug} failed:`, error));
+  }, Math.max(0, new Date(next.expiresAt).getTime() - Date.now()) + 100);
+  event.holdTimer.unref();
+}
+
+api.post('/holds', requirePhase('register'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { problemStatementId } = req.body || {};
+    if (!req.body?.teamNumber || !req.body?.teamName || !req.body?.teamLeader || !problemStatementId) {
+      return res.status(400).json({ error: 'Missing required fields: teamNumber, teamName, teamLeader, problemStatementId' });
+    }
+    if ((await getAllocationConfig(req.event)).mode === 'preference') {
+      return res.status(403).json({ error: 'Selection for this event is by ranked preference. Please submit your ranking instead.' });
+    }
+    const rosterCheck = await verifyAgainstRoster(req.event, req.body);
+    if (rosterCheck.error) return res.status(rosterCheck.status).json({ error: rosterCheck.error });
+    const { teamNumber, teamName, teamLeader } = rosterCheck.team;
+    const result = await db.createHoldAtomic({ teamNumber, teamName, teamLeader, problemStatementId }, HOLD_SECONDS);
+    if (result.changes === 0) {
+      const reasons = {
+        registered: [409, 'Team number already registered.'],
+        not_found: [404, 'Problem statement not found.'],
+        full: [409, 'This problem statement has no free slots right now.']
+      };
+      const [status, error] = reasons[result.reason] || [409, 'Unable to hold a slot.'];
+      await audit(req, 'hold.create', { teamNumber, target: problemStatementId, outcome: 'rejected', reason: result.reason });
+      const problem = formatProblems(await db.getAllProblemStatements()).find(p => p.id === problemStatementId);
+      return res.status(status).json({ error, reason: result.reason, canJoinWaitlist: Boolean(problem && problem.selectedCount >= problem.maxSelections) });
+    }
+    await audit(req, 'hold.create', { teamNumber, target: problemStatementId, after: result.hold });
+    await broadcastHoldChange(req.event, 'created', teamNumber, problemStatementId);
+    await expireHolds(req.event);
+    res.status(201).json({ success: true, hold: { problemStatementId, expiresAt: result.hold.expiresAt }, holdSeconds: HOLD_SECONDS, serverTime: new Date().toISOString() });
+  } catch (error) {
+    console.error('Error holding a slot:', error);
+    res.status(500).json({ error: 'Failed to hold a slot' });
+  }
+});
+
+// Body: teamName, teamLeader and accessCode, checked against the roster as when the hold was taken
+api.delete('/holds/:teamNumber', async (req, res) => {
+  try {
+    const { db } = req.event;
+    const rosterCheck = await verifyAgainstRoster(req.event, { ...req.body, teamNumber: req.params.teamNumber });
+    if (rosterCheck.error) return res.status(rosterCheck.status).json({ error: rosterCheck.error });
+    const { teamNumber } = rosterCheck.team;
+    const result = await db.releaseHold(teamNumber);
+    if (result.changes === 0) return res.status(404).json({ error: 'No active hold for this team' });
+    await audit(req, 'hold.release', { teamNumber });
+    await broadcastHoldChange(req.event, 'released', teamNumber, null);
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error releasing hold:', error);
+    res.status(500).json({ error: 'Failed to release hold' });
+  }
 });
-if (process.env.NODE_ENV === 'production') {
-  app.use('/api/', limiter);
+
+api.get('/holds', adminAuth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await req.event.db.getHolds());
+  } catch (error) {
+    console.error('Error fetching holds:', error);
+    res.status(500).json({ error: 'Failed to fetch holds' });
+  }
+});
+
+api.get('/waitlist', adminAuth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await db.getWaitlist());
+  } catch (error) {
+    console.error('Error fetching waitlist:', error);
+    res.status(500).json({ error: 'Failed to fetch waitlist' });
+  }
+});
+
+api.delete('/waitlist/:teamNumber', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const teamNumber = String(req.params.teamNumber).trim();
+    const before = (await db.getWaitlist()).find(w => w.teamNumber === teamNumber) || null;
+    const result = await db.leaveWaitlist(teamNumber);
+    if (result.changes === 0) return res.status(404).json({ error: 'Team is not on a waitlist' });
+    await audit(req, 'waitlist.remove', { teamNumber, target: before && before.problemStatementId, before });
+    await broadcastWaitlistChange(req.event, 'removed', teamNumber);
+    res.json({ success: true, message: 'Removed from waitlist' });
+  } catch (error) {
+    console.error('Error removing from waitlist:', error);
+    res.status(500).json({ error: 'Failed to remove from waitlist' });
+  }
+});
+
+// Ranked-preference allocation: teams rank problems during a window, then an admin runs a seeded allocation
+async function getAllocationConfig(event) {
+  const settings = await event.db.getSettings();
+  const mode = settings.allocationMode === 'preference' ? 'preference' : 'fcfs';
+  const window = settings.preferenceWindow || {};
+  const now = Date.now();
+  const open = mode === 'preference'
+    && (!window.opensAt || now >= new Date(window.opensAt).getTime())
+    && (!window.closesAt || now < new Date(window.closesAt).getTime());
+  return { mode, preferenceWindow: { opensAt: window.opensAt || null, closesAt: window.closesAt || null }, preferencesOpen: open };
 }
 
-// Initialize database
-let db;
-if (process.env.MONGODB_URI) {
-  const uri = process.env.MONGODB_URI;
-  const dbName = process.env.MONGODB_DB || 'hackathon';
-  const prefix = process.env.MONGODB_COLLECTION_PREFIX || '';
-  db = new MongoStore(uri, dbName, prefix);
-} else {
-  db = new DatabaseManager();
-}
-
-// Teams CSV (optional auto-fill)
-const TEAMS_CSV_PATH = path.join(__dirname, 'teams.csv');
-let teamNumberToTeam = new Map();
-function loadTeamsCSV() {
-  try {
-    if (!fs.existsSync(TEAMS_CSV_PATH)) { teamNumberToTeam = new Map(); return; }
-    const content = fs.readFileSync(TEAMS_CSV_PATH, 'utf8');
-    const lines = content.split(/\r?\n/).filter(Boolean);
-    const [header, ...rows] = lines;
-    const expected = 'teamNumber,teamName,teamLeader';
-    if (!header || header.trim().toLowerCase() !== expected.toLowerCase()) { teamNumberToTeam = new Map(); return; }
-    const map = new Map();
-    rows.forEach((line) => {
-      const parts = line.split(',');
-      if (parts.length < 3) return;
-      const teamNumber = String(parts[0]).trim();
-      const teamName = parts[1] !== undefined ? String(parts[1]).trim() : '';
-      const teamLeader = parts[2] !== undefined ? String(parts[2]).trim() : '';
-      if (!teamNumber) return;
-      map.set(teamNumber, { teamNumber, teamName, teamLeader });
-    });
-    teamNumberToTeam = map;
-  } catch (_) { teamNumberToTeam = new Map(); }
+function allocationResultHash(result) {
+  const canonical = JSON.stringify({ a: result.assignments.map(a => [a.teamNumber, a.problemStatementId]), u: result.unassigned.map(u => u.teamNumber) });
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 16);
 }
-loadTeamsCSV();
 
-// SSE for live updates
-const connectedClients = new Set();
-function broadcastUpdate(type, data) {
-  const message = `data: ${JSON.stringify({ type, data, timestamp: new Date().toISOString() })}\n\n`;
-  connectedClients.forEach((client) => { try { client.write(message); } catch (_) { connectedClients.delete(client); } });
+async function runAllocation(event, { algorithm, seed, priorities }) {
+  const { db } = event;
+  const [problems, preferences, registrations] = await Promise.all([
+    db.getAllProblemStatements().then(formatProblems),
+    db.getPreferences(),
+    db.getAllRegistrations()
+  ]);
+  const result = allocation.allocate({ algorithm, seed, problems, preferences, priorities, registeredTeams: registrations.map(r => r.team_number) });
+  const titles = new Map(problems.map(p => [p.id, p.title]));
+  result.assignments.forEach(a => { a.problemTitle = titles.get(a.problemStatementId) || ''; });
+  return { ...result, priorities, resultHash: allocationResultHash(result), preferenceCount: preferences.length };
 }
 
-async function initializeDatabase() {
-  try {
-    await db.init();
-    const DATA_FILE = path.join(__dirname, 'data.json');
-    if (fs.existsSync(DATA_FILE)) {
-      const jsonData = JSON.parse(fs.readFileSync(DATA_FILE));
-      const existingProblems = await db.getAllProblemStatements();
-      if (existingProblems.length === 0 && jsonData.problemStatements?.length > 0) {
-        await db.importFromJSON(jsonData);
-      }
+function validateAllocationRequest(body) {
+  const input = body || {};
+  const algorithm = input.algorithm || 'serial-dictatorship';
+  if (!allocation.ALGORITHMS.includes(algorithm)) return { error: `algorithm must be one of: ${allocation.ALGORITHMS.join(', ')}` };
+  const seed = input.seed !== undefined && input.seed !== null && String(input.seed).trim() ? String(input.seed).trim().slice(0, 64) : null;
+  const priorities = {};
+  if (input.priorities !== undefined) {
+    if (!input.priorities || typeof input.priorities !== 'object' || Array.isArray(input.priorities)) return { error: 'priorities must be an object of teamNumber to number' };
+    for (const [team, value] of Object.entries(input.priorities)) {
+      if (!Number.isFinite(Number(value))) return { error: `priority for team ${team} must be a number` };
+      priorities[String(team).trim()] = Number(value);
     }
+  }
+  return { algorithm, seed, priorities };
+}
+
+api.get('/allocation', async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await getAllocationConfig(req.event));
   } catch (error) {
-    console.error('Error during database initialization:', error);
-    // Fallback to JSON/Blob store if MongoDB fails
-    try {
-      db = new DatabaseManager();
-      await db.init();
-      console.warn('Fell back to JSON/Blob store after Mongo init failure');
-    } catch (e) {
-      console.error('Fallback store initialization failed:', e);
+    console.error('Error fetching allocation config:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation settings' });
+  }
+});
+
+api.put('/admin/allocation/settings', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { mode, opensAt, closesAt } = req.body || {};
+    if (!['fcfs', 'preference'].includes(mode)) return res.status(400).json({ error: 'mode must be "fcfs" or "preference"' });
+    const parse = (v) => (v ? new Date(v) : null);
+    const opens = parse(opensAt);
+    const closes = parse(closesAt);
+    if ((opens && isNaN(opens)) || (closes && isNaN(closes))) return res.status(400).json({ error: 'opensAt/closesAt must be valid timestamps' });
+    if (opens && closes && opens >= closes) return res.status(400).json({ error: 'opensAt must be before closesAt' });
+    const before = await getAllocationConfig(req.event);
+    await db.updateSettings({ allocationMode: mode, preferenceWindow: { opensAt: opens ? opens.toISOString() : null, closesAt: closes ? closes.toISOString() : null } });
+    const config = await getAllocationConfig(req.event);
+    await audit(req, 'allocation.settings', { before, after: config });
+    broadcastUpdate(req.event, 'allocation-settings', config);
+    res.json({ success: true, ...config });
+  } catch (error) {
+    console.error('Error updating allocation settings:', error);
+    res.status(500).json({ error: 'Failed to update allocation settings' });
+  }
+});
+
+api.post('/preferences', requirePhase('register'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const config = await getAllocationConfig(req.event);
+    if (config.mode !== 'preference') return res.status(403).json({ error: 'This event uses first-come-first-served selection.' });
+    if (!config.preferencesOpen) return res.status(403).json({ error: 'The preference submission window is closed.' });
+    const { preferences } = req.body || {};
+    if (!req.body?.teamNumber || !req.body?.teamName || !req.body?.teamLeader || !Array.isArray(preferences)) {
+      return res.status(400).json({ error: 'Missing required fields: teamNumber, teamName, teamLeader, preferences' });
     }
+    const rosterCheck = await verifyAgainstRoster(req.event, req.body);
+    if (rosterCheck.error) return res.status(rosterCheck.status).json({ error: rosterCheck.error });
+    const { teamNumber, teamName, teamLeader } = rosterCheck.team;
+    const ids = preferences.map(id => String(id).trim());
+    const known = new Set((await db.getAllProblemStatements()).map(p => p.id));
+    if (ids.length === 0) return res.status(400).json({ error: 'Rank at least one problem statement.' });
+    if (new Set(ids).size !== ids.length) return res.status(400).json({ error: 'Each problem statement may only be ranked once.' });
+    const unknown = ids.filter(id => !known.has(id));
+    if (unknown.length) return res.status(400).json({ error: 'Unknown problem statements', details: unknown });
+    if (await db.isTeamNumberTaken(teamNumber)) return res.status(409).json({ error: 'Team number already registered.' });
+    const before = (await db.getPreferences()).find(p => p.teamNumber === teamNumber) || null;
+    const saved = await db.savePreferences({ teamNumber, teamName, teamLeader, preferences: ids });
+    await audit(req, 'preferences.submit', { teamNumber, before, after: saved });
+    broadcastUpdate(req.event, 'preferences', { teamNumber, count: (await db.getPreferences()).length });
+    res.json({ success: true, message: 'Preferences saved. You can resubmit until the window closes.', preferences: saved });
+  } catch (error) {
+    console.error('Error saving preferences:', error);
+    res.status(500).json({ error: 'Failed to save preferences' });
   }
-}
+});
 
-// API
-app.get('/api/problem-statements', async (req, res) => {
+api.get('/admin/preferences', adminAuth.requireRole('viewer'), async (req, res) => {
   try {
+    const { db } = req.event;
     res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
-    const statements = await db.getAllProblemStatements();
-    const formatted = formatProblems(statements);
-    res.json(formatted);
+    res.json(await db.getPreferences());
   } catch (error) {
-    console.error('Error fetching problem statements:', error);
-    // If Mongo connection fails on Vercel, fall back dynamically and retry once
-    if ((error && (error.name === 'MongoServerSelectionError' || String(error).includes('MongoServerSelectionError'))) || (process.env.VERCEL && process.env.MONGODB_URI)) {
-      try {
-        db = new DatabaseManager();
-        await db.init();
-        const statements = await db.getAllProblemStatements();
-        const formatted = formatProblems(statements);
-        return res.json(formatted);
-      } catch (e2) {
-        console.error('Fallback fetch failed:', e2);
-      }
+    console.error('Error fetching preferences:', error);
+    res.status(500).json({ error: 'Failed to fetch preferences' });
+  }
+});
+
+api.post('/admin/allocation/preview', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const request = validateAllocationRequest(req.body);
+    if (request.error) return res.status(400).json({ error: request.error });
+    const result = await runAllocation(req.event, { ...request, seed: request.seed || allocation.generateSeed() });
+    res.json({ success: true, preview: true, ...result });
+  } catch (error) {
+    console.error('Error previewing allocation:', error);
+    res.status(500).json({ error: 'Failed to preview allocation' });
+  }
+});
+
+api.post('/admin/allocation/commit', adminAuth.requireRole('superadmin'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const request = validateAllocationRequest(req.body);
+    if (request.error) return res.status(400).json({ error: request.error });
+    if (!request.seed) return res.status(400).json({ error: 'seed is required; preview the allocation first' });
+    const result = await runAllocation(req.event, request);
+    // The committed result must be exactly what was previewed
+    if (req.body.resultHash && req.body.resultHash !== result.resultHash) {
+      return res.status(409).json({ error: 'Preferences or registrations changed since the preview. Please preview again.', resultHash: result.resultHash });
     }
-    res.status(500).json({ error: 'Failed to fetch problem statements' });
+    const run = {
+      id: `run-${Date.now()}`,
+      algorithm: result.algorithm,
+      seed: result.seed,
+      priorities: result.priorities,
+      resultHash: result.resultHash,
+      preferenceCount: result.preferenceCount,
+      assignments: result.assignments.map(a => ({ teamNumber: a.teamNumber, problemStatementId: a.problemStatementId, rank: a.rank, order: a.order })),
+      unassigned: result.unassigned.map(u => u.teamNumber),
+      committedBy: req.admin.username
+    };
+    const committed = await db.commitAllocation(result.assignments, run);
+    if (committed.changes === 0 && committed.conflicts.length) {
+      await audit(req, 'allocation.commit', { target: run.id, outcome: 'rejected', reason: 'conflicts', after: { seed: run.seed, conflicts: committed.conflicts } });
+      return res.status(409).json({ error: 'Allocation conflicts with current registrations. Please preview again.', conflicts: committed.conflicts });
+    }
+    await audit(req, 'allocation.commit', { target: run.id, after: committed.run });
+    try {
+      const registrations = await db.getAllRegistrations();
+      const problems = formatProblems(await db.getAllProblemStatements());
+      const assignments = run.assignments.map(a => ({ teamNumber: a.teamNumber, problemStatementId: a.problemStatementId }));
+      broadcastUpdate(req.event, 'allocation', { runId: run.id, algorithm: run.algorithm, seed: run.seed, assigned: committed.changes, unassigned: run.unassigned.length, assignments, registrations, problems });
+    } catch (_) {}
+    res.json({ success: true, run: committed.run, assignments: result.assignments, unassigned: result.unassigned });
+  } catch (error) {
+    console.error('Error committing allocation:', error);
+    res.status(500).json({ error: 'Failed to commit allocation' });
   }
 });
 
-app.get('/api/ip', (req, res) => {
-  const ip = req.headers['x-forwarded-for']?.toString().split(',')[0].trim() || req.ip || '';
-  res.json({ ip });
+api.get('/admin/allocation/runs', adminAuth.requireRole('viewer'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await db.getAllocationRuns());
+  } catch (error) {
+    console.error('Error fetching allocation runs:', error);
+    res.status(500).json({ error: 'Failed to fetch allocation runs' });
+  }
 });
 
-app.get('/api/teams', (req, res) => {
+// Event phase
+api.get('/phase', async (req, res) => {
   try {
     res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
-    res.json(Array.from(teamNumberToTeam.values()));
-  } catch (_) { res.status(500).json({ error: 'Failed to load teams' }); }
+    res.json(phasePayload(await getPhaseState(req.event)));
+  } catch (error) {
+    console.error('Error fetching event phase:', error);
+    res.status(500).json({ error: 'Failed to fetch event phase' });
+  }
 });
 
-app.get('/api/teams/:teamNumber', (req, res) => {
-  res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
-  const team = teamNumberToTeam.get(String(req.params.teamNumber).trim());
-  if (!team) return res.status(404).json({ error: 'Team not found' });
-  res.json(team);
+api.put('/admin/phase', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { phase, schedule, teamChangeDeadline } = req.body || {};
+    if (phase !== undefined && !phases.PHASES.includes(phase)) return res.status(400).json({ error: `phase must be one of: ${phases.PHASES.join(', ')}` });
+    if (schedule !== undefined && (!schedule || typeof schedule !== 'object' || Array.isArray(schedule))) return res.status(400).json({ error: 'schedule must be an object of phase to timestamp' });
+    if (teamChangeDeadline && isNaN(new Date(teamChangeDeadline))) return res.status(400).json({ error: 'Invalid timestamp for teamChangeDeadline' });
+    const state = await getPhaseState(req.event);
+    const nextSchedule = { ...state.schedule };
+    for (const [name, at] of Object.entries(schedule || {})) {
+      if (!phases.PHASES.includes(name)) return res.status(400).json({ error: `Unknown phase in schedule: ${name}` });
+      if (at === null || at === '') { delete nextSchedule[name]; continue; }
+      if (isNaN(new Date(at))) return res.status(400).json({ error: `Invalid timestamp for ${name}` });
+      nextSchedule[name] = new Date(at).toISOString();
+    }
+    const updated = { ...state, schedule: nextSchedule, changedAt: new Date().toISOString(), changedBy: req.admin.username };
+    // null or '' clears the deadline
+    if (teamChangeDeadline !== undefined) updated.teamChangeDeadline = teamChangeDeadline ? new Date(teamChangeDeadline).toISOString() : null;
+    if (phase) {
+      updated.current = phase;
+      // Drop transitions that already passed so a manual move back is not undone immediately
+      Object.keys(updated.schedule).forEach(name => {
+        if (new Date(updated.schedule[name]).getTime() <= Date.now()) delete updated.schedule[name];
+      });
+    }
+    const saved = phases.normalizeState(updated);
+    saved.current = phases.effectivePhase(saved);
+    await db.updateSettings({ phase: saved });
+    await audit(req, 'phase.update', { target: saved.current, before: { phase: state.current, schedule: state.schedule, teamChangeDeadline: state.teamChangeDeadline }, after: { phase: saved.current, schedule: saved.schedule, teamChangeDeadline: saved.teamChangeDeadline } });
+    broadcastPhaseChange(req.event, saved);
+    res.json({ success: true, ...phasePayload(saved) });
+  } catch (error) {
+    console.error('Error updating event phase:', error);
+    res.status(500).json({ error: 'Failed to update event phase' });
+  }
 });
 
-app.get('/api/events', (req, res) => {
-  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'Access-Control-Allow-Origin': '*', 'Access-Control-Allow-Headers': 'Cache-Control' });
-  res.write(`data: ${JSON.stringify({ type: 'connected', message: 'Real-time updates enabled' })}\n\n`);
-  connectedClients.add(res);
-  const heartbeat = setInterval(() => { try { res.write(`data: ${JSON.stringify({ type: 'heartbeat', timestamp: new Date().toISOString() })}\n\n`); } catch (_) { clearInterval(heartbeat); connectedClients.delete(res); } }, 30000);
-  req.on('close', () => { clearInterval(heartbeat); connectedClients.delete(res); });
+api.get('/events', (req, res) => {
+  req.event.publicEvents.connect(req, res);
 });
 
-app.post('/api/register', async (req, res) => {
+api.get('/admin/events', adminAuth.requireRole('viewer'), (req, res) => {
+  req.event.adminEvents.connect(req, res);
+});
+
+api.post('/register', requirePhase('register'), async (req, res) => {
   try {
-    const { teamNumber, teamName, teamLeader, problemStatementId } = req.body;
-    if (!teamNumber || !teamName || !teamLeader || !problemStatementId) {
+    const { db } = req.event;
+    const { problemStatementId } = req.body;
+    if (!req.body.teamNumber || !req.body.teamName || !req.body.teamLeader || !problemStatementId) {
       return res.status(400).json({ error: 'Missing required fields: teamNumber, teamName, teamLeader, problemStatementId' });
     }
+
+    if ((await getAllocationConfig(req.event)).mode === 'preference') {
+      return res.status(403).json({ error: 'Selection for this event is by ranked preference. Please submit your ranking instead.' });
+    }
+
+    // Only rostered teams with the right details and access code may register
+    const rosterCheck = await verifyAgainstRoster(req.event, req.body);
+    if (rosterCheck.error) {
+      await audit(req, 'registration.create', { teamNumber: String(req.body.teamNumber).trim(), target: problemStatementId, outcome: 'rejected', reason: rosterCheck.error });
+      return res.status(rosterCheck.status).json({ error: rosterCheck.error });
+    }
+    const { teamNumber, teamName, teamLeader } = rosterCheck.team;
     
     // Check if team number is already taken
     const isTaken = await db.isTeamNumberTaken(teamNumber);
-    if (isTaken) return res.status(409).json({ error: 'Team number already registered.' });
+    if (isTaken) {
+      await audit(req, 'registration.create', { teamNumber, target: problemStatementId, outcome: 'rejected', reason: 'already_registered' });
+      return res.status(409).json({ error: 'Team number already registered.' });
+    }
     
     // Check if problem statement exists
     const ps = await db.getProblemStatementById(problemStatementId);
@@ -200,6 +1689,9 @@ app.post('/api/register', async (req, res) => {
     const registration = await db.createRegistrationAtomic({ teamNumber, teamName, teamLeader, problemStatementId });
     
     if (!registration) {
+      await audit(req, 'registration.create', { teamNumber, target: problemStatementId, outcome: 'rejected', reason: 'problem_full' });
+      // Admin-only: demand beyond capacity is charted on the dashboard
+      broadcastUpdate(req.event, 'registration-rejected', { teamNumber, problemStatementId });
       // Registration failed - provide simple feedback
       if (targetProblem && !targetProblem.isAvailable) {
         // Problem statement is full
@@ -211,8 +1703,10 @@ app.post('/api/register', async (req, res) => {
               title: targetProblem.title,
               status: `${targetProblem.selectedCount}/${targetProblem.maxSelections} slots filled`
             },
-            message: 'This problem statement is full. Please try another problem statement.'
-          }
+            message: 'This problem statement is full. Please try another problem statement or join its waitlist.',
+            waitlistCount: targetProblem.waitlistCount
+          },
+          canJoinWaitlist: true
         });
       } else {
         // Other registration failure (shouldn't happen with current logic, but safety net)
@@ -224,16 +1718,20 @@ app.post('/api/register', async (req, res) => {
     }
     
     // Registration successful
+    const stored = await db.getRegistrationByTeamNumber(teamNumber);
+    await audit(req, 'registration.create', { teamNumber, target: problemStatementId, after: registration });
     try {
       const updatedRegistrations = await db.getAllRegistrations();
       const updatedProblems = formatProblems(await db.getAllProblemStatements());
-      broadcastUpdate('registration', { registrations: updatedRegistrations, problems: updatedProblems, newRegistration: { ...registration, problemStatement: ps } });
+      broadcastUpdate(req.event, 'registration', { registrations: updatedRegistrations, problems: updatedProblems, newRegistration: { ...registration, ...stored, problemStatement: ps } });
     } catch (_) {}
+    await notifyTeams(req.event, 'registration', [{ teamNumber, problemStatementId, receipt: true }]);
     
     res.json({ 
       success: true,
       message: 'Registration successful!', 
       registration: { ...registration, problemStatement: ps },
+      receipt: stored && await receiptFor(req.event, stored),
       problemStatement: {
         id: targetProblem.id,
         title: targetProblem.title,
@@ -248,15 +1746,20 @@ app.post('/api/register', async (req, res) => {
   }
 });
 
-app.delete('/api/registration/:teamNumber', async (req, res) => {
+api.delete('/registration/:teamNumber', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
   try {
+    const { db } = req.event;
+    const before = await db.getRegistrationByTeamNumber(req.params.teamNumber);
     const result = await db.deleteRegistration(req.params.teamNumber);
     if (result.changes === 0) return res.status(404).json({ error: 'Registration not found' });
+    await audit(req, 'registration.delete', { teamNumber: String(req.params.teamNumber).trim(), target: before && before.problemStatementId, before });
     try {
       const updatedRegistrations = await db.getAllRegistrations();
       const updatedProblems = formatProblems(await db.getAllProblemStatements());
-      broadcastUpdate('deletion', { registrations: updatedRegistrations, problems: updatedProblems, deletedTeamNumber: String(req.params.teamNumber).trim() });
+      broadcastUpdate(req.event, 'deletion', { registrations: updatedRegistrations, problems: updatedProblems, deletedTeamNumber: String(req.params.teamNumber).trim(), problemStatementId: before && before.problemStatementId });
     } catch (_) {}
+    await notifyTeams(req.event, 'deletion', [{ teamNumber: String(req.params.teamNumber).trim(), problemStatementId: before && before.problemStatementId }]);
+    await broadcastPromotions(req.event, result.promoted);
     res.json({ message: 'Registration deleted successfully' });
   } catch (error) {
     console.error('Error deleting registration:', error);
@@ -264,13 +1767,101 @@ app.delete('/api/registration/:teamNumber', async (req, res) => {
   }
 });
 
+// Admin placements: assign a team to a problem or move it to another, optionally past maxSelections (force)
+// with the reason recorded in the audit journal
+function adminOverride(body) {
+  const force = body.force === true;
+  const reason = typeof body.reason === 'string' ? body.reason.trim().slice(0, 500) : '';
+  return { force, reason: reason || null, error: force && !reason ? 'A reason is required to go over capacity' : null };
+}
+
+async function broadcastAssignment(event, action, data) {
+  try {
+    const registrations = await event.db.getAllRegistrations();
+    const problems = formatProblems(await event.db.getAllProblemStatements());
+    broadcastUpdate(event, 'assignment', { action, ...data, registrations, problems });
+  } catch (_) {}
+}
+
+api.post('/admin/registrations', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const body = req.body || {};
+    const teamNumber = String(body.teamNumber || '').trim();
+    const problemStatementId = String(body.problemStatementId || '').trim();
+    // Names default to the roster's
+    const listed = await db.getTeam(teamNumber);
+    const teamName = String(body.teamName || (listed && listed.teamName) || '').trim();
+    const teamLeader = String(body.teamLeader || (listed && listed.teamLeader) || '').trim();
+    if (!teamNumber || !teamName || !teamLeader || !problemStatementId) {
+      return res.status(400).json({ error: 'Missing required fields: teamNumber, teamName, teamLeader, problemStatementId' });
+    }
+    const override = adminOverride(body);
+    if (override.error) return res.status(400).json({ error: override.error });
+    const ps = await db.getProblemStatementById(problemStatementId);
+    if (!ps) return res.status(404).json({ error: 'Problem statement not found' });
+    const current = await db.getRegistrationByTeamNumber(teamNumber);
+    if (current) return res.status(409).json({ error: `Team ${teamNumber} is already registered for ${current.problemStatementId}. Move it instead.`, reason: 'registered' });
+    const registration = await db.createRegistrationAtomic({ teamNumber, teamName, teamLeader, problemStatementId }, { force: override.force });
+    if (!registration) {
+      await audit(req, 'registration.assign', { teamNumber, target: problemStatementId, outcome: 'rejected', reason: 'problem_full' });
+      return res.status(409).json({ error: 'That problem statement is full. Assign over capacity with a reason to place the team anyway.', reason: 'full' });
+    }
+    const after = await db.getRegistrationByTeamNumber(teamNumber);
+    await audit(req, 'registration.assign', { teamNumber, target: problemStatementId, after: { ...after, forced: override.force }, reason: override.reason });
+    await broadcastAssignment(req.event, 'assigned', { teamNumber, to: problemStatementId, forced: override.force });
+    await notifyTeams(req.event, 'assignment', [{ teamNumber, problemStatementId, receipt: true }]);
+    res.status(201).json({ success: true, registration: after });
+  } catch (error) {
+    console.error('Error assigning team:', error);
+    res.status(500).json({ error: 'Failed to assign team' });
+  }
+});
+
+api.post('/admin/registrations/:teamNumber/move', adminAuth.requireRole('coordinator'), requirePhase('adminChange'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const teamNumber = String(req.params.teamNumber).trim();
+    const problemStatementId = String((req.body || {}).problemStatementId || '').trim();
+    if (!problemStatementId) return res.status(400).json({ error: 'Missing required field: problemStatementId' });
+    const override = adminOverride(req.body || {});
+    if (override.error) return res.status(400).json({ error: override.error });
+    const before = await db.getRegistrationByTeamNumber(teamNumber);
+    if (!before) return res.status(404).json({ error: 'Registration not found' });
+    if (before.problemStatementId === problemStatementId) return res.status(400).json({ error: 'The team is already on this problem statement' });
+    if (!(await db.getProblemStatementById(problemStatementId))) return res.status(404).json({ error: 'Problem statement not found' });
+    const result = await db.swapRegistrationAtomic(teamNumber, problemStatementId, { force: override.force });
+    if (!result) {
+      await audit(req, 'registration.move', { teamNumber, target: problemStatementId, before, outcome: 'rejected', reason: 'problem_full' });
+      return res.status(409).json({ error: 'That problem statement is full. Move over capacity with a reason to place the team anyway.', reason: 'full' });
+    }
+    const after = await db.getRegistrationByTeamNumber(teamNumber);
+    await audit(req, 'registration.move', { teamNumber, target: problemStatementId, before, after: { ...after, forced: override.force }, reason: override.reason });
+    await broadcastAssignment(req.event, 'moved', { teamNumber, from: result.from, to: result.to, forced: override.force });
+    await notifyTeams(req.event, 'move', [{ teamNumber, problemStatementId: result.to, from: result.from, receipt: true }]);
+    await broadcastPromotions(req.event, result.promoted);
+    res.json({ success: true, registration: after });
+  } catch (error) {
+    console.error('Error moving team:', error);
+    res.status(500).json({ error: 'Failed to move team' });
+  }
+});
+
 // Admin: reset all data (re-seed defaults)
-app.post('/api/reset', async (req, res) => {
+api.post('/reset', adminAuth.requireRole('superadmin'), requirePhase('reset'), async (req, res) => {
   try {
+    const { db } = req.event;
+    const before = { registrations: await db.getAllRegistrations(), waitlist: await db.getWaitlist(), preferences: await db.getPreferences() };
+    if (!(await backupFirst(req, res, 'reset'))) return;
+    const registered = [];
+    for await (const r of db.iterateRegistrations()) registered.push({ teamNumber: r.team_number, problemStatementId: r.problem_statement_id });
+    const notices = await composeNotices(req.event, 'reset', registered);
     await db.resetAll();
+    await audit(req, 'reset', { before });
+    await queueNotices(req.event, notices);
     const registrations = await db.getAllRegistrations();
     const problems = formatProblems(await db.getAllProblemStatements());
-    broadcastUpdate('reset', { registrations, problems });
+    broadcastUpdate(req.event, 'reset', { registrations, problems });
     res.json({ ok: true });
   } catch (error) {
     console.error('Error during reset:', error);
@@ -278,8 +1869,118 @@ app.post('/api/reset', async (req, res) => {
   }
 });
 
-app.get('/api/registrations', async (req, res) => {
+// Writes a checked import plan (snapshot.planImport) and refreshes every client
+async function applySnapshotPlan(event, plan) {
+  await event.db.restoreSnapshot(plan.result);
+  const registrations = await event.db.getAllRegistrations();
+  const problems = formatProblems(await event.db.getAllProblemStatements());
+  broadcastUpdate(event, 'import', { registrations, problems });
+}
+
+// Admin: versioned snapshots (problems, registrations, waitlist, access codes, roster) for backups and moving between stores
+api.get('/admin/snapshot', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const data = await snapshot.createSnapshot(db, { event: req.eventInfo });
+    await audit(req, 'snapshot.export', { after: { problemStatements: data.problemStatements.length, registrations: data.registrations.length } });
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.setHeader('Content-Disposition', `attachment; filename="snapshot-${req.event.slug}-${data.exportedAt.slice(0, 10)}.json"`);
+    res.json(data);
+  } catch (error) {
+    console.error('Error exporting snapshot:', error);
+    res.status(500).json({ error: 'Failed to export snapshot' });
+  }
+});
+
+// Body: a snapshot (or a raw data.json). ?mode=merge|replace (default merge); ?dryRun=1 only reports the diff and conflicts.
+api.post('/admin/snapshot/import', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const mode = String(req.query.mode || 'merge');
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const current = await snapshot.createSnapshot(db);
+    const plan = snapshot.planImport(current, req.body, mode);
+    if (plan.errors.length) return res.status(400).json({ error: 'Invalid snapshot', details: plan.errors });
+    if (dryRun) return res.json({ dryRun: true, mode, diff: plan.diff, conflicts: plan.conflicts });
+    if (plan.conflicts.length) return res.status(409).json({ error: 'Snapshot conflicts with the data it would produce', mode, diff: plan.diff, conflicts: plan.conflicts });
+    // Replacing wipes registrations, so it follows the same phase rules as a reset
+    const { current: phase } = await getPhaseState(req.event);
+    const action = mode === 'replace' ? 'reset' : 'adminChange';
+    if (!phases.allows(phase, action)) return res.status(403).json({ error: PHASE_MESSAGES[action], phase });
+    if (!(await backupFirst(req, res, 'import'))) return;
+    await applySnapshotPlan(req.event, plan);
+    await audit(req, 'snapshot.import', { target: mode, before: { problemStatements: current.problemStatements.length, registrations: current.registrations.length }, after: plan.diff });
+    res.json({ dryRun: false, mode, diff: plan.diff, conflicts: [] });
+  } catch (error) {
+    console.error('Error importing snapshot:', error);
+    res.status(500).json({ error: 'Failed to import snapshot', details: error.message });
+  }
+});
+
+// Admin: automatic and manual backups, with a diff preview before restoring one
+api.get('/admin/backups', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json({
+      backups: await req.event.db.listBackups(),
+      retention: { keep: backups.KEEP, maxAgeDays: backups.MAX_AGE_DAYS, intervalMinutes: backups.INTERVAL_MINUTES }
+    });
+  } catch (error) {
+    console.error('Error listing backups:', error);
+    res.status(500).json({ error: 'Failed to list backups' });
+  }
+});
+
+api.post('/admin/backups', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const backup = await backupEvent(req.event, 'manual', { req });
+    await audit(req, 'backup.create', { target: backup.id, after: backup });
+    res.status(201).json(backup);
+  } catch (error) {
+    console.error('Error taking backup:', error);
+    res.status(500).json({ error: 'Failed to take backup' });
+  }
+});
+
+api.get('/admin/backups/:id', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const backup = await req.event.db.getBackup(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    res.setHeader('Content-Disposition', `attachment; filename="snapshot-${req.event.slug}-${backup.id}.json"`);
+    res.json(backup.snapshot);
+  } catch (error) {
+    console.error('Error fetching backup:', error);
+    res.status(500).json({ error: 'Failed to fetch backup' });
+  }
+});
+
+// Restoring replaces the event's data with the backup; ?dryRun=1 previews the diff. The current data is backed up first.
+api.post('/admin/backups/:id/restore', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const backup = await db.getBackup(req.params.id);
+    if (!backup) return res.status(404).json({ error: 'Backup not found' });
+    const dryRun = ['1', 'true'].includes(String(req.query.dryRun));
+    const current = await snapshot.createSnapshot(db);
+    const plan = snapshot.planImport(current, backup.snapshot, 'replace');
+    if (plan.errors.length) return res.status(400).json({ error: 'Backup is not a valid snapshot', details: plan.errors });
+    if (dryRun) return res.json({ dryRun: true, backup: { ...backup, snapshot: undefined }, diff: plan.diff, conflicts: plan.conflicts });
+    if (plan.conflicts.length) return res.status(409).json({ error: 'Backup conflicts with itself and cannot be restored', diff: plan.diff, conflicts: plan.conflicts });
+    const { current: phase } = await getPhaseState(req.event);
+    if (!phases.allows(phase, 'reset')) return res.status(403).json({ error: PHASE_MESSAGES.reset, phase });
+    if (!(await backupFirst(req, res, 'restore'))) return;
+    await applySnapshotPlan(req.event, plan);
+    await audit(req, 'backup.restore', { target: backup.id, before: { problemStatements: current.problemStatements.length, registrations: current.registrations.length }, after: plan.diff });
+    res.json({ dryRun: false, diff: plan.diff, conflicts: [] });
+  } catch (error) {
+    console.error('Error restoring backup:', error);
+    res.status(500).json({ error: 'Failed to restore backup', details: error.message });
+  }
+});
+
+api.get('/registrations', adminAuth.requireRole('viewer'), async (req, res) => {
   try {
+    const { db } = req.event;
     res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
     const registrations = await db.getAllRegistrations();
     res.json(registrations);
@@ -289,67 +1990,336 @@ app.get('/api/registrations', async (req, res) => {
   }
 });
 
-// Export endpoints (HTML-to-print)
-app.get('/api/export/registrations/pdf', async (req, res) => {
+// Selection analytics (see analytics.js). Audit entries are counted from the last reset, and time-to-fill from the
+// first time registration opened after it.
+async function selectionStats(event) {
+  const { db } = event;
+  const [lastReset] = await db.getAuditLog({ action: 'reset', limit: 1 });
+  const since = lastReset ? lastReset.at : undefined;
+  const openings = (await db.getAuditLog({ action: 'phase', from: since })).filter(e => e.target === 'open');
+  const registrations = [];
+  for await (const row of db.iterateRegistrations()) registrations.push(row);
+  return computeStats({
+    problems: formatProblems(await db.getAllProblemStatements()),
+    registrations,
+    teams: await db.getTeams(),
+    auditEntries: [...await db.getAuditLog({ action: 'hold.create', from: since }), ...await db.getAuditLog({ action: 'registration.create', from: since })],
+    openedAt: openings.length ? openings[openings.length - 1].at : null
+  });
+}
+
+api.get('/stats', adminAuth.requireRole('viewer'), async (req, res) => {
   try {
-    const registrations = await db.getAllRegistrations();
-    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Registrations</title><style>body{font-family:Arial;padding:20px}table{width:100%;border-collapse:collapse}th,td{border:1px solid #ddd;padding:8px}th{background:#c10016;color:#fff}</style></head><body><h1>Registrations</h1>${registrations.length?`<table><thead><tr><th>Team #</th><th>Team Name</th><th>Leader</th><th>Problem</th><th>Date</th></tr></thead><tbody>${registrations.map(r=>`<tr><td>${r.team_number}</td><td>${r.team_name}</td><td>${r.team_leader}</td><td>${r.problem_title}</td><td>${new Date(r.registration_date_time).toLocaleString('en-IN')}</td></tr>`).join('')}</tbody></table>`:`<p>No registrations.</p>`}</body></html>`;
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('Content-Disposition', 'inline; filename="registrations-report.html"');
-    res.send(html);
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await selectionStats(req.event));
+  } catch (error) {
+    console.error('Error computing stats:', error);
+    res.status(500).json({ error: 'Failed to compute stats' });
+  }
+});
+
+// Audit journal viewer and export (coordinators; entries include IP addresses)
+function auditFilter(query) {
+  const toIso = (value) => (value && !isNaN(new Date(value)) ? new Date(value).toISOString() : null);
+  const limit = parseInt(query.limit, 10);
+  return {
+    action: query.action ? String(query.action).trim() : null,
+    actor: query.actor ? String(query.actor).trim() : null,
+    teamNumber: query.teamNumber ? String(query.teamNumber).trim() : null,
+    from: toIso(query.from),
+    to: toIso(query.to),
+    limit: Number.isFinite(limit) && limit > 0 ? Math.min(limit, 1000) : null
+  };
+}
+
+api.get('/admin/audit', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    const filter = auditFilter(req.query);
+    res.json(await db.getAuditLog({ ...filter, limit: filter.limit || 200 }));
   } catch (error) {
-    console.error('Error exporting registrations PDF:', error);
-    res.status(500).json({ error: 'Failed to export registrations PDF' });
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Failed to fetch audit log' });
   }
 });
 
-app.get('/api/export/problem-statements/pdf', async (req, res) => {
+api.get('/export/audit/:format', adminAuth.requireRole('coordinator'), async (req, res) => {
   try {
-    const problems = await db.getAllProblemStatements();
-    const html = `<!DOCTYPE html><html><head><meta charset="UTF-8"><title>Problem Statements</title><style>body{font-family:Arial;padding:20px}.card{border:1px solid #ddd;margin-bottom:10px;padding:10px;border-radius:4px}</style></head><body><h1>Problem Statements</h1>${problems.map(p=>`<div class=\"card\"><h3>${p.title}</h3><div>ID: ${p.id} | Category: ${p.category||'N/A'} | Difficulty: ${p.difficulty||'N/A'} | Teams: ${(p.selected_count??p.selectedCount)}/${(p.max_selections??p.maxSelections)} | Status: ${(p.is_available??p.isAvailable)?'Available':'Full'}</div><div style=\"margin-top:6px;\">${p.description}</div></div>`).join('')}</body></html>`;
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('Content-Disposition', 'inline; filename="problem-statements-report.html"');
-    res.send(html);
+    const { db } = req.event;
+    const entries = await db.getAuditLog(auditFilter(req.query));
+    if (req.params.format === 'jsonl') {
+      res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+      res.setHeader('Content-Disposition', 'attachment; filename="audit-log.jsonl"');
+      return res.send(entries.slice().reverse().map(e => JSON.stringify(e)).join('\n') + (entries.length ? '\n' : ''));
+    }
+    if (req.params.format !== 'csv') return res.status(400).json({ error: 'Format must be csv or jsonl' });
+    const csv = toCsv(
+      ['Timestamp', 'Action', 'Outcome', 'Reason', 'Actor Type', 'Actor', 'Team Number', 'Target', 'IP', 'User Agent', 'Before', 'After'],
+      entries.map(e => [e.at, e.action, e.outcome, e.reason || '', e.actor?.type || '', e.actor?.id || '', e.teamNumber || '', e.target || '', e.ip || '', e.userAgent || '',
+        e.before === null ? '' : JSON.stringify(e.before), e.after === null ? '' : JSON.stringify(e.after)])
+    );
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+    res.send(csv);
   } catch (error) {
-    console.error('Error exporting problem statements PDF:', error);
-    res.status(500).json({ error: 'Failed to export problem statements PDF' });
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Failed to export audit log' });
   }
 });
 
-app.get('/api/export/all/pdf', async (req, res) => {
+// Admin: the email outbox (coordinators; emails include member addresses). ?status filters, ?limit (default 100)
+api.get('/admin/outbox', adminAuth.requireRole('coordinator'), async (req, res) => {
   try {
-    const problems = await db.getAllProblemStatements();
-    const registrations = await db.getAllRegistrations();
-    const html = `<!DOCTYPE html><html><head><meta charset=\"UTF-8\"><title>Complete Report</title><style>body{font-family:Arial;padding:20px}table{width:100%;border-collapse:collapse}th,td{border:1px solid #ddd;padding:8px}th{background:#c10016;color:#fff}.card{border:1px solid #ddd;margin-bottom:10px;padding:10px;border-radius:4px}</style></head><body><h1>Complete Report</h1><h2>Problem Statements</h2>${problems.map(p=>`<div class=\"card\"><strong>${p.title}</strong><div style=\"font-size:12px;color:#555;\">ID: ${p.id} | Category: ${p.category||'N/A'} | Difficulty: ${p.difficulty||'N/A'} | Teams: ${(p.selected_count??p.selectedCount)}/${(p.max_selections??p.maxSelections)} | Status: ${(p.is_available??p.isAvailable)?'Available':'Full'}</div><div style=\"margin-top:6px;\">${p.description}</div></div>`).join('')}<h2>Registrations</h2>${registrations.length?`<table><thead><tr><th>Team #</th><th>Team Name</th><th>Leader</th><th>Problem</th><th>Date</th></tr></thead><tbody>${registrations.map(r=>`<tr><td>${r.team_number}</td><td>${r.team_name}</td><td>${r.team_leader}</td><td>${r.problem_title}</td><td>${new Date(r.registration_date_time).toLocaleDateString('en-IN')}</td></tr>`).join('')}</tbody></table>`:`<p>No registrations.</p>`}</body></html>`;
-    res.setHeader('Content-Type', 'text/html');
-    res.setHeader('Content-Disposition', 'inline; filename="hackathon-complete-report.html"');
-    res.send(html);
+    const { db } = req.event;
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !mailer.STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${mailer.STATUSES.join(', ')}` });
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json({ transport: mailTransport ? mailTransport.name : 'off', maxAttempts: mailer.MAX_ATTEMPTS, emails: await db.getOutbox({ status, limit }) });
+  } catch (error) {
+    console.error('Error fetching outbox:', error);
+    res.status(500).json({ error: 'Failed to fetch outbox' });
+  }
+});
+
+// Queues an email again with a fresh set of attempts, whatever happened to it before
+api.post('/admin/outbox/:id/resend', adminAuth.requireRole('coordinator'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    if (!mailTransport) return res.status(409).json({ error: 'Email is not configured on this server.' });
+    const email = await db.updateEmail(String(req.params.id), { status: 'queued', attempts: 0, lastError: null, nextAttemptAt: new Date().toISOString() });
+    if (!email) return res.status(404).json({ error: 'Email not found' });
+    await audit(req, 'email.resend', { teamNumber: email.teamNumber, target: email.id, after: { template: email.template, to: email.to, subject: email.subject } });
+    deliverOutbox(req.event);
+    res.json({ success: true, email });
+  } catch (error) {
+    console.error('Error resending email:', error);
+    res.status(500).json({ error: 'Failed to resend email' });
+  }
+});
+
+// Admin: webhook subscriptions and their delivery log (superadmins; the list includes the signing secrets)
+const MAX_WEBHOOKS = 20;
+
+api.get('/admin/webhooks', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json({ types: webhooks.WEBHOOK_TYPES, maxAttempts: webhooks.MAX_ATTEMPTS, subscriptions: await webhookSubscriptions(req.event) });
+  } catch (error) {
+    console.error('Error fetching webhooks:', error);
+    res.status(500).json({ error: 'Failed to fetch webhooks' });
+  }
+});
+
+api.post('/admin/webhooks', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const { errors, value } = webhooks.validateWebhookInput(req.body, false);
+    if (errors.length) return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    const subscriptions = await webhookSubscriptions(req.event);
+    if (subscriptions.length >= MAX_WEBHOOKS) return res.status(409).json({ error: `An event can have at most ${MAX_WEBHOOKS} webhooks.` });
+    const now = new Date().toISOString();
+    const subscription = { id: `wh_${crypto.randomBytes(6).toString('hex')}`, description: null, active: true, ...value, secret: webhooks.newSecret(), createdAt: now, updatedAt: now };
+    await db.updateSettings({ webhooks: [...subscriptions, subscription] });
+    const { secret, ...logged } = subscription;
+    await audit(req, 'webhook.create', { target: subscription.id, after: logged });
+    res.status(201).json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error creating webhook:', error);
+    res.status(500).json({ error: 'Failed to create webhook' });
+  }
+});
+
+// Body: any of url, types, description, active; rotateSecret: true issues a new secret
+api.patch('/admin/webhooks/:id', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const subscriptions = await webhookSubscriptions(req.event);
+    const existing = subscriptions.find(s => s.id === req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+    const { errors, value } = webhooks.validateWebhookInput(req.body, true);
+    if (errors.length) return res.status(400).json({ error: 'Invalid webhook', details: errors });
+    const rotated = (req.body || {}).rotateSecret === true;
+    const subscription = { ...existing, ...value, ...(rotated && { secret: webhooks.newSecret() }), updatedAt: new Date().toISOString() };
+    await db.updateSettings({ webhooks: subscriptions.map(s => (s.id === existing.id ? subscription : s)) });
+    const { secret: _before, ...before } = existing;
+    const { secret: _after, ...after } = subscription;
+    await audit(req, 'webhook.update', { target: existing.id, before, after: { ...after, rotatedSecret: rotated } });
+    res.json({ success: true, subscription });
+  } catch (error) {
+    console.error('Error updating webhook:', error);
+    res.status(500).json({ error: 'Failed to update webhook' });
+  }
+});
+
+// Its deliveries stay in the log; any still queued fail on their next run
+api.delete('/admin/webhooks/:id', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const subscriptions = await webhookSubscriptions(req.event);
+    const existing = subscriptions.find(s => s.id === req.params.id);
+    if (!existing) return res.status(404).json({ error: 'Webhook not found' });
+    await db.updateSettings({ webhooks: subscriptions.filter(s => s.id !== existing.id) });
+    const { secret, ...before } = existing;
+    await audit(req, 'webhook.delete', { target: existing.id, before });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting webhook:', error);
+    res.status(500).json({ error: 'Failed to delete webhook' });
+  }
+});
+
+// Sends a 'ping' to one subscription, paused or not
+api.post('/admin/webhooks/:id/test', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const subscription = (await webhookSubscriptions(req.event)).find(s => s.id === req.params.id);
+    if (!subscription) return res.status(404).json({ error: 'Webhook not found' });
+    const [delivery] = webhooks.buildDeliveries(req.event.slug, [subscription], [{ type: 'ping', data: { subscriptionId: subscription.id } }]);
+    await req.event.db.queueWebhookDeliveries([delivery]);
+    await deliverWebhooks(req.event);
+    res.json({ success: true, delivery: await req.event.db.getWebhookDelivery(delivery.id) });
+  } catch (error) {
+    console.error('Error testing webhook:', error);
+    res.status(500).json({ error: 'Failed to test webhook' });
+  }
+});
+
+// ?status, ?subscriptionId, ?limit (default 100)
+api.get('/admin/webhooks/deliveries', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !webhooks.STATUSES.includes(status)) return res.status(400).json({ error: `status must be one of: ${webhooks.STATUSES.join(', ')}` });
+    const limit = Math.min(500, Math.max(1, parseInt(req.query.limit, 10) || 100));
+    const subscriptionId = req.query.subscriptionId ? String(req.query.subscriptionId) : null;
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    res.json(await db.getWebhookDeliveries({ status, subscriptionId, limit }));
+  } catch (error) {
+    console.error('Error fetching webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to fetch webhook deliveries' });
+  }
+});
+
+// Sends a logged delivery's body again as a new delivery, signed with the subscription's current secret
+api.post('/admin/webhooks/deliveries/:id/replay', adminAuth.requireRole('superadmin'), async (req, res) => {
+  try {
+    const { db } = req.event;
+    const original = await db.getWebhookDelivery(req.params.id);
+    if (!original) return res.status(404).json({ error: 'Delivery not found' });
+    if (!(await webhookSubscriptions(req.event)).some(s => s.id === original.subscriptionId)) {
+      return res.status(409).json({ error: 'The webhook for this delivery has been deleted.' });
+    }
+    const replay = webhooks.replayDelivery(original);
+    await db.queueWebhookDeliveries([replay]);
+    await audit(req, 'webhook.replay', { target: original.subscriptionId, after: { delivery: replay.id, replayOf: original.id, type: original.type } });
+    deliverWebhooks(req.event);
+    res.status(201).json({ success: true, delivery: replay });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery' });
+  }
+});
+
+// PDF reports, rendered on the server
+api.get('/export/:type/pdf', adminAuth.requireRole('viewer'), async (req, res, next) => {
+  if (!pdfReports.REPORTS[req.params.type]) return next();
+  try {
+    const { db } = req.event;
+    const problems = formatProblems(await db.getAllProblemStatements());
+    const registrations = [];
+    for await (const row of db.iterateRegistrations()) registrations.push(row);
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    pdfReports.streamPdfReport(res, req.params.type, { problems, registrations, eventName: req.eventInfo.name });
+  } catch (error) {
+    console.error(`Error exporting ${req.params.type} PDF:`, error);
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: `Failed to export ${req.params.type} PDF` });
+  }
+});
+
+// Spreadsheet exports, streamed row by row from the store
+const SPREADSHEET_EXPORTS = {
+  registrations: { filename: 'registrations', sheets: (db) => [{ name: 'Registrations', columns: REGISTRATION_COLUMNS, rows: db.iterateRegistrations() }] },
+  'problem-statements': { filename: 'problem-statements', sheets: async (db) => [{ name: 'Problem Statements', columns: PROBLEM_COLUMNS, rows: formatProblems(await db.getAllProblemStatements()) }] },
+  all: {
+    filename: 'hackathon-complete-export',
+    sheets: async (db) => [
+      { name: 'Problem Statements', columns: PROBLEM_COLUMNS, rows: formatProblems(await db.getAllProblemStatements()) },
+      { name: 'Registrations', columns: REGISTRATION_COLUMNS, rows: db.iterateRegistrations() }
+    ]
+  }
+};
+
+api.get('/export/:type/:format', adminAuth.requireRole('viewer'), async (req, res, next) => {
+  const exporter = SPREADSHEET_EXPORTS[req.params.type];
+  const stream = { csv: streamCsv, xlsx: streamXlsx }[req.params.format];
+  if (!exporter || !stream) return next();
+  try {
+    res.set({ 'Cache-Control': 'no-cache, no-store, must-revalidate', 'Pragma': 'no-cache', 'Expires': '0' });
+    await stream(res, exporter.filename, await exporter.sheets(req.event.db));
   } catch (error) {
-    console.error('Error exporting complete PDF:', error);
-    res.status(500).json({ error: 'Failed to export complete PDF' });
+    console.error(`Error exporting ${req.params.type} ${req.params.format}:`, error);
+    // Once rows are flowing the status is sent; cut the download short instead
+    if (res.headersSent) return res.destroy(error);
+    res.status(500).json({ error: `Failed to export ${req.params.type}` });
   }
 });
 
 // Frontend routes
 app.get('/', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'home.html')); });
 app.get('/problem', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'problem.html')); });
+app.get('/team', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'team.html')); });
+app.get('/team/:teamNumber', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'team.html')); });
 app.get('/admin', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'admin.html')); });
+app.get('/receipt/:token', (req, res) => { res.sendFile(path.join(__dirname, 'public', 'receipt.html')); });
+
+// Event-scoped pages read the slug from the URL and talk to /api/events/:slug
+const EVENT_PAGES = { home: 'home.html', problem: 'problem.html', team: 'team.html', admin: 'admin.html' };
+app.get(['/e/:slug', '/e/:slug/:page', '/e/:slug/team/:teamNumber'], async (req, res, next) => {
+  const page = req.params.teamNumber ? 'team.html' : EVENT_PAGES[req.params.page || 'home'];
+  if (!page) return next();
+  try {
+    await loadEvent(DEFAULT_EVENT.slug);
+    const info = await registry.get(String(req.params.slug).toLowerCase());
+    if (!info || (info.archived && page !== 'admin.html')) return res.status(404).send('Event not found');
+    res.sendFile(path.join(__dirname, 'public', page));
+  } catch (error) {
+    console.error('Error loading event page:', error);
+    res.status(500).send('Failed to load event');
+  }
+});
 
-process.on('SIGINT', async () => { await db.close(); process.exit(0); });
+process.on('SIGINT', async () => {
+  for (const opening of openEvents.values()) {
+    try { await (await opening).db.close(); } catch (_) {}
+  }
+  process.exit(0);
+});
 
 async function startServer() {
-  await initializeDatabase();
+  const home = await loadEvent(DEFAULT_EVENT.slug);
+  if (!process.env.RECEIPT_SECRET && !process.env.ADMIN_SESSION_SECRET) console.warn('RECEIPT_SECRET not set; registration receipts are signed with a secret kept in the event settings');
+  await receiptSecret();
   // Optional: auto-reset on cold start to ensure clean slate
   if (process.env.AUTO_RESET === '1') {
     try {
-      await db.resetAll();
-      const registrations = await db.getAllRegistrations();
-      const problems = formatProblems(await db.getAllProblemStatements());
-      broadcastUpdate('reset', { registrations, problems });
+      // Repeated cold starts over the same data keep one backup, not one per start
+      await backupEvent(home, 'reset', { actor: { type: 'system', id: 'AUTO_RESET' }, skipUnchanged: true });
+      await home.db.resetAll();
+      await audit(null, 'reset', { event: home, actor: { type: 'system', id: 'AUTO_RESET' } });
+      const registrations = await home.db.getAllRegistrations();
+      const problems = formatProblems(await home.db.getAllProblemStatements());
+      broadcastUpdate(home, 'reset', { registrations, problems });
     } catch (e) {
       console.error('Auto reset failed:', e);
     }
   }
+  // Open every hosted event up front so their scheduled phase changes fire without a request
+  for (const info of await registry.list()) {
+    if (info.isDefault || info.archived) continue;
+    try { await loadEvent(info.slug); } catch (e) { console.error(`Failed to open event ${info.slug}:`, e); }
+  }
   app.listen(PORT, () => {
     console.log(`Server running on port ${PORT}`);
   });
@@ -361,5 +2331,3 @@ if (!process.env.VERCEL) {
   // On Vercel, export the app for the serverless function runtime
   module.exports = app;
 }
-
-
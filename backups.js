@@ -0,0 +1,46 @@
+// Automatic backups: a snapshot (see snapshot.js) is saved through the event's store before destructive changes
+// and on a schedule. BACKUP_KEEP (default 50) and BACKUP_MAX_AGE_DAYS (default 30, 0 = forever) bound how many are kept.
+const crypto = require('crypto');
+const snapshot = require('./snapshot');
+
+const KEEP = Math.max(1, parseInt(process.env.BACKUP_KEEP || '50', 10) || 50);
+const MAX_AGE_DAYS = Math.max(0, parseInt(process.env.BACKUP_MAX_AGE_DAYS ?? '30', 10) || 0);
+// Minutes between scheduled backups; 0 turns them off
+const INTERVAL_MINUTES = Math.max(0, parseInt(process.env.BACKUP_INTERVAL_MINUTES ?? '60', 10) || 0);
+
+// Identifies the data itself, so unchanged scheduled backups can be skipped
+function contentHash(data) {
+  const { exportedAt, ...content } = data;
+  return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+}
+
+// reason: what is about to happen ('reset', 'problem-delete', 'capacity-change', 'team-delete', 'import', 'restore') or 'scheduled' / 'manual'
+async function takeBackup(store, { event = null, roster = null, reason, actor = null, skipUnchanged = false }) {
+  const data = await snapshot.createSnapshot(store, { event, roster });
+  const hash = contentHash(data);
+  if (skipUnchanged) {
+    const [latest] = await store.listBackups();
+    if (latest && latest.hash === hash) return null;
+  }
+  const meta = {
+    id: `${data.exportedAt.replace(/[-:.]/g, '')}-${crypto.randomBytes(3).toString('hex')}`,
+    createdAt: data.exportedAt,
+    reason,
+    actor,
+    hash,
+    counts: { problemStatements: data.problemStatements.length, registrations: data.registrations.length, waitlist: data.waitlist.length }
+  };
+  await store.saveBackup({ ...meta, snapshot: data });
+  await pruneBackups(store);
+  return meta;
+}
+
+// The newest backup is always kept, however old
+async function pruneBackups(store, { keep = KEEP, maxAgeDays = MAX_AGE_DAYS } = {}) {
+  const cutoff = maxAgeDays > 0 ? Date.now() - maxAgeDays * 24 * 60 * 60 * 1000 : null;
+  const expired = (await store.listBackups()).filter((b, i) => i >= keep || (i > 0 && cutoff && new Date(b.createdAt).getTime() < cutoff));
+  for (const backup of expired) await store.deleteBackup(backup.id);
+  return expired.length;
+}
+
+module.exports = { KEEP, MAX_AGE_DAYS, INTERVAL_MINUTES, contentHash, takeBackup, pruneBackups };
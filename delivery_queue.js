@@ -0,0 +1,39 @@
+// Background delivery with retries, shared by the email outbox (mailer.js) and outgoing webhooks (webhooks.js): due
+// items are claimed from the event's store under a lease and sent one by one. A failure is requeued with exponential
+// backoff until the item has used up its attempts, then marked failed.
+const BATCH_SIZE = 20;
+const LEASE_MS = 2 * 60 * 1000;
+
+// 30s after the first failure, doubling up to an hour
+function retryDelayMs(attempts) {
+  return Math.min(60 * 60 * 1000, 30 * 1000 * 2 ** Math.max(0, attempts - 1));
+}
+
+// Errors thrown by send may carry patch (fields to store with the failure) and permanent (fail without retrying)
+function deliveryError(message, { patch = {}, permanent = false } = {}) {
+  return Object.assign(new Error(message), { patch, permanent });
+}
+
+// One run. claim({ limit, leaseMs }) returns due items ({ id, attempts } counting this attempt); send(item) returns the
+// patch for a delivered item or throws; update(id, patch) stores the outcome. Returns { done, retrying, failed }.
+async function processDue({ claim, send, update, limit = BATCH_SIZE, maxAttempts }) {
+  const outcome = { done: 0, retrying: 0, failed: 0 };
+  for (const item of await claim({ limit, leaseMs: LEASE_MS })) {
+    try {
+      await update(item.id, { lastError: null, ...(await send(item)) });
+      outcome.done++;
+    } catch (error) {
+      const patch = { ...(error && error.patch), lastError: String((error && error.message) || error).slice(0, 500) };
+      if ((error && error.permanent) || item.attempts >= maxAttempts) {
+        await update(item.id, { ...patch, status: 'failed' });
+        outcome.failed++;
+      } else {
+        await update(item.id, { ...patch, status: 'queued', nextAttemptAt: new Date(Date.now() + retryDelayMs(item.attempts)).toISOString() });
+        outcome.retrying++;
+      }
+    }
+  }
+  return outcome;
+}
+
+module.exports = { retryDelayMs, deliveryError, processDue };
@@ -0,0 +1,281 @@
+// Pub/sub for live events so SSE clients on every server instance see every broadcast.
+// Each backend gives events one global sequence number, which every instance uses as the SSE event id.
+const fs = require('fs');
+const fsp = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { acquireLock } = require('./file_lock');
+
+const INSTANCE_ID = crypto.randomBytes(6).toString('hex');
+// Appends hold the file bus lock for one write; a lock this old was left by a process that died
+const LOCK_STALE_MS = 10000;
+const LOCK_TIMEOUT_MS = 10000;
+
+const parseLine = (line) => {
+  try { return JSON.parse(line); } catch (_) { return null; }
+};
+const isHeader = (entry) => Boolean(entry) && typeof entry.base === 'number' && !entry.type;
+
+// Single process: events are delivered straight back to this instance
+class MemoryBus {
+  constructor() {
+    this.name = 'memory';
+    this.seq = Date.now();
+    this.handler = null;
+  }
+
+  async start(handler) {
+    this.handler = handler;
+    return this.seq;
+  }
+
+  async publish(type, data) {
+    await this.handler({ seq: ++this.seq, type, data, origin: INSTANCE_ID });
+  }
+
+  async stop() {}
+}
+
+// Local processes sharing a disk: events are appended to a JSONL file that every instance tails.
+// The line number is the sequence, so all instances agree on ids. Once the file passes maxBytes it is compacted: rewritten
+// with only the events of the last retentionHours that fit in half of maxBytes, after a header line {"base": n} giving
+// the sequence of the last event dropped. Appends and compactions take a lock file so none is lost to another.
+class FileBus {
+  constructor(filePath, { pollMs = 250, retentionHours = 24, maxBytes = 5 * 1024 * 1024 } = {}) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.lockFilePath = `${filePath}.lock`;
+    this.pollMs = pollMs;
+    this.retentionHours = retentionHours;
+    this.maxBytes = maxBytes;
+    this.seq = 0;
+    this.ino = null;
+    this.offset = 0;
+    this.lineSeq = 0;
+    this.handler = null;
+    this.polling = null;
+    this.pending = false;
+  }
+
+  async start(handler) {
+    this.handler = handler;
+    await fsp.appendFile(this.filePath, '');
+    // Earlier events are history; only what is appended from now on is delivered
+    const handle = await fsp.open(this.filePath, 'r');
+    try {
+      const text = await handle.readFile('utf8');
+      const end = text.lastIndexOf('\n') + 1;
+      this.ino = (await handle.stat()).ino;
+      this.offset = Buffer.byteLength(text.slice(0, end));
+      let seq = 0;
+      for (const line of text.slice(0, end).split('\n')) {
+        if (!line) continue;
+        const entry = parseLine(line);
+        seq = isHeader(entry) ? entry.base : seq + 1;
+      }
+      this.seq = this.lineSeq = seq;
+    } finally {
+      await handle.close();
+    }
+    this.timer = setInterval(() => this.#poll(), this.pollMs);
+    this.timer.unref();
+    try {
+      this.watcher = fs.watch(this.filePath, () => this.#poll());
+      this.watcher.on('error', () => { this.watcher.close(); this.watcher = null; });
+    } catch (_) {}
+    return this.seq;
+  }
+
+  async publish(type, data) {
+    const line = JSON.stringify({ type, data, origin: INSTANCE_ID, at: new Date().toISOString() }) + '\n';
+    const release = await acquireLock(this.lockFilePath, { staleMs: LOCK_STALE_MS, timeoutMs: LOCK_TIMEOUT_MS });
+    try {
+      await fsp.appendFile(this.filePath, line);
+      if ((await fsp.stat(this.filePath)).size > this.maxBytes) {
+        await this.#compact().catch(error => console.error('Error compacting live events file:', error));
+      }
+    } finally {
+      await release();
+    }
+    await this.#poll();
+  }
+
+  // Runs under the lock. The newest event is always kept; instances tailing the file find the new one by its inode.
+  async #compact() {
+    const text = await fsp.readFile(this.filePath, 'utf8');
+    const events = [];
+    let seq = 0;
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      const event = parseLine(line);
+      if (isHeader(event)) seq = event.base;
+      else events.push({ seq: ++seq, line, at: event ? Date.parse(event.at) : NaN });
+    }
+    const cutoff = Date.now() - this.retentionHours * 60 * 60 * 1000;
+    let budget = this.maxBytes / 2;
+    let keep = events.length;
+    while (keep > 0) {
+      const event = events[keep - 1];
+      const bytes = Buffer.byteLength(event.line) + 1;
+      if (keep < events.length && (bytes > budget || !(event.at >= cutoff))) break;
+      budget -= bytes;
+      keep--;
+    }
+    const kept = events.slice(keep);
+    const base = kept.length ? kept[0].seq - 1 : seq;
+    const tmpPath = `${this.filePath}.${process.pid}.tmp`;
+    await fsp.writeFile(tmpPath, [JSON.stringify({ base }), ...kept.map(e => e.line)].join('\n') + '\n');
+    await fsp.rename(tmpPath, this.filePath);
+  }
+
+  // Runs one read at a time; a poll requested meanwhile runs once more afterwards
+  #poll() {
+    if (this.polling) { this.pending = true; return this.polling; }
+    this.polling = (async () => {
+      do {
+        this.pending = false;
+        try { await this.#readNew(); } catch (error) { console.error('Error reading live events file:', error); }
+      } while (this.pending);
+    })().finally(() => { this.polling = null; });
+    return this.polling;
+  }
+
+  async #readNew() {
+    const handle = await fsp.open(this.filePath, 'r').catch(() => null);
+    if (!handle) return;
+    let text;
+    try {
+      const stat = await handle.stat();
+      // The file was compacted, truncated or replaced: read it from the top. A compacted file's header says where its
+      // sequence starts; any other keeps counting from where we were.
+      if (stat.ino !== this.ino || stat.size < this.offset) {
+        this.ino = stat.ino;
+        this.offset = 0;
+        this.lineSeq = this.seq;
+      }
+      if (stat.size === this.offset) return;
+      const buffer = Buffer.alloc(stat.size - this.offset);
+      const { bytesRead } = await handle.read(buffer, 0, buffer.length, this.offset);
+      text = buffer.subarray(0, bytesRead).toString('utf8');
+    } finally {
+      await handle.close();
+    }
+    // A line without its newline is still being written
+    const end = text.lastIndexOf('\n');
+    if (end === -1) return;
+    this.offset += Buffer.byteLength(text.slice(0, end + 1));
+    for (const line of text.slice(0, end).split('\n')) {
+      if (!line) continue;
+      const event = parseLine(line);
+      if (isHeader(event)) { this.lineSeq = event.base; continue; }
+      const seq = ++this.lineSeq;
+      // Events a compaction kept were delivered before it
+      if (seq <= this.seq) continue;
+      this.seq = seq;
+      if (event) await this.handler({ seq, ...event });
+    }
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    if (this.watcher) this.watcher.close();
+  }
+}
+
+// MongoDB: events go to an expiring collection with sequence numbers from a counter document.
+// A change stream wakes instances up immediately; polling covers deployments without change streams.
+class MongoBus {
+  constructor(db, prefix = '', { pollMs = 500, retentionHours = 24, gapWaitMs = 2000 } = {}) {
+    this.name = 'mongo';
+    this.events = db.collection(`${prefix}live_events`);
+    this.counters = db.collection(`${prefix}counters`);
+    this.pollMs = pollMs;
+    this.retentionHours = retentionHours;
+    this.gapWaitMs = gapWaitMs;
+    this.seq = 0;
+    this.gapSince = null;
+    this.handler = null;
+    this.polling = null;
+    this.pending = false;
+  }
+
+  async start(handler) {
+    this.handler = handler;
+    await this.events.createIndex({ seq: 1 }, { unique: true });
+    await this.events.createIndex({ at: 1 }, { expireAfterSeconds: this.retentionHours * 3600 });
+    const counter = await this.counters.findOne({ _id: 'live_events' });
+    this.seq = counter ? counter.value : 0;
+    this.timer = setInterval(() => this.#poll(), this.pollMs);
+    this.timer.unref();
+    try {
+      this.stream = this.events.watch([{ $match: { operationType: 'insert' } }]);
+      this.stream.on('change', () => this.#poll());
+      // Standalone servers have no change streams; polling carries on alone
+      this.stream.on('error', () => { this.stream.close().catch(() => {}); this.stream = null; });
+    } catch (_) {}
+    return this.seq;
+  }
+
+  async publish(type, data) {
+    const counter = await this.counters.findOneAndUpdate({ _id: 'live_events' }, { $inc: { value: 1 } }, { upsert: true, returnDocument: 'after' });
+    await this.events.insertOne({ seq: counter.value, type, data, origin: INSTANCE_ID, at: new Date() });
+    await this.#poll();
+  }
+
+  #poll() {
+    if (this.polling) { this.pending = true; return this.polling; }
+    this.polling = (async () => {
+      do {
+        this.pending = false;
+        try { await this.#readNew(); } catch (error) { console.error('Error reading live events collection:', error); }
+      } while (this.pending);
+    })().finally(() => { this.polling = null; });
+    return this.polling;
+  }
+
+  async #readNew() {
+    const docs = await this.events.find({ seq: { $gt: this.seq } }).sort({ seq: 1 }).toArray();
+    for (const doc of docs) {
+      // Numbers are taken before the insert, so a slower writer can briefly leave a gap.
+      // Wait for it a little, then move on so one failed insert cannot stall the stream.
+      if (doc.seq !== this.seq + 1) {
+        if (!this.gapSince) this.gapSince = Date.now();
+        if (Date.now() - this.gapSince < this.gapWaitMs) return;
+      }
+      this.gapSince = null;
+      this.seq = doc.seq;
+      await this.handler({ seq: doc.seq, type: doc.type, data: doc.data, origin: doc.origin });
+    }
+  }
+
+  async stop() {
+    clearInterval(this.timer);
+    if (this.stream) await this.stream.close().catch(() => {});
+  }
+}
+
+// LIVE_EVENTS_BUS picks the backend; Mongo deployments share events through Mongo by default.
+// slug gives each hosted event its own file (Mongo buses are already scoped by the store's prefix). The file sits next to
+// the store's data file, or in the temp directory for stores without one.
+function createEventBus(store, { MongoStore, slug = null } = {}) {
+  const isMongo = Boolean(MongoStore && store instanceof MongoStore && store.db);
+  const kind = (process.env.LIVE_EVENTS_BUS || (isMongo ? 'mongo' : 'memory')).toLowerCase();
+  if (kind === 'mongo') {
+    if (!isMongo) throw new Error('LIVE_EVENTS_BUS=mongo requires MONGODB_URI');
+    return new MongoBus(store.db, store.collectionPrefix);
+  }
+  if (kind === 'file') {
+    const dataFile = store && (store.dataFilePath || store.filename);
+    const base = process.env.LIVE_EVENTS_FILE || path.join(dataFile ? path.dirname(dataFile) : os.tmpdir(), 'live-events.jsonl');
+    const filePath = slug ? base.replace(/(\.[^./]*)?$/, `.${slug}$1`) : base;
+    return new FileBus(filePath, {
+      pollMs: parseInt(process.env.LIVE_EVENTS_POLL_MS || '250', 10) || 250,
+      maxBytes: parseInt(process.env.LIVE_EVENTS_MAX_BYTES || '', 10) || undefined
+    });
+  }
+  if (kind !== 'memory') throw new Error(`Unknown LIVE_EVENTS_BUS: ${kind}`);
+  return new MemoryBus();
+}
+
+module.exports = { INSTANCE_ID, MemoryBus, FileBus, MongoBus, createEventBus };
@@ -0,0 +1,94 @@
+// Hosted events (editions). The list is kept in the default event's settings so every store backend can hold it.
+const SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,38}[a-z0-9])?$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+
+function validateEventInput(body, partial) {
+  const errors = [];
+  const value = {};
+  const input = body || {};
+  const text = (key, max, required) => {
+    if (input[key] === undefined) { if (required) errors.push(`${key} is required`); return; }
+    const str = typeof input[key] === 'string' ? input[key].trim() : '';
+    if (required && !str) { errors.push(`${key} is required`); return; }
+    if (str.length > max) { errors.push(`${key} must be at most ${max} characters`); return; }
+    value[key] = str || null;
+  };
+  if (!partial) {
+    const slug = String(input.slug || '').trim().toLowerCase();
+    if (!SLUG_PATTERN.test(slug)) errors.push('slug may only contain lowercase letters, numbers and "-" (max 40)');
+    else value.slug = slug;
+  }
+  text('name', 120, !partial);
+  text('tagline', 200, false);
+  if (input.branding !== undefined) {
+    const branding = input.branding || {};
+    if (typeof branding !== 'object' || Array.isArray(branding)) {
+      errors.push('branding must be an object');
+    } else {
+      value.branding = {};
+      if (branding.primaryColor) {
+        if (!COLOR_PATTERN.test(branding.primaryColor)) errors.push('branding.primaryColor must be a hex colour like #c10016');
+        else value.branding.primaryColor = branding.primaryColor;
+      }
+      if (branding.logoUrl) {
+        const url = String(branding.logoUrl).trim();
+        if (url.length > 500 || !/^(https:\/\/|\/)/.test(url)) errors.push('branding.logoUrl must be an https:// URL or a site path');
+        else value.branding.logoUrl = url;
+      }
+    }
+  }
+  if (input.archived !== undefined) value.archived = Boolean(input.archived);
+  return { errors, value };
+}
+
+class EventRegistry {
+  // defaultEvent: { slug, name }; homeStore() returns the default event's store
+  constructor(defaultEvent, homeStore) {
+    this.defaultEvent = defaultEvent;
+    this.homeStore = homeStore;
+  }
+
+  async #stored() {
+    const settings = await this.homeStore().getSettings();
+    return Array.isArray(settings.events) ? settings.events : [];
+  }
+
+  // Default event first; its name and branding can be overridden like any other event
+  async list() {
+    const stored = await this.#stored();
+    const override = stored.find(e => e.slug === this.defaultEvent.slug) || {};
+    return [
+      { branding: {}, tagline: null, archived: false, ...this.defaultEvent, ...override, slug: this.defaultEvent.slug, isDefault: true },
+      ...stored.filter(e => e.slug !== this.defaultEvent.slug).map(e => ({ branding: {}, tagline: null, archived: false, ...e, isDefault: false }))
+    ];
+  }
+
+  async get(slug) {
+    return (await this.list()).find(e => e.slug === slug) || null;
+  }
+
+  async create(definition) {
+    const stored = await this.#stored();
+    if (definition.slug === this.defaultEvent.slug || stored.some(e => e.slug === definition.slug)) return null;
+    const created = { ...definition, archived: false, createdAt: new Date().toISOString() };
+    await this.homeStore().updateSettings({ events: [...stored, created] });
+    return this.get(created.slug);
+  }
+
+  async update(slug, patch) {
+    const current = await this.get(slug);
+    if (!current) return null;
+    const stored = await this.#stored();
+    const base = stored.find(e => e.slug === slug) || { slug };
+    const updated = { ...base, ...patch, branding: patch.branding || base.branding || {}, slug, updatedAt: new Date().toISOString() };
+    await this.homeStore().updateSettings({ events: [...stored.filter(e => e.slug !== slug), updated] });
+    return this.get(slug);
+  }
+}
+
+// Fields safe to show on public pages
+function publicEventInfo(event) {
+  return { slug: event.slug, name: event.name, tagline: event.tagline || null, branding: event.branding || {}, isDefault: Boolean(event.isDefault) };
+}
+
+module.exports = { SLUG_PATTERN, validateEventInput, EventRegistry, publicEventInfo };
@@ -0,0 +1,82 @@
+// Lock files that keep other processes on the same disk out while one writes (the JSON store, the file event bus)
+const fsp = require('fs').promises;
+const os = require('os');
+const crypto = require('crypto');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+// Exponential backoff with jitter, so waiting processes do not move in step
+const backoff = (attempt) => Math.min(250, 5 * 2 ** attempt) * (0.5 + Math.random());
+
+function processAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+// Takes the lock file (recovering a stale one) and returns the function that releases it. A lock older than staleMs,
+// or whose process has died on this host, is taken to be left over from a crash; waiting gives up after timeoutMs.
+async function acquireLock(lockFilePath, { staleMs, timeoutMs }) {
+  const token = crypto.randomUUID();
+  const owner = JSON.stringify({ pid: process.pid, host: os.hostname(), token, at: new Date().toISOString() });
+  const deadline = Date.now() + timeoutMs;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await fsp.writeFile(lockFilePath, owner, { flag: 'wx' });
+      return () => releaseLock(lockFilePath, token);
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (await recoverStaleLock(lockFilePath, staleMs)) continue;
+    if (Date.now() > deadline) throw new Error(`Timed out after ${timeoutMs} ms waiting for ${lockFilePath}`);
+    await sleep(backoff(attempt));
+  }
+}
+
+// Only removes the lock if it is still ours; a lock taken over as stale belongs to someone else now
+async function releaseLock(lockFilePath, token) {
+  try {
+    const owner = JSON.parse(await fsp.readFile(lockFilePath, 'utf8'));
+    if (owner.token === token) await fsp.unlink(lockFilePath);
+  } catch (_) {}
+}
+
+// Returns true when the lock was removed (or had already gone) and can be tried again at once
+async function recoverStaleLock(lockFilePath, staleMs) {
+  let text;
+  let stat;
+  try {
+    text = await fsp.readFile(lockFilePath, 'utf8');
+    stat = await fsp.stat(lockFilePath);
+  } catch (error) {
+    if (error.code === 'ENOENT') return true;
+    throw error;
+  }
+  let owner = {};
+  try {
+    owner = JSON.parse(text);
+  } catch (_) {
+    // Older locks hold just the pid
+    owner = { pid: parseInt(text, 10) };
+  }
+  const age = Date.now() - stat.mtimeMs;
+  const dead = owner.pid > 0 && (!owner.host || owner.host === os.hostname()) && !processAlive(owner.pid);
+  if (age < staleMs && !dead) return false;
+  // Move it aside first, so two processes recovering the same lock cannot remove a fresh one
+  const aside = `${lockFilePath}.stale-${crypto.randomBytes(4).toString('hex')}`;
+  try {
+    await fsp.rename(lockFilePath, aside);
+  } catch (_) {
+    return true;
+  }
+  const moved = await fsp.readFile(aside, 'utf8').catch(() => null);
+  // Someone took the lock between our check and the rename: hand it back
+  if (moved !== text) await fsp.link(aside, lockFilePath).catch(() => {});
+  await fsp.unlink(aside).catch(() => {});
+  if (moved === text) console.warn(`Recovered stale lock ${lockFilePath} (pid ${owner.pid}, ${Math.round(age / 1000)}s old)`);
+  return true;
+}
+
+module.exports = { acquireLock, sleep, backoff };
@@ -1,94 +1,214 @@
-const fs = require('fs');
 const fsp = require('fs').promises;
 const path = require('path');
+const { acquireLock, sleep, backoff } = require('./file_lock');
+
+// A lock file older than this, or whose process has died on this host, is taken to be left over from a crash
+const LOCK_STALE_MS = parseInt(process.env.JSON_LOCK_STALE_MS || '30000', 10);
+// How long a writer waits for the lock before giving up
+const LOCK_TIMEOUT_MS = parseInt(process.env.JSON_LOCK_TIMEOUT_MS || '10000', 10);
+// Writes that lose a compare-and-swap race are retried on the newer data this many times
+const MAX_WRITE_ATTEMPTS = 10;
+
+const writeConflict = () => Object.assign(new Error('The data changed while it was being written'), { code: 'ECONFLICT' });
+
+const SAMPLE_PROBLEMS = [
+  { id: 'ps001', title: 'Secure Authentication System', description: 'Design and implement a multi-factor authentication system with biometric verification, OTP, and secure session management for a banking application.', maxSelections: 2, category: 'Cybersecurity', difficulty: 'Advanced', technologies: ['Node.js', 'React', 'JWT'] },
+  { id: 'ps002', title: 'AI-Powered Code Review Assistant', description: 'Develop an intelligent code review tool that uses machine learning to detect bugs, security vulnerabilities, and suggest improvements in real-time.', maxSelections: 2, category: 'Artificial Intelligence', difficulty: 'Advanced', technologies: ['Python', 'TensorFlow'] },
+  { id: 'ps003', title: 'Blockchain Supply Chain Tracker', description: 'Create a transparent supply chain management system using blockchain technology to track products from manufacturer to consumer.', maxSelections: 2, category: 'Blockchain', difficulty: 'Intermediate', technologies: ['Ethereum', 'Solidity'] }
+];
+
+// Roster entries as every store returns them
+function toTeam(team) {
+  return {
+    teamNumber: String(team.teamNumber).trim(),
+    teamName: team.teamName,
+    teamLeader: team.teamLeader,
+    institution: team.institution || null,
+    contactPhone: team.contactPhone || null,
+    members: Array.isArray(team.members) ? team.members.map(m => ({ name: m.name, email: m.email || null })) : []
+  };
+}
+
+// Outbox emails as every store returns them (see mailer.js)
+function toEmail(email) {
+  return {
+    id: email.id,
+    to: Array.isArray(email.to) ? email.to.slice() : [],
+    subject: email.subject,
+    text: email.text,
+    template: email.template || null,
+    teamNumber: email.teamNumber === undefined || email.teamNumber === null ? null : String(email.teamNumber).trim(),
+    status: email.status || 'queued',
+    attempts: email.attempts || 0,
+    lastError: email.lastError || null,
+    createdAt: email.createdAt,
+    nextAttemptAt: email.nextAttemptAt || email.createdAt,
+    sentAt: email.sentAt || null
+  };
+}
+
+const EMAIL_FIELDS = ['status', 'attempts', 'lastError', 'nextAttemptAt', 'sentAt'];
+// Sent emails past the newest OUTBOX_KEEP_SENT are dropped when new ones are queued, so data.json stays small
+const OUTBOX_KEEP_SENT = 500;
+
+// Webhook deliveries as every store returns them (see webhooks.js)
+function toDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    type: delivery.type,
+    payloadId: delivery.payloadId,
+    body: delivery.body,
+    status: delivery.status || 'queued',
+    attempts: delivery.attempts || 0,
+    lastError: delivery.lastError || null,
+    responseStatus: delivery.responseStatus || null,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt || delivery.createdAt,
+    deliveredAt: delivery.deliveredAt || null,
+    replayOf: delivery.replayOf || null
+  };
+}
+
+const DELIVERY_FIELDS = ['status', 'attempts', 'lastError', 'responseStatus', 'nextAttemptAt', 'deliveredAt'];
+// Likewise for delivered webhooks
+const WEBHOOK_KEEP_DELIVERED = 500;
 
 class DatabaseManager {
-  constructor() {
-    this.dataFilePath = path.join(__dirname, 'data.json');
+  // slug scopes the store to one hosted event (data.<slug>.json); the default event keeps data.json
+  // dir moves the files elsewhere (tests use a temporary directory)
+  constructor({ slug = null, seedDefaults = true, dir = __dirname } = {}) {
+    this.slug = slug;
+    this.seedDefaults = seedDefaults;
+    this.dataPathname = slug ? `data.${slug}.json` : 'data.json';
+    this.auditPathname = slug ? `audit.${slug}.jsonl` : 'audit.jsonl';
+    this.dataFilePath = path.join(dir, this.dataPathname);
     this.blobUrl = process.env.BLOB_DATA_URL || '';
     this.blobToken = process.env.BLOB_READ_WRITE_TOKEN || process.env.BLOB_RW_TOKEN || '';
     // Use Blob only when running on Vercel AND a RW token is configured
     this.useBlob = (process.env.VERCEL === '1' || Boolean(process.env.VERCEL_ENV)) && Boolean(this.blobToken);
     this.defaultData = { problemStatements: [], registrations: [] };
     this.memoryData = null;
+    // Every write bumps data.revision; writes in this process are queued, other processes are kept out by the lock file
+    this.lockFilePath = this.dataFilePath + '.lock';
+    this.writeQueue = Promise.resolve();
+    // Audit journal lives beside data.json as JSONL (or as audit.jsonl in Blob)
+    this.auditFilePath = process.env.AUDIT_LOG_PATH && !slug ? process.env.AUDIT_LOG_PATH : path.join(dir, this.auditPathname);
+    this.auditQueue = Promise.resolve();
+    // Backups are whole snapshots, one file per backup under backups/<data file name>/ (locally or in Blob)
+    this.backupPrefix = `backups/${this.dataPathname.replace(/\.json$/, '')}/`;
+    this.backupDir = path.join(dir, this.backupPrefix);
   }
 
   async init() {
-    if (this.useBlob) {
-      const current = await this.#readFromSource();
-      if (!current) { await this.#atomicWrite(this.defaultData); }
-      this.memoryData = current || { ...this.defaultData };
-    } else {
-      const exists = fs.existsSync(this.dataFilePath);
-      if (!exists) { await this.#atomicWrite(this.defaultData); }
-      this.memoryData = (await this.#readFromSource()) || { ...this.defaultData };
-    }
-    const data = this.memoryData || this.defaultData;
-    if (!Array.isArray(data.problemStatements) || data.problemStatements.length === 0) { await this.seedProblemStatements(); }
+    // Creates the file (or blob) when missing and seeds an empty store
+    await this.#mutate(async (data) => {
+      if (this.seedDefaults && (!Array.isArray(data.problemStatements) || data.problemStatements.length === 0)) {
+        data.problemStatements = SAMPLE_PROBLEMS.map(p => ({ ...p, technologies: p.technologies.slice() }));
+      }
+    });
   }
 
   async close() { return; }
 
+  // Drops the cached copy after another instance changed the data
+  async refresh() {
+    this.memoryData = (await this.#readFromSource()) || this.memoryData;
+  }
+
   async #read() {
     if (this.memoryData) { return this.memoryData; }
     return this.#readFromSource();
   }
 
   async #readFromSource() {
+    try {
+      return (await this.#load()).data;
+    } catch {
+      return structuredClone(this.defaultData);
+    }
+  }
+
+  // The stored data and its version: the revision number of the local file, or the blob's ETag (null when missing)
+  async #load() {
     if (this.useBlob) {
-      try {
-        let list, get;
-        try {
-          ({ list } = await import('@vercel/blob'));
-        } catch (_) { return { ...this.defaultData }; }
-        if (!this.blobToken) { return { ...this.defaultData }; }
-        const { blobs } = await list({ token: this.blobToken });
-        const target = blobs.find(b => b.pathname === 'data.json');
-        if (!target) { return { ...this.defaultData }; }
-        const res = await fetch(target.url, { cache: 'no-store' });
-        if (!res.ok) return { ...this.defaultData };
-        const text = await res.text();
-        return JSON.parse(text);
-      } catch {
-        return { ...this.defaultData };
-      }
+      if (!this.blobToken) throw new Error('BLOB_READ_WRITE_TOKEN is not set');
+      const { get } = await import('@vercel/blob');
+      const result = await get(this.dataPathname, { access: 'public', token: this.blobToken, useCache: false });
+      if (!result || result.statusCode !== 200) return { data: structuredClone(this.defaultData), version: null };
+      return { data: JSON.parse(await new Response(result.stream).text()), version: result.blob.etag };
     }
+    let raw;
     try {
-      const raw = await fsp.readFile(this.dataFilePath, 'utf8');
-      return JSON.parse(raw);
-    } catch {
-      return { ...this.defaultData };
+      raw = await fsp.readFile(this.dataFilePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return { data: structuredClone(this.defaultData), version: null };
+      throw error;
     }
+    const data = JSON.parse(raw);
+    return { data, version: data.revision || 0 };
   }
 
-  async #atomicWrite(json) {
+  // Compare-and-swap: writes only if the stored data is still at version, otherwise throws ECONFLICT.
+  // Blob ETags (get, put with ifMatch) came in @vercel/blob 2, which needs Node 20: hence engines.node >=20.
+  async #atomicWrite(json, version) {
     const str = JSON.stringify(json, null, 2);
-    // Update in-memory data first for immediate consistency
-    this.memoryData = JSON.parse(str);
     if (this.useBlob) {
-      // Dynamically import ESM module in CJS context
-      let put;
+      const { put, BlobPreconditionFailedError } = await import('@vercel/blob');
       try {
-        ({ put } = await import('@vercel/blob'));
-      } catch (_) {
-        throw new Error('Vercel Blob SDK not available');
-      }
-      if (!this.blobToken) {
-        throw new Error('BLOB_READ_WRITE_TOKEN is not set');
+        const result = await put(this.dataPathname, str, {
+          access: 'public',
+          contentType: 'application/json',
+          token: this.blobToken,
+          addRandomSuffix: false,
+          // A missing blob may only be created, never overwritten by a writer that did not see it
+          allowOverwrite: version !== null,
+          ...(version !== null ? { ifMatch: version } : {}),
+          cacheControlMaxAge: 0
+        });
+        this.blobUrl = result.url;
+      } catch (error) {
+        if (error instanceof BlobPreconditionFailedError || (version === null && /already exists/i.test(error.message))) throw writeConflict();
+        throw error;
       }
-      const result = await put('data.json', str, {
-        access: 'public',
-        contentType: 'application/json',
-        token: this.blobToken,
-        addRandomSuffix: false,
-        cacheControlMaxAge: 0
-      });
-      this.blobUrl = result.url;
     } else {
-      const tmpPath = this.dataFilePath + '.tmp';
+      // The lock keeps other writers out; this catches one that took over a lock we held for too long
+      const { version: stored } = await this.#load();
+      if (stored !== version) throw writeConflict();
+      const tmpPath = `${this.dataFilePath}.${process.pid}.tmp`;
       await fsp.writeFile(tmpPath, str, 'utf8');
       await fsp.rename(tmpPath, this.dataFilePath);
     }
+    this.memoryData = JSON.parse(str);
+  }
+
+  // Runs fn against freshly read data and saves whatever it changed as the next revision. fn mutates data in place
+  // and may run more than once: a write that lost a race is retried against the newer data.
+  async #mutate(fn) {
+    const run = this.writeQueue.then(async () => {
+      for (let attempt = 1; ; attempt++) {
+        const release = this.useBlob ? null : await acquireLock(this.lockFilePath, { staleMs: LOCK_STALE_MS, timeoutMs: LOCK_TIMEOUT_MS });
+        try {
+          const { data, version } = await this.#load();
+          const before = JSON.stringify(data);
+          const result = await fn(data);
+          if (version === null || JSON.stringify(data) !== before) {
+            data.revision = (data.revision || 0) + 1;
+            await this.#atomicWrite(data, version);
+          } else {
+            this.memoryData = data;
+          }
+          return result;
+        } catch (error) {
+          if (error.code !== 'ECONFLICT' || attempt >= MAX_WRITE_ATTEMPTS) throw error;
+        } finally {
+          if (release) await release();
+        }
+        await sleep(backoff(attempt));
+      }
+    });
+    this.writeQueue = run.catch(() => {});
+    return run;
   }
 
   // Problem Statements
@@ -103,10 +223,19 @@ class DatabaseManager {
         if (!pid) return;
         idToCount.set(pid, (idToCount.get(pid) || 0) + 1);
       });
+      const idToWaiting = new Map();
+      (Array.isArray(data.waitlist) ? data.waitlist : []).forEach(w => {
+        idToWaiting.set(w.problemStatementId, (idToWaiting.get(w.problemStatementId) || 0) + 1);
+      });
+      const idToHeld = new Map();
+      this.#activeHolds(data).forEach(h => {
+        idToHeld.set(h.problemStatementId, (idToHeld.get(h.problemStatementId) || 0) + 1);
+      });
       return problems.map(ps => {
         const parsedMax = typeof ps.maxSelections === 'number' ? ps.maxSelections : parseInt(ps.maxSelections || '0', 10) || 0;
         const maxSel = Math.max(1, parsedMax);
         const selected = idToCount.get(ps.id) || 0;
+        const held = idToHeld.get(ps.id) || 0;
         return {
           id: ps.id,
           title: ps.title,
@@ -116,7 +245,9 @@ class DatabaseManager {
           difficulty: ps.difficulty || null,
           technologies: Array.isArray(ps.technologies) ? ps.technologies : [],
           selected_count: selected,
-          is_available: selected < maxSel
+          held_count: held,
+          is_available: selected + held < maxSel,
+          waitlist_count: idToWaiting.get(ps.id) || 0
         };
       });
     } catch (_) {
@@ -130,56 +261,84 @@ class DatabaseManager {
   }
 
   async createProblemStatement(problemStatement) {
-    const data = await this.#read();
-    if (data.problemStatements.some(p => p.id === problemStatement.id)) {
-      return { id: problemStatement.id, changes: 0 };
-    }
-    const parsedMax = typeof problemStatement.maxSelections === 'number' ? problemStatement.maxSelections : parseInt(problemStatement.maxSelections || '0', 10) || 0;
-    const maxSel = Math.max(1, parsedMax);
-    data.problemStatements.push({
-      id: problemStatement.id,
-      title: problemStatement.title,
-      description: problemStatement.description,
-      maxSelections: maxSel,
-      category: problemStatement.category || null,
-      difficulty: problemStatement.difficulty || null,
-      technologies: Array.isArray(problemStatement.technologies) ? problemStatement.technologies : []
-    });
-    await this.#atomicWrite(data);
-    return { id: problemStatement.id, changes: 1 };
-  }
-
-  async updateProblemStatement(id, updates) {
-    const data = await this.#read();
-    const idx = data.problemStatements.findIndex(p => p.id === id);
-    if (idx === -1) return { id, changes: 0 };
-    const current = data.problemStatements[idx];
-    const next = { ...current };
-    if (updates.title !== undefined) next.title = updates.title;
-    if (updates.description !== undefined) next.description = updates.description;
-    if (updates.max_selections !== undefined) {
-      const parsed = typeof updates.max_selections === 'number' ? updates.max_selections : parseInt(updates.max_selections || '0', 10) || 0;
-      next.maxSelections = Math.max(1, parsed);
-    }
-    if (updates.maxSelections !== undefined) {
-      const parsed = typeof updates.maxSelections === 'number' ? updates.maxSelections : parseInt(updates.maxSelections || '0', 10) || 0;
-      next.maxSelections = Math.max(1, parsed);
-    }
-    if (updates.category !== undefined) next.category = updates.category;
-    if (updates.difficulty !== undefined) next.difficulty = updates.difficulty;
-    if (updates.technologies !== undefined) next.technologies = Array.isArray(updates.technologies) ? updates.technologies : [];
-    data.problemStatements[idx] = next;
-    await this.#atomicWrite(data);
-    return { id, changes: 1 };
+    return this.#mutate(async (data) => {
+      if (data.problemStatements.some(p => p.id === problemStatement.id)) {
+        return { id: problemStatement.id, changes: 0 };
+      }
+      const parsedMax = typeof problemStatement.maxSelections === 'number' ? problemStatement.maxSelections : parseInt(problemStatement.maxSelections || '0', 10) || 0;
+      const maxSel = Math.max(1, parsedMax);
+      data.problemStatements.push({
+        id: problemStatement.id,
+        title: problemStatement.title,
+        description: problemStatement.description,
+        maxSelections: maxSel,
+        category: problemStatement.category || null,
+        difficulty: problemStatement.difficulty || null,
+        technologies: Array.isArray(problemStatement.technologies) ? problemStatement.technologies : []
+      });
+      return { id: problemStatement.id, changes: 1 };
+    });
+  }
+
+  // Refuses to lower maxSelections below the problem's registrations unless force is set
+  // moves / remove: teams taken off the problem in the same write, so a capacity cut and its resolution land together.
+  // Nothing is written unless every move fits its destination ({ changes: 0, reason: 'move_conflict', conflicts }).
+  async updateProblemStatement(id, updates, { force = false, moves = [], remove = [] } = {}) {
+    return this.#mutate(async (data) => {
+      const idx = data.problemStatements.findIndex(p => p.id === id);
+      if (idx === -1) return { id, changes: 0 };
+      const current = data.problemStatements[idx];
+      const next = { ...current };
+      if (updates.title !== undefined) next.title = updates.title;
+      if (updates.description !== undefined) next.description = updates.description;
+      if (updates.max_selections !== undefined) {
+        const parsed = typeof updates.max_selections === 'number' ? updates.max_selections : parseInt(updates.max_selections || '0', 10) || 0;
+        next.maxSelections = Math.max(1, parsed);
+      }
+      if (updates.maxSelections !== undefined) {
+        const parsed = typeof updates.maxSelections === 'number' ? updates.maxSelections : parseInt(updates.maxSelections || '0', 10) || 0;
+        next.maxSelections = Math.max(1, parsed);
+      }
+      if (updates.category !== undefined) next.category = updates.category;
+      if (updates.difficulty !== undefined) next.difficulty = updates.difficulty;
+      if (updates.technologies !== undefined) next.technologies = Array.isArray(updates.technologies) ? updates.technologies : [];
+      const onProblem = (teamNumber) => data.registrations.find(r => String(r.teamNumber).trim() === teamNumber && r.problemStatementId === id);
+      const conflicts = [];
+      const incoming = new Map();
+      moves.forEach(m => {
+        const ps = data.problemStatements.find(p => p.id === m.problemStatementId && p.id !== id);
+        const taken = ps ? this.#seatsTaken(data, ps.id) + (incoming.get(ps.id) || 0) : 0;
+        if (!onProblem(m.teamNumber)) conflicts.push({ ...m, reason: 'not_registered' });
+        else if (!ps) conflicts.push({ ...m, reason: 'problem_not_found' });
+        else if (taken >= ps.maxSelections) conflicts.push({ ...m, reason: 'problem_full' });
+        else incoming.set(ps.id, (incoming.get(ps.id) || 0) + 1);
+      });
+      remove.filter(t => !onProblem(t)).forEach(teamNumber => conflicts.push({ teamNumber, reason: 'not_registered' }));
+      if (conflicts.length) return { id, changes: 0, reason: 'move_conflict', conflicts };
+      const leaving = new Set([...moves.map(m => m.teamNumber), ...remove]);
+      const registered = data.registrations.filter(r => r.problemStatementId === id && !leaving.has(String(r.teamNumber).trim())).length;
+      if (!force && next.maxSelections < current.maxSelections && next.maxSelections < registered) {
+        return { id, changes: 0, reason: 'over_capacity', registered };
+      }
+      data.problemStatements[idx] = next;
+      const now = new Date().toISOString();
+      moves.forEach(m => Object.assign(onProblem(m.teamNumber), { problemStatementId: m.problemStatementId, registrationDateTime: now }));
+      data.registrations = data.registrations.filter(r => !(r.problemStatementId === id && remove.includes(String(r.teamNumber).trim())));
+      // A capacity increase (or the seats left by moved and removed teams) goes to waitlisted teams
+      const promoted = this.#promoteFromWaitlist(data, [id]);
+      return { id, changes: 1, promoted, moved: moves.map(m => ({ teamNumber: m.teamNumber, from: id, to: m.problemStatementId })), removed: remove };
+    });
   }
 
   async deleteProblemStatement(id) {
-    const data = await this.#read();
-    const before = data.problemStatements.length;
-    data.problemStatements = data.problemStatements.filter(p => p.id !== id);
-    data.registrations = data.registrations.filter(r => r.problemStatementId !== id);
-    await this.#atomicWrite(data);
-    return { id, changes: before - data.problemStatements.length };
+    return this.#mutate(async (data) => {
+      const before = data.problemStatements.length;
+      data.problemStatements = data.problemStatements.filter(p => p.id !== id);
+      data.registrations = data.registrations.filter(r => r.problemStatementId !== id);
+      if (Array.isArray(data.waitlist)) data.waitlist = data.waitlist.filter(w => w.problemStatementId !== id);
+      if (Array.isArray(data.holds)) data.holds = data.holds.filter(h => h.problemStatementId !== id);
+      return { id, changes: before - data.problemStatements.length };
+    });
   }
 
   // Registrations
@@ -197,6 +356,26 @@ class DatabaseManager {
     }));
   }
 
+  // Row-at-a-time access for exports, in registration order
+  async *iterateRegistrations() {
+    const data = await this.#read();
+    const idToPs = new Map(data.problemStatements.map(p => [p.id, p]));
+    const sorted = data.registrations.slice().sort((a, b) => String(a.registrationDateTime).localeCompare(String(b.registrationDateTime)));
+    for (const r of sorted) {
+      const ps = idToPs.get(r.problemStatementId);
+      yield {
+        team_number: r.teamNumber,
+        team_name: r.teamName,
+        team_leader: r.teamLeader,
+        problem_statement_id: r.problemStatementId,
+        problem_title: ps?.title || '',
+        problem_category: ps?.category || null,
+        problem_difficulty: ps?.difficulty || null,
+        registration_date_time: r.registrationDateTime
+      };
+    }
+  }
+
   async getRegistrationsByProblemStatement(problemStatementId) {
     const data = await this.#read();
     const ps = data.problemStatements.find(p => p.id === problemStatementId);
@@ -217,139 +396,721 @@ class DatabaseManager {
     return data.registrations.some(r => String(r.teamNumber).trim() === target);
     }
 
-  async createRegistrationAtomic(registration) {
-    // Use a simple file-based lock mechanism to prevent race conditions
-    const lockFile = this.dataFilePath + '.lock';
-    const maxRetries = 10;
-    const retryDelay = 50; // ms
-    
-    for (let attempt = 0; attempt < maxRetries; attempt++) {
-      try {
-        // Try to acquire lock
-        if (!this.useBlob) {
-          try {
-            await fsp.writeFile(lockFile, process.pid.toString(), { flag: 'wx' });
-          } catch (e) {
-            if (e.code === 'EEXIST') {
-              // Lock exists, wait and retry
-              await new Promise(resolve => setTimeout(resolve, retryDelay));
-              continue;
-            }
-            throw e;
-          }
-        }
-        
+  // force (admin assignment) skips the capacity check
+  async createRegistrationAtomic(registration, { force = false } = {}) {
+    return this.#mutate(async (data) => {
+      const target = String(registration.teamNumber).trim();
+      
+      // Check if team number is already taken
+      if (data.registrations.some(r => String(r.teamNumber).trim() === target)) {
+        return null;
+      }
+      
+      // Check if problem statement exists
+      const ps = data.problemStatements.find(p => p.id === registration.problemStatementId);
+      if (!ps) {
+        return null;
+      }
+      
+      // Check if problem statement is full; seats held by other teams count, the team's own hold is used up
+      if (!force && this.#seatsTaken(data, ps.id, target) >= ps.maxSelections) {
+        return null;
+      }
+      
+      // All checks passed, create registration
+      const record = {
+        teamNumber: target,
+        teamName: registration.teamName,
+        teamLeader: registration.teamLeader,
+        problemStatementId: registration.problemStatementId,
+        registrationDateTime: new Date().toISOString()
+      };
+      
+      data.registrations.push(record);
+      // Registering directly takes the team off any waitlist and releases its hold
+      if (Array.isArray(data.waitlist)) data.waitlist = data.waitlist.filter(w => w.teamNumber !== target);
+      if (Array.isArray(data.holds)) data.holds = data.holds.filter(h => h.teamNumber !== target);
+      return { id: record.teamNumber, changes: 1 };
+    });
+  }
+
+  // Moves a team to another problem only if the new one has a free slot (or force is set); the old slot is kept otherwise
+  async swapRegistrationAtomic(teamNumber, problemStatementId, { force = false } = {}) {
+    return this.#mutate(async (data) => {
+      const target = String(teamNumber).trim();
+      const record = data.registrations.find(r => String(r.teamNumber).trim() === target);
+      if (!record) return null;
+      if (record.problemStatementId === problemStatementId) return null;
+      const ps = data.problemStatements.find(p => p.id === problemStatementId);
+      if (!ps) return null;
+      if (!force && this.#seatsTaken(data, ps.id, target) >= ps.maxSelections) return null;
+      const from = record.problemStatementId;
+      record.problemStatementId = ps.id;
+      record.registrationDateTime = new Date().toISOString();
+      const promoted = this.#promoteFromWaitlist(data, [from]);
+      return { id: target, from, to: ps.id, changes: 1, promoted };
+    });
+  }
+
+  async getRegistrationByTeamNumber(teamNumber) {
+    const data = await this.#read();
+    const target = String(teamNumber).trim();
+    const record = data.registrations.find(r => String(r.teamNumber).trim() === target);
+    return record ? { ...record } : null;
+  }
+
+  async deleteRegistration(teamNumber) {
+    return this.#mutate(async (data) => {
+      const target = String(teamNumber).trim();
+      const removed = data.registrations.filter(r => String(r.teamNumber).trim() === target);
+      if (removed.length === 0) return { changes: 0, promoted: [] };
+      data.registrations = data.registrations.filter(r => String(r.teamNumber).trim() !== target);
+      const promoted = this.#promoteFromWaitlist(data, removed.map(r => r.problemStatementId));
+      return { changes: removed.length, promoted };
+    });
+  }
+
+  // Holds: a seat reserved for one team until expiresAt, counted against maxSelections for everyone else
+  #activeHolds(data, now = Date.now()) {
+    return (Array.isArray(data.holds) ? data.holds : []).filter(h => new Date(h.expiresAt).getTime() > now);
+  }
+
+  // Registrations plus live holds on a problem, leaving out the given team's own hold
+  #seatsTaken(data, problemStatementId, exceptTeam = null) {
+    const registered = data.registrations.filter(r => r.problemStatementId === problemStatementId).length;
+    return registered + this.#activeHolds(data).filter(h => h.problemStatementId === problemStatementId && h.teamNumber !== exceptTeam).length;
+  }
+
+  // One hold per team: holding another problem replaces the earlier hold
+  async createHoldAtomic(entry, seconds) {
+    return this.#mutate(async (data) => {
+      const target = String(entry.teamNumber).trim();
+      if (data.registrations.some(r => String(r.teamNumber).trim() === target)) return { changes: 0, reason: 'registered' };
+      const ps = data.problemStatements.find(p => p.id === entry.problemStatementId);
+      if (!ps) return { changes: 0, reason: 'not_found' };
+      if (this.#seatsTaken(data, ps.id, target) >= ps.maxSelections) return { changes: 0, reason: 'full' };
+      const now = new Date();
+      const hold = {
+        teamNumber: target,
+        teamName: entry.teamName,
+        teamLeader: entry.teamLeader,
+        problemStatementId: ps.id,
+        heldAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + seconds * 1000).toISOString()
+      };
+      data.holds = this.#activeHolds(data, now.getTime()).filter(h => h.teamNumber !== target);
+      data.holds.push(hold);
+      return { changes: 1, hold: { ...hold } };
+    });
+  }
+
+  // Freed seats go to the waitlist
+  async releaseHold(teamNumber) {
+    return this.#mutate(async (data) => {
+      const target = String(teamNumber).trim();
+      const released = this.#activeHolds(data).filter(h => h.teamNumber === target);
+      if (released.length === 0) return { changes: 0, promoted: [] };
+      data.holds = data.holds.filter(h => h.teamNumber !== target);
+      return { changes: released.length, promoted: this.#promoteFromWaitlist(data, released.map(h => h.problemStatementId)) };
+    });
+  }
+
+  // Drops holds past their expiry and hands their seats to the waitlist
+  async expireHolds() {
+    return this.#mutate(async (data) => {
+      const now = Date.now();
+      const expired = (Array.isArray(data.holds) ? data.holds : []).filter(h => new Date(h.expiresAt).getTime() <= now);
+      if (expired.length === 0) return { changes: 0, promoted: [] };
+      data.holds = this.#activeHolds(data, now);
+      return { changes: expired.length, promoted: this.#promoteFromWaitlist(data, expired.map(h => h.problemStatementId)) };
+    });
+  }
+
+  // Live holds, soonest to expire first
+  async getHolds() {
+    const data = await this.#read();
+    return this.#activeHolds(data).sort((a, b) => a.expiresAt.localeCompare(b.expiresAt)).map(h => ({ ...h }));
+  }
+
+  // Waitlist
+  // Fills free slots on the given problems from the head of their waitlists; mutates data in place
+  #promoteFromWaitlist(data, problemStatementIds) {
+    if (!Array.isArray(data.waitlist) || data.waitlist.length === 0) return [];
+    const promoted = [];
+    new Set(problemStatementIds).forEach(pid => {
+      const ps = data.problemStatements.find(p => p.id === pid);
+      if (!ps) return;
+      let current = this.#seatsTaken(data, pid);
+      while (current < ps.maxSelections) {
+        const idx = data.waitlist.findIndex(w => w.problemStatementId === pid);
+        if (idx === -1) break;
+        const [entry] = data.waitlist.splice(idx, 1);
+        const record = {
+          teamNumber: entry.teamNumber,
+          teamName: entry.teamName,
+          teamLeader: entry.teamLeader,
+          problemStatementId: pid,
+          registrationDateTime: new Date().toISOString()
+        };
+        data.registrations.push(record);
+        promoted.push({ teamNumber: record.teamNumber, teamName: record.teamName, problemStatementId: pid, waitlistedAt: entry.joinedAt });
+        current++;
+      }
+    });
+    return promoted;
+  }
+
+  async joinWaitlistAtomic(entry) {
+    return this.#mutate(async (data) => {
+      const target = String(entry.teamNumber).trim();
+      if (data.registrations.some(r => String(r.teamNumber).trim() === target)) return { changes: 0, reason: 'registered' };
+      const ps = data.problemStatements.find(p => p.id === entry.problemStatementId);
+      if (!ps) return { changes: 0, reason: 'not_found' };
+      if (this.#seatsTaken(data, ps.id, target) < ps.maxSelections) return { changes: 0, reason: 'available' };
+      if (!Array.isArray(data.waitlist)) data.waitlist = [];
+      // One waitlist at a time: joining another problem's list replaces the old spot
+      data.waitlist = data.waitlist.filter(w => w.teamNumber !== target);
+      data.waitlist.push({
+        teamNumber: target,
+        teamName: entry.teamName,
+        teamLeader: entry.teamLeader,
+        problemStatementId: ps.id,
+        joinedAt: new Date().toISOString()
+      });
+      return { changes: 1, position: data.waitlist.filter(w => w.problemStatementId === ps.id).length };
+    });
+  }
+
+  async leaveWaitlist(teamNumber) {
+    return this.#mutate(async (data) => {
+      const target = String(teamNumber).trim();
+      const before = Array.isArray(data.waitlist) ? data.waitlist.length : 0;
+      if (before === 0) return { changes: 0 };
+      data.waitlist = data.waitlist.filter(w => w.teamNumber !== target);
+      if (data.waitlist.length === before) return { changes: 0 };
+      return { changes: before - data.waitlist.length };
+    });
+  }
+
+  // Entries in queue order, each with its 1-based position on its problem's list
+  async getWaitlist() {
+    const data = await this.#read();
+    const positions = new Map();
+    return (Array.isArray(data.waitlist) ? data.waitlist : []).map(w => {
+      const position = (positions.get(w.problemStatementId) || 0) + 1;
+      positions.set(w.problemStatementId, position);
+      return { ...w, position };
+    });
+  }
+
+  // Settings (event configuration such as the allocation mode)
+  async getSettings() {
+    const data = await this.#read();
+    return { ...(data.settings || {}) };
+  }
+
+  async updateSettings(patch) {
+    return this.#mutate(async (data) => {
+      data.settings = { ...(data.settings || {}), ...patch };
+      return { ...data.settings };
+    });
+  }
+
+  // Ranked preferences
+  async savePreferences(entry) {
+    return this.#mutate(async (data) => {
+      const target = String(entry.teamNumber).trim();
+      if (!Array.isArray(data.preferences)) data.preferences = [];
+      const record = {
+        teamNumber: target,
+        teamName: entry.teamName,
+        teamLeader: entry.teamLeader,
+        preferences: entry.preferences.slice(),
+        submittedAt: new Date().toISOString()
+      };
+      const idx = data.preferences.findIndex(p => p.teamNumber === target);
+      if (idx === -1) data.preferences.push(record); else data.preferences[idx] = record;
+      return { ...record };
+    });
+  }
+
+  async getPreferences() {
+    const data = await this.#read();
+    return (Array.isArray(data.preferences) ? data.preferences : []).map(p => ({ ...p, preferences: p.preferences.slice() }));
+  }
+
+  async deletePreferences(teamNumber) {
+    return this.#mutate(async (data) => {
+      const target = String(teamNumber).trim();
+      const before = Array.isArray(data.preferences) ? data.preferences.length : 0;
+      if (before === 0) return { changes: 0 };
+      data.preferences = data.preferences.filter(p => p.teamNumber !== target);
+      if (data.preferences.length === before) return { changes: 0 };
+      return { changes: 1 };
+    });
+  }
+
+  // Writes every assignment or none: any taken team or full problem aborts the whole run. Live holds count as taken
+  // seats; a team assigned to the problem it holds uses its own seat, and assigned teams' holds are released.
+  async commitAllocation(assignments, run) {
+    return this.#mutate(async (data) => {
+      const taken = new Set(data.registrations.map(r => String(r.teamNumber).trim()));
+      const holds = this.#activeHolds(data);
+      const counts = new Map();
+      const conflicts = [];
+      assignments.forEach(a => {
+        const ps = data.problemStatements.find(p => p.id === a.problemStatementId);
+        if (ps && !counts.has(ps.id)) counts.set(ps.id, this.#seatsTaken(data, ps.id));
+        const ownSeat = holds.some(h => h.teamNumber === String(a.teamNumber) && h.problemStatementId === a.problemStatementId);
+        if (!ps) conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_not_found' });
+        else if (taken.has(String(a.teamNumber))) conflicts.push({ teamNumber: a.teamNumber, reason: 'already_registered' });
+        else if (!ownSeat && counts.get(ps.id) >= ps.maxSelections) conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_full' });
+        taken.add(String(a.teamNumber));
+        if (ps && !ownSeat) counts.set(ps.id, counts.get(ps.id) + 1);
+      });
+      if (conflicts.length) return { changes: 0, conflicts };
+      const now = new Date().toISOString();
+      assignments.forEach(a => {
+        data.registrations.push({
+          teamNumber: String(a.teamNumber),
+          teamName: a.teamName,
+          teamLeader: a.teamLeader,
+          problemStatementId: a.problemStatementId,
+          registrationDateTime: now
+        });
+      });
+      const assignedTeams = new Set(assignments.map(a => String(a.teamNumber)));
+      if (Array.isArray(data.waitlist)) data.waitlist = data.waitlist.filter(w => !assignedTeams.has(w.teamNumber));
+      if (Array.isArray(data.holds)) data.holds = data.holds.filter(h => !assignedTeams.has(h.teamNumber));
+      if (!Array.isArray(data.allocationRuns)) data.allocationRuns = [];
+      const record = { ...run, committedAt: now };
+      data.allocationRuns.push(record);
+      return { changes: assignments.length, conflicts: [], run: record };
+    });
+  }
+
+  async getAllocationRuns() {
+    const data = await this.#read();
+    return (Array.isArray(data.allocationRuns) ? data.allocationRuns : []).map(r => ({ ...r }));
+  }
+
+  // Audit journal: append-only, one JSON entry per line
+  async appendAudit(entry) {
+    const line = JSON.stringify(entry) + '\n';
+    // Appends are queued so concurrent requests never interleave lines
+    const run = this.auditQueue.then(async () => {
+      if (!this.useBlob) {
+        await fsp.appendFile(this.auditFilePath, line, 'utf8');
+        return;
+      }
+      // Blob has no append: rewrite the journal with compare-and-swap, so another instance's entries are never lost
+      for (let attempt = 1; ; attempt++) {
         try {
-          // Re-read data after acquiring lock to get latest state
-          const data = await this.#readFromSource();
-          const target = String(registration.teamNumber).trim();
-          
-          // Check if team number is already taken
-          if (data.registrations.some(r => String(r.teamNumber).trim() === target)) {
-            return null;
-          }
-          
-          // Check if problem statement exists
-          const ps = data.problemStatements.find(p => p.id === registration.problemStatementId);
-          if (!ps) {
-            return null;
-          }
-          
-          // Check if problem statement is full
-          const current = data.registrations.filter(r => r.problemStatementId === ps.id).length;
-          if (current >= ps.maxSelections) {
-            return null;
-          }
-          
-          // All checks passed, create registration
-          const record = {
-            teamNumber: target,
-            teamName: registration.teamName,
-            teamLeader: registration.teamLeader,
-            problemStatementId: registration.problemStatementId,
-            registrationDateTime: new Date().toISOString()
-          };
-          
-          data.registrations.push(record);
-          await this.#atomicWrite(data);
-          return { id: record.teamNumber, changes: 1 };
-          
-        } finally {
-          // Release lock
-          if (!this.useBlob) {
-            try {
-              await fsp.unlink(lockFile);
-            } catch (_) {
-              // Ignore errors when removing lock file
-            }
-          }
+          const { text, version } = await this.#loadAudit();
+          await this.#writeAudit(text + line, version);
+          return;
+        } catch (error) {
+          if (error.code !== 'ECONFLICT' || attempt >= MAX_WRITE_ATTEMPTS) throw error;
         }
-      } catch (error) {
-        if (!this.useBlob) {
-          try {
-            await fsp.unlink(lockFile);
-          } catch (_) {}
-        }
-        
-        if (attempt === maxRetries - 1) {
-          throw error;
-        }
-        
-        // Wait before retrying
-        await new Promise(resolve => setTimeout(resolve, retryDelay));
+        await sleep(backoff(attempt));
       }
+    });
+    this.auditQueue = run.catch(() => {});
+    return run;
+  }
+
+  // The journal blob and its ETag (null when missing)
+  async #loadAudit() {
+    const { get } = await import('@vercel/blob');
+    const result = await get(this.auditPathname, { access: 'public', token: this.blobToken, useCache: false });
+    if (!result || result.statusCode !== 200) return { text: '', version: null };
+    return { text: await new Response(result.stream).text(), version: result.blob.etag };
+  }
+
+  // Same compare-and-swap as #atomicWrite: throws ECONFLICT when the journal changed since it was read
+  async #writeAudit(text, version) {
+    const { put, BlobPreconditionFailedError } = await import('@vercel/blob');
+    try {
+      await put(this.auditPathname, text, {
+        access: 'public',
+        contentType: 'application/x-ndjson',
+        token: this.blobToken,
+        addRandomSuffix: false,
+        allowOverwrite: version !== null,
+        ...(version !== null ? { ifMatch: version } : {}),
+        cacheControlMaxAge: 0
+      });
+    } catch (error) {
+      if (error instanceof BlobPreconditionFailedError || (version === null && /already exists/i.test(error.message))) throw writeConflict();
+      throw error;
     }
-    
-    throw new Error('Failed to acquire lock for registration after maximum retries');
   }
 
-  async deleteRegistration(teamNumber) {
+  async #readAuditText() {
+    if (!this.useBlob) {
+      try {
+        return await fsp.readFile(this.auditFilePath, 'utf8');
+      } catch {
+        return '';
+      }
+    }
+    try {
+      return (await this.#loadAudit()).text;
+    } catch {
+      return '';
+    }
+  }
+
+  // Newest first. filter: { action (prefix), actor, teamNumber, from, to, limit }
+  async getAuditLog(filter = {}) {
+    await this.auditQueue;
+    const entries = [];
+    (await this.#readAuditText()).split('\n').forEach(line => {
+      if (!line.trim()) return;
+      try { entries.push(JSON.parse(line)); } catch (_) {}
+    });
+    const matches = entries.filter(e =>
+      (!filter.action || String(e.action).startsWith(filter.action)) &&
+      (!filter.actor || (e.actor && e.actor.id === filter.actor)) &&
+      (!filter.teamNumber || e.teamNumber === String(filter.teamNumber).trim()) &&
+      (!filter.from || e.at >= filter.from) &&
+      (!filter.to || e.at <= filter.to)
+    ).reverse();
+    return filter.limit ? matches.slice(0, filter.limit) : matches;
+  }
+
+  // Backups: { id, createdAt, reason, ..., snapshot }; listings leave the snapshot out and are newest first
+  async saveBackup(backup) {
+    const str = JSON.stringify(backup);
+    if (!this.useBlob) {
+      await fsp.mkdir(this.backupDir, { recursive: true });
+      await fsp.writeFile(path.join(this.backupDir, `${backup.id}.json`), str, 'utf8');
+      return;
+    }
+    const { put } = await import('@vercel/blob');
+    await put(`${this.backupPrefix}${backup.id}.json`, str, {
+      access: 'public',
+      contentType: 'application/json',
+      token: this.blobToken,
+      addRandomSuffix: false,
+      cacheControlMaxAge: 0
+    });
+  }
+
+  async #readBackups() {
+    const texts = [];
+    if (!this.useBlob) {
+      const names = await fsp.readdir(this.backupDir).catch(() => []);
+      for (const name of names.filter(n => n.endsWith('.json'))) {
+        texts.push(await fsp.readFile(path.join(this.backupDir, name), 'utf8').catch(() => null));
+      }
+    } else {
+      const { list } = await import('@vercel/blob');
+      const { blobs } = await list({ token: this.blobToken, prefix: this.backupPrefix });
+      for (const blob of blobs) {
+        const res = await fetch(blob.url, { cache: 'no-store' });
+        texts.push(res.ok ? await res.text() : null);
+      }
+    }
+    const backups = [];
+    texts.forEach(text => { try { if (text) backups.push(JSON.parse(text)); } catch (_) {} });
+    return backups.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  async listBackups() {
+    return (await this.#readBackups()).map(({ snapshot, ...meta }) => meta);
+  }
+
+  async getBackup(id) {
+    if (!/^[\w-]+$/.test(String(id))) return null;
+    if (!this.useBlob) {
+      try {
+        return JSON.parse(await fsp.readFile(path.join(this.backupDir, `${id}.json`), 'utf8'));
+      } catch {
+        return null;
+      }
+    }
+    return (await this.#readBackups()).find(b => b.id === id) || null;
+  }
+
+  async deleteBackup(id) {
+    if (!/^[\w-]+$/.test(String(id))) return { changes: 0 };
+    if (!this.useBlob) {
+      try {
+        await fsp.unlink(path.join(this.backupDir, `${id}.json`));
+        return { changes: 1 };
+      } catch {
+        return { changes: 0 };
+      }
+    }
+    const { list, del } = await import('@vercel/blob');
+    const { blobs } = await list({ token: this.blobToken, prefix: `${this.backupPrefix}${id}.json` });
+    if (blobs.length === 0) return { changes: 0 };
+    await del(blobs.map(b => b.url), { token: this.blobToken });
+    return { changes: blobs.length };
+  }
+
+  // Team access codes
+  async getTeamAccessCodes() {
+    const data = await this.#read();
+    return Array.isArray(data.accessCodes) ? data.accessCodes.map(c => ({ ...c })) : [];
+  }
+
+  async getTeamAccessCode(teamNumber) {
+    const target = String(teamNumber).trim();
+    const codes = await this.getTeamAccessCodes();
+    return codes.find(c => c.teamNumber === target) || null;
+  }
+
+  async saveTeamAccessCodes(codes) {
+    return this.#mutate(async (data) => {
+      const byTeam = new Map((Array.isArray(data.accessCodes) ? data.accessCodes : []).map(c => [c.teamNumber, c]));
+      codes.forEach(c => {
+        const teamNumber = String(c.teamNumber).trim();
+        byTeam.set(teamNumber, { teamNumber, code: c.code, createdAt: c.createdAt || new Date().toISOString() });
+      });
+      data.accessCodes = Array.from(byTeam.values());
+      return { changes: codes.length };
+    });
+  }
+
+  // Team roster, in the order the teams were added
+  async getTeams() {
     const data = await this.#read();
+    return Array.isArray(data.teams) ? data.teams.map(toTeam) : [];
+  }
+
+  async getTeam(teamNumber) {
     const target = String(teamNumber).trim();
-    const before = data.registrations.length;
-    data.registrations = data.registrations.filter(r => String(r.teamNumber).trim() !== target);
-    await this.#atomicWrite(data);
-    return { changes: before - data.registrations.length };
+    const teams = await this.getTeams();
+    return teams.find(t => t.teamNumber === target) || null;
+  }
+
+  async createTeam(team) {
+    return this.#mutate(async (data) => {
+      if (!Array.isArray(data.teams)) data.teams = [];
+      const record = toTeam(team);
+      if (data.teams.some(t => t.teamNumber === record.teamNumber)) return { changes: 0 };
+      data.teams.push(record);
+      return { changes: 1 };
+    });
+  }
+
+  // Adds or replaces the given teams and deletes the removed ones in one write
+  async upsertTeams(teams, { remove = [] } = {}) {
+    return this.#mutate(async (data) => {
+      const removing = new Set(remove.map(t => String(t).trim()));
+      const before = Array.isArray(data.teams) ? data.teams : [];
+      data.teams = before.filter(t => !removing.has(t.teamNumber));
+      const removed = before.length - data.teams.length;
+      teams.forEach(team => {
+        const record = toTeam(team);
+        const idx = data.teams.findIndex(t => t.teamNumber === record.teamNumber);
+        if (idx === -1) data.teams.push(record);
+        else data.teams[idx] = record;
+      });
+      return { changes: teams.length + removed };
+    });
+  }
+
+  // Email outbox
+  async queueEmails(emails) {
+    return this.#mutate(async (data) => {
+      const outbox = (Array.isArray(data.outbox) ? data.outbox : []).concat(emails.map(toEmail));
+      const sent = outbox.filter(e => e.status === 'sent');
+      const dropped = new Set(sent.slice(0, Math.max(0, sent.length - OUTBOX_KEEP_SENT)).map(e => e.id));
+      data.outbox = outbox.filter(e => !dropped.has(e.id));
+      return { changes: emails.length };
+    });
+  }
+
+  // Due emails become 'sending' with one more attempt; if the sender never reports back, they are due again after leaseMs
+  async claimEmails({ limit = 10, leaseMs = 120000 } = {}) {
+    return this.#mutate(async (data) => {
+      const now = new Date();
+      const due = (Array.isArray(data.outbox) ? data.outbox : [])
+        .filter(e => (e.status === 'queued' || e.status === 'sending') && e.nextAttemptAt <= now.toISOString())
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .slice(0, limit);
+      due.forEach(e => {
+        e.status = 'sending';
+        e.attempts = (e.attempts || 0) + 1;
+        e.nextAttemptAt = new Date(now.getTime() + leaseMs).toISOString();
+      });
+      return due.map(toEmail);
+    });
+  }
+
+  async updateEmail(id, patch) {
+    return this.#mutate(async (data) => {
+      const email = (Array.isArray(data.outbox) ? data.outbox : []).find(e => e.id === id);
+      if (!email) return null;
+      EMAIL_FIELDS.forEach(f => { if (patch[f] !== undefined) email[f] = patch[f]; });
+      return toEmail(email);
+    });
+  }
+
+  // Newest first
+  async getOutbox({ status = null, limit = 100 } = {}) {
+    const data = await this.#read();
+    return (Array.isArray(data.outbox) ? data.outbox : [])
+      .filter(e => !status || e.status === status)
+      .reverse()
+      .slice(0, limit)
+      .map(toEmail);
+  }
+
+  // Webhook delivery log
+  async queueWebhookDeliveries(deliveries) {
+    return this.#mutate(async (data) => {
+      const log = (Array.isArray(data.webhookDeliveries) ? data.webhookDeliveries : []).concat(deliveries.map(toDelivery));
+      const delivered = log.filter(d => d.status === 'delivered');
+      const dropped = new Set(delivered.slice(0, Math.max(0, delivered.length - WEBHOOK_KEEP_DELIVERED)).map(d => d.id));
+      data.webhookDeliveries = log.filter(d => !dropped.has(d.id));
+      return { changes: deliveries.length };
+    });
+  }
+
+  // As claimEmails
+  async claimWebhookDeliveries({ limit = 10, leaseMs = 120000 } = {}) {
+    return this.#mutate(async (data) => {
+      const now = new Date();
+      const due = (Array.isArray(data.webhookDeliveries) ? data.webhookDeliveries : [])
+        .filter(d => (d.status === 'queued' || d.status === 'sending') && d.nextAttemptAt <= now.toISOString())
+        .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt))
+        .slice(0, limit);
+      due.forEach(d => {
+        d.status = 'sending';
+        d.attempts = (d.attempts || 0) + 1;
+        d.nextAttemptAt = new Date(now.getTime() + leaseMs).toISOString();
+      });
+      return due.map(toDelivery);
+    });
+  }
+
+  async updateWebhookDelivery(id, patch) {
+    return this.#mutate(async (data) => {
+      const delivery = (Array.isArray(data.webhookDeliveries) ? data.webhookDeliveries : []).find(d => d.id === id);
+      if (!delivery) return null;
+      DELIVERY_FIELDS.forEach(f => { if (patch[f] !== undefined) delivery[f] = patch[f]; });
+      return toDelivery(delivery);
+    });
+  }
+
+  async getWebhookDelivery(id) {
+    const data = await this.#read();
+    const delivery = (Array.isArray(data.webhookDeliveries) ? data.webhookDeliveries : []).find(d => d.id === String(id));
+    return delivery ? toDelivery(delivery) : null;
+  }
+
+  // Newest first
+  async getWebhookDeliveries({ status = null, subscriptionId = null, limit = 100 } = {}) {
+    const data = await this.#read();
+    return (Array.isArray(data.webhookDeliveries) ? data.webhookDeliveries : [])
+      .filter(d => (!status || d.status === status) && (!subscriptionId || d.subscriptionId === subscriptionId))
+      .reverse()
+      .slice(0, limit)
+      .map(toDelivery);
+  }
+
+  // Replaces problems, registrations, waitlist and access codes with a validated snapshot (see snapshot.js), and the
+  // roster too when the snapshot has one
+  async restoreSnapshot(snapshot) {
+    return this.#mutate(async (data) => {
+      data.problemStatements = snapshot.problemStatements.map(p => ({ ...p, technologies: p.technologies.slice() }));
+      data.registrations = snapshot.registrations.map(r => ({ ...r }));
+      data.waitlist = snapshot.waitlist.map(w => ({ ...w }));
+      data.accessCodes = snapshot.accessCodes.map(c => ({ ...c }));
+      if (Array.isArray(snapshot.roster)) data.teams = snapshot.roster.map(toTeam);
+      data.holds = [];
+      return { changes: 1 };
+    });
   }
 
   async importFromJSON(jsonData) {
     if (!jsonData || !Array.isArray(jsonData.problemStatements)) return;
-    const data = await this.#read();
-    const newIds = new Set(data.problemStatements.map(p => p.id));
-    jsonData.problemStatements.forEach(ps => {
-      if (!newIds.has(ps.id)) {
-        const parsedMax = typeof ps.maxSelections === 'number' ? ps.maxSelections : parseInt(ps.maxSelections || '0', 10) || 0;
-        const maxSel = Math.max(1, parsedMax);
-        data.problemStatements.push({
-          id: ps.id,
-          title: ps.title,
-          description: ps.description,
-          maxSelections: maxSel,
-          category: ps.category || null,
-          difficulty: ps.difficulty || null,
-          technologies: Array.isArray(ps.technologies) ? ps.technologies : []
-        });
-      }
+    await this.#mutate(async (data) => {
+      const newIds = new Set(data.problemStatements.map(p => p.id));
+      jsonData.problemStatements.forEach(ps => {
+        if (!newIds.has(ps.id)) {
+          const parsedMax = typeof ps.maxSelections === 'number' ? ps.maxSelections : parseInt(ps.maxSelections || '0', 10) || 0;
+          const maxSel = Math.max(1, parsedMax);
+          data.problemStatements.push({
+            id: ps.id,
+            title: ps.title,
+            description: ps.description,
+            maxSelections: maxSel,
+            category: ps.category || null,
+            difficulty: ps.difficulty || null,
+            technologies: Array.isArray(ps.technologies) ? ps.technologies : []
+          });
+        }
+      });
+    });
+  }
+
+  // Adds or updates the given problems and deletes the removed ones in one write. Nothing is written when an update
+  // would leave a problem over capacity or a removed problem still has registrations ({ changes: 0, conflicts }).
+  async upsertProblemStatements(problems, { remove = [] } = {}) {
+    return this.#mutate(async (data) => {
+      const registered = (id) => data.registrations.filter(r => r.problemStatementId === id).length;
+      const existing = new Map(data.problemStatements.map(p => [p.id, p]));
+      const conflicts = [];
+      problems.forEach(p => {
+        if (existing.has(p.id) && registered(p.id) > p.maxSelections) conflicts.push({ type: 'over_capacity', problemStatementId: p.id, registrations: registered(p.id), maxSelections: p.maxSelections });
+      });
+      remove.forEach(id => {
+        if (registered(id) > 0) conflicts.push({ type: 'has_registrations', problemStatementId: id, registrations: registered(id) });
+      });
+      if (conflicts.length) return { changes: 0, conflicts };
+      const removing = new Set(remove.filter(id => existing.has(id)));
+      data.problemStatements = data.problemStatements.filter(p => !removing.has(p.id));
+      if (Array.isArray(data.waitlist)) data.waitlist = data.waitlist.filter(w => !removing.has(w.problemStatementId));
+      if (Array.isArray(data.holds)) data.holds = data.holds.filter(h => !removing.has(h.problemStatementId));
+      problems.forEach(p => {
+        const record = {
+          id: p.id,
+          title: p.title,
+          description: p.description,
+          maxSelections: Math.max(1, parseInt(p.maxSelections, 10) || 0),
+          category: p.category || null,
+          difficulty: p.difficulty || null,
+          technologies: Array.isArray(p.technologies) ? p.technologies : []
+        };
+        const idx = data.problemStatements.findIndex(x => x.id === p.id);
+        if (idx === -1) data.problemStatements.push(record);
+        else data.problemStatements[idx] = record;
+      });
+      // Raised limits go to waitlisted teams
+      const promoted = this.#promoteFromWaitlist(data, problems.filter(p => existing.has(p.id)).map(p => p.id));
+      return { changes: problems.length + removing.size, conflicts: [], promoted };
     });
-    await this.#atomicWrite(data);
   }
 
   async seedProblemStatements() {
-    const defaults = [
-      { id: 'ps001', title: 'Secure Authentication System', description: 'Design and implement a multi-factor authentication system with biometric verification, OTP, and secure session management for a banking application.', maxSelections: 2, category: 'Cybersecurity', difficulty: 'Advanced', technologies: ['Node.js', 'React', 'JWT'] },
-      { id: 'ps002', title: 'AI-Powered Code Review Assistant', description: 'Develop an intelligent code review tool that uses machine learning to detect bugs, security vulnerabilities, and suggest improvements in real-time.', maxSelections: 2, category: 'Artificial Intelligence', difficulty: 'Advanced', technologies: ['Python', 'TensorFlow'] },
-      { id: 'ps003', title: 'Blockchain Supply Chain Tracker', description: 'Create a transparent supply chain management system using blockchain technology to track products from manufacturer to consumer.', maxSelections: 2, category: 'Blockchain', difficulty: 'Intermediate', technologies: ['Ethereum', 'Solidity'] }
-    ];
-    const data = (await this.#read()) || this.defaultData;
-    data.problemStatements = defaults;
-    await this.#atomicWrite(data);
+    await this.#mutate(async (data) => {
+      data.problemStatements = SAMPLE_PROBLEMS.map(p => ({ ...p, technologies: p.technologies.slice() }));
+    });
   }
 
   async resetAll() {
-    const data = { problemStatements: [], registrations: [] };
-    // Re-seed defaults with at least 1 max selection each (already >=1)
-    await this.#atomicWrite(data);
-    await this.seedProblemStatements();
+    await this.#mutate(async (current) => {
+      // The roster and its access codes are handed out in advance, so they survive a reset, as do configuration,
+      // the outbox (which holds the reset notices) and the webhook log
+      const kept = {
+        settings: current.settings || {},
+        accessCodes: Array.isArray(current.accessCodes) ? current.accessCodes : [],
+        teams: Array.isArray(current.teams) ? current.teams : [],
+        outbox: Array.isArray(current.outbox) ? current.outbox : [],
+        webhookDeliveries: Array.isArray(current.webhookDeliveries) ? current.webhookDeliveries : []
+      };
+      // Events without seeded defaults keep their own problem statements; the default event gets the samples back
+      const problemStatements = this.seedDefaults
+        ? SAMPLE_PROBLEMS.map(p => ({ ...p, technologies: p.technologies.slice() }))
+        : (Array.isArray(current.problemStatements) ? current.problemStatements : []);
+      Object.keys(current).forEach(key => { if (key !== 'revision') delete current[key]; });
+      Object.assign(current, { problemStatements, registrations: [], waitlist: [], holds: [], preferences: [], allocationRuns: [], ...kept });
+    });
     return true;
   }
 }
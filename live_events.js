@@ -0,0 +1,57 @@
+// Server-Sent Events channels with numbered events and Last-Event-ID replay
+const HEARTBEAT_MS = 30000;
+
+class EventChannel {
+  constructor(name, { bufferSize = 500, headers = {} } = {}) {
+    this.name = name;
+    this.bufferSize = bufferSize;
+    this.headers = headers;
+    // Ids start from the boot time so they keep increasing across restarts
+    this.lastId = Date.now();
+    this.buffer = [];
+    // The newest id that is not in the buffer (evicted, or from before a boot or reset); ids on one channel can skip
+    // numbers, so the oldest buffered id alone cannot tell whether a client missed anything
+    this.floor = this.lastId;
+    this.clients = new Set();
+  }
+
+  // Continues numbering from the shared event bus; older buffered events no longer match its ids
+  reset(lastId) {
+    this.lastId = lastId;
+    this.buffer = [];
+    this.floor = lastId;
+  }
+
+  // id comes from the event bus when events are shared between instances
+  publish(type, data, id = this.lastId + 1) {
+    this.lastId = id;
+    const message = `id: ${id}\ndata: ${JSON.stringify({ id, type, data, timestamp: new Date().toISOString() })}\n\n`;
+    this.buffer.push({ id, message });
+    if (this.buffer.length > this.bufferSize) this.floor = this.buffer.shift().id;
+    this.clients.forEach((client) => { try { client.write(message); } catch (_) { this.clients.delete(client); } });
+    return id;
+  }
+
+  // Sends what the client missed since lastEventId, or a 'resync' event when that is no longer buffered
+  #replay(res, lastEventId) {
+    if (lastEventId > this.lastId || lastEventId < this.floor) {
+      res.write(`data: ${JSON.stringify({ type: 'resync', lastEventId: this.lastId })}\n\n`);
+      return;
+    }
+    this.buffer.filter(e => e.id > lastEventId).forEach(e => res.write(e.message));
+  }
+
+  connect(req, res) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive', 'X-Accel-Buffering': 'no', ...this.headers });
+    res.write('retry: 3000\n\n');
+    res.write(`data: ${JSON.stringify({ type: 'connected', channel: this.name, lastEventId: this.lastId, message: 'Real-time updates enabled' })}\n\n`);
+    // Browsers send Last-Event-ID on automatic reconnects; manual reconnects can pass ?lastEventId=
+    const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId, 10);
+    if (Number.isFinite(lastEventId)) this.#replay(res, lastEventId);
+    this.clients.add(res);
+    const heartbeat = setInterval(() => { try { res.write(': heartbeat\n\n'); } catch (_) { clearInterval(heartbeat); this.clients.delete(res); } }, HEARTBEAT_MS);
+    req.on('close', () => { clearInterval(heartbeat); this.clients.delete(res); });
+  }
+}
+
+module.exports = { EventChannel };
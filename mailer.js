@@ -0,0 +1,150 @@
+// Email notifications: each event's store keeps an outbox of templated emails, which a worker delivers in the
+// background. MAIL_TRANSPORT picks how: smtp (SMTP_URL, or SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS),
+// file (one .eml per email under MAIL_DIR, for local testing) or console. Without one (and no SMTP settings), email is
+// off and nothing is queued. Failed sends are retried with exponential backoff, up to MAIL_MAX_ATTEMPTS (default 5).
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { processDue } = require('./delivery_queue');
+
+const TRANSPORTS = ['smtp', 'file', 'console', 'off'];
+const MAIL_FROM = process.env.MAIL_FROM || 'Hackathon Registrations <no-reply@localhost>';
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.MAIL_MAX_ATTEMPTS || '5', 10) || 5);
+// Seconds between outbox runs; new emails also start a run straight away
+const INTERVAL_SECONDS = Math.max(5, parseInt(process.env.MAIL_INTERVAL_SECONDS || '30', 10) || 30);
+const STATUSES = ['queued', 'sending', 'sent', 'failed'];
+
+function transportName() {
+  const name = (process.env.MAIL_TRANSPORT || (process.env.SMTP_URL || process.env.SMTP_HOST ? 'smtp' : 'off')).toLowerCase();
+  if (!TRANSPORTS.includes(name)) throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  return name;
+}
+
+function toMessage(email) {
+  return { from: MAIL_FROM, to: email.to.join(', '), subject: email.subject, text: email.text, messageId: `<${email.id}@hackathon>` };
+}
+
+function toEml(email) {
+  const headers = [
+    `From: ${MAIL_FROM}`,
+    `To: ${email.to.join(', ')}`,
+    `Subject: ${email.subject}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${email.id}@hackathon>`,
+    'Content-Type: text/plain; charset=utf-8'
+  ];
+  return `${headers.join('\r\n')}\r\n\r\n${email.text.replace(/\r?\n/g, '\r\n')}\r\n`;
+}
+
+// A transport is { name, send(email) }; send rejects when the email was not accepted. null when email is off.
+function createTransport(name = transportName()) {
+  if (name === 'off') return null;
+  if (name === 'smtp') {
+    // nodemailer is only loaded when SMTP is used
+    const nodemailer = require('nodemailer');
+    const smtp = nodemailer.createTransport(process.env.SMTP_URL || {
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT || '587', 10),
+      secure: process.env.SMTP_SECURE === '1',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+    return { name, send: (email) => smtp.sendMail(toMessage(email)) };
+  }
+  if (name === 'file') {
+    const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'hackathon-mail');
+    return {
+      name,
+      send: async (email) => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(path.join(dir, `${email.createdAt.replace(/[-:.]/g, '')}-${email.id}.eml`), toEml(email), 'utf8');
+      }
+    };
+  }
+  return { name, send: async (email) => console.log(`[mail] To: ${email.to.join(', ')}\n[mail] Subject: ${email.subject}\n${email.text}`) };
+}
+
+const problemLine = (p) => (p ? (p.title ? `${p.id} · ${p.title}` : p.id) : '');
+
+// Each template gets { eventName, team: { teamNumber, teamName }, problem, from, position, receiptUrl, portalUrl }
+// and returns { subject, lines }; links are left out when PUBLIC_BASE_URL is not set
+const TEMPLATES = {
+  registration: (d) => ({
+    subject: `${d.eventName}: registration confirmed`,
+    lines: [`Team ${d.team.teamNumber} (${d.team.teamName}) is registered for:`, problemLine(d.problem), '', d.receiptUrl ? `Your receipt: ${d.receiptUrl}` : null]
+  }),
+  assignment: (d) => ({
+    subject: `${d.eventName}: problem statement assigned`,
+    lines: [`The organisers have assigned team ${d.team.teamNumber} (${d.team.teamName}) to:`, problemLine(d.problem), '', d.receiptUrl ? `Your receipt: ${d.receiptUrl}` : null]
+  }),
+  swap: (d) => ({
+    subject: `${d.eventName}: problem statement changed`,
+    lines: [`Team ${d.team.teamNumber} (${d.team.teamName}) has moved from ${problemLine(d.from)} to:`, problemLine(d.problem), '', d.receiptUrl ? `Your new receipt: ${d.receiptUrl}` : null]
+  }),
+  move: (d) => ({
+    subject: `${d.eventName}: problem statement changed by the organisers`,
+    lines: [`The organisers have moved team ${d.team.teamNumber} (${d.team.teamName}) from ${problemLine(d.from)} to:`, problemLine(d.problem), '', d.receiptUrl ? `Your new receipt: ${d.receiptUrl}` : null]
+  }),
+  withdrawal: (d) => ({
+    subject: `${d.eventName}: registration withdrawn`,
+    lines: [`Team ${d.team.teamNumber} (${d.team.teamName}) has withdrawn from ${problemLine(d.problem)}.`, 'You can choose another problem statement while registration is open.']
+  }),
+  deletion: (d) => ({
+    subject: `${d.eventName}: registration removed`,
+    lines: [`The organisers have removed the registration of team ${d.team.teamNumber} (${d.team.teamName}) for ${problemLine(d.problem)}.`, 'Please contact the organisers if this is unexpected.']
+  }),
+  reset: (d) => ({
+    subject: `${d.eventName}: registrations have been reset`,
+    lines: [`All registrations have been cleared, including team ${d.team.teamNumber}'s registration for ${problemLine(d.problem)}.`, 'Please register again when registration reopens.']
+  }),
+  'waitlist-join': (d) => ({
+    subject: `${d.eventName}: you are on the waitlist`,
+    lines: [`Team ${d.team.teamNumber} (${d.team.teamName}) is number ${d.position} on the waitlist for:`, problemLine(d.problem), '', 'We will email you if a slot opens up.']
+  }),
+  'waitlist-promotion': (d) => ({
+    subject: `${d.eventName}: a slot opened up - you are registered`,
+    lines: [`A slot opened up and team ${d.team.teamNumber} (${d.team.teamName}) has been registered from the waitlist for:`, problemLine(d.problem), '', d.receiptUrl ? `Your receipt: ${d.receiptUrl}` : null]
+  })
+};
+
+// A new outbox email. to: recipient addresses; returns null when there are none.
+function composeEmail(template, data, to) {
+  if (!TEMPLATES[template]) throw new Error(`Unknown email template: ${template}`);
+  const recipients = Array.from(new Set((to || []).filter(Boolean)));
+  if (recipients.length === 0) return null;
+  const { subject, lines } = TEMPLATES[template](data);
+  const footer = ['', '--', data.portalUrl ? `Team portal: ${data.portalUrl}` : null, `This message was sent by the ${data.eventName} registration desk.`];
+  const createdAt = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    to: recipients,
+    subject,
+    text: [`Hello ${data.team.teamName},`, '', ...lines, ...footer].filter(line => line !== null).join('\n'),
+    template,
+    teamNumber: data.team.teamNumber,
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    createdAt,
+    nextAttemptAt: createdAt,
+    sentAt: null
+  };
+}
+
+// One outbox run: claims due emails and sends them one by one (see delivery_queue.js). Returns { sent, retrying, failed }.
+async function deliverDue(store, transport, { limit, maxAttempts = MAX_ATTEMPTS } = {}) {
+  if (!transport) return { sent: 0, retrying: 0, failed: 0 };
+  const { done, retrying, failed } = await processDue({
+    claim: (options) => store.claimEmails(options),
+    send: async (email) => {
+      await transport.send(email);
+      return { status: 'sent', sentAt: new Date().toISOString() };
+    },
+    update: (id, patch) => store.updateEmail(id, patch),
+    limit,
+    maxAttempts
+  });
+  return { sent: done, retrying, failed };
+}
+
+module.exports = { TRANSPORTS, STATUSES, INTERVAL_SECONDS, MAX_ATTEMPTS, TEMPLATES, transportName, createTransport, composeEmail, deliverDue };
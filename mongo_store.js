@@ -1,11 +1,67 @@
 const { MongoClient } = require('mongodb');
 
+// Roster entries as every store returns them
+function toTeam(team) {
+  return {
+    teamNumber: String(team.teamNumber).trim(),
+    teamName: team.teamName,
+    teamLeader: team.teamLeader,
+    institution: team.institution || null,
+    contactPhone: team.contactPhone || null,
+    members: Array.isArray(team.members) ? team.members.map(m => ({ name: m.name, email: m.email || null })) : []
+  };
+}
+
+// Outbox emails as every store returns them (see mailer.js)
+function toEmail(email) {
+  return {
+    id: email.id,
+    to: Array.isArray(email.to) ? email.to.slice() : [],
+    subject: email.subject,
+    text: email.text,
+    template: email.template || null,
+    teamNumber: email.teamNumber === undefined || email.teamNumber === null ? null : String(email.teamNumber).trim(),
+    status: email.status || 'queued',
+    attempts: email.attempts || 0,
+    lastError: email.lastError || null,
+    createdAt: email.createdAt,
+    nextAttemptAt: email.nextAttemptAt || email.createdAt,
+    sentAt: email.sentAt || null
+  };
+}
+
+const EMAIL_FIELDS = ['status', 'attempts', 'lastError', 'nextAttemptAt', 'sentAt'];
+
+// Webhook deliveries as every store returns them (see webhooks.js)
+function toDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    type: delivery.type,
+    payloadId: delivery.payloadId,
+    body: delivery.body,
+    status: delivery.status || 'queued',
+    attempts: delivery.attempts || 0,
+    lastError: delivery.lastError || null,
+    responseStatus: delivery.responseStatus || null,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt || delivery.createdAt,
+    deliveredAt: delivery.deliveredAt || null,
+    replayOf: delivery.replayOf || null
+  };
+}
+
+const DELIVERY_FIELDS = ['status', 'attempts', 'lastError', 'responseStatus', 'nextAttemptAt', 'deliveredAt'];
+
 class MongoStore {
-  constructor(uri, dbName, collectionPrefix = '') {
+  // Hosted events other than the default get their own collection prefix and share the default event's client
+  constructor(uri, dbName, collectionPrefix = '', { client = null, seedDefaults = true } = {}) {
     this.uri = uri;
     this.dbName = dbName;
     this.collectionPrefix = collectionPrefix || '';
-    this.client = new MongoClient(this.uri, { serverSelectionTimeoutMS: 10000 });
+    this.seedDefaults = seedDefaults;
+    this.ownsClient = !client;
+    this.client = client || new MongoClient(this.uri, { serverSelectionTimeoutMS: 10000 });
     this.db = null;
     this.collections = null;
   }
@@ -16,42 +72,74 @@ class MongoStore {
     this.db = this.client.db(this.dbName);
     const ps = this.db.collection(`${this.collectionPrefix}problem_statements`);
     const regs = this.db.collection(`${this.collectionPrefix}registrations`);
-    this.collections = { ps, regs };
+    const codes = this.db.collection(`${this.collectionPrefix}access_codes`);
+    const waitlist = this.db.collection(`${this.collectionPrefix}waitlist`);
+    const settings = this.db.collection(`${this.collectionPrefix}settings`);
+    const prefs = this.db.collection(`${this.collectionPrefix}preferences`);
+    const runs = this.db.collection(`${this.collectionPrefix}allocation_runs`);
+    const audit = this.db.collection(`${this.collectionPrefix}audit_log`);
+    const backups = this.db.collection(`${this.collectionPrefix}backups`);
+    const holds = this.db.collection(`${this.collectionPrefix}holds`);
+    const teams = this.db.collection(`${this.collectionPrefix}teams`);
+    const outbox = this.db.collection(`${this.collectionPrefix}outbox`);
+    const webhooks = this.db.collection(`${this.collectionPrefix}webhook_deliveries`);
+    this.collections = { ps, regs, codes, waitlist, settings, prefs, runs, audit, backups, holds, teams, outbox, webhooks };
     // indexes
     await ps.createIndex({ id: 1 }, { unique: true });
+    await codes.createIndex({ teamNumber: 1 }, { unique: true });
+    await teams.createIndex({ teamNumber: 1 }, { unique: true });
+    await waitlist.createIndex({ teamNumber: 1 }, { unique: true });
+    await waitlist.createIndex({ problemStatementId: 1, joinedAt: 1 });
+    await prefs.createIndex({ teamNumber: 1 }, { unique: true });
+    await audit.createIndex({ at: -1 });
+    await audit.createIndex({ teamNumber: 1, at: -1 });
+    await backups.createIndex({ createdAt: -1 });
+    await outbox.createIndex({ status: 1, nextAttemptAt: 1 });
+    await outbox.createIndex({ createdAt: -1 });
+    await webhooks.createIndex({ status: 1, nextAttemptAt: 1 });
+    await webhooks.createIndex({ subscriptionId: 1, createdAt: -1 });
+    await holds.createIndex({ teamNumber: 1 }, { unique: true });
+    await holds.createIndex({ problemStatementId: 1, expiresAt: 1 });
     await regs.createIndex({ teamNumber: 1 }, { unique: true });
     await regs.createIndex({ problemStatementId: 1 });
     // seed defaults if empty
-    const count = await ps.estimatedDocumentCount();
-    if (count === 0) {
-      const defaults = [
-        { id: 'ps001', title: 'Secure Authentication System', description: 'Design and implement a multi-factor authentication system with biometric verification, OTP, and secure session management for a banking application.', maxSelections: 2, category: 'Cybersecurity', difficulty: 'Advanced', technologies: ['Node.js', 'React', 'JWT'] },
-        { id: 'ps002', title: 'AI-Powered Code Review Assistant', description: 'Develop an intelligent code review tool that uses machine learning to detect bugs, security vulnerabilities, and suggest improvements in real-time.', maxSelections: 2, category: 'Artificial Intelligence', difficulty: 'Advanced', technologies: ['Python', 'TensorFlow'] },
-        { id: 'ps003', title: 'Blockchain Supply Chain Tracker', description: 'Create a transparent supply chain management system using blockchain technology to track products from manufacturer to consumer.', maxSelections: 2, category: 'Blockchain', difficulty: 'Intermediate', technologies: ['Ethereum', 'Solidity'] }
-      ];
-      await ps.insertMany(defaults);
-    }
+    if (this.seedDefaults && (await ps.estimatedDocumentCount()) === 0) await this.seedProblemStatements();
   }
 
   async close() {
+    if (!this.ownsClient) return;
     try { await this.client.close(); } catch (_) {}
   }
 
+  // Every read goes to the database, so there is no cache to drop
+  async refresh() { return; }
+
   async getAllProblemStatements() {
     if (!this.collections) await this.init();
-    const { ps, regs } = this.collections;
-    const [problems, registrations] = await Promise.all([
+    const { ps, regs, waitlist, holds } = this.collections;
+    const [problems, registrations, waiting, held] = await Promise.all([
       ps.find({}).toArray(),
-      regs.find({}).toArray()
+      regs.find({}).toArray(),
+      waitlist.find({}).project({ problemStatementId: 1 }).toArray(),
+      holds.find({ expiresAt: { $gt: new Date().toISOString() } }).project({ problemStatementId: 1 }).toArray()
     ]);
     const idToCount = new Map();
     registrations.forEach(r => {
       idToCount.set(r.problemStatementId, (idToCount.get(r.problemStatementId) || 0) + 1);
     });
+    const idToWaiting = new Map();
+    waiting.forEach(w => {
+      idToWaiting.set(w.problemStatementId, (idToWaiting.get(w.problemStatementId) || 0) + 1);
+    });
+    const idToHeld = new Map();
+    held.forEach(h => {
+      idToHeld.set(h.problemStatementId, (idToHeld.get(h.problemStatementId) || 0) + 1);
+    });
     return problems.map(p => {
       const parsedMax = typeof p.maxSelections === 'number' ? p.maxSelections : parseInt(p.maxSelections || '0', 10) || 0;
       const maxSel = Math.max(1, parsedMax);
       const selected = idToCount.get(p.id) || 0;
+      const heldCount = idToHeld.get(p.id) || 0;
       return {
         id: p.id,
         title: p.title,
@@ -61,7 +149,9 @@ class MongoStore {
         difficulty: p.difficulty || null,
         technologies: Array.isArray(p.technologies) ? p.technologies : [],
         selected_count: selected,
-        is_available: selected < maxSel
+        held_count: heldCount,
+        is_available: selected + heldCount < maxSel,
+        waitlist_count: idToWaiting.get(p.id) || 0
       };
     });
   }
@@ -69,7 +159,7 @@ class MongoStore {
   async getProblemStatementById(id) {
     if (!this.collections) await this.init();
     const { ps } = this.collections;
-    return await ps.findOne({ id })
+    return await ps.findOne({ id }, { projection: { seatVersion: 0 } });
   }
 
   async createProblemStatement(problemStatement) {
@@ -93,9 +183,11 @@ class MongoStore {
     }
   }
 
-  async updateProblemStatement(id, updates) {
+  // Refuses to lower maxSelections below the problem's registrations unless force is set. moves / remove: teams taken
+  // off the problem in the same transaction; nothing is written unless every move fits ({ reason: 'move_conflict' }).
+  async updateProblemStatement(id, updates, { force = false, moves = [], remove = [] } = {}) {
     if (!this.collections) await this.init();
-    const { ps } = this.collections;
+    const { ps, regs } = this.collections;
     const doc = {};
     if (updates.title !== undefined) doc.title = updates.title;
     if (updates.description !== undefined) doc.description = updates.description;
@@ -107,15 +199,52 @@ class MongoStore {
       const parsed = typeof val === 'number' ? val : parseInt(val || '0', 10) || 0;
       doc.maxSelections = Math.max(1, parsed);
     }
-    const res = await ps.updateOne({ id }, { $set: doc });
-    return { id, changes: res.modifiedCount };
+    if (doc.maxSelections === undefined && moves.length === 0 && remove.length === 0) {
+      const res = await ps.updateOne({ id }, { $set: doc });
+      return { id, changes: res.modifiedCount };
+    }
+    // A capacity increase hands the new slots to waitlisted teams in the same transaction
+    return this.#transaction(async (session) => {
+      const current = await ps.findOne({ id }, { session });
+      if (!current) return { id, changes: 0 };
+      const onProblem = async (teamNumber) => Boolean(await regs.findOne({ teamNumber, problemStatementId: id }, { session }));
+      const conflicts = [];
+      const incoming = new Map();
+      for (const m of moves) {
+        const problem = m.problemStatementId === id ? null : await ps.findOne({ id: m.problemStatementId }, { session });
+        const taken = problem ? await this.#seatsTaken(session, problem.id) + (incoming.get(problem.id) || 0) : 0;
+        if (!(await onProblem(m.teamNumber))) conflicts.push({ ...m, reason: 'not_registered' });
+        else if (!problem) conflicts.push({ ...m, reason: 'problem_not_found' });
+        else if (taken >= Math.max(1, typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0)) conflicts.push({ ...m, reason: 'problem_full' });
+        else incoming.set(problem.id, (incoming.get(problem.id) || 0) + 1);
+      }
+      for (const teamNumber of remove) {
+        if (!(await onProblem(teamNumber))) conflicts.push({ teamNumber, reason: 'not_registered' });
+      }
+      if (conflicts.length) return { id, changes: 0, reason: 'move_conflict', conflicts };
+      if (!force && doc.maxSelections < current.maxSelections) {
+        const registered = await regs.countDocuments({ problemStatementId: id }, { session }) - moves.length - remove.length;
+        if (doc.maxSelections < registered) return { id, changes: 0, reason: 'over_capacity', registered };
+      }
+      const res = Object.keys(doc).length ? await ps.updateOne({ id }, { $set: doc }, { session }) : { modifiedCount: 0 };
+      const now = new Date().toISOString();
+      for (const m of moves) {
+        await regs.updateOne({ teamNumber: m.teamNumber }, { $set: { problemStatementId: m.problemStatementId, registrationDateTime: now } }, { session });
+      }
+      if (remove.length) await regs.deleteMany({ teamNumber: { $in: remove } }, { session });
+      // A capacity increase (or the seats left by moved and removed teams) goes to waitlisted teams
+      const promoted = await this.#promoteFromWaitlist(session, [id]);
+      return { id, changes: res.modifiedCount || moves.length + remove.length, promoted, moved: moves.map(m => ({ teamNumber: m.teamNumber, from: id, to: m.problemStatementId })), removed: remove };
+    });
   }
 
   async deleteProblemStatement(id) {
     if (!this.collections) await this.init();
-    const { ps, regs } = this.collections;
+    const { ps, regs, waitlist, holds } = this.collections;
     const res = await ps.deleteOne({ id });
     await regs.deleteMany({ problemStatementId: id });
+    await waitlist.deleteMany({ problemStatementId: id });
+    await holds.deleteMany({ problemStatementId: id });
     return { id, changes: res.deletedCount };
   }
 
@@ -138,6 +267,26 @@ class MongoStore {
     }));
   }
 
+  // Row-at-a-time access for exports, in registration order, straight off a cursor
+  async *iterateRegistrations() {
+    if (!this.collections) await this.init();
+    const { regs, ps } = this.collections;
+    const idToPs = new Map((await ps.find({}).toArray()).map(p => [p.id, p]));
+    for await (const r of regs.find({}).sort({ registrationDateTime: 1 })) {
+      const problem = idToPs.get(r.problemStatementId);
+      yield {
+        team_number: r.teamNumber,
+        team_name: r.teamName,
+        team_leader: r.teamLeader,
+        problem_statement_id: r.problemStatementId,
+        problem_title: problem?.title || '',
+        problem_category: problem?.category || null,
+        problem_difficulty: problem?.difficulty || null,
+        registration_date_time: r.registrationDateTime
+      };
+    }
+  }
+
   async getRegistrationsByProblemStatement(problemStatementId) {
     if (!this.collections) await this.init();
     const { regs, ps } = this.collections;
@@ -160,7 +309,8 @@ class MongoStore {
     return Boolean(found);
   }
 
-  async createRegistrationAtomic(registration) {
+  // force (admin assignment) skips the capacity check
+  async createRegistrationAtomic(registration, { force = false } = {}) {
     if (!this.collections) await this.init();
     const { regs, ps } = this.collections;
     const target = String(registration.teamNumber).trim();
@@ -186,12 +336,12 @@ class MongoStore {
           return;
         }
         
-        // Check current registration count for this problem statement
+        // Check current registration count for this problem statement; seats held by other teams count too
         const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
         const maxSel = Math.max(1, parsedMax);
-        const current = await regs.countDocuments({ problemStatementId: problem.id }, { session });
+        const current = await this.#seatsTaken(session, problem.id, target);
         
-        if (current >= maxSel) {
+        if (!force && current >= maxSel) {
           result = null;
           return;
         }
@@ -206,6 +356,9 @@ class MongoStore {
         };
         
         await regs.insertOne(record, { session });
+        // Registering directly takes the team off any waitlist and uses up its hold
+        await this.collections.waitlist.deleteOne({ teamNumber: target }, { session });
+        await this.collections.holds.deleteOne({ teamNumber: target }, { session });
         result = { id: record.teamNumber, changes: 1 };
       }, {
         readConcern: { level: 'majority' },
@@ -227,14 +380,541 @@ class MongoStore {
     }
   }
 
+  // Moves a team to another problem only if the new one has a free slot (or force is set); the old slot is kept otherwise
+  async swapRegistrationAtomic(teamNumber, problemStatementId, { force = false } = {}) {
+    if (!this.collections) await this.init();
+    const { regs, ps } = this.collections;
+    const target = String(teamNumber).trim();
+    const session = this.client.startSession();
+    try {
+      let result = null;
+      await session.withTransaction(async () => {
+        result = null;
+        const record = await regs.findOne({ teamNumber: target }, { session });
+        if (!record || record.problemStatementId === problemStatementId) return;
+        const problem = await ps.findOne({ id: problemStatementId }, { session });
+        if (!problem) return;
+        const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
+        const maxSel = Math.max(1, parsedMax);
+        const current = await this.#seatsTaken(session, problem.id, target);
+        if (!force && current >= maxSel) return;
+        await regs.updateOne({ teamNumber: target }, { $set: { problemStatementId: problem.id, registrationDateTime: new Date().toISOString() } }, { session });
+        const promoted = await this.#promoteFromWaitlist(session, [record.problemStatementId]);
+        result = { id: target, from: record.problemStatementId, to: problem.id, changes: 1, promoted };
+      }, {
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' },
+        readPreference: 'primary'
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  async getRegistrationByTeamNumber(teamNumber) {
+    if (!this.collections) await this.init();
+    const { regs } = this.collections;
+    const record = await regs.findOne({ teamNumber: String(teamNumber).trim() });
+    if (!record) return null;
+    const { _id, ...rest } = record;
+    return rest;
+  }
+
   async deleteRegistration(teamNumber) {
     if (!this.collections) await this.init();
     const { regs } = this.collections;
     const target = String(teamNumber).trim();
-    const res = await regs.deleteOne({ teamNumber: target });
+    return this.#transaction(async (session) => {
+      const removed = await regs.findOneAndDelete({ teamNumber: target }, { session });
+      if (!removed) return { changes: 0, promoted: [] };
+      const promoted = await this.#promoteFromWaitlist(session, [removed.problemStatementId]);
+      return { changes: 1, promoted };
+    });
+  }
+
+  async #transaction(fn) {
+    const session = this.client.startSession();
+    try {
+      let result = null;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      }, {
+        readConcern: { level: 'majority' },
+        writeConcern: { w: 'majority' },
+        readPreference: 'primary'
+      });
+      return result;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  // Registrations plus live holds on a problem, leaving out the given team's own hold. Inserts into regs and holds by
+  // different teams never conflict, so each check first bumps the problem's seatVersion: two transactions counting the
+  // same problem's seats then write-conflict and one is retried against the other's result.
+  async #seatsTaken(session, problemStatementId, exceptTeam = null) {
+    const { ps, regs, holds } = this.collections;
+    await ps.updateOne({ id: problemStatementId }, { $inc: { seatVersion: 1 } }, { session });
+    const holdFilter = { problemStatementId, expiresAt: { $gt: new Date().toISOString() } };
+    if (exceptTeam !== null) holdFilter.teamNumber = { $ne: exceptTeam };
+    // One operation at a time: a transaction's session does not allow parallel operations
+    const registered = await regs.countDocuments({ problemStatementId }, { session });
+    const held = await holds.countDocuments(holdFilter, { session });
+    return registered + held;
+  }
+
+  // Holds: a seat reserved for one team until expiresAt, counted against maxSelections for everyone else.
+  // One hold per team: holding another problem replaces the earlier hold.
+  async createHoldAtomic(entry, seconds) {
+    if (!this.collections) await this.init();
+    const { ps, regs, holds } = this.collections;
+    const target = String(entry.teamNumber).trim();
+    return this.#transaction(async (session) => {
+      if (await regs.findOne({ teamNumber: target }, { session })) return { changes: 0, reason: 'registered' };
+      const problem = await ps.findOne({ id: entry.problemStatementId }, { session });
+      if (!problem) return { changes: 0, reason: 'not_found' };
+      const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
+      if (await this.#seatsTaken(session, problem.id, target) >= Math.max(1, parsedMax)) return { changes: 0, reason: 'full' };
+      const now = new Date();
+      const hold = {
+        teamNumber: target,
+        teamName: entry.teamName,
+        teamLeader: entry.teamLeader,
+        problemStatementId: problem.id,
+        heldAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + seconds * 1000).toISOString()
+      };
+      await holds.replaceOne({ teamNumber: target }, hold, { upsert: true, session });
+      return { changes: 1, hold };
+    });
+  }
+
+  // Freed seats go to the waitlist
+  async releaseHold(teamNumber) {
+    if (!this.collections) await this.init();
+    const { holds } = this.collections;
+    const target = String(teamNumber).trim();
+    return this.#transaction(async (session) => {
+      const removed = await holds.findOneAndDelete({ teamNumber: target }, { session });
+      if (!removed || removed.expiresAt <= new Date().toISOString()) return { changes: 0, promoted: [] };
+      return { changes: 1, promoted: await this.#promoteFromWaitlist(session, [removed.problemStatementId]) };
+    });
+  }
+
+  // Drops holds past their expiry and hands their seats to the waitlist
+  async expireHolds() {
+    if (!this.collections) await this.init();
+    const { holds } = this.collections;
+    return this.#transaction(async (session) => {
+      const filter = { expiresAt: { $lte: new Date().toISOString() } };
+      const expired = await holds.find(filter, { session }).project({ problemStatementId: 1 }).toArray();
+      if (expired.length === 0) return { changes: 0, promoted: [] };
+      await holds.deleteMany({ _id: { $in: expired.map(h => h._id) } }, { session });
+      return { changes: expired.length, promoted: await this.#promoteFromWaitlist(session, expired.map(h => h.problemStatementId)) };
+    });
+  }
+
+  // Live holds, soonest to expire first
+  async getHolds() {
+    if (!this.collections) await this.init();
+    const list = await this.collections.holds.find({ expiresAt: { $gt: new Date().toISOString() } }).sort({ expiresAt: 1 }).toArray();
+    return list.map(({ _id, ...h }) => h);
+  }
+
+  // Waitlist
+  // Fills free slots on the given problems from the head of their waitlists, inside the caller's transaction
+  async #promoteFromWaitlist(session, problemStatementIds) {
+    const { ps, regs, waitlist } = this.collections;
+    const promoted = [];
+    for (const pid of new Set(problemStatementIds)) {
+      const problem = await ps.findOne({ id: pid }, { session });
+      if (!problem) continue;
+      const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
+      const maxSel = Math.max(1, parsedMax);
+      let current = await this.#seatsTaken(session, pid);
+      while (current < maxSel) {
+        const entry = await waitlist.findOneAndDelete({ problemStatementId: pid }, { sort: { joinedAt: 1 }, session });
+        if (!entry) break;
+        const record = {
+          teamNumber: entry.teamNumber,
+          teamName: entry.teamName,
+          teamLeader: entry.teamLeader,
+          problemStatementId: pid,
+          registrationDateTime: new Date().toISOString()
+        };
+        await regs.insertOne(record, { session });
+        promoted.push({ teamNumber: record.teamNumber, teamName: record.teamName, problemStatementId: pid, waitlistedAt: entry.joinedAt });
+        current++;
+      }
+    }
+    return promoted;
+  }
+
+  async joinWaitlistAtomic(entry) {
+    if (!this.collections) await this.init();
+    const { ps, regs, waitlist } = this.collections;
+    const target = String(entry.teamNumber).trim();
+    return this.#transaction(async (session) => {
+      if (await regs.findOne({ teamNumber: target }, { session })) return { changes: 0, reason: 'registered' };
+      const problem = await ps.findOne({ id: entry.problemStatementId }, { session });
+      if (!problem) return { changes: 0, reason: 'not_found' };
+      const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
+      const current = await this.#seatsTaken(session, problem.id, target);
+      if (current < Math.max(1, parsedMax)) return { changes: 0, reason: 'available' };
+      // One waitlist at a time: joining another problem's list replaces the old spot
+      await waitlist.deleteOne({ teamNumber: target }, { session });
+      const joinedAt = new Date().toISOString();
+      await waitlist.insertOne({ teamNumber: target, teamName: entry.teamName, teamLeader: entry.teamLeader, problemStatementId: problem.id, joinedAt }, { session });
+      const position = await waitlist.countDocuments({ problemStatementId: problem.id, joinedAt: { $lte: joinedAt } }, { session });
+      return { changes: 1, position };
+    });
+  }
+
+  async leaveWaitlist(teamNumber) {
+    if (!this.collections) await this.init();
+    const { waitlist } = this.collections;
+    const res = await waitlist.deleteOne({ teamNumber: String(teamNumber).trim() });
+    return { changes: res.deletedCount };
+  }
+
+  // Entries in queue order, each with its 1-based position on its problem's list
+  async getWaitlist() {
+    if (!this.collections) await this.init();
+    const { waitlist } = this.collections;
+    const list = await waitlist.find({}).sort({ joinedAt: 1 }).toArray();
+    const positions = new Map();
+    return list.map(({ _id, ...w }) => {
+      const position = (positions.get(w.problemStatementId) || 0) + 1;
+      positions.set(w.problemStatementId, position);
+      return { ...w, position };
+    });
+  }
+
+  // Settings (event configuration such as the allocation mode)
+  async getSettings() {
+    if (!this.collections) await this.init();
+    const { settings } = this.collections;
+    const doc = await settings.findOne({ _id: 'settings' });
+    if (!doc) return {};
+    const { _id, ...rest } = doc;
+    return rest;
+  }
+
+  async updateSettings(patch) {
+    if (!this.collections) await this.init();
+    const { settings } = this.collections;
+    const doc = await settings.findOneAndUpdate({ _id: 'settings' }, { $set: patch }, { upsert: true, returnDocument: 'after' });
+    const { _id, ...rest } = doc || {};
+    return rest;
+  }
+
+  // Ranked preferences
+  async savePreferences(entry) {
+    if (!this.collections) await this.init();
+    const { prefs } = this.collections;
+    const record = {
+      teamNumber: String(entry.teamNumber).trim(),
+      teamName: entry.teamName,
+      teamLeader: entry.teamLeader,
+      preferences: entry.preferences.slice(),
+      submittedAt: new Date().toISOString()
+    };
+    await prefs.replaceOne({ teamNumber: record.teamNumber }, record, { upsert: true });
+    return record;
+  }
+
+  async getPreferences() {
+    if (!this.collections) await this.init();
+    const { prefs } = this.collections;
+    const list = await prefs.find({}).sort({ submittedAt: 1 }).toArray();
+    return list.map(({ _id, ...p }) => p);
+  }
+
+  async deletePreferences(teamNumber) {
+    if (!this.collections) await this.init();
+    const { prefs } = this.collections;
+    const res = await prefs.deleteOne({ teamNumber: String(teamNumber).trim() });
+    return { changes: res.deletedCount };
+  }
+
+  // Writes every assignment or none: any taken team or full problem aborts the whole run. Live holds count as taken
+  // seats; a team assigned to the problem it holds uses its own seat, and assigned teams' holds are released.
+  async commitAllocation(assignments, run) {
+    if (!this.collections) await this.init();
+    const { ps, regs, waitlist, holds, runs } = this.collections;
+    return this.#transaction(async (session) => {
+      const conflicts = [];
+      const counts = new Map();
+      const seen = new Set();
+      for (const a of assignments) {
+        const problem = await ps.findOne({ id: a.problemStatementId }, { session });
+        if (!problem) { conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_not_found' }); continue; }
+        if (!counts.has(problem.id)) counts.set(problem.id, await this.#seatsTaken(session, problem.id));
+        const parsedMax = typeof problem.maxSelections === 'number' ? problem.maxSelections : parseInt(problem.maxSelections || '0', 10) || 0;
+        const ownSeat = Boolean(await holds.findOne({ teamNumber: String(a.teamNumber), problemStatementId: problem.id, expiresAt: { $gt: new Date().toISOString() } }, { session }));
+        const taken = seen.has(String(a.teamNumber)) || Boolean(await regs.findOne({ teamNumber: String(a.teamNumber) }, { session }));
+        if (taken) conflicts.push({ teamNumber: a.teamNumber, reason: 'already_registered' });
+        else if (!ownSeat && counts.get(problem.id) >= Math.max(1, parsedMax)) conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_full' });
+        seen.add(String(a.teamNumber));
+        if (!ownSeat) counts.set(problem.id, counts.get(problem.id) + 1);
+      }
+      if (conflicts.length) {
+        await session.abortTransaction();
+        return { changes: 0, conflicts };
+      }
+      const now = new Date().toISOString();
+      if (assignments.length) {
+        await regs.insertMany(assignments.map(a => ({
+          teamNumber: String(a.teamNumber),
+          teamName: a.teamName,
+          teamLeader: a.teamLeader,
+          problemStatementId: a.problemStatementId,
+          registrationDateTime: now
+        })), { session });
+        await waitlist.deleteMany({ teamNumber: { $in: assignments.map(a => String(a.teamNumber)) } }, { session });
+        await holds.deleteMany({ teamNumber: { $in: assignments.map(a => String(a.teamNumber)) } }, { session });
+      }
+      const record = { ...run, committedAt: now };
+      await runs.insertOne({ ...record }, { session });
+      return { changes: assignments.length, conflicts: [], run: record };
+    });
+  }
+
+  async getAllocationRuns() {
+    if (!this.collections) await this.init();
+    const { runs } = this.collections;
+    const list = await runs.find({}).sort({ committedAt: 1 }).toArray();
+    return list.map(({ _id, ...r }) => r);
+  }
+
+  // Audit journal: insert-only, never updated or cleared
+  async appendAudit(entry) {
+    if (!this.collections) await this.init();
+    await this.collections.audit.insertOne({ ...entry });
+  }
+
+  // Newest first. filter: { action (prefix), actor, teamNumber, from, to, limit }
+  async getAuditLog(filter = {}) {
+    if (!this.collections) await this.init();
+    const query = {};
+    if (filter.action) query.action = { $regex: '^' + String(filter.action).replace(/[.*+?^${}()|[\]\\]/g, '\\$&') };
+    if (filter.actor) query['actor.id'] = filter.actor;
+    if (filter.teamNumber) query.teamNumber = String(filter.teamNumber).trim();
+    if (filter.from || filter.to) {
+      query.at = {};
+      if (filter.from) query.at.$gte = filter.from;
+      if (filter.to) query.at.$lte = filter.to;
+    }
+    let cursor = this.collections.audit.find(query).sort({ at: -1, _id: -1 });
+    if (filter.limit) cursor = cursor.limit(filter.limit);
+    const list = await cursor.toArray();
+    return list.map(({ _id, ...e }) => e);
+  }
+
+  // Backups: { id, createdAt, reason, ..., snapshot }; listings leave the snapshot out and are newest first
+  async saveBackup(backup) {
+    if (!this.collections) await this.init();
+    await this.collections.backups.insertOne({ _id: backup.id, ...backup });
+  }
+
+  async listBackups() {
+    if (!this.collections) await this.init();
+    const list = await this.collections.backups.find({}).project({ snapshot: 0 }).sort({ createdAt: -1 }).toArray();
+    return list.map(({ _id, ...meta }) => meta);
+  }
+
+  async getBackup(id) {
+    if (!this.collections) await this.init();
+    const doc = await this.collections.backups.findOne({ _id: String(id) });
+    if (!doc) return null;
+    const { _id, ...backup } = doc;
+    return backup;
+  }
+
+  async deleteBackup(id) {
+    if (!this.collections) await this.init();
+    const res = await this.collections.backups.deleteOne({ _id: String(id) });
     return { changes: res.deletedCount };
   }
 
+  // Team access codes
+  async getTeamAccessCodes() {
+    if (!this.collections) await this.init();
+    const { codes } = this.collections;
+    const list = await codes.find({}).toArray();
+    return list.map(c => ({ teamNumber: c.teamNumber, code: c.code, createdAt: c.createdAt }));
+  }
+
+  async getTeamAccessCode(teamNumber) {
+    if (!this.collections) await this.init();
+    const { codes } = this.collections;
+    const found = await codes.findOne({ teamNumber: String(teamNumber).trim() });
+    return found ? { teamNumber: found.teamNumber, code: found.code, createdAt: found.createdAt } : null;
+  }
+
+  async saveTeamAccessCodes(list) {
+    if (!this.collections) await this.init();
+    const { codes } = this.collections;
+    if (!list.length) return { changes: 0 };
+    const ops = list.map(c => {
+      const teamNumber = String(c.teamNumber).trim();
+      return { updateOne: { filter: { teamNumber }, update: { $set: { teamNumber, code: c.code, createdAt: c.createdAt || new Date().toISOString() } }, upsert: true } };
+    });
+    await codes.bulkWrite(ops);
+    return { changes: list.length };
+  }
+
+  // Team roster, in the order the teams were added
+  async getTeams() {
+    if (!this.collections) await this.init();
+    const list = await this.collections.teams.find({}).sort({ _id: 1 }).toArray();
+    return list.map(toTeam);
+  }
+
+  async getTeam(teamNumber) {
+    if (!this.collections) await this.init();
+    const found = await this.collections.teams.findOne({ teamNumber: String(teamNumber).trim() });
+    return found ? toTeam(found) : null;
+  }
+
+  async createTeam(team) {
+    if (!this.collections) await this.init();
+    try {
+      await this.collections.teams.insertOne(toTeam(team));
+      return { changes: 1 };
+    } catch (e) {
+      if (e && e.code === 11000) return { changes: 0 };
+      throw e;
+    }
+  }
+
+  // Adds or replaces the given teams and deletes the removed ones in one transaction
+  async upsertTeams(list, { remove = [] } = {}) {
+    if (!this.collections) await this.init();
+    const { teams } = this.collections;
+    return this.#transaction(async (session) => {
+      const { deletedCount } = await teams.deleteMany({ teamNumber: { $in: remove.map(t => String(t).trim()) } }, { session });
+      for (const team of list) {
+        const record = toTeam(team);
+        await teams.replaceOne({ teamNumber: record.teamNumber }, record, { upsert: true, session });
+      }
+      return { changes: list.length + deletedCount };
+    });
+  }
+
+  // Email outbox
+  async queueEmails(emails) {
+    if (!this.collections) await this.init();
+    if (emails.length) await this.collections.outbox.insertMany(emails.map(e => ({ _id: e.id, ...toEmail(e) })));
+    return { changes: emails.length };
+  }
+
+  // Due emails become 'sending' with one more attempt; if the sender never reports back, they are due again after
+  // leaseMs. Each email is claimed on its own, so concurrent workers never take the same one.
+  async claimEmails({ limit = 10, leaseMs = 120000 } = {}) {
+    if (!this.collections) await this.init();
+    const now = new Date();
+    const claimed = [];
+    while (claimed.length < limit) {
+      const email = await this.collections.outbox.findOneAndUpdate(
+        { status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now.toISOString() } },
+        { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + leaseMs).toISOString() }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+      );
+      if (!email) break;
+      claimed.push(toEmail(email));
+    }
+    return claimed;
+  }
+
+  async updateEmail(id, patch) {
+    if (!this.collections) await this.init();
+    const $set = {};
+    EMAIL_FIELDS.forEach(f => { if (patch[f] !== undefined) $set[f] = patch[f]; });
+    const email = Object.keys($set).length
+      ? await this.collections.outbox.findOneAndUpdate({ _id: String(id) }, { $set }, { returnDocument: 'after' })
+      : await this.collections.outbox.findOne({ _id: String(id) });
+    return email ? toEmail(email) : null;
+  }
+
+  // Newest first
+  async getOutbox({ status = null, limit = 100 } = {}) {
+    if (!this.collections) await this.init();
+    const list = await this.collections.outbox.find(status ? { status } : {}).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray();
+    return list.map(toEmail);
+  }
+
+  // Webhook delivery log
+  async queueWebhookDeliveries(deliveries) {
+    if (!this.collections) await this.init();
+    if (deliveries.length) await this.collections.webhooks.insertMany(deliveries.map(d => ({ _id: d.id, ...toDelivery(d) })));
+    return { changes: deliveries.length };
+  }
+
+  // As claimEmails
+  async claimWebhookDeliveries({ limit = 10, leaseMs = 120000 } = {}) {
+    if (!this.collections) await this.init();
+    const now = new Date();
+    const claimed = [];
+    while (claimed.length < limit) {
+      const delivery = await this.collections.webhooks.findOneAndUpdate(
+        { status: { $in: ['queued', 'sending'] }, nextAttemptAt: { $lte: now.toISOString() } },
+        { $set: { status: 'sending', nextAttemptAt: new Date(now.getTime() + leaseMs).toISOString() }, $inc: { attempts: 1 } },
+        { sort: { nextAttemptAt: 1 }, returnDocument: 'after' }
+      );
+      if (!delivery) break;
+      claimed.push(toDelivery(delivery));
+    }
+    return claimed;
+  }
+
+  async updateWebhookDelivery(id, patch) {
+    if (!this.collections) await this.init();
+    const $set = {};
+    DELIVERY_FIELDS.forEach(f => { if (patch[f] !== undefined) $set[f] = patch[f]; });
+    const delivery = Object.keys($set).length
+      ? await this.collections.webhooks.findOneAndUpdate({ _id: String(id) }, { $set }, { returnDocument: 'after' })
+      : await this.collections.webhooks.findOne({ _id: String(id) });
+    return delivery ? toDelivery(delivery) : null;
+  }
+
+  async getWebhookDelivery(id) {
+    if (!this.collections) await this.init();
+    const delivery = await this.collections.webhooks.findOne({ _id: String(id) });
+    return delivery ? toDelivery(delivery) : null;
+  }
+
+  // Newest first
+  async getWebhookDeliveries({ status = null, subscriptionId = null, limit = 100 } = {}) {
+    if (!this.collections) await this.init();
+    const filter = {};
+    if (status) filter.status = status;
+    if (subscriptionId) filter.subscriptionId = subscriptionId;
+    const list = await this.collections.webhooks.find(filter).sort({ createdAt: -1, _id: -1 }).limit(limit).toArray();
+    return list.map(toDelivery);
+  }
+
+  // Replaces problems, registrations, waitlist and access codes with a validated snapshot (see snapshot.js), and the
+  // roster too when the snapshot has one
+  async restoreSnapshot(snapshot) {
+    if (!this.collections) await this.init();
+    const { ps, regs, waitlist, codes, holds, teams } = this.collections;
+    return this.#transaction(async (session) => {
+      await holds.deleteMany({}, { session });
+      const replace = async (collection, docs) => {
+        await collection.deleteMany({}, { session });
+        if (docs.length) await collection.insertMany(docs.map(d => ({ ...d })), { session });
+      };
+      await replace(ps, snapshot.problemStatements);
+      await replace(regs, snapshot.registrations);
+      await replace(waitlist, snapshot.waitlist);
+      await replace(codes, snapshot.accessCodes);
+      if (Array.isArray(snapshot.roster)) await replace(teams, snapshot.roster.map(toTeam));
+      return { changes: 1 };
+    });
+  }
+
   async importFromJSON(jsonData) {
     if (!jsonData || !Array.isArray(jsonData.problemStatements)) return;
     if (!this.collections) await this.init();
@@ -259,16 +939,70 @@ class MongoStore {
     if (toInsert.length) await ps.insertMany(toInsert);
   }
 
+  // Adds or updates the given problems and deletes the removed ones in one transaction. Nothing is written when an
+  // update would leave a problem over capacity or a removed problem still has registrations ({ changes: 0, conflicts }).
+  async upsertProblemStatements(problems, { remove = [] } = {}) {
+    if (!this.collections) await this.init();
+    const { ps, regs, waitlist, holds } = this.collections;
+    return this.#transaction(async (session) => {
+      const registered = (id) => regs.countDocuments({ problemStatementId: id }, { session });
+      const existing = new Set((await ps.find({}, { session }).project({ id: 1 }).toArray()).map(p => p.id));
+      const conflicts = [];
+      for (const p of problems) {
+        const count = existing.has(p.id) ? await registered(p.id) : 0;
+        const maxSelections = Math.max(1, parseInt(p.maxSelections, 10) || 0);
+        if (count > maxSelections) conflicts.push({ type: 'over_capacity', problemStatementId: p.id, registrations: count, maxSelections });
+      }
+      for (const id of remove) {
+        const count = await registered(id);
+        if (count > 0) conflicts.push({ type: 'has_registrations', problemStatementId: id, registrations: count });
+      }
+      if (conflicts.length) return { changes: 0, conflicts };
+      const { deletedCount } = await ps.deleteMany({ id: { $in: remove } }, { session });
+      await waitlist.deleteMany({ problemStatementId: { $in: remove } }, { session });
+      await holds.deleteMany({ problemStatementId: { $in: remove } }, { session });
+      for (const p of problems) {
+        await ps.replaceOne({ id: p.id }, {
+          id: p.id,
+          title: p.title,
+          description: p.description,
+          maxSelections: Math.max(1, parseInt(p.maxSelections, 10) || 0),
+          category: p.category || null,
+          difficulty: p.difficulty || null,
+          technologies: Array.isArray(p.technologies) ? p.technologies : []
+        }, { upsert: true, session });
+      }
+      // Raised limits go to waitlisted teams
+      const promoted = await this.#promoteFromWaitlist(session, problems.filter(p => existing.has(p.id)).map(p => p.id));
+      return { changes: problems.length + deletedCount, conflicts: [], promoted };
+    });
+  }
+
+  async seedProblemStatements() {
+    if (!this.collections) await this.init();
+    const defaults = [
+      { id: 'ps001', title: 'Secure Authentication System', description: 'Design and implement a multi-factor authentication system with biometric verification, OTP, and secure session management for a banking application.', maxSelections: 2, category: 'Cybersecurity', difficulty: 'Advanced', technologies: ['Node.js', 'React', 'JWT'] },
+      { id: 'ps002', title: 'AI-Powered Code Review Assistant', description: 'Develop an intelligent code review tool that uses machine learning to detect bugs, security vulnerabilities, and suggest improvements in real-time.', maxSelections: 2, category: 'Artificial Intelligence', difficulty: 'Advanced', technologies: ['Python', 'TensorFlow'] },
+      { id: 'ps003', title: 'Blockchain Supply Chain Tracker', description: 'Create a transparent supply chain management system using blockchain technology to track products from manufacturer to consumer.', maxSelections: 2, category: 'Blockchain', difficulty: 'Intermediate', technologies: ['Ethereum', 'Solidity'] }
+    ];
+    await this.collections.ps.insertMany(defaults);
+  }
+
   async resetAll() {
     if (!this.collections) await this.init();
-    const { ps, regs } = this.collections;
+    const { ps, regs, waitlist, prefs, runs, holds } = this.collections;
     await regs.deleteMany({});
-    await ps.deleteMany({});
-    await this.init();
+    await waitlist.deleteMany({});
+    await holds.deleteMany({});
+    await prefs.deleteMany({});
+    await runs.deleteMany({});
+    // Events without seeded defaults keep their own problem statements
+    if (this.seedDefaults) {
+      await ps.deleteMany({});
+      await this.seedProblemStatements();
+    }
     return true;
   }
 }
 
 module.exports = MongoStore;
-
-
@@ -0,0 +1,215 @@
+// Server-side PDF reports (pdfkit). Every page carries the event logos, title and generation time.
+const path = require('path');
+const fs = require('fs');
+const PDFDocument = require('pdfkit');
+const { formatIst } = require('./spreadsheets');
+
+const EVENT_NAME = process.env.EVENT_NAME || 'TechFrontier 2K25 Hackathon';
+// Logo sizes come from the PNG header; pdfkit embeds each file once when given its path
+const LOGOS = ['cybernerds.png', 'owaspLogo.png', 'ec-counicl-logo.png', 'evercode-logo.png']
+  .map(name => path.join(__dirname, 'public', name))
+  .filter(file => fs.existsSync(file))
+  .map(file => {
+    const header = fs.readFileSync(file).subarray(16, 24);
+    return { file, ratio: header.readUInt32BE(0) / header.readUInt32BE(4) || 1 };
+  });
+const BRAND = '#c10016';
+const MARGIN = 40;
+const HEADER_HEIGHT = 70;
+const FOOTER_HEIGHT = 24;
+
+function drawPageHeader(doc, title, generatedAt, eventName) {
+  const top = 20;
+  let x = MARGIN;
+  LOGOS.forEach(({ file, ratio }) => {
+    try {
+      const height = 30;
+      const width = Math.min(90, ratio * height);
+      doc.image(file, x, top, { fit: [width, height], valign: 'center' });
+      x += width + 8;
+    } catch (_) {}
+  });
+  const right = doc.page.width - MARGIN;
+  doc.font('Helvetica-Bold').fontSize(13).fillColor(BRAND)
+    .text(title, x + 10, top, { width: right - x - 10, align: 'right' });
+  doc.font('Helvetica').fontSize(8).fillColor('#555')
+    .text(`${eventName} · Generated ${formatIst(generatedAt)}`, x + 10, top + 18, { width: right - x - 10, align: 'right' });
+  doc.moveTo(MARGIN, top + 40).lineTo(right, top + 40).lineWidth(1.5).strokeColor(BRAND).stroke();
+  doc.fillColor('#000').font('Helvetica').fontSize(9);
+  doc.x = MARGIN;
+  doc.y = MARGIN + HEADER_HEIGHT - 20;
+}
+
+function bottomLimit(doc) {
+  return doc.page.height - MARGIN - FOOTER_HEIGHT;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > bottomLimit(doc)) doc.addPage();
+}
+
+function sectionTitle(doc, text) {
+  ensureSpace(doc, 40);
+  doc.moveDown(0.6);
+  doc.font('Helvetica-Bold').fontSize(12).fillColor(BRAND).text(text, MARGIN, doc.y);
+  doc.moveDown(0.3);
+  doc.font('Helvetica').fontSize(9).fillColor('#000');
+}
+
+// columns: [{ header, width (fraction of the usable width), value(row) }]; the header row repeats on each page
+function drawTable(doc, columns, rows, emptyText = 'No entries.') {
+  const usable = doc.page.width - MARGIN * 2;
+  const widths = columns.map(c => c.width * usable);
+  const padding = 4;
+  const rowHeight = (cells, font) => {
+    doc.font(font).fontSize(8.5);
+    return Math.max(...cells.map((cell, i) => doc.heightOfString(cell, { width: widths[i] - padding * 2 }))) + padding * 2;
+  };
+  const drawRow = (cells, { header = false, shade = false } = {}) => {
+    const font = header ? 'Helvetica-Bold' : 'Helvetica';
+    const height = rowHeight(cells, font);
+    const y = doc.y;
+    if (header || shade) doc.rect(MARGIN, y, usable, height).fill(header ? BRAND : '#f6f6f6');
+    let x = MARGIN;
+    doc.font(font).fontSize(8.5).fillColor(header ? '#fff' : '#000');
+    cells.forEach((cell, i) => {
+      doc.text(cell, x + padding, y + padding, { width: widths[i] - padding * 2 });
+      x += widths[i];
+    });
+    doc.moveTo(MARGIN, y + height).lineTo(MARGIN + usable, y + height).lineWidth(0.5).strokeColor('#ddd').stroke();
+    doc.x = MARGIN;
+    doc.y = y + height;
+  };
+  const headerCells = columns.map(c => c.header);
+  ensureSpace(doc, rowHeight(headerCells, 'Helvetica-Bold') * 2);
+  drawRow(headerCells, { header: true });
+  if (rows.length === 0) {
+    doc.font('Helvetica-Oblique').fontSize(9).fillColor('#666').text(emptyText, MARGIN + padding, doc.y + padding);
+    doc.fillColor('#000');
+    return;
+  }
+  rows.forEach((row, index) => {
+    const cells = columns.map(c => String(c.value(row) ?? ''));
+    if (doc.y + rowHeight(cells, 'Helvetica') > bottomLimit(doc)) {
+      doc.addPage();
+      drawRow(headerCells, { header: true });
+    }
+    drawRow(cells, { shade: index % 2 === 1 });
+  });
+}
+
+const REGISTRATION_TABLE = [
+  { header: 'Team #', width: 0.1, value: r => r.team_number },
+  { header: 'Team Name', width: 0.2, value: r => r.team_name },
+  { header: 'Team Leader', width: 0.18, value: r => r.team_leader },
+  { header: 'Problem', width: 0.22, value: r => `${r.problem_statement_id} · ${r.problem_title}` },
+  { header: 'Category', width: 0.12, value: r => r.problem_category || '' },
+  { header: 'Registered (IST)', width: 0.18, value: r => formatIst(r.registration_date_time).replace(' IST', '') }
+];
+
+const PROBLEM_TABLE = [
+  { header: 'ID', width: 0.09, value: p => p.id },
+  { header: 'Title', width: 0.35, value: p => p.title },
+  { header: 'Category', width: 0.18, value: p => p.category || 'N/A' },
+  { header: 'Difficulty', width: 0.13, value: p => p.difficulty || 'N/A' },
+  { header: 'Teams', width: 0.1, value: p => `${p.selectedCount}/${p.maxSelections}` },
+  { header: 'Status', width: 0.15, value: p => (p.isAvailable ? 'Available' : 'Full') + (p.waitlistCount ? ` (+${p.waitlistCount} waiting)` : '') }
+];
+
+const ASSIGNED_TEAM_TABLE = [
+  { header: 'Team #', width: 0.14, value: r => r.team_number },
+  { header: 'Team Name', width: 0.34, value: r => r.team_name },
+  { header: 'Team Leader', width: 0.3, value: r => r.team_leader },
+  { header: 'Registered (IST)', width: 0.22, value: r => formatIst(r.registration_date_time).replace(' IST', '') }
+];
+
+function drawSummary(doc, problems, registrations) {
+  const slots = problems.reduce((sum, p) => sum + p.maxSelections, 0);
+  const full = problems.filter(p => !p.isAvailable).length;
+  doc.font('Helvetica').fontSize(10).fillColor('#000')
+    .text(`Problem statements: ${problems.length}   ·   Teams registered: ${registrations.length} of ${slots} slots   ·   Full problems: ${full}`, MARGIN, doc.y);
+}
+
+function drawBreakdown(doc, problems, registrations) {
+  const byProblem = new Map(problems.map(p => [p.id, []]));
+  registrations.forEach(r => { if (byProblem.has(r.problem_statement_id)) byProblem.get(r.problem_statement_id).push(r); });
+  problems.forEach(p => {
+    ensureSpace(doc, 90);
+    doc.moveDown(0.5);
+    doc.font('Helvetica-Bold').fontSize(10.5).fillColor('#000').text(`${p.id} · ${p.title}`, MARGIN, doc.y);
+    doc.font('Helvetica').fontSize(8.5).fillColor('#555')
+      .text(`${p.category || 'N/A'} · ${p.difficulty || 'N/A'} · ${p.selectedCount}/${p.maxSelections} teams${p.technologies?.length ? ` · ${p.technologies.join(', ')}` : ''}`);
+    if (p.description) doc.fillColor('#333').text(p.description, { width: doc.page.width - MARGIN * 2 });
+    doc.moveDown(0.3).fillColor('#000');
+    drawTable(doc, ASSIGNED_TEAM_TABLE, byProblem.get(p.id), 'No teams assigned.');
+  });
+}
+
+const REPORTS = {
+  registrations: {
+    title: 'Registrations Report',
+    filename: 'registrations-report',
+    render(doc, { problems, registrations }) {
+      drawSummary(doc, problems, registrations);
+      sectionTitle(doc, 'Registrations');
+      drawTable(doc, REGISTRATION_TABLE, registrations, 'No registrations.');
+    }
+  },
+  'problem-statements': {
+    title: 'Problem Statements Report',
+    filename: 'problem-statements-report',
+    render(doc, { problems, registrations }) {
+      drawSummary(doc, problems, registrations);
+      sectionTitle(doc, 'Overview');
+      drawTable(doc, PROBLEM_TABLE, problems, 'No problem statements.');
+      sectionTitle(doc, 'Assigned Teams by Problem');
+      drawBreakdown(doc, problems, registrations);
+    }
+  },
+  all: {
+    title: 'Complete Report',
+    filename: 'hackathon-complete-report',
+    render(doc, { problems, registrations }) {
+      drawSummary(doc, problems, registrations);
+      sectionTitle(doc, 'Problem Statements');
+      drawTable(doc, PROBLEM_TABLE, problems, 'No problem statements.');
+      sectionTitle(doc, 'Assigned Teams by Problem');
+      drawBreakdown(doc, problems, registrations);
+      doc.addPage();
+      sectionTitle(doc, 'All Registrations');
+      drawTable(doc, REGISTRATION_TABLE, registrations, 'No registrations.');
+    }
+  }
+};
+
+// problems: formatted problems; registrations: rows as yielded by store.iterateRegistrations()
+function streamPdfReport(res, type, { problems, registrations, eventName = EVENT_NAME }) {
+  const report = REPORTS[type];
+  const generatedAt = new Date().toISOString();
+  const doc = new PDFDocument({
+    size: 'A4',
+    margins: { top: MARGIN + HEADER_HEIGHT - 20, bottom: MARGIN, left: MARGIN, right: MARGIN },
+    bufferPages: true,
+    info: { Title: `${eventName} - ${report.title}`, Author: eventName, CreationDate: new Date(generatedAt) }
+  });
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${report.filename}.pdf"`);
+  doc.pipe(res);
+  doc.on('pageAdded', () => drawPageHeader(doc, report.title, generatedAt, eventName));
+  drawPageHeader(doc, report.title, generatedAt, eventName);
+  report.render(doc, { problems, registrations });
+  // Page numbers need the final page count, so they are stamped last
+  const range = doc.bufferedPageRange();
+  for (let i = range.start; i < range.start + range.count; i++) {
+    doc.switchToPage(i);
+    // Writing inside the bottom margin would otherwise start a new page
+    const bottom = doc.page.margins.bottom;
+    doc.page.margins.bottom = 0;
+    doc.font('Helvetica').fontSize(8).fillColor('#777')
+      .text(`Page ${i + 1} of ${range.count}`, MARGIN, doc.page.height - MARGIN - 10, { width: doc.page.width - MARGIN * 2, align: 'center', lineBreak: false });
+    doc.page.margins.bottom = bottom;
+  }
+  doc.end();
+}
+
+module.exports = { REPORTS, streamPdfReport };
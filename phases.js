@@ -0,0 +1,56 @@
+// Event lifecycle. Phases only move forward on schedule; admins may set any phase by hand.
+const PHASES = ['draft', 'revealed', 'open', 'closed', 'frozen'];
+
+// Which phases allow each action
+const PHASE_RULES = {
+  viewProblems: ['revealed', 'open', 'closed', 'frozen'],
+  register: ['open'],
+  teamChange: ['open'],
+  adminChange: ['draft', 'revealed', 'open', 'closed'],
+  reset: ['draft', 'revealed', 'closed']
+};
+
+// Existing deployments had no lifecycle and were always open. teamChangeDeadline (optional) ends team swaps and
+// withdrawals while the phase still allows them.
+const DEFAULT_STATE = { current: 'open', schedule: {}, teamChangeDeadline: null };
+
+function normalizeState(state) {
+  const input = state || {};
+  const current = PHASES.includes(input.current) ? input.current : DEFAULT_STATE.current;
+  const schedule = {};
+  Object.entries(input.schedule || {}).forEach(([phase, at]) => {
+    if (PHASES.includes(phase) && at && !isNaN(new Date(at))) schedule[phase] = new Date(at).toISOString();
+  });
+  const deadline = input.teamChangeDeadline && !isNaN(new Date(input.teamChangeDeadline)) ? new Date(input.teamChangeDeadline).toISOString() : null;
+  return { ...input, current, schedule, teamChangeDeadline: deadline };
+}
+
+// The latest scheduled phase past its time wins, but never earlier than the stored phase
+function effectivePhase(state, now = Date.now()) {
+  const { current, schedule } = normalizeState(state);
+  let index = PHASES.indexOf(current);
+  PHASES.forEach((phase, i) => {
+    if (i > index && schedule[phase] && new Date(schedule[phase]).getTime() <= now) index = i;
+  });
+  return PHASES[index];
+}
+
+function nextTransition(state, now = Date.now()) {
+  const { schedule } = normalizeState(state);
+  const index = PHASES.indexOf(effectivePhase(state, now));
+  const upcoming = PHASES.slice(index + 1)
+    .filter(phase => schedule[phase] && new Date(schedule[phase]).getTime() > now)
+    .sort((a, b) => new Date(schedule[a]) - new Date(schedule[b]));
+  return upcoming.length ? { phase: upcoming[0], at: schedule[upcoming[0]] } : null;
+}
+
+function allows(phase, action) {
+  return (PHASE_RULES[action] || []).includes(phase);
+}
+
+function teamChangesOpen(state, now = Date.now()) {
+  const { teamChangeDeadline } = normalizeState(state);
+  return !teamChangeDeadline || now < new Date(teamChangeDeadline).getTime();
+}
+
+module.exports = { PHASES, PHASE_RULES, normalizeState, effectivePhase, nextTransition, allows, teamChangesOpen };
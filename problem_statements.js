@@ -0,0 +1,137 @@
+// Problem statement input: validation for the admin editor, and bulk imports from CSV or JSON with a diff against
+// the current problems before anything is written.
+const { parseCsv } = require('./spreadsheets');
+
+const PROBLEM_ID_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const IMPORT_MODES = ['merge', 'replace'];
+const FIELDS = ['title', 'description', 'maxSelections', 'category', 'difficulty', 'technologies'];
+
+function validateProblemInput(body, partial) {
+  const errors = [];
+  const value = {};
+  const input = body || {};
+  const text = (key, max, required) => {
+    if (input[key] === undefined) { if (required) errors.push(`${key} is required`); return; }
+    const str = typeof input[key] === 'string' ? input[key].trim() : '';
+    if (required && !str) { errors.push(`${key} is required`); return; }
+    if (str.length > max) { errors.push(`${key} must be at most ${max} characters`); return; }
+    value[key] = str || (required ? str : null);
+  };
+  if (!partial && input.id !== undefined) {
+    const id = String(input.id).trim();
+    if (!PROBLEM_ID_PATTERN.test(id)) errors.push('id may only contain letters, numbers, "-" and "_" (max 40)');
+    else value.id = id;
+  }
+  text('title', 200, !partial);
+  text('description', 5000, !partial);
+  text('category', 100, false);
+  text('difficulty', 50, false);
+  if (input.technologies !== undefined) {
+    const list = Array.isArray(input.technologies) ? input.technologies : (typeof input.technologies === 'string' ? input.technologies.split(',') : null);
+    if (!list) errors.push('technologies must be an array or comma-separated string');
+    else value.technologies = list.map(t => String(t).trim()).filter(Boolean).slice(0, 30);
+  }
+  if (input.maxSelections !== undefined || !partial) {
+    const max = Number(input.maxSelections);
+    if (!Number.isInteger(max) || max < 1 || max > 1000) errors.push('maxSelections must be an integer between 1 and 1000');
+    else value.maxSelections = max;
+  }
+  return { errors, value };
+}
+
+// CSV headers are matched loosely, so the problems export ("Problem ID", "Max Selections", ...) can be edited and
+// uploaded again; its other columns (Selected, Status, Waitlist) are ignored
+const CSV_COLUMNS = { id: 'id', problemid: 'id', title: 'title', description: 'description', category: 'category', difficulty: 'difficulty', technologies: 'technologies', maxselections: 'maxSelections', maxteams: 'maxSelections' };
+const REQUIRED_COLUMNS = ['id', 'title', 'description', 'maxSelections'];
+
+// content: the uploaded text (CSV) or parsed JSON (an array of problems, or an object with problemStatements such as
+// data.json or a snapshot). Returns { errors, records }.
+function parseProblemFile(content, format) {
+  if (format === 'json') {
+    const list = Array.isArray(content) ? content : content && content.problemStatements;
+    if (!Array.isArray(list)) return { errors: ['JSON must be an array of problem statements or an object with problemStatements'], records: [] };
+    return { errors: [], records: list.map(p => (p && typeof p === 'object' ? p : {})) };
+  }
+  let rows;
+  try {
+    rows = parseCsv(content);
+  } catch (error) {
+    return { errors: [`CSV could not be read: ${error.message}`], records: [] };
+  }
+  const [header, ...data] = rows;
+  if (!header) return { errors: ['CSV is empty'], records: [] };
+  const keys = header.map(h => CSV_COLUMNS[h.toLowerCase().replace(/[^a-z]/g, '')] || null);
+  const missing = REQUIRED_COLUMNS.filter(c => !keys.includes(c));
+  if (missing.length) return { errors: [`CSV is missing the column(s): ${missing.join(', ')}`], records: [] };
+  const records = data.map(row => {
+    const record = {};
+    keys.forEach((key, i) => { if (key) record[key] = row[i] === undefined ? '' : row[i]; });
+    return record;
+  });
+  return { errors: [], records };
+}
+
+function normalise(p) {
+  return {
+    id: p.id,
+    title: p.title,
+    description: p.description,
+    maxSelections: p.maxSelections ?? p.max_selections,
+    category: p.category || null,
+    difficulty: p.difficulty || null,
+    technologies: p.technologies || []
+  };
+}
+
+// current: getAllProblemStatements() of the target store. 'merge' adds and updates; 'replace' also removes the
+// problems the file leaves out. Returns { errors, conflicts, diff, result }; nothing is written here.
+function planProblemImport(current, records, mode = 'merge') {
+  if (!IMPORT_MODES.includes(mode)) return { errors: [`mode must be one of: ${IMPORT_MODES.join(', ')}`], conflicts: [], diff: null, result: null };
+  const errors = [];
+  const incoming = [];
+  const seen = new Set();
+  records.forEach((record, i) => {
+    const blankId = record.id === undefined || record.id === null || String(record.id).trim() === '';
+    const { errors: rowErrors, value } = validateProblemInput(blankId ? { ...record, id: undefined } : record, false);
+    if (blankId) rowErrors.unshift('id is required');
+    const label = `Row ${i + 1}${value.id ? ` (${value.id})` : ''}`;
+    if (value.id && seen.has(value.id)) rowErrors.push('id appears more than once');
+    seen.add(value.id);
+    rowErrors.forEach(e => errors.push(`${label}: ${e}`));
+    if (!rowErrors.length) incoming.push(value);
+  });
+  if (!records.length) errors.push('The file has no problem statements');
+  if (errors.length) return { errors, conflicts: [], diff: null, result: null };
+
+  const existing = new Map(current.map(p => [p.id, p]));
+  const diff = { added: [], updated: [], removed: [], unchanged: 0, changes: {} };
+  const conflicts = [];
+  const upsert = [];
+  incoming.forEach(value => {
+    const was = existing.get(value.id);
+    if (!was) {
+      diff.added.push(value.id);
+      upsert.push(normalise(value));
+      return;
+    }
+    // Optional columns the file leaves out keep their current values
+    const before = normalise(was);
+    const p = { ...before, ...value };
+    const fields = FIELDS.filter(f => JSON.stringify(before[f]) !== JSON.stringify(p[f]));
+    if (!fields.length) { diff.unchanged++; return; }
+    diff.updated.push(p.id);
+    diff.changes[p.id] = fields;
+    upsert.push(p);
+    const selected = was.selected_count || 0;
+    if (p.maxSelections < selected) conflicts.push({ type: 'over_capacity', problemStatementId: p.id, registrations: selected, maxSelections: p.maxSelections });
+  });
+  if (mode === 'replace') {
+    current.filter(p => !seen.has(p.id)).forEach(p => {
+      diff.removed.push(p.id);
+      if (p.selected_count > 0) conflicts.push({ type: 'has_registrations', problemStatementId: p.id, registrations: p.selected_count });
+    });
+  }
+  return { errors: [], conflicts, diff, result: { upsert, remove: diff.removed } };
+}
+
+module.exports = { PROBLEM_ID_PATTERN, IMPORT_MODES, validateProblemInput, parseProblemFile, planProblemImport };
@@ -0,0 +1,64 @@
+// Registration receipts: a signed token naming the event, team, problem and registration time. GET /api/verify/:token
+// checks it against the live data, so a receipt stops verifying once its registration is withdrawn, deleted or moved.
+// RECEIPT_SECRET signs them (ADMIN_SESSION_SECRET if unset); with neither, loadSecret keeps a generated one in the
+// default event's settings, so receipts still verify after a restart and on every instance.
+const crypto = require('crypto');
+
+const CONFIGURED_SECRET = process.env.RECEIPT_SECRET || process.env.ADMIN_SESSION_SECRET || null;
+let loading = null;
+
+// The signing secret; store is the default event's. Read once per process.
+function loadSecret(store) {
+  if (CONFIGURED_SECRET) return Promise.resolve(CONFIGURED_SECRET);
+  if (!loading) {
+    loading = (async () => {
+      if (!(await store.getSettings()).receiptSecret) await store.updateSettings({ receiptSecret: crypto.randomBytes(32).toString('hex') });
+      // Read back: another instance starting at the same time may have stored its own
+      return (await store.getSettings()).receiptSecret;
+    })();
+    loading.catch(() => { loading = null; });
+  }
+  return loading;
+}
+
+function sign(payload, secret) {
+  return crypto.createHmac('sha256', secret).update(`receipt:${payload}`).digest('base64url');
+}
+
+// registration: as stored ({ teamNumber, problemStatementId, registrationDateTime })
+function issueReceipt(eventSlug, registration, secret) {
+  const payload = Buffer.from(JSON.stringify({
+    v: 1,
+    e: eventSlug,
+    t: registration.teamNumber,
+    p: registration.problemStatementId,
+    at: registration.registrationDateTime
+  })).toString('base64url');
+  return `${payload}.${sign(payload, secret)}`;
+}
+
+// The claims of a genuine token ({ event, teamNumber, problemStatementId, registeredAt }), or null
+function readReceipt(token, secret) {
+  if (!token || typeof token !== 'string') return null;
+  const [payload, sig, extra] = token.split('.');
+  if (!payload || !sig || extra !== undefined) return null;
+  const expected = Buffer.from(sign(payload, secret));
+  const actual = Buffer.from(sig);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+  try {
+    const data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (!data || data.v !== 1 || !data.e || !data.t || !data.p || !data.at) return null;
+    return { event: data.e, teamNumber: data.t, problemStatementId: data.p, registeredAt: data.at };
+  } catch (_) { return null; }
+}
+
+// Compares a receipt's claims with the team's current registration (null when it has none)
+function checkReceipt(claims, registration) {
+  if (!registration) return { valid: false, reason: 'withdrawn' };
+  if (registration.problemStatementId !== claims.problemStatementId || registration.registrationDateTime !== claims.registeredAt) {
+    return { valid: false, reason: 'changed' };
+  }
+  return { valid: true, reason: null };
+}
+
+module.exports = { loadSecret, issueReceipt, readReceipt, checkReceipt };
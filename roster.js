@@ -0,0 +1,226 @@
+// Team roster: validation of teams (number, name, leader, institution, contact phone and members), roster files in
+// CSV, XLSX or JSON for bulk imports with a diff against the stored roster, and the teams.csv that seeds a new store.
+const path = require('path');
+const { parseCsv, readXlsxRows } = require('./spreadsheets');
+
+const TEAM_NUMBER_PATTERN = /^[A-Za-z0-9_-]{1,40}$/;
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+const PHONE_PATTERN = /^\+?[0-9][0-9 ()-]{5,19}$/;
+const MAX_MEMBERS = 10;
+const IMPORT_MODES = ['merge', 'replace'];
+const FIELDS = ['teamName', 'teamLeader', 'institution', 'contactPhone', 'members'];
+const FORMATS = ['csv', 'xlsx', 'json'];
+
+// The default event's teams.csv (teams.<slug>.csv for hosted events) is imported once into an empty roster
+function rosterFile(slug, { scoped = false } = {}) {
+  return path.join(__dirname, scoped ? `teams.${slug}.csv` : 'teams.csv');
+}
+
+// "Name <email>", or just a name
+function parseMember(entry) {
+  if (entry && typeof entry === 'object') return { name: entry.name, email: entry.email };
+  const str = String(entry === undefined || entry === null ? '' : entry).trim();
+  const match = str.match(/^(.*?)\s*<([^>]*)>$/);
+  return match ? { name: match[1], email: match[2] } : { name: str, email: null };
+}
+
+function validateMembers(input, errors) {
+  const list = Array.isArray(input) ? input : (typeof input === 'string' ? input.split(/[;\n]/).map(s => s.trim()).filter(Boolean) : null);
+  if (!list) { errors.push('members must be an array or a ";"-separated list'); return undefined; }
+  if (list.length > MAX_MEMBERS) { errors.push(`a team may have at most ${MAX_MEMBERS} members`); return undefined; }
+  return list.map((entry, i) => {
+    const member = parseMember(entry);
+    const name = typeof member.name === 'string' ? member.name.trim() : '';
+    const email = typeof member.email === 'string' ? member.email.trim() : '';
+    if (!name) errors.push(`member ${i + 1} needs a name`);
+    else if (name.length > 100) errors.push(`member ${i + 1} name must be at most 100 characters`);
+    if (email && !EMAIL_PATTERN.test(email)) errors.push(`member ${i + 1} email is not valid`);
+    return { name, email: email || null };
+  });
+}
+
+// partial: an update, where the team number comes from the URL and missing fields are left as they are
+function validateTeamInput(body, partial) {
+  const errors = [];
+  const value = {};
+  const input = body || {};
+  const text = (key, max, required) => {
+    if (input[key] === undefined) { if (required) errors.push(`${key} is required`); return; }
+    const str = typeof input[key] === 'string' ? input[key].trim() : '';
+    if (required && !str) { errors.push(`${key} is required`); return; }
+    if (str.length > max) { errors.push(`${key} must be at most ${max} characters`); return; }
+    value[key] = str || (required ? str : null);
+  };
+  if (!partial) {
+    const teamNumber = input.teamNumber === undefined || input.teamNumber === null ? '' : String(input.teamNumber).trim();
+    if (!teamNumber) errors.push('teamNumber is required');
+    else if (!TEAM_NUMBER_PATTERN.test(teamNumber)) errors.push('teamNumber may only contain letters, numbers, "-" and "_" (max 40)');
+    else value.teamNumber = teamNumber;
+  }
+  text('teamName', 200, !partial);
+  text('teamLeader', 200, !partial);
+  text('institution', 200, false);
+  if (input.contactPhone !== undefined) {
+    const phone = input.contactPhone === null ? '' : String(input.contactPhone).trim();
+    if (phone && !PHONE_PATTERN.test(phone)) errors.push('contactPhone must be a phone number');
+    else value.contactPhone = phone || null;
+  }
+  if (input.members !== undefined) {
+    const members = validateMembers(input.members === null ? [] : input.members, errors);
+    if (members) value.members = members;
+  }
+  return { errors, value };
+}
+
+// What the public pages see: no emails or phone numbers
+function publicTeam(team) {
+  return {
+    teamNumber: team.teamNumber,
+    teamName: team.teamName,
+    teamLeader: team.teamLeader,
+    institution: team.institution || null,
+    members: (team.members || []).map(m => ({ name: m.name }))
+  };
+}
+
+// Headers are matched loosely ("Team Number", "team_no", "Member 2 Email", ...), so exports and hand-made sheets
+// both work. Members come from "Member N" / "Member N Name" / "Member N Email" columns or a "Members" column.
+const COLUMNS = {
+  teamnumber: 'teamNumber', teamno: 'teamNumber', number: 'teamNumber',
+  teamname: 'teamName',
+  teamleader: 'teamLeader', leader: 'teamLeader',
+  institution: 'institution', college: 'institution', organisation: 'institution', organization: 'institution',
+  contactphone: 'contactPhone', phone: 'contactPhone', contact: 'contactPhone', mobile: 'contactPhone',
+  members: 'members'
+};
+const REQUIRED_COLUMNS = ['teamNumber', 'teamName', 'teamLeader'];
+
+function columnOf(header) {
+  const key = String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+  if (COLUMNS[key]) return { field: COLUMNS[key] };
+  const member = key.match(/^member(\d+)(name|email)?$/);
+  return member ? { member: Number(member[1]), part: member[2] || 'name' } : null;
+}
+
+function rowsToRecords(rows) {
+  const [header, ...data] = rows;
+  if (!header) return { errors: ['The file is empty'], records: [] };
+  const columns = header.map(columnOf);
+  const missing = REQUIRED_COLUMNS.filter(c => !columns.some(col => col && col.field === c));
+  if (missing.length) return { errors: [`The file is missing the column(s): ${missing.join(', ')}`], records: [] };
+  const hasMembers = columns.some(col => col && (col.member || col.field === 'members'));
+  const records = data.map(row => {
+    const record = {};
+    const numbered = new Map();
+    columns.forEach((col, i) => {
+      const cell = row[i] === undefined ? '' : String(row[i]);
+      if (!col) return;
+      if (col.field) { record[col.field] = cell; return; }
+      const member = numbered.get(col.member) || {};
+      member[col.part] = cell.trim();
+      numbered.set(col.member, member);
+    });
+    if (hasMembers) {
+      const listed = record.members ? record.members.split(/[;\n]/).map(s => s.trim()).filter(Boolean) : [];
+      const columned = Array.from(numbered.keys()).sort((a, b) => a - b).map(n => numbered.get(n)).filter(m => m.name || m.email);
+      record.members = [...listed, ...columned];
+    }
+    return record;
+  });
+  return { errors: [], records };
+}
+
+// content: CSV text, an XLSX buffer, or parsed JSON (an array of teams, or an object with teams or roster such as a
+// snapshot). Returns { errors, records }.
+async function parseRosterFile(content, format) {
+  if (!FORMATS.includes(format)) return { errors: [`format must be one of: ${FORMATS.join(', ')}`], records: [] };
+  if (format === 'json') {
+    const list = Array.isArray(content) ? content : content && (content.teams || content.roster);
+    if (!Array.isArray(list)) return { errors: ['JSON must be an array of teams or an object with teams'], records: [] };
+    return { errors: [], records: list.map(t => (t && typeof t === 'object' ? t : {})) };
+  }
+  let rows;
+  try {
+    rows = format === 'xlsx' ? await readXlsxRows(content) : parseCsv(content);
+  } catch (error) {
+    return { errors: [`${format.toUpperCase()} could not be read: ${error.message}`], records: [] };
+  }
+  return rowsToRecords(rows);
+}
+
+function normalise(t) {
+  return {
+    teamNumber: t.teamNumber,
+    teamName: t.teamName,
+    teamLeader: t.teamLeader,
+    institution: t.institution || null,
+    contactPhone: t.contactPhone || null,
+    members: (t.members || []).map(m => ({ name: m.name, email: m.email || null }))
+  };
+}
+
+// current: getTeams() of the target store; registered: team numbers with a registration or waitlist entry, which
+// 'replace' may not drop. 'merge' adds and updates (columns the file leaves out keep their values); 'replace' also
+// removes the teams the file leaves out. Returns { errors, conflicts, diff, result }; nothing is written here.
+function planRosterImport(current, records, mode = 'merge', { registered = [] } = {}) {
+  if (!IMPORT_MODES.includes(mode)) return { errors: [`mode must be one of: ${IMPORT_MODES.join(', ')}`], conflicts: [], diff: null, result: null };
+  const errors = [];
+  const incoming = [];
+  const seen = new Set();
+  records.forEach((record, i) => {
+    const { errors: rowErrors, value } = validateTeamInput(record, false);
+    const label = `Row ${i + 1}${value.teamNumber ? ` (${value.teamNumber})` : ''}`;
+    if (value.teamNumber && seen.has(value.teamNumber)) rowErrors.push('teamNumber appears more than once');
+    seen.add(value.teamNumber);
+    rowErrors.forEach(e => errors.push(`${label}: ${e}`));
+    if (!rowErrors.length) incoming.push(value);
+  });
+  if (!records.length) errors.push('The file has no teams');
+  if (errors.length) return { errors, conflicts: [], diff: null, result: null };
+
+  const existing = new Map(current.map(t => [t.teamNumber, t]));
+  const diff = { added: [], updated: [], removed: [], unchanged: 0, changes: {} };
+  const upsert = [];
+  incoming.forEach(value => {
+    const was = existing.get(value.teamNumber);
+    if (!was) {
+      diff.added.push(value.teamNumber);
+      upsert.push(normalise(value));
+      return;
+    }
+    const before = normalise(was);
+    const team = { ...before, ...value };
+    const fields = FIELDS.filter(f => JSON.stringify(before[f]) !== JSON.stringify(team[f]));
+    if (!fields.length) { diff.unchanged++; return; }
+    diff.updated.push(team.teamNumber);
+    diff.changes[team.teamNumber] = fields;
+    upsert.push(team);
+  });
+  const conflicts = [];
+  if (mode === 'replace') {
+    const taken = new Set(registered);
+    current.filter(t => !seen.has(t.teamNumber)).forEach(t => {
+      diff.removed.push(t.teamNumber);
+      if (taken.has(t.teamNumber)) conflicts.push({ type: 'has_registration', teamNumber: t.teamNumber });
+    });
+  }
+  return { errors: [], conflicts, diff, result: { upsert, remove: diff.removed } };
+}
+
+// Header and rows for the roster export, one "Member N" name/email pair per member; parseRosterFile reads it back
+function rosterSheet(teams) {
+  const memberCount = teams.reduce((n, t) => Math.max(n, (t.members || []).length), 0);
+  const header = ['Team Number', 'Team Name', 'Team Leader', 'Institution', 'Contact Phone'];
+  for (let i = 1; i <= memberCount; i++) header.push(`Member ${i} Name`, `Member ${i} Email`);
+  const rows = teams.map(t => {
+    const row = [t.teamNumber, t.teamName, t.teamLeader, t.institution || '', t.contactPhone || ''];
+    for (let i = 0; i < memberCount; i++) {
+      const member = (t.members || [])[i];
+      row.push(member ? member.name : '', member ? member.email || '' : '');
+    }
+    return row;
+  });
+  return { header, rows };
+}
+
+module.exports = { TEAM_NUMBER_PATTERN, IMPORT_MODES, rosterFile, validateTeamInput, publicTeam, parseRosterFile, planRosterImport, rosterSheet };
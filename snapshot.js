@@ -0,0 +1,220 @@
+// Versioned snapshots of one event: problems, registrations, waitlist, access codes and roster, with their timestamps.
+// Importing either merges into or replaces the current data, and is checked for duplicates and capacity first.
+const SNAPSHOT_FORMAT = 'hackathon-snapshot';
+const SNAPSHOT_VERSION = 1;
+const MODES = ['merge', 'replace'];
+
+// roster defaults to the store's own
+async function createSnapshot(store, { event = null, roster = null } = {}) {
+  const problemStatements = (await store.getAllProblemStatements()).map(p => ({
+    id: p.id,
+    title: p.title,
+    description: p.description,
+    maxSelections: p.max_selections,
+    category: p.category || null,
+    difficulty: p.difficulty || null,
+    technologies: p.technologies || []
+  }));
+  const registrations = [];
+  for await (const r of store.iterateRegistrations()) {
+    registrations.push({ teamNumber: r.team_number, teamName: r.team_name, teamLeader: r.team_leader, problemStatementId: r.problem_statement_id, registrationDateTime: r.registration_date_time });
+  }
+  const waitlist = (await store.getWaitlist()).map(({ position, ...w }) => w);
+  return {
+    format: SNAPSHOT_FORMAT,
+    version: SNAPSHOT_VERSION,
+    exportedAt: new Date().toISOString(),
+    event: event ? { slug: event.slug, name: event.name } : null,
+    problemStatements,
+    registrations,
+    waitlist,
+    accessCodes: await store.getTeamAccessCodes(),
+    roster: Array.from(roster || await store.getTeams())
+  };
+}
+
+// A raw data.json (no format field) is accepted as well, so the JSON store's file can be imported as-is
+function upgrade(input) {
+  if (input.format === undefined && Array.isArray(input.problemStatements)) {
+    return { ...input, format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, roster: undefined };
+  }
+  return input;
+}
+
+const isoOrNull = (value) => (value && !isNaN(new Date(value)) ? new Date(value).toISOString() : null);
+const text = (value) => (value === undefined || value === null ? '' : String(value).trim());
+
+// Checks the shape and normalises every record; returns { errors, snapshot }
+function parseSnapshot(input) {
+  const errors = [];
+  if (!input || typeof input !== 'object' || Array.isArray(input)) return { errors: ['Snapshot must be a JSON object'], snapshot: null };
+  const raw = upgrade(input);
+  if (raw.format !== SNAPSHOT_FORMAT) errors.push(`format must be "${SNAPSHOT_FORMAT}"`);
+  if (!Number.isInteger(raw.version) || raw.version < 1) errors.push('version must be a positive integer');
+  else if (raw.version > SNAPSHOT_VERSION) errors.push(`Snapshot version ${raw.version} is newer than this server supports (${SNAPSHOT_VERSION})`);
+  const list = (key, optional) => {
+    if (raw[key] === undefined && optional) return undefined;
+    if (!Array.isArray(raw[key])) { errors.push(`${key} must be an array`); return []; }
+    return raw[key].filter((item, i) => {
+      if (item && typeof item === 'object') return true;
+      errors.push(`${key}[${i}] must be an object`);
+      return false;
+    });
+  };
+  const problemStatements = list('problemStatements').map((p, i) => {
+    const id = text(p.id);
+    const maxSelections = typeof p.maxSelections === 'number' ? p.maxSelections : parseInt(p.maxSelections, 10);
+    if (!id) errors.push(`problemStatements[${i}].id is required`);
+    if (!text(p.title)) errors.push(`problemStatements[${i}].title is required`);
+    if (!Number.isInteger(maxSelections) || maxSelections < 1) errors.push(`problemStatements[${i}].maxSelections must be a whole number of at least 1`);
+    return {
+      id,
+      title: text(p.title),
+      description: p.description === undefined || p.description === null ? '' : String(p.description),
+      maxSelections,
+      category: p.category || null,
+      difficulty: p.difficulty || null,
+      technologies: Array.isArray(p.technologies) ? p.technologies.map(String) : []
+    };
+  });
+  const team = (key, item, i, timeKey) => {
+    const record = { teamNumber: text(item.teamNumber), teamName: text(item.teamName), teamLeader: text(item.teamLeader), problemStatementId: text(item.problemStatementId) };
+    if (!record.teamNumber) errors.push(`${key}[${i}].teamNumber is required`);
+    if (!record.problemStatementId) errors.push(`${key}[${i}].problemStatementId is required`);
+    record[timeKey] = isoOrNull(item[timeKey]);
+    if (!record[timeKey]) errors.push(`${key}[${i}].${timeKey} must be a date`);
+    return record;
+  };
+  const registrations = list('registrations').map((r, i) => team('registrations', r, i, 'registrationDateTime'));
+  const waitlist = (list('waitlist', true) || []).map((w, i) => team('waitlist', w, i, 'joinedAt'));
+  const accessCodes = (list('accessCodes', true) || []).map((c, i) => {
+    const record = { teamNumber: text(c.teamNumber), code: text(c.code), createdAt: isoOrNull(c.createdAt) };
+    if (!record.teamNumber || !record.code) errors.push(`accessCodes[${i}] needs teamNumber and code`);
+    return record;
+  });
+  // Without a roster the current one is left alone
+  const roster = list('roster', true);
+  const rosterTeams = roster && roster.map((t, i) => {
+    const record = {
+      teamNumber: text(t.teamNumber),
+      teamName: text(t.teamName),
+      teamLeader: text(t.teamLeader),
+      institution: text(t.institution) || null,
+      contactPhone: text(t.contactPhone) || null,
+      members: Array.isArray(t.members) ? t.members.filter(m => m && typeof m === 'object').map(m => ({ name: text(m.name), email: text(m.email) || null })) : []
+    };
+    if (!record.teamNumber) errors.push(`roster[${i}].teamNumber is required`);
+    return record;
+  });
+  return { errors, snapshot: { problemStatements, registrations, waitlist, accessCodes, roster: rosterTeams } };
+}
+
+// Later entries for the same key replace earlier ones
+function byKey(items, key) {
+  return new Map(items.map(item => [item[key], item]));
+}
+
+function sameRecord(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Keyed comparison of two lists: what was added, changed and removed
+function diffList(before, after, key) {
+  const was = byKey(before, key);
+  const now = byKey(after, key);
+  const added = [];
+  const changed = [];
+  const removed = [];
+  now.forEach((item, k) => {
+    if (!was.has(k)) added.push(k);
+    else if (!sameRecord(was.get(k), item)) changed.push(k);
+  });
+  was.forEach((_, k) => { if (!now.has(k)) removed.push(k); });
+  return { added, changed, removed, unchanged: now.size - added.length - changed.length };
+}
+
+// Merging keeps everything already here and adds what is new; a problem in both takes the snapshot's details,
+// while a team registered here keeps its current problem (a different one in the snapshot is a conflict).
+function mergeInto(current, incoming, conflicts) {
+  const problems = byKey(current.problemStatements, 'id');
+  incoming.problemStatements.forEach(p => problems.set(p.id, p));
+  const registrations = byKey(current.registrations, 'teamNumber');
+  incoming.registrations.forEach(r => {
+    const existing = registrations.get(r.teamNumber);
+    if (!existing) registrations.set(r.teamNumber, r);
+    else if (existing.problemStatementId !== r.problemStatementId) {
+      conflicts.push({ type: 'duplicate_team', teamNumber: r.teamNumber, current: existing.problemStatementId, snapshot: r.problemStatementId });
+    }
+  });
+  const waitlist = byKey(current.waitlist, 'teamNumber');
+  incoming.waitlist.forEach(w => { if (!waitlist.has(w.teamNumber) && !registrations.has(w.teamNumber)) waitlist.set(w.teamNumber, w); });
+  const codes = byKey(current.accessCodes, 'teamNumber');
+  incoming.accessCodes.forEach(c => { if (!codes.has(c.teamNumber)) codes.set(c.teamNumber, c); });
+  let roster = current.roster;
+  if (incoming.roster) {
+    const teams = byKey(current.roster, 'teamNumber');
+    incoming.roster.forEach(t => { if (!teams.has(t.teamNumber)) teams.set(t.teamNumber, t); });
+    roster = Array.from(teams.values());
+  }
+  return {
+    problemStatements: Array.from(problems.values()),
+    registrations: Array.from(registrations.values()),
+    waitlist: Array.from(waitlist.values()),
+    accessCodes: Array.from(codes.values()),
+    roster
+  };
+}
+
+// Duplicates, unknown problems and over-full problems in the data that would be written
+function checkConsistency(result, conflicts) {
+  const duplicates = (items, key, type, label) => {
+    const seen = new Set();
+    items.forEach(item => {
+      if (seen.has(item[key])) conflicts.push({ type, [label]: item[key] });
+      seen.add(item[key]);
+    });
+  };
+  duplicates(result.problemStatements, 'id', 'duplicate_problem', 'problemStatementId');
+  duplicates(result.registrations, 'teamNumber', 'duplicate_team', 'teamNumber');
+  duplicates(result.waitlist, 'teamNumber', 'duplicate_waitlist', 'teamNumber');
+  const problems = byKey(result.problemStatements, 'id');
+  const registered = new Set(result.registrations.map(r => r.teamNumber));
+  const counts = new Map();
+  result.registrations.forEach(r => {
+    if (!problems.has(r.problemStatementId)) conflicts.push({ type: 'unknown_problem', teamNumber: r.teamNumber, problemStatementId: r.problemStatementId });
+    counts.set(r.problemStatementId, (counts.get(r.problemStatementId) || 0) + 1);
+  });
+  result.waitlist.forEach(w => {
+    if (!problems.has(w.problemStatementId)) conflicts.push({ type: 'unknown_problem', teamNumber: w.teamNumber, problemStatementId: w.problemStatementId });
+    if (registered.has(w.teamNumber)) conflicts.push({ type: 'waitlisted_and_registered', teamNumber: w.teamNumber });
+  });
+  problems.forEach(p => {
+    const count = counts.get(p.id) || 0;
+    if (count > p.maxSelections) conflicts.push({ type: 'over_capacity', problemStatementId: p.id, registrations: count, maxSelections: p.maxSelections });
+  });
+}
+
+// current: createSnapshot() of the target; returns { errors, conflicts, diff, result }. Nothing is written here.
+function planImport(current, input, mode = 'merge') {
+  if (!MODES.includes(mode)) return { errors: [`mode must be one of: ${MODES.join(', ')}`], conflicts: [], diff: null, result: null };
+  const { errors, snapshot } = parseSnapshot(input);
+  if (errors.length) return { errors, conflicts: [], diff: null, result: null };
+  // The current data goes through the same normalisation, so only real differences show up in the diff
+  const base = parseSnapshot(current).snapshot;
+  base.roster = base.roster || [];
+  const conflicts = [];
+  const result = mode === 'replace'
+    ? { ...snapshot, roster: snapshot.roster || base.roster }
+    : mergeInto(base, snapshot, conflicts);
+  checkConsistency(result, conflicts);
+  const diff = {
+    problemStatements: diffList(base.problemStatements, result.problemStatements, 'id'),
+    registrations: diffList(base.registrations, result.registrations, 'teamNumber'),
+    waitlist: diffList(base.waitlist, result.waitlist, 'teamNumber'),
+    accessCodes: diffList(base.accessCodes, result.accessCodes, 'teamNumber'),
+    roster: diffList(base.roster, result.roster, 'teamNumber')
+  };
+  return { errors: [], conflicts, diff, result };
+}
+
+module.exports = { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, MODES, createSnapshot, parseSnapshot, planImport };
@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+// Snapshot export/import from the command line, against the store the server is configured for
+// (STORE_BACKEND / MONGODB_URI, as in app.js). See snapshot.js for the format.
+const fs = require('fs');
+const crypto = require('crypto');
+const stores = require('./stores');
+const snapshot = require('./snapshot');
+const backups = require('./backups');
+const { EventRegistry } = require('./event_registry');
+
+const USAGE = `Usage:
+  node snapshot_cli.js export [--event <slug>] [--out <file>]
+  node snapshot_cli.js import <file> [--event <slug>] [--mode merge|replace] [--dry-run]
+
+Export writes to stdout unless --out is given. Import merges by default and stops on any conflict.
+Phase rules are not applied here. A running server on the JSON store keeps its cached copy, so stop it
+first or import through POST /api/admin/snapshot/import instead.`;
+
+function parseArgs(argv) {
+  const args = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run') args.dryRun = true;
+    else if (arg === '--help' || arg === '-h') args.help = true;
+    else if (['--event', '--out', '--mode'].includes(arg)) args[arg.slice(2)] = argv[++i];
+    else args._.push(arg);
+  }
+  return args;
+}
+
+async function openEvent(slug) {
+  const defaultEvent = { slug: process.env.DEFAULT_EVENT_SLUG || 'main', name: process.env.EVENT_NAME || 'TechFrontier 2K25 Hackathon' };
+  const backend = stores.storeBackend();
+  const home = stores.createStore(backend, defaultEvent.slug);
+  await home.init();
+  const target = slug || defaultEvent.slug;
+  const info = await new EventRegistry(defaultEvent, () => home).get(target);
+  if (!info) {
+    await home.close();
+    throw new Error(`Unknown event: ${target}`);
+  }
+  const scoped = target !== defaultEvent.slug;
+  let store = home;
+  if (scoped) {
+    store = stores.createStore(backend, target, { scoped });
+    await store.init();
+  }
+  const close = async () => {
+    if (scoped) await store.close();
+    await home.close();
+  };
+  return { info, store, close };
+}
+
+async function exportCommand(args) {
+  const event = await openEvent(args.event);
+  try {
+    const data = await snapshot.createSnapshot(event.store, { event: event.info });
+    const json = JSON.stringify(data, null, 2) + '\n';
+    if (args.out) {
+      fs.writeFileSync(args.out, json);
+      console.error(`Exported ${data.problemStatements.length} problems and ${data.registrations.length} registrations of ${event.info.slug} to ${args.out}`);
+    } else {
+      process.stdout.write(json);
+    }
+    return 0;
+  } finally {
+    await event.close();
+  }
+}
+
+function printDiff(diff) {
+  Object.entries(diff).forEach(([section, d]) => {
+    console.log(`${section}: +${d.added.length} ~${d.changed.length} -${d.removed.length} (${d.unchanged} unchanged)`);
+    if (d.added.length) console.log(`  added: ${d.added.join(', ')}`);
+    if (d.changed.length) console.log(`  changed: ${d.changed.join(', ')}`);
+    if (d.removed.length) console.log(`  removed: ${d.removed.join(', ')}`);
+  });
+}
+
+async function importCommand(args) {
+  const [file] = args._;
+  if (!file) { console.error(USAGE); return 1; }
+  const input = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const mode = args.mode || 'merge';
+  const event = await openEvent(args.event);
+  try {
+    const current = await snapshot.createSnapshot(event.store);
+    const plan = snapshot.planImport(current, input, mode);
+    if (plan.errors.length) {
+      console.error('Invalid snapshot:');
+      plan.errors.forEach(e => console.error(`  ${e}`));
+      return 1;
+    }
+    console.log(`${args.dryRun ? 'Dry run: ' : ''}${mode} into ${event.info.slug}`);
+    printDiff(plan.diff);
+    if (plan.conflicts.length) {
+      console.error(`${plan.conflicts.length} conflict(s); nothing was imported:`);
+      plan.conflicts.forEach(c => console.error(`  ${JSON.stringify(c)}`));
+      return 2;
+    }
+    if (args.dryRun) return 0;
+    const backup = await backups.takeBackup(event.store, { event: event.info, reason: 'import', actor: { type: 'system', id: 'snapshot-cli' } });
+    console.log(`Backed up the current data as ${backup.id}`);
+    await event.store.restoreSnapshot(plan.result);
+    await event.store.appendAudit({
+      id: crypto.randomUUID(),
+      at: new Date().toISOString(),
+      action: 'snapshot.import',
+      outcome: 'success',
+      reason: null,
+      actor: { type: 'system', id: 'snapshot-cli' },
+      ip: null,
+      userAgent: null,
+      teamNumber: null,
+      target: mode,
+      before: { problemStatements: current.problemStatements.length, registrations: current.registrations.length },
+      after: plan.diff
+    });
+    console.log('Imported.');
+    return 0;
+  } finally {
+    await event.close();
+  }
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const command = args._.shift();
+  if (args.help || !['export', 'import'].includes(command)) {
+    console.error(USAGE);
+    return args.help ? 0 : 1;
+  }
+  return command === 'export' ? exportCommand(args) : importCommand(args);
+}
+
+main().then(code => { process.exitCode = code; }).catch(error => {
+  console.error(error.message || error);
+  process.exitCode = 1;
+});
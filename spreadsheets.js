@@ -0,0 +1,135 @@
+// CSV and XLSX exports (rows are written to the response as they are read from the store), and CSV/XLSX parsing for imports.
+const ExcelJS = require('exceljs');
+
+// RFC 4180 CSV with a BOM so Excel detects UTF-8
+function csvLine(values) {
+  const cell = (v) => {
+    let str = v === null || v === undefined ? '' : String(v);
+    // Stop spreadsheet apps from running team-supplied text as a formula
+    if (typeof v === 'string' && /^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  return values.map(cell).join(',') + '\r\n';
+}
+
+function toCsv(header, rows) {
+  return '\uFEFF' + [header, ...rows].map(csvLine).join('');
+}
+
+// RFC 4180: quoted fields may hold commas, quotes ("") and line breaks. Returns rows of strings, without blank lines;
+// the quote csvLine puts in front of formula-like values is taken off again.
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = String(text);
+  const endField = () => {
+    row.push(/^'[=+\-@\t\r]/.test(field) ? field.slice(1) : field);
+    field = '';
+  };
+  const endRow = () => {
+    endField();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+  for (let i = input.charCodeAt(0) === 0xFEFF ? 1 : 0; i < input.length; i++) {
+    const c = input[i];
+    if (quoted) {
+      if (c === '"' && input[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === '') quoted = true;
+    else if (c === ',') endField();
+    else if (c === '\n' || c === '\r') {
+      if (c === '\r' && input[i + 1] === '\n') i++;
+      endRow();
+    } else field += c;
+  }
+  if (quoted) throw new Error('Unterminated quoted field');
+  if (field !== '' || row.length) endRow();
+  return rows;
+}
+
+// The first worksheet of an XLSX upload as rows of strings (rich text, links and formula results as displayed),
+// without blank rows
+async function readXlsxRows(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+  const rows = [];
+  sheet.eachRow({ includeEmpty: false }, (row) => {
+    const values = [];
+    for (let i = 1; i <= sheet.columnCount; i++) values.push(String(row.getCell(i).text || '').trim());
+    if (values.some(Boolean)) rows.push(values);
+  });
+  return rows;
+}
+
+function formatIst(iso) {
+  if (!iso) return '';
+  const date = new Date(iso);
+  if (isNaN(date)) return '';
+  return date.toLocaleString('en-IN', { year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false, timeZone: 'Asia/Kolkata' }) + ' IST';
+}
+
+const REGISTRATION_COLUMNS = [
+  { header: 'Team Number', key: 'teamNumber', width: 12, value: r => r.team_number },
+  { header: 'Team Name', key: 'teamName', width: 28, value: r => r.team_name },
+  { header: 'Team Leader', key: 'teamLeader', width: 28, value: r => r.team_leader },
+  { header: 'Problem ID', key: 'problemId', width: 12, value: r => r.problem_statement_id },
+  { header: 'Problem Title', key: 'problemTitle', width: 40, value: r => r.problem_title },
+  { header: 'Category', key: 'category', width: 22, value: r => r.problem_category || '' },
+  { header: 'Difficulty', key: 'difficulty', width: 14, value: r => r.problem_difficulty || '' },
+  { header: 'Registered At (IST)', key: 'registeredAt', width: 26, value: r => formatIst(r.registration_date_time) }
+];
+
+const PROBLEM_COLUMNS = [
+  { header: 'Problem ID', key: 'id', width: 12, value: p => p.id },
+  { header: 'Title', key: 'title', width: 40, value: p => p.title },
+  { header: 'Category', key: 'category', width: 22, value: p => p.category || '' },
+  { header: 'Difficulty', key: 'difficulty', width: 14, value: p => p.difficulty || '' },
+  { header: 'Technologies', key: 'technologies', width: 30, value: p => (p.technologies || []).join(', ') },
+  { header: 'Selected', key: 'selected', width: 10, value: p => p.selectedCount },
+  { header: 'Max Selections', key: 'max', width: 14, value: p => p.maxSelections },
+  { header: 'Status', key: 'status', width: 12, value: p => (p.isAvailable ? 'Available' : 'Full') },
+  { header: 'Waitlist', key: 'waitlist', width: 10, value: p => p.waitlistCount || 0 },
+  { header: 'Description', key: 'description', width: 60, value: p => p.description }
+];
+
+// sheets: [{ name, columns, rows }] where rows is any (async) iterable
+async function streamCsv(res, filename, sheets) {
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.csv"`);
+  res.write('\uFEFF');
+  let first = true;
+  for (const sheet of sheets) {
+    // A CSV has no tabs, so several sheets are separated by a titled blank line
+    if (sheets.length > 1) res.write((first ? '' : '\r\n') + csvLine([sheet.name]));
+    first = false;
+    res.write(csvLine(sheet.columns.map(c => c.header)));
+    for await (const row of sheet.rows) res.write(csvLine(sheet.columns.map(c => c.value(row))));
+  }
+  res.end();
+}
+
+async function streamXlsx(res, filename, sheets) {
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.xlsx"`);
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true, useSharedStrings: false });
+  workbook.created = new Date();
+  for (const sheet of sheets) {
+    const worksheet = workbook.addWorksheet(sheet.name, { views: [{ state: 'frozen', ySplit: 1 }] });
+    worksheet.columns = sheet.columns.map(({ header, key, width }) => ({ header, key, width }));
+    worksheet.getRow(1).font = { bold: true };
+    worksheet.getRow(1).commit();
+    for await (const row of sheet.rows) {
+      worksheet.addRow(Object.fromEntries(sheet.columns.map(c => [c.key, c.value(row)]))).commit();
+    }
+    worksheet.commit();
+  }
+  await workbook.commit();
+}
+
+module.exports = { toCsv, parseCsv, readXlsxRows, formatIst, REGISTRATION_COLUMNS, PROBLEM_COLUMNS, streamCsv, streamXlsx };
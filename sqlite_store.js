@@ -0,0 +1,989 @@
+const path = require('path');
+const Database = require('better-sqlite3');
+
+// Embedded single-node store. Every write runs in a SQLite transaction, and the
+// schema enforces one registration per team and cascades problem deletes.
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS problem_statements (
+    id TEXT PRIMARY KEY,
+    title TEXT NOT NULL,
+    description TEXT,
+    max_selections INTEGER NOT NULL CHECK (max_selections >= 1),
+    category TEXT,
+    difficulty TEXT,
+    technologies TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE TABLE IF NOT EXISTS registrations (
+    team_number TEXT PRIMARY KEY,
+    team_name TEXT,
+    team_leader TEXT,
+    problem_statement_id TEXT NOT NULL REFERENCES problem_statements(id) ON DELETE CASCADE,
+    registration_date_time TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS registrations_problem ON registrations(problem_statement_id);
+  CREATE TABLE IF NOT EXISTS waitlist (
+    team_number TEXT PRIMARY KEY,
+    team_name TEXT,
+    team_leader TEXT,
+    problem_statement_id TEXT NOT NULL REFERENCES problem_statements(id) ON DELETE CASCADE,
+    joined_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS waitlist_problem ON waitlist(problem_statement_id, joined_at);
+  CREATE TABLE IF NOT EXISTS holds (
+    team_number TEXT PRIMARY KEY,
+    team_name TEXT,
+    team_leader TEXT,
+    problem_statement_id TEXT NOT NULL REFERENCES problem_statements(id) ON DELETE CASCADE,
+    held_at TEXT NOT NULL,
+    expires_at TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS holds_problem ON holds(problem_statement_id, expires_at);
+  CREATE TABLE IF NOT EXISTS preferences (
+    team_number TEXT PRIMARY KEY,
+    team_name TEXT,
+    team_leader TEXT,
+    preferences TEXT NOT NULL,
+    submitted_at TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS allocation_runs (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    run TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS access_codes (
+    team_number TEXT PRIMARY KEY,
+    code TEXT NOT NULL,
+    created_at TEXT
+  );
+  CREATE TABLE IF NOT EXISTS teams (
+    team_number TEXT PRIMARY KEY,
+    team_name TEXT NOT NULL,
+    team_leader TEXT NOT NULL,
+    institution TEXT,
+    contact_phone TEXT,
+    members TEXT NOT NULL DEFAULT '[]'
+  );
+  CREATE TABLE IF NOT EXISTS outbox (
+    id TEXT PRIMARY KEY,
+    status TEXT NOT NULL,
+    next_attempt_at TEXT NOT NULL,
+    email TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS outbox_due ON outbox(status, next_attempt_at);
+  CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id TEXT PRIMARY KEY,
+    subscription_id TEXT NOT NULL,
+    status TEXT NOT NULL,
+    next_attempt_at TEXT NOT NULL,
+    delivery TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS webhook_deliveries_due ON webhook_deliveries(status, next_attempt_at);
+  CREATE TABLE IF NOT EXISTS audit_log (
+    seq INTEGER PRIMARY KEY AUTOINCREMENT,
+    at TEXT,
+    action TEXT,
+    actor_id TEXT,
+    team_number TEXT,
+    entry TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS audit_log_at ON audit_log(at);
+  CREATE INDEX IF NOT EXISTS audit_log_team ON audit_log(team_number, at);
+  CREATE TABLE IF NOT EXISTS backups (
+    id TEXT PRIMARY KEY,
+    created_at TEXT NOT NULL,
+    meta TEXT NOT NULL,
+    snapshot TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS backups_created ON backups(created_at);
+`;
+
+function toMaxSelections(value) {
+  const parsed = typeof value === 'number' ? value : parseInt(value || '0', 10) || 0;
+  return Math.max(1, parsed);
+}
+
+function toProblem(row) {
+  return {
+    id: row.id,
+    title: row.title,
+    description: row.description,
+    maxSelections: row.max_selections,
+    category: row.category || null,
+    difficulty: row.difficulty || null,
+    technologies: JSON.parse(row.technologies)
+  };
+}
+
+function toRegistration(row) {
+  return {
+    teamNumber: row.team_number,
+    teamName: row.team_name,
+    teamLeader: row.team_leader,
+    problemStatementId: row.problem_statement_id,
+    registrationDateTime: row.registration_date_time
+  };
+}
+
+function toTeam(row) {
+  return {
+    teamNumber: row.team_number,
+    teamName: row.team_name,
+    teamLeader: row.team_leader,
+    institution: row.institution || null,
+    contactPhone: row.contact_phone || null,
+    members: JSON.parse(row.members)
+  };
+}
+
+function teamParams(team) {
+  const members = Array.isArray(team.members) ? team.members.map(m => ({ name: m.name, email: m.email || null })) : [];
+  return [String(team.teamNumber).trim(), team.teamName, team.teamLeader, team.institution || null, team.contactPhone || null, JSON.stringify(members)];
+}
+
+// Outbox emails as every store returns them (see mailer.js); the row keeps status and due time in columns for claiming
+function toEmail(email) {
+  return {
+    id: email.id,
+    to: Array.isArray(email.to) ? email.to.slice() : [],
+    subject: email.subject,
+    text: email.text,
+    template: email.template || null,
+    teamNumber: email.teamNumber === undefined || email.teamNumber === null ? null : String(email.teamNumber).trim(),
+    status: email.status || 'queued',
+    attempts: email.attempts || 0,
+    lastError: email.lastError || null,
+    createdAt: email.createdAt,
+    nextAttemptAt: email.nextAttemptAt || email.createdAt,
+    sentAt: email.sentAt || null
+  };
+}
+
+const EMAIL_FIELDS = ['status', 'attempts', 'lastError', 'nextAttemptAt', 'sentAt'];
+
+// Webhook deliveries as every store returns them (see webhooks.js), stored like outbox emails
+function toDelivery(delivery) {
+  return {
+    id: delivery.id,
+    subscriptionId: delivery.subscriptionId,
+    type: delivery.type,
+    payloadId: delivery.payloadId,
+    body: delivery.body,
+    status: delivery.status || 'queued',
+    attempts: delivery.attempts || 0,
+    lastError: delivery.lastError || null,
+    responseStatus: delivery.responseStatus || null,
+    createdAt: delivery.createdAt,
+    nextAttemptAt: delivery.nextAttemptAt || delivery.createdAt,
+    deliveredAt: delivery.deliveredAt || null,
+    replayOf: delivery.replayOf || null
+  };
+}
+
+const DELIVERY_FIELDS = ['status', 'attempts', 'lastError', 'responseStatus', 'nextAttemptAt', 'deliveredAt'];
+
+class SqliteStore {
+  // slug scopes the store to one hosted event (data.<slug>.sqlite); the default event keeps data.sqlite or SQLITE_PATH
+  // dir moves the file elsewhere (tests use a temporary directory)
+  constructor({ slug = null, seedDefaults = true, dir = __dirname } = {}) {
+    this.slug = slug;
+    this.seedDefaults = seedDefaults;
+    this.filename = process.env.SQLITE_PATH && !slug ? process.env.SQLITE_PATH : path.join(dir, slug ? `data.${slug}.sqlite` : 'data.sqlite');
+    this.db = null;
+  }
+
+  async init() {
+    if (this.db) return;
+    this.db = new Database(this.filename);
+    // WAL lets readers carry on during a write; other processes wait for the write lock instead of failing
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    const { count } = this.db.prepare('SELECT COUNT(*) AS count FROM problem_statements').get();
+    if (this.seedDefaults && count === 0) await this.seedProblemStatements();
+  }
+
+  async close() {
+    if (this.db) this.db.close();
+    this.db = null;
+  }
+
+  // Every read goes to the database, so there is no cache to drop
+  async refresh() { return; }
+
+  #run(sql, ...params) {
+    return this.db.prepare(sql).run(...params);
+  }
+
+  #get(sql, ...params) {
+    return this.db.prepare(sql).get(...params);
+  }
+
+  #all(sql, ...params) {
+    return this.db.prepare(sql).all(...params);
+  }
+
+  // IMMEDIATE takes the write lock up front, so checks and writes see the same data
+  #transaction(fn) {
+    return this.db.transaction(fn).immediate();
+  }
+
+  #countRegistrations(problemStatementId) {
+    return this.#get('SELECT COUNT(*) AS count FROM registrations WHERE problem_statement_id = ?', problemStatementId).count;
+  }
+
+  // Registrations plus live holds on a problem, leaving out the given team's own hold
+  #seatsTaken(problemStatementId, exceptTeam = null) {
+    const { count } = this.#get(
+      'SELECT COUNT(*) AS count FROM holds WHERE problem_statement_id = ? AND expires_at > ? AND team_number IS NOT ?',
+      problemStatementId, new Date().toISOString(), exceptTeam
+    );
+    return this.#countRegistrations(problemStatementId) + count;
+  }
+
+  // Problem Statements
+  async getAllProblemStatements() {
+    if (!this.db) await this.init();
+    return this.#all(`
+      SELECT p.*,
+        (SELECT COUNT(*) FROM registrations r WHERE r.problem_statement_id = p.id) AS selected_count,
+        (SELECT COUNT(*) FROM waitlist w WHERE w.problem_statement_id = p.id) AS waitlist_count,
+        (SELECT COUNT(*) FROM holds h WHERE h.problem_statement_id = p.id AND h.expires_at > @now) AS held_count
+      FROM problem_statements p ORDER BY p.rowid
+    `, { now: new Date().toISOString() }).map(row => ({
+      id: row.id,
+      title: row.title,
+      description: row.description,
+      max_selections: row.max_selections,
+      category: row.category || null,
+      difficulty: row.difficulty || null,
+      technologies: JSON.parse(row.technologies),
+      selected_count: row.selected_count,
+      held_count: row.held_count,
+      is_available: row.selected_count + row.held_count < row.max_selections,
+      waitlist_count: row.waitlist_count
+    }));
+  }
+
+  async getProblemStatementById(id) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT * FROM problem_statements WHERE id = ?', id);
+    return row ? toProblem(row) : null;
+  }
+
+  #insertProblem(problemStatement) {
+    return this.#run(
+      'INSERT OR IGNORE INTO problem_statements (id, title, description, max_selections, category, difficulty, technologies) VALUES (?, ?, ?, ?, ?, ?, ?)',
+      problemStatement.id,
+      problemStatement.title,
+      problemStatement.description,
+      toMaxSelections(problemStatement.maxSelections),
+      problemStatement.category || null,
+      problemStatement.difficulty || null,
+      JSON.stringify(Array.isArray(problemStatement.technologies) ? problemStatement.technologies : [])
+    );
+  }
+
+  async createProblemStatement(problemStatement) {
+    if (!this.db) await this.init();
+    const res = this.#insertProblem(problemStatement);
+    return { id: problemStatement.id, changes: res.changes };
+  }
+
+  // Refuses to lower max_selections below the problem's registrations unless force is set. moves / remove: teams taken
+  // off the problem in the same transaction; nothing is written unless every move fits ({ reason: 'move_conflict' }).
+  async updateProblemStatement(id, updates, { force = false, moves = [], remove = [] } = {}) {
+    if (!this.db) await this.init();
+    const columns = {};
+    if (updates.title !== undefined) columns.title = updates.title;
+    if (updates.description !== undefined) columns.description = updates.description;
+    if (updates.category !== undefined) columns.category = updates.category;
+    if (updates.difficulty !== undefined) columns.difficulty = updates.difficulty;
+    if (updates.technologies !== undefined) columns.technologies = JSON.stringify(Array.isArray(updates.technologies) ? updates.technologies : []);
+    if (updates.max_selections !== undefined || updates.maxSelections !== undefined) {
+      columns.max_selections = toMaxSelections(updates.max_selections ?? updates.maxSelections);
+    }
+    return this.#transaction(() => {
+      const current = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', id);
+      if (!current) return { id, changes: 0 };
+      const onProblem = (teamNumber) => Boolean(this.#get('SELECT 1 FROM registrations WHERE team_number = ? AND problem_statement_id = ?', teamNumber, id));
+      const conflicts = [];
+      const incoming = new Map();
+      moves.forEach(m => {
+        const problem = m.problemStatementId === id ? null : this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', m.problemStatementId);
+        const taken = problem ? this.#seatsTaken(problem.id) + (incoming.get(problem.id) || 0) : 0;
+        if (!onProblem(m.teamNumber)) conflicts.push({ ...m, reason: 'not_registered' });
+        else if (!problem) conflicts.push({ ...m, reason: 'problem_not_found' });
+        else if (taken >= problem.max_selections) conflicts.push({ ...m, reason: 'problem_full' });
+        else incoming.set(problem.id, (incoming.get(problem.id) || 0) + 1);
+      });
+      remove.filter(t => !onProblem(t)).forEach(teamNumber => conflicts.push({ teamNumber, reason: 'not_registered' }));
+      if (conflicts.length) return { id, changes: 0, reason: 'move_conflict', conflicts };
+      if (!force && columns.max_selections < current.max_selections) {
+        const registered = this.#countRegistrations(id) - moves.length - remove.length;
+        if (columns.max_selections < registered) return { id, changes: 0, reason: 'over_capacity', registered };
+      }
+      const names = Object.keys(columns);
+      if (names.length) {
+        this.#run(`UPDATE problem_statements SET ${names.map(n => `${n} = ?`).join(', ')} WHERE id = ?`, ...names.map(n => columns[n]), id);
+      }
+      const now = new Date().toISOString();
+      moves.forEach(m => this.#run('UPDATE registrations SET problem_statement_id = ?, registration_date_time = ? WHERE team_number = ?', m.problemStatementId, now, m.teamNumber));
+      remove.forEach(teamNumber => this.#run('DELETE FROM registrations WHERE team_number = ?', teamNumber));
+      // A capacity increase (or the seats left by moved and removed teams) goes to waitlisted teams
+      const promoted = this.#promoteFromWaitlist([id]);
+      return { id, changes: 1, promoted, moved: moves.map(m => ({ teamNumber: m.teamNumber, from: id, to: m.problemStatementId })), removed: remove };
+    });
+  }
+
+  // Registrations and waitlist entries go with the problem (ON DELETE CASCADE)
+  async deleteProblemStatement(id) {
+    if (!this.db) await this.init();
+    const res = this.#run('DELETE FROM problem_statements WHERE id = ?', id);
+    return { id, changes: res.changes };
+  }
+
+  // Registrations
+  async getAllRegistrations() {
+    if (!this.db) await this.init();
+    return this.#all(`
+      SELECT r.*, p.title, p.category, p.difficulty FROM registrations r
+      LEFT JOIN problem_statements p ON p.id = r.problem_statement_id ORDER BY r.rowid
+    `).map(row => ({
+      team_number: row.team_number,
+      team_name: row.team_name,
+      team_leader: row.team_leader,
+      problem_title: row.title || '',
+      problem_category: row.category || null,
+      problem_difficulty: row.difficulty || null,
+      registration_date_time: row.registration_date_time
+    }));
+  }
+
+  // Row-at-a-time access for exports, in registration order, straight off a statement cursor
+  async *iterateRegistrations() {
+    if (!this.db) await this.init();
+    const rows = this.db.prepare(`
+      SELECT r.*, p.title, p.category, p.difficulty FROM registrations r
+      LEFT JOIN problem_statements p ON p.id = r.problem_statement_id ORDER BY r.registration_date_time, r.rowid
+    `).iterate();
+    for (const row of rows) {
+      yield {
+        team_number: row.team_number,
+        team_name: row.team_name,
+        team_leader: row.team_leader,
+        problem_statement_id: row.problem_statement_id,
+        problem_title: row.title || '',
+        problem_category: row.category || null,
+        problem_difficulty: row.difficulty || null,
+        registration_date_time: row.registration_date_time
+      };
+    }
+  }
+
+  async getRegistrationsByProblemStatement(problemStatementId) {
+    if (!this.db) await this.init();
+    return this.#all(`
+      SELECT r.*, p.title FROM registrations r
+      LEFT JOIN problem_statements p ON p.id = r.problem_statement_id
+      WHERE r.problem_statement_id = ? ORDER BY r.rowid
+    `, problemStatementId).map(row => ({
+      team_number: row.team_number,
+      team_name: row.team_name,
+      team_leader: row.team_leader,
+      problem_title: row.title || '',
+      registration_date_time: row.registration_date_time
+    }));
+  }
+
+  async isTeamNumberTaken(teamNumber) {
+    if (!this.db) await this.init();
+    return Boolean(this.#get('SELECT 1 FROM registrations WHERE team_number = ?', String(teamNumber).trim()));
+  }
+
+  // force (admin assignment) skips the capacity check
+  async createRegistrationAtomic(registration, { force = false } = {}) {
+    if (!this.db) await this.init();
+    const target = String(registration.teamNumber).trim();
+    try {
+      return this.#transaction(() => {
+        if (this.#get('SELECT 1 FROM registrations WHERE team_number = ?', target)) return null;
+        const problem = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', registration.problemStatementId);
+        if (!problem) return null;
+        // Seats held by other teams count; the team's own hold is used up
+        if (!force && this.#seatsTaken(problem.id, target) >= problem.max_selections) return null;
+        this.#run(
+          'INSERT INTO registrations (team_number, team_name, team_leader, problem_statement_id, registration_date_time) VALUES (?, ?, ?, ?, ?)',
+          target, registration.teamName, registration.teamLeader, problem.id, new Date().toISOString()
+        );
+        // Registering directly takes the team off any waitlist and releases its hold
+        this.#run('DELETE FROM waitlist WHERE team_number = ?', target);
+        this.#run('DELETE FROM holds WHERE team_number = ?', target);
+        return { id: target, changes: 1 };
+      });
+    } catch (error) {
+      // Another process registered the same team first
+      if (error.code === 'SQLITE_CONSTRAINT_PRIMARYKEY') return null;
+      throw error;
+    }
+  }
+
+  // Moves a team to another problem only if the new one has a free slot (or force is set); the old slot is kept otherwise
+  async swapRegistrationAtomic(teamNumber, problemStatementId, { force = false } = {}) {
+    if (!this.db) await this.init();
+    const target = String(teamNumber).trim();
+    return this.#transaction(() => {
+      const record = this.#get('SELECT problem_statement_id FROM registrations WHERE team_number = ?', target);
+      if (!record || record.problem_statement_id === problemStatementId) return null;
+      const problem = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', problemStatementId);
+      if (!problem) return null;
+      if (!force && this.#seatsTaken(problem.id, target) >= problem.max_selections) return null;
+      this.#run('UPDATE registrations SET problem_statement_id = ?, registration_date_time = ? WHERE team_number = ?', problem.id, new Date().toISOString(), target);
+      const promoted = this.#promoteFromWaitlist([record.problem_statement_id]);
+      return { id: target, from: record.problem_statement_id, to: problem.id, changes: 1, promoted };
+    });
+  }
+
+  async getRegistrationByTeamNumber(teamNumber) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT * FROM registrations WHERE team_number = ?', String(teamNumber).trim());
+    return row ? toRegistration(row) : null;
+  }
+
+  async deleteRegistration(teamNumber) {
+    if (!this.db) await this.init();
+    const target = String(teamNumber).trim();
+    return this.#transaction(() => {
+      const record = this.#get('SELECT problem_statement_id FROM registrations WHERE team_number = ?', target);
+      if (!record) return { changes: 0, promoted: [] };
+      this.#run('DELETE FROM registrations WHERE team_number = ?', target);
+      const promoted = this.#promoteFromWaitlist([record.problem_statement_id]);
+      return { changes: 1, promoted };
+    });
+  }
+
+  // Holds: a seat reserved for one team until expires_at, counted against max_selections for everyone else.
+  // One hold per team: holding another problem replaces the earlier hold.
+  async createHoldAtomic(entry, seconds) {
+    if (!this.db) await this.init();
+    const target = String(entry.teamNumber).trim();
+    return this.#transaction(() => {
+      if (this.#get('SELECT 1 FROM registrations WHERE team_number = ?', target)) return { changes: 0, reason: 'registered' };
+      const problem = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', entry.problemStatementId);
+      if (!problem) return { changes: 0, reason: 'not_found' };
+      if (this.#seatsTaken(problem.id, target) >= problem.max_selections) return { changes: 0, reason: 'full' };
+      const now = new Date();
+      const hold = {
+        teamNumber: target,
+        teamName: entry.teamName,
+        teamLeader: entry.teamLeader,
+        problemStatementId: problem.id,
+        heldAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + seconds * 1000).toISOString()
+      };
+      this.#run(
+        'INSERT OR REPLACE INTO holds (team_number, team_name, team_leader, problem_statement_id, held_at, expires_at) VALUES (?, ?, ?, ?, ?, ?)',
+        target, hold.teamName, hold.teamLeader, hold.problemStatementId, hold.heldAt, hold.expiresAt
+      );
+      return { changes: 1, hold };
+    });
+  }
+
+  // Freed seats go to the waitlist
+  async releaseHold(teamNumber) {
+    if (!this.db) await this.init();
+    const target = String(teamNumber).trim();
+    return this.#transaction(() => {
+      const hold = this.#get('SELECT problem_statement_id FROM holds WHERE team_number = ? AND expires_at > ?', target, new Date().toISOString());
+      this.#run('DELETE FROM holds WHERE team_number = ?', target);
+      if (!hold) return { changes: 0, promoted: [] };
+      return { changes: 1, promoted: this.#promoteFromWaitlist([hold.problem_statement_id]) };
+    });
+  }
+
+  // Drops holds past their expiry and hands their seats to the waitlist
+  async expireHolds() {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const now = new Date().toISOString();
+      const expired = this.#all('SELECT problem_statement_id FROM holds WHERE expires_at <= ?', now);
+      if (expired.length === 0) return { changes: 0, promoted: [] };
+      this.#run('DELETE FROM holds WHERE expires_at <= ?', now);
+      return { changes: expired.length, promoted: this.#promoteFromWaitlist(expired.map(h => h.problem_statement_id)) };
+    });
+  }
+
+  // Live holds, soonest to expire first
+  async getHolds() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT * FROM holds WHERE expires_at > ? ORDER BY expires_at', new Date().toISOString()).map(row => ({
+      teamNumber: row.team_number,
+      teamName: row.team_name,
+      teamLeader: row.team_leader,
+      problemStatementId: row.problem_statement_id,
+      heldAt: row.held_at,
+      expiresAt: row.expires_at
+    }));
+  }
+
+  // Waitlist
+  // Fills free slots on the given problems from the head of their waitlists, inside the caller's transaction
+  #promoteFromWaitlist(problemStatementIds) {
+    const promoted = [];
+    for (const pid of new Set(problemStatementIds)) {
+      const problem = this.#get('SELECT max_selections FROM problem_statements WHERE id = ?', pid);
+      if (!problem) continue;
+      let current = this.#seatsTaken(pid);
+      while (current < problem.max_selections) {
+        const entry = this.#get('SELECT * FROM waitlist WHERE problem_statement_id = ? ORDER BY joined_at, rowid LIMIT 1', pid);
+        if (!entry) break;
+        this.#run('DELETE FROM waitlist WHERE team_number = ?', entry.team_number);
+        this.#run(
+          'INSERT INTO registrations (team_number, team_name, team_leader, problem_statement_id, registration_date_time) VALUES (?, ?, ?, ?, ?)',
+          entry.team_number, entry.team_name, entry.team_leader, pid, new Date().toISOString()
+        );
+        promoted.push({ teamNumber: entry.team_number, teamName: entry.team_name, problemStatementId: pid, waitlistedAt: entry.joined_at });
+        current++;
+      }
+    }
+    return promoted;
+  }
+
+  async joinWaitlistAtomic(entry) {
+    if (!this.db) await this.init();
+    const target = String(entry.teamNumber).trim();
+    return this.#transaction(() => {
+      if (this.#get('SELECT 1 FROM registrations WHERE team_number = ?', target)) return { changes: 0, reason: 'registered' };
+      const problem = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', entry.problemStatementId);
+      if (!problem) return { changes: 0, reason: 'not_found' };
+      if (this.#seatsTaken(problem.id, target) < problem.max_selections) return { changes: 0, reason: 'available' };
+      // One waitlist at a time: joining another problem's list replaces the old spot
+      this.#run('DELETE FROM waitlist WHERE team_number = ?', target);
+      this.#run(
+        'INSERT INTO waitlist (team_number, team_name, team_leader, problem_statement_id, joined_at) VALUES (?, ?, ?, ?, ?)',
+        target, entry.teamName, entry.teamLeader, problem.id, new Date().toISOString()
+      );
+      const { position } = this.#get('SELECT COUNT(*) AS position FROM waitlist WHERE problem_statement_id = ?', problem.id);
+      return { changes: 1, position };
+    });
+  }
+
+  async leaveWaitlist(teamNumber) {
+    if (!this.db) await this.init();
+    const res = this.#run('DELETE FROM waitlist WHERE team_number = ?', String(teamNumber).trim());
+    return { changes: res.changes };
+  }
+
+  // Entries in queue order, each with its 1-based position on its problem's list
+  async getWaitlist() {
+    if (!this.db) await this.init();
+    const positions = new Map();
+    return this.#all('SELECT * FROM waitlist ORDER BY joined_at, rowid').map(row => {
+      const position = (positions.get(row.problem_statement_id) || 0) + 1;
+      positions.set(row.problem_statement_id, position);
+      return { teamNumber: row.team_number, teamName: row.team_name, teamLeader: row.team_leader, problemStatementId: row.problem_statement_id, joinedAt: row.joined_at, position };
+    });
+  }
+
+  // Settings (event configuration such as the allocation mode), one JSON value per key
+  async getSettings() {
+    if (!this.db) await this.init();
+    return Object.fromEntries(this.#all('SELECT key, value FROM settings').map(row => [row.key, JSON.parse(row.value)]));
+  }
+
+  async updateSettings(patch) {
+    if (!this.db) await this.init();
+    const upsert = this.db.prepare('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value');
+    this.#transaction(() => {
+      Object.entries(patch).forEach(([key, value]) => upsert.run(key, JSON.stringify(value === undefined ? null : value)));
+    });
+    return this.getSettings();
+  }
+
+  // Ranked preferences
+  async savePreferences(entry) {
+    if (!this.db) await this.init();
+    const record = {
+      teamNumber: String(entry.teamNumber).trim(),
+      teamName: entry.teamName,
+      teamLeader: entry.teamLeader,
+      preferences: entry.preferences.slice(),
+      submittedAt: new Date().toISOString()
+    };
+    this.#run(
+      'INSERT OR REPLACE INTO preferences (team_number, team_name, team_leader, preferences, submitted_at) VALUES (?, ?, ?, ?, ?)',
+      record.teamNumber, record.teamName, record.teamLeader, JSON.stringify(record.preferences), record.submittedAt
+    );
+    return { ...record };
+  }
+
+  async getPreferences() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT * FROM preferences ORDER BY submitted_at, rowid').map(row => ({
+      teamNumber: row.team_number,
+      teamName: row.team_name,
+      teamLeader: row.team_leader,
+      preferences: JSON.parse(row.preferences),
+      submittedAt: row.submitted_at
+    }));
+  }
+
+  async deletePreferences(teamNumber) {
+    if (!this.db) await this.init();
+    const res = this.#run('DELETE FROM preferences WHERE team_number = ?', String(teamNumber).trim());
+    return { changes: res.changes };
+  }
+
+  // Writes every assignment or none: any taken team or full problem aborts the whole run. Live holds count as taken
+  // seats; a team assigned to the problem it holds uses its own seat, and assigned teams' holds are released.
+  async commitAllocation(assignments, run) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const conflicts = [];
+      const counts = new Map();
+      const seen = new Set();
+      const now = new Date().toISOString();
+      assignments.forEach(a => {
+        const problem = this.#get('SELECT id, max_selections FROM problem_statements WHERE id = ?', a.problemStatementId);
+        if (!problem) { conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_not_found' }); return; }
+        if (!counts.has(problem.id)) counts.set(problem.id, this.#seatsTaken(problem.id));
+        const ownSeat = Boolean(this.#get('SELECT 1 FROM holds WHERE team_number = ? AND problem_statement_id = ? AND expires_at > ?', String(a.teamNumber), problem.id, now));
+        const taken = seen.has(String(a.teamNumber)) || Boolean(this.#get('SELECT 1 FROM registrations WHERE team_number = ?', String(a.teamNumber)));
+        if (taken) conflicts.push({ teamNumber: a.teamNumber, reason: 'already_registered' });
+        else if (!ownSeat && counts.get(problem.id) >= problem.max_selections) conflicts.push({ teamNumber: a.teamNumber, reason: 'problem_full' });
+        seen.add(String(a.teamNumber));
+        if (!ownSeat) counts.set(problem.id, counts.get(problem.id) + 1);
+      });
+      if (conflicts.length) return { changes: 0, conflicts };
+      const insert = this.db.prepare('INSERT INTO registrations (team_number, team_name, team_leader, problem_statement_id, registration_date_time) VALUES (?, ?, ?, ?, ?)');
+      const unqueue = this.db.prepare('DELETE FROM waitlist WHERE team_number = ?');
+      const release = this.db.prepare('DELETE FROM holds WHERE team_number = ?');
+      assignments.forEach(a => {
+        insert.run(String(a.teamNumber), a.teamName, a.teamLeader, a.problemStatementId, now);
+        unqueue.run(String(a.teamNumber));
+        release.run(String(a.teamNumber));
+      });
+      const record = { ...run, committedAt: now };
+      this.#run('INSERT INTO allocation_runs (run) VALUES (?)', JSON.stringify(record));
+      return { changes: assignments.length, conflicts: [], run: record };
+    });
+  }
+
+  async getAllocationRuns() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT run FROM allocation_runs ORDER BY seq').map(row => JSON.parse(row.run));
+  }
+
+  // Audit journal: insert-only, never updated or cleared
+  async appendAudit(entry) {
+    if (!this.db) await this.init();
+    this.#run(
+      'INSERT INTO audit_log (at, action, actor_id, team_number, entry) VALUES (?, ?, ?, ?, ?)',
+      entry.at || null, entry.action || null, (entry.actor && entry.actor.id) || null, entry.teamNumber || null, JSON.stringify(entry)
+    );
+  }
+
+  // Newest first. filter: { action (prefix), actor, teamNumber, from, to, limit }
+  async getAuditLog(filter = {}) {
+    if (!this.db) await this.init();
+    const where = [];
+    const params = [];
+    if (filter.action) { where.push('substr(action, 1, ?) = ?'); params.push(String(filter.action).length, String(filter.action)); }
+    if (filter.actor) { where.push('actor_id = ?'); params.push(filter.actor); }
+    if (filter.teamNumber) { where.push('team_number = ?'); params.push(String(filter.teamNumber).trim()); }
+    if (filter.from) { where.push('at >= ?'); params.push(filter.from); }
+    if (filter.to) { where.push('at <= ?'); params.push(filter.to); }
+    let sql = `SELECT entry FROM audit_log${where.length ? ` WHERE ${where.join(' AND ')}` : ''} ORDER BY at DESC, seq DESC`;
+    if (filter.limit) { sql += ' LIMIT ?'; params.push(filter.limit); }
+    return this.#all(sql, ...params).map(row => JSON.parse(row.entry));
+  }
+
+  // Backups: { id, createdAt, reason, ..., snapshot }; listings leave the snapshot out and are newest first
+  async saveBackup(backup) {
+    if (!this.db) await this.init();
+    const { snapshot, ...meta } = backup;
+    this.#run('INSERT INTO backups (id, created_at, meta, snapshot) VALUES (?, ?, ?, ?)', backup.id, backup.createdAt, JSON.stringify(meta), JSON.stringify(snapshot));
+  }
+
+  async listBackups() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT meta FROM backups ORDER BY created_at DESC, rowid DESC').map(row => JSON.parse(row.meta));
+  }
+
+  async getBackup(id) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT meta, snapshot FROM backups WHERE id = ?', String(id));
+    return row ? { ...JSON.parse(row.meta), snapshot: JSON.parse(row.snapshot) } : null;
+  }
+
+  async deleteBackup(id) {
+    if (!this.db) await this.init();
+    return { changes: this.#run('DELETE FROM backups WHERE id = ?', String(id)).changes };
+  }
+
+  // Team access codes
+  async getTeamAccessCodes() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT * FROM access_codes ORDER BY rowid').map(row => ({ teamNumber: row.team_number, code: row.code, createdAt: row.created_at }));
+  }
+
+  async getTeamAccessCode(teamNumber) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT * FROM access_codes WHERE team_number = ?', String(teamNumber).trim());
+    return row ? { teamNumber: row.team_number, code: row.code, createdAt: row.created_at } : null;
+  }
+
+  async saveTeamAccessCodes(codes) {
+    if (!this.db) await this.init();
+    const upsert = this.db.prepare('INSERT INTO access_codes (team_number, code, created_at) VALUES (?, ?, ?) ON CONFLICT(team_number) DO UPDATE SET code = excluded.code, created_at = excluded.created_at');
+    this.#transaction(() => {
+      codes.forEach(c => upsert.run(String(c.teamNumber).trim(), c.code, c.createdAt || new Date().toISOString()));
+    });
+    return { changes: codes.length };
+  }
+
+  // Team roster, in the order the teams were added
+  async getTeams() {
+    if (!this.db) await this.init();
+    return this.#all('SELECT * FROM teams ORDER BY rowid').map(toTeam);
+  }
+
+  async getTeam(teamNumber) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT * FROM teams WHERE team_number = ?', String(teamNumber).trim());
+    return row ? toTeam(row) : null;
+  }
+
+  async createTeam(team) {
+    if (!this.db) await this.init();
+    const res = this.#run('INSERT OR IGNORE INTO teams (team_number, team_name, team_leader, institution, contact_phone, members) VALUES (?, ?, ?, ?, ?, ?)', ...teamParams(team));
+    return { changes: res.changes };
+  }
+
+  // Adds or replaces the given teams and deletes the removed ones in one transaction
+  async upsertTeams(teams, { remove = [] } = {}) {
+    if (!this.db) await this.init();
+    const upsert = this.db.prepare(
+      `INSERT INTO teams (team_number, team_name, team_leader, institution, contact_phone, members) VALUES (?, ?, ?, ?, ?, ?)
+       ON CONFLICT (team_number) DO UPDATE SET team_name = excluded.team_name, team_leader = excluded.team_leader,
+         institution = excluded.institution, contact_phone = excluded.contact_phone, members = excluded.members`
+    );
+    return this.#transaction(() => {
+      const removed = remove.reduce((n, t) => n + this.#run('DELETE FROM teams WHERE team_number = ?', String(t).trim()).changes, 0);
+      teams.forEach(team => upsert.run(...teamParams(team)));
+      return { changes: teams.length + removed };
+    });
+  }
+
+  // Email outbox
+  #saveEmail(email) {
+    this.#run('UPDATE outbox SET status = ?, next_attempt_at = ?, email = ? WHERE id = ?', email.status, email.nextAttemptAt, JSON.stringify(email), email.id);
+  }
+
+  async queueEmails(emails) {
+    if (!this.db) await this.init();
+    const add = this.db.prepare('INSERT INTO outbox (id, status, next_attempt_at, email) VALUES (?, ?, ?, ?)');
+    return this.#transaction(() => {
+      emails.map(toEmail).forEach(e => add.run(e.id, e.status, e.nextAttemptAt, JSON.stringify(e)));
+      return { changes: emails.length };
+    });
+  }
+
+  // Due emails become 'sending' with one more attempt; if the sender never reports back, they are due again after leaseMs
+  async claimEmails({ limit = 10, leaseMs = 120000 } = {}) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const now = new Date();
+      const rows = this.#all(
+        "SELECT email FROM outbox WHERE status IN ('queued', 'sending') AND next_attempt_at <= ? ORDER BY next_attempt_at, rowid LIMIT ?",
+        now.toISOString(), limit
+      );
+      return rows.map(row => {
+        const email = toEmail(JSON.parse(row.email));
+        email.status = 'sending';
+        email.attempts += 1;
+        email.nextAttemptAt = new Date(now.getTime() + leaseMs).toISOString();
+        this.#saveEmail(email);
+        return email;
+      });
+    });
+  }
+
+  async updateEmail(id, patch) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const row = this.#get('SELECT email FROM outbox WHERE id = ?', String(id));
+      if (!row) return null;
+      const email = toEmail(JSON.parse(row.email));
+      EMAIL_FIELDS.forEach(f => { if (patch[f] !== undefined) email[f] = patch[f]; });
+      this.#saveEmail(email);
+      return email;
+    });
+  }
+
+  // Newest first
+  async getOutbox({ status = null, limit = 100 } = {}) {
+    if (!this.db) await this.init();
+    const rows = status
+      ? this.#all('SELECT email FROM outbox WHERE status = ? ORDER BY rowid DESC LIMIT ?', status, limit)
+      : this.#all('SELECT email FROM outbox ORDER BY rowid DESC LIMIT ?', limit);
+    return rows.map(row => toEmail(JSON.parse(row.email)));
+  }
+
+  // Webhook delivery log
+  #saveDelivery(delivery) {
+    this.#run('UPDATE webhook_deliveries SET status = ?, next_attempt_at = ?, delivery = ? WHERE id = ?', delivery.status, delivery.nextAttemptAt, JSON.stringify(delivery), delivery.id);
+  }
+
+  async queueWebhookDeliveries(deliveries) {
+    if (!this.db) await this.init();
+    const add = this.db.prepare('INSERT INTO webhook_deliveries (id, subscription_id, status, next_attempt_at, delivery) VALUES (?, ?, ?, ?, ?)');
+    return this.#transaction(() => {
+      deliveries.map(toDelivery).forEach(d => add.run(d.id, d.subscriptionId, d.status, d.nextAttemptAt, JSON.stringify(d)));
+      return { changes: deliveries.length };
+    });
+  }
+
+  // As claimEmails
+  async claimWebhookDeliveries({ limit = 10, leaseMs = 120000 } = {}) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const now = new Date();
+      const rows = this.#all(
+        "SELECT delivery FROM webhook_deliveries WHERE status IN ('queued', 'sending') AND next_attempt_at <= ? ORDER BY next_attempt_at, rowid LIMIT ?",
+        now.toISOString(), limit
+      );
+      return rows.map(row => {
+        const delivery = toDelivery(JSON.parse(row.delivery));
+        delivery.status = 'sending';
+        delivery.attempts += 1;
+        delivery.nextAttemptAt = new Date(now.getTime() + leaseMs).toISOString();
+        this.#saveDelivery(delivery);
+        return delivery;
+      });
+    });
+  }
+
+  async updateWebhookDelivery(id, patch) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const row = this.#get('SELECT delivery FROM webhook_deliveries WHERE id = ?', String(id));
+      if (!row) return null;
+      const delivery = toDelivery(JSON.parse(row.delivery));
+      DELIVERY_FIELDS.forEach(f => { if (patch[f] !== undefined) delivery[f] = patch[f]; });
+      this.#saveDelivery(delivery);
+      return delivery;
+    });
+  }
+
+  async getWebhookDelivery(id) {
+    if (!this.db) await this.init();
+    const row = this.#get('SELECT delivery FROM webhook_deliveries WHERE id = ?', String(id));
+    return row ? toDelivery(JSON.parse(row.delivery)) : null;
+  }
+
+  // Newest first
+  async getWebhookDeliveries({ status = null, subscriptionId = null, limit = 100 } = {}) {
+    if (!this.db) await this.init();
+    return this.#all(
+      'SELECT delivery FROM webhook_deliveries WHERE (@status IS NULL OR status = @status) AND (@subscriptionId IS NULL OR subscription_id = @subscriptionId) ORDER BY rowid DESC LIMIT @limit',
+      { status, subscriptionId, limit }
+    ).map(row => toDelivery(JSON.parse(row.delivery)));
+  }
+
+  // Replaces problems, registrations, waitlist and access codes with a validated snapshot (see snapshot.js), and the
+  // roster too when the snapshot has one
+  async restoreSnapshot(snapshot) {
+    if (!this.db) await this.init();
+    const addTeam = this.db.prepare('INSERT INTO teams (team_number, team_name, team_leader, institution, contact_phone, members) VALUES (?, ?, ?, ?, ?, ?)');
+    const addRegistration = this.db.prepare('INSERT INTO registrations (team_number, team_name, team_leader, problem_statement_id, registration_date_time) VALUES (?, ?, ?, ?, ?)');
+    const addWaitlist = this.db.prepare('INSERT INTO waitlist (team_number, team_name, team_leader, problem_statement_id, joined_at) VALUES (?, ?, ?, ?, ?)');
+    const addCode = this.db.prepare('INSERT INTO access_codes (team_number, code, created_at) VALUES (?, ?, ?)');
+    return this.#transaction(() => {
+      this.#run('DELETE FROM registrations');
+      this.#run('DELETE FROM waitlist');
+      this.#run('DELETE FROM holds');
+      this.#run('DELETE FROM access_codes');
+      this.#run('DELETE FROM problem_statements');
+      snapshot.problemStatements.forEach(p => this.#insertProblem(p));
+      snapshot.registrations.forEach(r => addRegistration.run(r.teamNumber, r.teamName, r.teamLeader, r.problemStatementId, r.registrationDateTime));
+      snapshot.waitlist.forEach(w => addWaitlist.run(w.teamNumber, w.teamName, w.teamLeader, w.problemStatementId, w.joinedAt));
+      snapshot.accessCodes.forEach(c => addCode.run(c.teamNumber, c.code, c.createdAt || null));
+      if (Array.isArray(snapshot.roster)) {
+        this.#run('DELETE FROM teams');
+        snapshot.roster.forEach(t => addTeam.run(...teamParams(t)));
+      }
+      return { changes: 1 };
+    });
+  }
+
+  async importFromJSON(jsonData) {
+    if (!jsonData || !Array.isArray(jsonData.problemStatements)) return;
+    if (!this.db) await this.init();
+    this.#transaction(() => jsonData.problemStatements.forEach(ps => this.#insertProblem(ps)));
+  }
+
+  // Adds or updates the given problems and deletes the removed ones in one transaction. Nothing is written when an
+  // update would leave a problem over capacity or a removed problem still has registrations ({ changes: 0, conflicts }).
+  async upsertProblemStatements(problems, { remove = [] } = {}) {
+    if (!this.db) await this.init();
+    return this.#transaction(() => {
+      const registered = (id) => this.#get('SELECT COUNT(*) AS n FROM registrations WHERE problem_statement_id = ?', id).n;
+      const existing = new Set(this.#all('SELECT id FROM problem_statements').map(p => p.id));
+      const conflicts = [];
+      problems.forEach(p => {
+        if (existing.has(p.id) && registered(p.id) > toMaxSelections(p.maxSelections)) conflicts.push({ type: 'over_capacity', problemStatementId: p.id, registrations: registered(p.id), maxSelections: toMaxSelections(p.maxSelections) });
+      });
+      remove.forEach(id => {
+        if (registered(id) > 0) conflicts.push({ type: 'has_registrations', problemStatementId: id, registrations: registered(id) });
+      });
+      if (conflicts.length) return { changes: 0, conflicts };
+      // Waitlist entries and holds go with a removed problem (ON DELETE CASCADE)
+      const removed = remove.reduce((n, id) => n + this.#run('DELETE FROM problem_statements WHERE id = ?', id).changes, 0);
+      problems.forEach(p => {
+        this.#run(
+          `INSERT INTO problem_statements (id, title, description, max_selections, category, difficulty, technologies) VALUES (?, ?, ?, ?, ?, ?, ?)
+           ON CONFLICT (id) DO UPDATE SET title = excluded.title, description = excluded.description, max_selections = excluded.max_selections,
+             category = excluded.category, difficulty = excluded.difficulty, technologies = excluded.technologies`,
+          p.id, p.title, p.description, toMaxSelections(p.maxSelections), p.category || null, p.difficulty || null,
+          JSON.stringify(Array.isArray(p.technologies) ? p.technologies : [])
+        );
+      });
+      // Raised limits go to waitlisted teams
+      const promoted = this.#promoteFromWaitlist(problems.filter(p => existing.has(p.id)).map(p => p.id));
+      return { changes: problems.length + removed, conflicts: [], promoted };
+    });
+  }
+
+  async seedProblemStatements() {
+    if (!this.db) await this.init();
+    const defaults = [
+      { id: 'ps001', title: 'Secure Authentication System', description: 'Design and implement a multi-factor authentication system with biometric verification, OTP, and secure session management for a banking application.', maxSelections: 2, category: 'Cybersecurity', difficulty: 'Advanced', technologies: ['Node.js', 'React', 'JWT'] },
+      { id: 'ps002', title: 'AI-Powered Code Review Assistant', description: 'Develop an intelligent code review tool that uses machine learning to detect bugs, security vulnerabilities, and suggest improvements in real-time.', maxSelections: 2, category: 'Artificial Intelligence', difficulty: 'Advanced', technologies: ['Python', 'TensorFlow'] },
+      { id: 'ps003', title: 'Blockchain Supply Chain Tracker', description: 'Create a transparent supply chain management system using blockchain technology to track products from manufacturer to consumer.', maxSelections: 2, category: 'Blockchain', difficulty: 'Intermediate', technologies: ['Ethereum', 'Solidity'] }
+    ];
+    this.#transaction(() => defaults.forEach(ps => this.#insertProblem(ps)));
+  }
+
+  async resetAll() {
+    if (!this.db) await this.init();
+    // The roster, access codes, settings, the outbox, the webhook log and the audit journal survive a reset, as in the
+    // other stores
+    this.#transaction(() => {
+      this.#run('DELETE FROM registrations');
+      this.#run('DELETE FROM waitlist');
+      this.#run('DELETE FROM holds');
+      this.#run('DELETE FROM preferences');
+      this.#run('DELETE FROM allocation_runs');
+      // Events without seeded defaults keep their own problem statements
+      if (this.seedDefaults) this.#run('DELETE FROM problem_statements');
+    });
+    if (this.seedDefaults) await this.seedProblemStatements();
+    return true;
+  }
+}
+
+module.exports = SqliteStore;
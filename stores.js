@@ -0,0 +1,96 @@
+// Storage backends. STORE_BACKEND picks one (json | sqlite | mongo); without it, MONGODB_URI selects Mongo and JSON is the fallback.
+//
+// Store contract: every backend is a class with these async methods, and test/store_conformance.test.js runs
+// the same suite against each of them.
+//   Constructor options: slug (scopes the store to one hosted event) and seedDefaults (seed the sample problems).
+//   Lifecycle: init() creates/opens storage and seeds when empty; close(); refresh() drops any cached copy after
+//     another instance wrote; resetAll() clears registrations, waitlist, holds, preferences and allocation runs, keeping
+//     settings, the roster, access codes, the outbox, the webhook log and the audit journal (scoped events also keep
+//     their problems).
+//   Problems: getAllProblemStatements() with selected_count / held_count / is_available / waitlist_count; getProblemStatementById;
+//     createProblemStatement (changes 0 on a duplicate id); updateProblemStatement (promotes waitlisted teams into new
+//     capacity; lowering maxSelections below the registrations gives { changes: 0, reason: 'over_capacity', registered }
+//     unless called with { force: true }; { moves: [{ teamNumber, problemStatementId }], remove: [teamNumber] } takes teams
+//     off the problem in the same write, or writes nothing and gives { changes: 0, reason: 'move_conflict', conflicts }
+//     when a move does not fit its destination); deleteProblemStatement (cascades to its registrations and waitlist);
+//     importFromJSON; seedProblemStatements; upsertProblemStatements(problems, { remove }) adds, updates and deletes in
+//     one write, or nothing with { changes: 0, conflicts } when a problem would end up over capacity or a removed one
+//     still has registrations.
+//   Snapshots: restoreSnapshot({ problemStatements, registrations, waitlist, accessCodes, roster }) replaces them in one
+//     write, keeping the given timestamps (the roster only when given); snapshot.js validates the data first.
+//   Backups: saveBackup({ id, createdAt, ..., snapshot }); listBackups() metadata only, newest first; getBackup(id)
+//     with its snapshot, or null; deleteBackup(id). They live beside the data (files/Blob, a collection or a table).
+//   Registrations: getAllRegistrations; iterateRegistrations() (async iterator, registration order);
+//     getRegistrationsByProblemStatement; getRegistrationByTeamNumber; isTeamNumberTaken;
+//     createRegistrationAtomic() returns null when the team is taken, the problem is missing or full — never over capacity
+//     unless an admin passes { force: true }; swapRegistrationAtomic() (same force option); deleteRegistration() promotes
+//     from the waitlist.
+//   Waitlist: joinWaitlistAtomic() ({ changes, reason | position }); leaveWaitlist; getWaitlist() in queue order.
+//   Holds: createHoldAtomic(entry, seconds) reserves a seat for one team ({ changes, reason | hold }), replacing its
+//     earlier hold; live holds count against maxSelections for every other team (registrations, swaps, waitlist
+//     checks and promotions) and show up as held_count; registering uses up the team's hold. releaseHold(teamNumber)
+//     and expireHolds() free seats and promote from the waitlist ({ changes, promoted }); getHolds() lists live holds.
+//   Settings, preferences and allocation: getSettings / updateSettings(patch); savePreferences / getPreferences /
+//     deletePreferences; commitAllocation(assignments, run) writes all or nothing, counting live holds as taken seats
+//     (a team assigned to the problem it holds uses its own seat; assigned teams' holds are released); getAllocationRuns.
+//   Roster: getTeams() in the order teams were added; getTeam(teamNumber) or null; createTeam (changes 0 on a duplicate
+//     team number); upsertTeams(teams, { remove }) adds, replaces and deletes in one write. Teams are
+//     { teamNumber, teamName, teamLeader, institution, contactPhone, members: [{ name, email }] }; roster.js validates them.
+//   Outbox: queueEmails(emails); claimEmails({ limit, leaseMs }) marks due emails 'sending' and counts the attempt, and
+//     makes them due again after leaseMs; updateEmail(id, patch) or null; getOutbox({ status, limit }), newest first.
+//     Emails are { id, to, subject, text, template, teamNumber, status, attempts, lastError, createdAt, nextAttemptAt,
+//     sentAt } with status queued | sending | sent | failed; mailer.js builds and delivers them.
+//   Webhook deliveries: queueWebhookDeliveries / claimWebhookDeliveries / updateWebhookDelivery work like the outbox;
+//     getWebhookDelivery(id) or null; getWebhookDeliveries({ status, subscriptionId, limit }), newest first.
+//     Deliveries are { id, subscriptionId, type, payloadId, body, status, attempts, lastError, responseStatus,
+//     createdAt, nextAttemptAt, deliveredAt, replayOf } with status queued | sending | delivered | failed (webhooks.js).
+//   Audit and access codes: appendAudit / getAuditLog(filter), newest first; getTeamAccessCodes / getTeamAccessCode /
+//     saveTeamAccessCodes (upsert by team).
+// Team numbers are trimmed strings and are unique across registrations and the waitlist.
+const DatabaseManager = require('./json_store');
+const MongoStore = require('./mongo_store');
+
+const STORE_METHODS = [
+  'init', 'close', 'refresh', 'resetAll',
+  'getAllProblemStatements', 'getProblemStatementById', 'createProblemStatement', 'updateProblemStatement', 'deleteProblemStatement', 'importFromJSON', 'seedProblemStatements', 'upsertProblemStatements', 'restoreSnapshot',
+  'saveBackup', 'listBackups', 'getBackup', 'deleteBackup',
+  'getAllRegistrations', 'iterateRegistrations', 'getRegistrationsByProblemStatement', 'getRegistrationByTeamNumber', 'isTeamNumberTaken',
+  'createRegistrationAtomic', 'swapRegistrationAtomic', 'deleteRegistration',
+  'joinWaitlistAtomic', 'leaveWaitlist', 'getWaitlist',
+  'createHoldAtomic', 'releaseHold', 'expireHolds', 'getHolds',
+  'getSettings', 'updateSettings', 'savePreferences', 'getPreferences', 'deletePreferences', 'commitAllocation', 'getAllocationRuns',
+  'getTeams', 'getTeam', 'createTeam', 'upsertTeams',
+  'queueEmails', 'claimEmails', 'updateEmail', 'getOutbox',
+  'queueWebhookDeliveries', 'claimWebhookDeliveries', 'updateWebhookDelivery', 'getWebhookDelivery', 'getWebhookDeliveries',
+  'appendAudit', 'getAuditLog', 'getTeamAccessCodes', 'getTeamAccessCode', 'saveTeamAccessCodes'
+];
+
+const BACKENDS = ['json', 'sqlite', 'mongo'];
+
+function storeBackend() {
+  const backend = (process.env.STORE_BACKEND || (process.env.MONGODB_URI ? 'mongo' : 'json')).toLowerCase();
+  if (!BACKENDS.includes(backend)) throw new Error(`Unknown STORE_BACKEND: ${backend}`);
+  if (backend === 'mongo' && !process.env.MONGODB_URI) throw new Error('STORE_BACKEND=mongo requires MONGODB_URI');
+  return backend;
+}
+
+// The SQLite driver is native, so it is only loaded when that backend is used
+function loadSqliteStore() {
+  return require('./sqlite_store');
+}
+
+// All Mongo stores in a process share one connection
+let mongoClient = null;
+
+// scoped: a hosted event other than the default, which gets its own file / collections and no sample problems
+function createStore(backend, slug, { scoped = false } = {}) {
+  const options = scoped ? { slug, seedDefaults: false } : {};
+  if (backend === 'json') return new DatabaseManager(options);
+  if (backend === 'sqlite') return new (loadSqliteStore())(options);
+  const prefix = process.env.MONGODB_COLLECTION_PREFIX || '';
+  const store = new MongoStore(process.env.MONGODB_URI, process.env.MONGODB_DB || 'hackathon', scoped ? `${prefix}${slug}_` : prefix, { client: mongoClient, seedDefaults: !scoped });
+  mongoClient = store.client;
+  return store;
+}
+
+module.exports = { STORE_METHODS, BACKENDS, storeBackend, loadSqliteStore, createStore, DatabaseManager, MongoStore };
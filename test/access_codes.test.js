@@ -0,0 +1,82 @@
+// Access code routes: issue, list and export against the app, run on a temporary SQLite store with the seeded roster
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+describe('access code routes', () => {
+  let dir;
+  let server;
+  let base;
+  let token;
+
+  const call = (pathname, options = {}) => fetch(`${base}${pathname}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}`, ...options.headers }
+  });
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'access-codes-'));
+    const port = await freePort();
+    base = `http://127.0.0.1:${port}/api`;
+    server = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+      env: { ...process.env, PORT: String(port), STORE_BACKEND: 'sqlite', SQLITE_PATH: path.join(dir, 'data.sqlite'), ADMIN_PASSWORD: 'test-password', BACKUP_INTERVAL_MINUTES: '0', AUTO_RESET: '', VERCEL: '' },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+    await new Promise((resolve, reject) => {
+      let output = '';
+      const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+      server.stdout.on('data', chunk => {
+        output += chunk;
+        if (output.includes('Server running')) { clearTimeout(timer); resolve(); }
+      });
+      server.stderr.on('data', chunk => { output += chunk; });
+      server.on('exit', code => { clearTimeout(timer); reject(new Error(`Server exited with ${code}:\n${output}`)); });
+    });
+    const login = await fetch(`${base}/admin/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'admin', password: 'test-password' }) });
+    ({ token } = await login.json());
+  });
+
+  after(() => {
+    if (server) server.kill();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('issues codes for rostered teams, then lists and exports them', async () => {
+    const issued = await call('/admin/access-codes', { method: 'POST', body: JSON.stringify({ teamNumbers: ['1', '2'] }) });
+    assert.equal(issued.status, 200);
+    const body = await issued.json();
+    assert.equal(body.generated, 2);
+    const codes = Object.fromEntries(body.teams.filter(t => t.accessCode).map(t => [t.teamNumber, t.accessCode]));
+    assert.deepEqual(Object.keys(codes).sort(), ['1', '2']);
+
+    const listed = await call('/admin/access-codes');
+    assert.equal(listed.status, 200);
+    const { teams } = await listed.json();
+    assert.equal(teams.find(t => t.teamNumber === '1').accessCode, codes['1']);
+    assert.equal(teams.find(t => t.teamNumber === '3').accessCode, null);
+    assert.ok(teams.find(t => t.teamNumber === '2').issuedAt);
+
+    const exported = await call('/export/access-codes/csv');
+    assert.equal(exported.status, 200);
+    const csv = await exported.text();
+    assert.match(csv, /^Team Number,Team Name,Team Leader,Access Code/);
+    assert.ok(csv.includes(codes['1']) && csv.includes(codes['2']));
+
+    // Codes already issued are kept unless a regeneration is asked for
+    const again = await (await call('/admin/access-codes', { method: 'POST', body: JSON.stringify({ teamNumbers: ['1'] }) })).json();
+    assert.equal(again.generated, 0);
+  });
+});
@@ -0,0 +1,80 @@
+// Admin authentication: session tokens, how requests carry them, and the role guards
+const crypto = require('crypto');
+
+const SECRET = 'test-session-secret';
+const salt = 'c0ffee';
+process.env.ADMIN_SESSION_SECRET = SECRET;
+process.env.ADMIN_USERS = JSON.stringify([
+  { username: 'viewer', role: 'viewer', password: 'view-pass' },
+  { username: 'coord', role: 'coordinator', passwordHash: `scrypt$${salt}$${crypto.scryptSync('coord-pass', salt, 64).toString('hex')}` },
+  { username: 'root', role: 'superadmin', password: 'root-pass' }
+]);
+delete process.env.ADMIN_PASSWORD;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const adminAuth = require('../admin_auth');
+
+// Signs a payload the way the server does, with any secret
+const forge = (claims, secret = SECRET) => {
+  const payload = Buffer.from(JSON.stringify(claims)).toString('base64url');
+  return `${payload}.${crypto.createHmac('sha256', secret).update(payload).digest('base64url')}`;
+};
+const bearer = (token) => ({ headers: { authorization: `Bearer ${token}` } });
+
+// Runs a guard and reports whether it let the request through, or the status it answered with
+function guard(role, req) {
+  let status = null;
+  let passed = false;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+  adminAuth.requireRole(role)(req, res, () => { passed = true; });
+  return { passed, status, admin: req.admin };
+}
+
+describe('admin sessions', () => {
+  it('signs in with a plain or hashed password and verifies its own token', () => {
+    const { user, token } = adminAuth.login('coord', 'coord-pass');
+    assert.deepEqual(user, { username: 'coord', role: 'coordinator' });
+    assert.deepEqual(adminAuth.adminFromRequest(bearer(token)), user);
+    assert.equal(adminAuth.login('root', 'root-pass').user.role, 'superadmin');
+    assert.equal(adminAuth.login('coord', 'wrong'), null);
+    assert.equal(adminAuth.login('nobody', 'coord-pass'), null);
+  });
+
+  it('rejects forged, tampered and expired tokens', () => {
+    const live = { u: 'viewer', r: 'viewer', exp: Date.now() + 60000 };
+    assert.deepEqual(adminAuth.adminFromRequest(bearer(forge(live))), { username: 'viewer', role: 'viewer' });
+    assert.equal(adminAuth.adminFromRequest(bearer(forge(live, 'other-secret'))), null);
+    // Promoting yourself breaks the signature
+    const [, sig] = forge(live).split('.');
+    const promoted = Buffer.from(JSON.stringify({ ...live, r: 'superadmin' })).toString('base64url');
+    assert.equal(adminAuth.adminFromRequest(bearer(`${promoted}.${sig}`)), null);
+    assert.equal(adminAuth.adminFromRequest(bearer(forge({ ...live, exp: Date.now() - 1000 }))), null);
+    // Signed, but for an account whose role no longer matches the configuration
+    assert.equal(adminAuth.adminFromRequest(bearer(forge({ ...live, r: 'superadmin' }))), null);
+    assert.equal(adminAuth.adminFromRequest(bearer('garbage')), null);
+  });
+
+  it('reads the token from a Bearer header or the session cookie, preferring the header', () => {
+    const { token } = adminAuth.login('root', 'root-pass');
+    assert.equal(adminAuth.adminFromRequest({ headers: { cookie: `theme=dark; admin_session=${encodeURIComponent(token)}` } }).username, 'root');
+    assert.equal(adminAuth.adminFromRequest({ headers: { cookie: 'other_session=x' } }), null);
+    assert.equal(adminAuth.adminFromRequest({ headers: { authorization: 'Bearer nope', cookie: `admin_session=${token}` } }), null);
+    assert.match(adminAuth.sessionCookie({ secure: true }, token, 60000), /^admin_session=.+; Path=\/; HttpOnly; SameSite=Strict; Max-Age=60; Secure$/);
+  });
+
+  it('lets each role through its own guards and the ones below it only', () => {
+    const token = (username, password) => adminAuth.login(username, password).token;
+    const viewer = token('viewer', 'view-pass');
+    const coordinator = token('coord', 'coord-pass');
+    assert.equal(guard('viewer', bearer(viewer)).passed, true);
+    assert.equal(guard('coordinator', bearer(viewer)).status, 403);
+    assert.equal(guard('superadmin', bearer(viewer)).status, 403);
+    const allowed = guard('coordinator', bearer(coordinator));
+    assert.equal(allowed.passed, true);
+    assert.deepEqual(allowed.admin, { username: 'coord', role: 'coordinator' });
+    assert.equal(guard('superadmin', bearer(coordinator)).status, 403);
+    assert.equal(guard('superadmin', bearer(token('root', 'root-pass'))).passed, true);
+    assert.equal(guard('viewer', { headers: {} }).status, 401);
+  });
+});
@@ -0,0 +1,70 @@
+// Selection analytics: timeline buckets, time-to-fill, fill rates, roster coverage and demand beyond capacity
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { computeStats } = require('../analytics');
+
+const problem = (id, maxSelections, selectedCount, extra = {}) => ({ id, title: `Problem ${id}`, maxSelections, selectedCount, isAvailable: selectedCount < maxSelections, waitlistCount: 0, ...extra });
+const registration = (teamNumber, problemStatementId, at) => ({ team_number: teamNumber, problem_statement_id: problemStatementId, registration_date_time: at });
+const rejection = (teamNumber, target, reason = 'problem_full') => ({ action: 'registration.create', outcome: 'rejected', reason, teamNumber, target });
+
+describe('computeStats', () => {
+  const problems = [
+    problem('ps001', 2, 2, { category: 'Web', difficulty: 'Easy', waitlistCount: 1 }),
+    problem('ps002', 2, 1, { category: 'Web', difficulty: 'Hard' }),
+    problem('ps003', 1, 1, { category: 'AI' })
+  ];
+  const registrations = [
+    registration('1', 'ps001', '2025-03-01T04:00:10.000Z'),
+    registration('2', 'ps001', '2025-03-01T04:02:30.000Z'),
+    registration('3', 'ps002', '2025-03-01T04:00:50.000Z'),
+    registration('4', 'ps003', '2025-03-01T04:01:00.000Z')
+  ];
+
+  it('buckets registrations by minute with a running total', () => {
+    const { timeline, totals } = computeStats({ problems, registrations });
+    assert.deepEqual(timeline, [
+      { minute: '2025-03-01T04:00:00.000Z', count: 2, total: 2 },
+      { minute: '2025-03-01T04:01:00.000Z', count: 1, total: 3 },
+      { minute: '2025-03-01T04:02:00.000Z', count: 1, total: 4 }
+    ]);
+    assert.deepEqual(totals, { problems: 3, capacity: 5, registrations: 4, available: 1, full: 2 });
+  });
+
+  it('times each problem from opening, or from the first registration, to its last seat', () => {
+    const seconds = (stats) => stats.timeToFill.map(p => [p.id, p.seconds]);
+    assert.deepEqual(seconds(computeStats({ problems, registrations })), [['ps001', 140], ['ps002', null], ['ps003', 50]]);
+    const opened = computeStats({ problems, registrations, openedAt: '2025-03-01T03:59:00.000Z' });
+    assert.deepEqual(seconds(opened), [['ps001', 210], ['ps002', null], ['ps003', 120]]);
+    assert.equal(opened.timeToFill[0].filledAt, '2025-03-01T04:02:30.000Z');
+  });
+
+  it('groups fill rates by category and difficulty', () => {
+    const { fillRates } = computeStats({ problems, registrations });
+    assert.deepEqual(fillRates.category, [
+      { category: 'AI', problems: 1, capacity: 1, selected: 1, rate: 1 },
+      { category: 'Web', problems: 2, capacity: 4, selected: 3, rate: 0.75 }
+    ]);
+    assert.deepEqual(fillRates.difficulty.map(g => [g.difficulty, g.rate]), [['Easy', 1], ['Hard', 0.5], ['Unspecified', 1]]);
+  });
+
+  it('counts rostered teams still unregistered, and nothing without a roster', () => {
+    const teams = ['1', '2', '5', '6'].map(teamNumber => ({ teamNumber }));
+    assert.deepEqual(computeStats({ problems, registrations, teams }).roster, { rostered: 4, registered: 2, unregistered: 2 });
+    assert.deepEqual(computeStats({ problems, registrations }).roster, { rostered: 0, registered: 0, unregistered: null });
+  });
+
+  it('counts 409s for full problems per problem and per team', () => {
+    const auditEntries = [rejection('5', 'ps001'), rejection('5', 'ps001'), rejection('6', 'ps001'), rejection('1', 'ps002', 'already_registered'), { action: 'registration.create', teamNumber: '7', target: 'ps003' }];
+    const [ps001, ps002, ps003] = computeStats({ problems, registrations, auditEntries }).demand;
+    assert.deepEqual([ps001.rejected, ps001.rejectedTeams, ps001.waitlistCount], [3, 2, 1]);
+    assert.deepEqual([ps002.rejected, ps003.rejected], [0, 0]);
+  });
+
+  it('counts full-problem hold rejections, each team once per problem', () => {
+    const hold = (teamNumber, target, reason = 'full') => ({ action: 'hold.create', outcome: 'rejected', reason, teamNumber, target });
+    const auditEntries = [hold('5', 'ps001'), hold('5', 'ps001'), rejection('5', 'ps001'), hold('6', 'ps001'), hold('6', 'ps002'), hold('7', 'ps002', 'registered')];
+    const [ps001, ps002] = computeStats({ problems, registrations, auditEntries }).demand;
+    assert.deepEqual([ps001.rejected, ps001.rejectedTeams], [4, 2]);
+    assert.deepEqual([ps002.rejected, ps002.rejectedTeams], [1, 1]);
+  });
+});
@@ -0,0 +1,52 @@
+// Automatic backups: what gets saved, skipping unchanged data and retention (against the JSON store)
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../stores');
+const { takeBackup, pruneBackups } = require('../backups');
+
+describe('backups', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'backups-'));
+    store = new DatabaseManager({ dir, slug: 'test' });
+    await store.init();
+  });
+
+  afterEach(async () => {
+    await store.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('saves a snapshot with counts and who asked for it', async () => {
+    await store.createRegistrationAtomic({ teamNumber: '1', teamName: 'One', teamLeader: 'L1', problemStatementId: 'ps001' });
+    const meta = await takeBackup(store, { event: { slug: 'test', name: 'Test' }, roster: [{ teamNumber: '1', teamName: 'One', teamLeader: 'L1' }], reason: 'reset', actor: { type: 'admin', id: 'admin' } });
+    assert.equal(meta.reason, 'reset');
+    assert.equal(meta.counts.registrations, 1);
+    const backup = await store.getBackup(meta.id);
+    assert.equal(backup.snapshot.format, 'hackathon-snapshot');
+    assert.deepEqual(backup.snapshot.registrations.map(r => r.teamNumber), ['1']);
+    assert.equal(backup.snapshot.roster.length, 1);
+  });
+
+  it('skips a scheduled backup when nothing changed since the last one', async () => {
+    assert.ok(await takeBackup(store, { reason: 'scheduled', skipUnchanged: true }));
+    assert.equal(await takeBackup(store, { reason: 'scheduled', skipUnchanged: true }), null);
+    await store.createRegistrationAtomic({ teamNumber: '2', teamName: 'Two', teamLeader: 'L2', problemStatementId: 'ps001' });
+    assert.ok(await takeBackup(store, { reason: 'scheduled', skipUnchanged: true }));
+    assert.equal((await store.listBackups()).length, 2);
+  });
+
+  it('prunes by count and age but always keeps the newest', async () => {
+    const old = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    for (const [id, days] of [['a', 90], ['b', 60], ['c', 2], ['d', 1]]) await store.saveBackup({ id, createdAt: old(days), snapshot: {} });
+    assert.equal(await pruneBackups(store, { keep: 3, maxAgeDays: 30 }), 2);
+    assert.deepEqual((await store.listBackups()).map(b => b.id), ['d', 'c']);
+    assert.equal(await pruneBackups(store, { keep: 5, maxAgeDays: 0.5 }), 1);
+    assert.deepEqual((await store.listBackups()).map(b => b.id), ['d']);
+  });
+});
@@ -0,0 +1,172 @@
+// Live event buses: the file bus shared by instances on one disk, its compaction, and two app processes sharing one
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const { FileBus } = require('../event_bus');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function waitFor(check, timeoutMs = 5000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for live events');
+    await sleep(20);
+  }
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer().listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    }).on('error', reject);
+  });
+}
+
+// Starts app.js with env and resolves with the child once it listens
+async function startServer(env) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'app.js')], {
+    env: { ...process.env, PORT: String(port), ADMIN_PASSWORD: 'test-password', BACKUP_INTERVAL_MINUTES: '0', AUTO_RESET: '', VERCEL: '', ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  child.base = `http://127.0.0.1:${port}/api`;
+  await new Promise((resolve, reject) => {
+    let output = '';
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), 20000);
+    child.stdout.on('data', chunk => {
+      output += chunk;
+      if (output.includes('Server running')) { clearTimeout(timer); resolve(); }
+    });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('exit', code => { clearTimeout(timer); reject(new Error(`Server exited with ${code}:\n${output}`)); });
+  });
+  return child;
+}
+
+// Reads an SSE stream until an event of type arrives, and resolves with its id and payload
+async function nextEvent(res, type) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let text = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) throw new Error(`The stream ended before a ${type} event`);
+    text += decoder.decode(value, { stream: true });
+    const messages = text.split('\n\n');
+    text = messages.pop();
+    for (const message of messages) {
+      const id = /^id: (\d+)$/m.exec(message);
+      const data = /^data: (.*)$/m.exec(message);
+      const payload = data ? JSON.parse(data[1]) : null;
+      if (payload && payload.type === type) return { id: id ? Number(id[1]) : null, payload };
+    }
+  }
+}
+
+describe('FileBus', () => {
+  let dir;
+  let filePath;
+  let buses;
+
+  const startBus = async (options = {}) => {
+    const bus = new FileBus(filePath, { pollMs: 20, ...options });
+    bus.received = [];
+    await bus.start(async (event) => { bus.received.push([event.seq, event.data.n]); });
+    buses.push(bus);
+    return bus;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-bus-'));
+    filePath = path.join(dir, 'live-events.jsonl');
+    buses = [];
+  });
+
+  afterEach(async () => {
+    await Promise.all(buses.map(bus => bus.stop()));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('keeps the file small and the sequence shared across compactions', async () => {
+    const publisher = await startBus({ maxBytes: 1000 });
+    const listener = await startBus();
+    for (let n = 1; n <= 40; n++) {
+      await publisher.publish('update', { n, padding: 'x'.repeat(60) });
+      // A compaction keeps only a few events this small, so the listener reads along
+      await waitFor(() => listener.received.length === n);
+    }
+
+    const expected = Array.from({ length: 40 }, (_, i) => [i + 1, i + 1]);
+    assert.deepEqual(publisher.received, expected);
+    assert.deepEqual(listener.received, expected);
+    assert.ok(fs.statSync(filePath).size <= 1000);
+    assert.match(fs.readFileSync(filePath, 'utf8'), /^\{"base":\d+\}\n/);
+
+    // A later instance carries on from the same number
+    const late = await startBus();
+    assert.equal(late.seq, 40);
+    await late.publish('update', { n: 41 });
+    await waitFor(() => listener.received.length === 41);
+    assert.deepEqual(listener.received[40], [41, 41]);
+  });
+
+  it('drops events older than the retention when compacting, but never the newest', async () => {
+    const bus = await startBus({ maxBytes: 200, retentionHours: 0 });
+    await bus.publish('update', { n: 1, padding: 'x'.repeat(150) });
+    await bus.publish('update', { n: 2, padding: 'x'.repeat(150) });
+    const lines = fs.readFileSync(filePath, 'utf8').trim().split('\n');
+    assert.equal(lines.length, 2);
+    assert.deepEqual(JSON.parse(lines[0]), { base: 1 });
+    assert.equal(JSON.parse(lines[1]).data.n, 2);
+    assert.deepEqual(bus.received, [[1, 1], [2, 2]]);
+  });
+});
+
+describe('file bus across app processes', () => {
+  let dir;
+  const servers = [];
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'event-bus-apps-'));
+    const env = { STORE_BACKEND: 'sqlite', SQLITE_PATH: path.join(dir, 'data.sqlite'), LIVE_EVENTS_BUS: 'file', LIVE_EVENTS_FILE: path.join(dir, 'live-events.jsonl'), LIVE_EVENTS_POLL_MS: '50' };
+    // One after the other, so only the first seeds the store
+    servers.push(await startServer(env));
+    servers.push(await startServer(env));
+  });
+
+  after(() => {
+    servers.forEach(server => server.kill());
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('delivers an event published by one process to the other with the same id', { timeout: 20000 }, async () => {
+    const [first, second] = servers;
+    const abort = new AbortController();
+    try {
+      const streams = await Promise.all(servers.map(server => fetch(`${server.base}/events`, { signal: abort.signal })));
+      const events = Promise.all(streams.map(res => nextEvent(res, 'allocation-settings')));
+
+      const login = await fetch(`${first.base}/admin/login`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ username: 'admin', password: 'test-password' }) });
+      const { token } = await login.json();
+      const saved = await fetch(`${first.base}/admin/allocation/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body: JSON.stringify({ mode: 'preference' })
+      });
+      assert.equal(saved.status, 200);
+
+      const [published, delivered] = await events;
+      assert.ok(published.id > 0);
+      assert.equal(delivered.id, published.id);
+      assert.equal(delivered.payload.id, published.payload.id);
+      assert.equal(delivered.payload.data.mode, 'preference');
+    } finally {
+      abort.abort();
+    }
+  });
+});
@@ -0,0 +1,111 @@
+// JSON store under contention: many writers in one process, several processes on the same file, and lock files
+// left behind by crashed or stuck writers. Capacity must hold throughout.
+process.env.JSON_LOCK_STALE_MS = '2000';
+process.env.JSON_LOCK_TIMEOUT_MS = '1000';
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { execFile, spawnSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../stores');
+
+const team = (n, problemStatementId) => ({ teamNumber: String(n), teamName: `Team ${n}`, teamLeader: `Leader ${n}`, problemStatementId });
+const PROBLEMS = ['ps001', 'ps002', 'ps003'];
+
+// Registers teams from..to-1 against the store in dir from a separate node process
+const WORKER = `
+const DatabaseManager = require(${JSON.stringify(path.join(__dirname, '..', 'json_store'))});
+const [dir, from, to] = process.argv.slice(1);
+const store = new DatabaseManager({ dir, slug: 'test', seedDefaults: false });
+const problems = ${JSON.stringify(PROBLEMS)};
+Promise.all(Array.from({ length: to - from }, (_, i) => {
+  const n = Number(from) + i;
+  return store.createRegistrationAtomic({ teamNumber: String(n), teamName: 'T' + n, teamLeader: 'L' + n, problemStatementId: problems[n % problems.length] });
+})).then(results => console.log(results.filter(Boolean).length));
+`;
+
+function runWorker(dir, from, to) {
+  return new Promise((resolve, reject) => {
+    execFile(process.execPath, ['-e', WORKER, dir, String(from), String(to)], { timeout: 60000 }, (error, stdout) => {
+      if (error) reject(error);
+      else resolve(parseInt(stdout, 10));
+    });
+  });
+}
+
+describe('json store locking', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'json-lock-'));
+    store = new DatabaseManager({ dir, slug: 'test' });
+    await store.init();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const lockFile = () => path.join(dir, 'data.test.json.lock');
+  const stored = () => JSON.parse(fs.readFileSync(path.join(dir, 'data.test.json'), 'utf8'));
+
+  function assertNotOversold(data) {
+    PROBLEMS.forEach(pid => {
+      const { maxSelections } = data.problemStatements.find(p => p.id === pid);
+      assert.equal(data.registrations.filter(r => r.problemStatementId === pid).length, maxSelections, pid);
+    });
+    assert.equal(new Set(data.registrations.map(r => r.teamNumber)).size, data.registrations.length);
+  }
+
+  it('never oversells a slot under many concurrent registrations', async () => {
+    const results = await Promise.all(Array.from({ length: 60 }, (_, i) => store.createRegistrationAtomic(team(i, PROBLEMS[i % 3]))));
+    assert.equal(results.filter(Boolean).length, 6);
+    assertNotOversold(stored());
+    assert.equal(fs.existsSync(lockFile()), false);
+  });
+
+  it('never oversells a slot across processes and store instances', async () => {
+    const { revision } = stored();
+    const other = new DatabaseManager({ dir, slug: 'test' });
+    const inProcess = Promise.all(Array.from({ length: 10 }, (_, i) => other.createRegistrationAtomic(team(1000 + i, PROBLEMS[i % 3]))));
+    const counts = await Promise.all([runWorker(dir, 0, 15), runWorker(dir, 100, 115), runWorker(dir, 200, 215), inProcess]);
+    const registered = counts.slice(0, 3).reduce((a, b) => a + b, 0) + counts[3].filter(Boolean).length;
+    assert.equal(registered, 6);
+    const data = stored();
+    assertNotOversold(data);
+    // One write per successful registration: no write was lost or applied twice
+    assert.equal(data.revision, revision + 6);
+  });
+
+  it('counts revisions and skips writes that change nothing', async () => {
+    const { revision } = stored();
+    await store.createRegistrationAtomic(team(1, 'ps001'));
+    assert.equal(stored().revision, revision + 1);
+    assert.equal(await store.createRegistrationAtomic(team(1, 'ps002')), null);
+    assert.equal(stored().revision, revision + 1);
+  });
+
+  it('recovers a lock left by a process that died', async () => {
+    const { pid } = spawnSync(process.execPath, ['-e', '']);
+    fs.writeFileSync(lockFile(), JSON.stringify({ pid, host: os.hostname(), token: 'crashed', at: new Date().toISOString() }));
+    assert.ok(await store.createRegistrationAtomic(team(1, 'ps001')));
+    assert.equal(fs.existsSync(lockFile()), false);
+  });
+
+  it('recovers a lock older than JSON_LOCK_STALE_MS, even from a live process', async () => {
+    fs.writeFileSync(lockFile(), String(process.pid));
+    const old = new Date(Date.now() - 60000);
+    fs.utimesSync(lockFile(), old, old);
+    assert.ok(await store.createRegistrationAtomic(team(1, 'ps001')));
+  });
+
+  it('gives up on a fresh lock held by a live process', async () => {
+    fs.writeFileSync(lockFile(), JSON.stringify({ pid: process.pid, host: os.hostname(), token: 'busy', at: new Date().toISOString() }));
+    await assert.rejects(store.createRegistrationAtomic(team(1, 'ps001')), /Timed out/);
+    assert.equal(JSON.parse(fs.readFileSync(lockFile(), 'utf8')).token, 'busy');
+    assert.equal(stored().registrations.length, 0);
+  });
+});
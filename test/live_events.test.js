@@ -0,0 +1,63 @@
+// SSE channels: what a reconnecting client is replayed for its Last-Event-ID, and when it is told to resync instead
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+const { EventChannel } = require('../live_events');
+
+// Connects a client that last saw lastEventId, and returns the ids replayed to it, or 'resync'
+function reconnect(channel, lastEventId) {
+  const req = new EventEmitter();
+  req.headers = { 'last-event-id': String(lastEventId) };
+  req.query = {};
+  const written = [];
+  channel.connect(req, { writeHead() {}, write(chunk) { written.push(chunk); } });
+  req.emit('close');
+  const messages = written.slice(2);
+  if (messages.some(m => m.includes('"type":"resync"'))) return 'resync';
+  return messages.map(m => Number(/^id: (\d+)$/m.exec(m)[1]));
+}
+
+describe('EventChannel replay', () => {
+  it('replays the events a client missed while they are still buffered', () => {
+    const channel = new EventChannel('admin', { bufferSize: 3 });
+    channel.reset(100);
+    [101, 102, 103].forEach(id => channel.publish('update', {}, id));
+    assert.deepEqual(reconnect(channel, 101), [102, 103]);
+    assert.deepEqual(reconnect(channel, 103), []);
+    assert.deepEqual(reconnect(channel, 100), [101, 102, 103]);
+  });
+
+  it('asks for a resync once the missed events have left the buffer', () => {
+    const channel = new EventChannel('admin', { bufferSize: 3 });
+    channel.reset(100);
+    [101, 102, 103, 104].forEach(id => channel.publish('update', {}, id));
+    assert.equal(reconnect(channel, 100), 'resync');
+    assert.deepEqual(reconnect(channel, 101), [102, 103, 104]);
+  });
+
+  it('asks for a resync for an id from the future, after a restart or a reset', () => {
+    const channel = new EventChannel('admin');
+    channel.publish('update', {});
+    assert.equal(reconnect(channel, channel.lastId + 1000), 'resync');
+    // The shared bus numbers from its own sequence; ids from before the reset mean nothing now
+    channel.reset(5);
+    assert.equal(reconnect(channel, 4), 'resync');
+    assert.deepEqual(reconnect(channel, 5), []);
+    channel.publish('update', {}, 6);
+    assert.equal(reconnect(channel, 7), 'resync');
+  });
+
+  it('replays across the gaps left by events the public channel does not carry', () => {
+    const channel = new EventChannel('public', { bufferSize: 3 });
+    channel.reset(100);
+    // 101 and 104 went to admins only
+    [102, 103, 105].forEach(id => channel.publish('update', {}, id));
+    assert.deepEqual(reconnect(channel, 100), [102, 103, 105]);
+    assert.deepEqual(reconnect(channel, 101), [102, 103, 105]);
+    assert.deepEqual(reconnect(channel, 104), [105]);
+    channel.publish('update', {}, 107);
+    // 102 was evicted: a client that saw 101 missed it, one that saw 102 did not
+    assert.equal(reconnect(channel, 101), 'resync');
+    assert.deepEqual(reconnect(channel, 102), [103, 105, 107]);
+  });
+});
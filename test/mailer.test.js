@@ -0,0 +1,66 @@
+// Email notices: templates and outbox delivery with retries, against a temporary JSON store
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../stores');
+const { composeEmail, deliverDue } = require('../mailer');
+const { retryDelayMs } = require('../delivery_queue');
+
+const data = { eventName: 'Hack 2K25', team: { teamNumber: '7', teamName: 'Team 7' }, problem: { id: 'ps002', title: 'Code Review' }, from: { id: 'ps001', title: null }, position: 2, receiptUrl: 'https://hack.example/receipt/abc', portalUrl: null };
+
+describe('composeEmail', () => {
+  it('renders a template for the unique recipients', () => {
+    const email = composeEmail('swap', data, ['a@example.com', null, 'a@example.com', 'b@example.com']);
+    assert.deepEqual(email.to, ['a@example.com', 'b@example.com']);
+    assert.equal(email.subject, 'Hack 2K25: problem statement changed');
+    assert.match(email.text, /^Hello Team 7,\n\nTeam 7 \(Team 7\) has moved from ps001 to:\nps002 · Code Review\n\nYour new receipt: https:\/\/hack\.example\/receipt\/abc\n/);
+    assert.doesNotMatch(email.text, /Team portal/);
+    assert.equal(email.status, 'queued');
+    assert.equal(email.nextAttemptAt, email.createdAt);
+  });
+
+  it('skips teams without emails and rejects unknown templates', () => {
+    assert.equal(composeEmail('registration', data, [null]), null);
+    assert.throws(() => composeEmail('nope', data, ['a@example.com']), /Unknown email template/);
+  });
+});
+
+describe('deliverDue', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mailer-'));
+    store = new DatabaseManager({ dir, seedDefaults: false });
+    await store.init();
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('marks sent emails and retries failures with backoff until they fail for good', async () => {
+    const sent = [];
+    let failing = true;
+    const transport = { name: 'test', send: async (email) => { if (failing && email.to[0] === 'b@example.com') throw new Error('421 try later'); sent.push(email.to[0]); } };
+    await store.queueEmails([composeEmail('registration', data, ['a@example.com']), composeEmail('registration', data, ['b@example.com'])]);
+    assert.deepEqual(await deliverDue(store, transport, { maxAttempts: 2 }), { sent: 1, retrying: 1, failed: 0 });
+    assert.deepEqual(sent, ['a@example.com']);
+    const [retry] = await store.getOutbox({ status: 'queued' });
+    assert.equal(retry.lastError, '421 try later');
+    assert.ok(new Date(retry.nextAttemptAt) - Date.now() > 25 * 1000);
+    // Not due yet
+    assert.deepEqual(await deliverDue(store, transport, { maxAttempts: 2 }), { sent: 0, retrying: 0, failed: 0 });
+    await store.updateEmail(retry.id, { nextAttemptAt: new Date().toISOString() });
+    assert.deepEqual(await deliverDue(store, transport, { maxAttempts: 2 }), { sent: 0, retrying: 0, failed: 1 });
+    assert.deepEqual((await store.getOutbox({ status: 'failed' })).map(e => [e.id, e.attempts]), [[retry.id, 2]]);
+    // A resend starts over
+    failing = false;
+    await store.updateEmail(retry.id, { status: 'queued', attempts: 0, nextAttemptAt: new Date().toISOString() });
+    assert.deepEqual(await deliverDue(store, transport), { sent: 1, retrying: 0, failed: 0 });
+  });
+
+  it('backs off exponentially up to an hour', () => {
+    assert.deepEqual([1, 2, 3, 10].map(retryDelayMs), [30000, 60000, 120000, 3600000]);
+  });
+});
@@ -0,0 +1,25 @@
+// Event lifecycle: scheduled phases and the team change deadline kept with them
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const phases = require('../phases');
+
+const at = (iso) => new Date(iso).getTime();
+
+describe('phases', () => {
+  it('advances to the latest scheduled phase that has passed', () => {
+    const state = { current: 'revealed', schedule: { open: '2025-03-01T04:00:00.000Z', closed: '2025-03-01T10:00:00.000Z' } };
+    assert.equal(phases.effectivePhase(state, at('2025-03-01T03:00:00.000Z')), 'revealed');
+    assert.equal(phases.effectivePhase(state, at('2025-03-01T05:00:00.000Z')), 'open');
+    assert.deepEqual(phases.nextTransition(state, at('2025-03-01T05:00:00.000Z')), { phase: 'closed', at: '2025-03-01T10:00:00.000Z' });
+  });
+
+  it('keeps each event\'s team change deadline with its schedule', () => {
+    const state = phases.normalizeState({ current: 'open', teamChangeDeadline: '2025-03-01T08:00:00+05:30' });
+    assert.equal(state.teamChangeDeadline, '2025-03-01T02:30:00.000Z');
+    assert.equal(phases.teamChangesOpen(state, at('2025-03-01T02:00:00.000Z')), true);
+    assert.equal(phases.teamChangesOpen(state, at('2025-03-01T02:30:00.000Z')), false);
+    // No deadline, or an unreadable one, leaves changes to the phase alone
+    assert.equal(phases.normalizeState({ teamChangeDeadline: 'soon' }).teamChangeDeadline, null);
+    assert.equal(phases.teamChangesOpen({ current: 'open' }), true);
+  });
+});
@@ -0,0 +1,63 @@
+// Bulk problem imports: reading CSV/JSON files and planning the diff (no store involved)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseProblemFile, planProblemImport } = require('../problem_statements');
+const { toCsv, PROBLEM_COLUMNS } = require('../spreadsheets');
+
+const stored = (id, selected = 0, maxSelections = 2) => ({ id, title: `Problem ${id}`, description: `About ${id}`, max_selections: maxSelections, category: null, difficulty: null, technologies: [], selected_count: selected });
+const row = (id, extra = {}) => ({ id, title: `Problem ${id}`, description: `About ${id}`, maxSelections: 2, ...extra });
+
+describe('parseProblemFile', () => {
+  it('reads quoted CSV fields and the problems export headers', () => {
+    const csv = toCsv(PROBLEM_COLUMNS.map(c => c.header), [
+      ['ps001', 'Secure "Auth"', 'Cyber', 'Advanced', 'Node.js, React', 1, 3, 'Available', 0, 'Line one\nline two, with a comma']
+    ]);
+    const { errors, records } = parseProblemFile(csv, 'csv');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records, [{ id: 'ps001', title: 'Secure "Auth"', category: 'Cyber', difficulty: 'Advanced', technologies: 'Node.js, React', maxSelections: '3', description: 'Line one\nline two, with a comma' }]);
+  });
+
+  it('reports missing columns and accepts JSON lists or data.json', () => {
+    assert.match(parseProblemFile('id,title\nps001,x', 'csv').errors[0], /missing the column\(s\): description, maxSelections/);
+    assert.equal(parseProblemFile([row('a')], 'json').records.length, 1);
+    assert.equal(parseProblemFile({ problemStatements: [row('a'), row('b')] }, 'json').records.length, 2);
+    assert.match(parseProblemFile({ problems: [] }, 'json').errors[0], /must be an array/);
+  });
+});
+
+describe('planProblemImport', () => {
+  const current = [stored('ps001', 2), stored('ps002'), stored('ps003', 1)];
+
+  it('validates every row', () => {
+    const plan = planProblemImport(current, [row(''), row('ps002', { maxSelections: 0 }), row('ps002'), { id: 'bad id', title: 't', description: 'd', maxSelections: 1, technologies: 5 }]);
+    assert.deepEqual(plan.errors, [
+      'Row 1: id is required',
+      'Row 2 (ps002): maxSelections must be an integer between 1 and 1000',
+      'Row 3 (ps002): id appears more than once',
+      'Row 4: id may only contain letters, numbers, "-" and "_" (max 40)',
+      'Row 4: technologies must be an array or comma-separated string'
+    ]);
+  });
+
+  it('merges: adds, updates and keeps what the file leaves out', () => {
+    const plan = planProblemImport(current, [row('ps001'), row('ps002', { title: 'Renamed', technologies: 'Go, Rust' }), row('ps009')], 'merge');
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(plan.conflicts, []);
+    assert.deepEqual(plan.diff, { added: ['ps009'], updated: ['ps002'], removed: [], unchanged: 1, changes: { ps002: ['title', 'technologies'] } });
+    assert.deepEqual(plan.result.upsert.map(p => p.id), ['ps002', 'ps009']);
+    assert.deepEqual(plan.result.upsert[0].technologies, ['Go', 'Rust']);
+    // Columns the file does not have keep their current values
+    const kept = planProblemImport([{ ...stored('ps002'), category: 'Cyber' }], [row('ps002', { title: 'Renamed' })]);
+    assert.deepEqual(kept.diff.changes, { ps002: ['title'] });
+    assert.equal(kept.result.upsert[0].category, 'Cyber');
+  });
+
+  it('replaces: removes the rest and flags problems that would lose or overflow registrations', () => {
+    const plan = planProblemImport(current, [row('ps001', { maxSelections: 1 }), row('ps002')], 'replace');
+    assert.deepEqual(plan.diff.removed, ['ps003']);
+    assert.deepEqual(plan.conflicts, [
+      { type: 'over_capacity', problemStatementId: 'ps001', registrations: 2, maxSelections: 1 },
+      { type: 'has_registrations', problemStatementId: 'ps003', registrations: 1 }
+    ]);
+  });
+});
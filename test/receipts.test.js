@@ -0,0 +1,60 @@
+// Registration receipts: signing, tampering, checks against the current registration, and the secret kept in settings
+delete process.env.RECEIPT_SECRET;
+delete process.env.ADMIN_SESSION_SECRET;
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../stores');
+const { issueReceipt, readReceipt, checkReceipt } = require('../receipts');
+
+const SECRET = 'test-secret';
+const registration = { teamNumber: '7', teamName: 'Team 7', teamLeader: 'Leader 7', problemStatementId: 'ps002', registrationDateTime: '2025-03-01T04:00:00.000Z' };
+
+describe('receipts', () => {
+  it('reads back what it signed', () => {
+    const token = issueReceipt('main', registration, SECRET);
+    assert.deepEqual(readReceipt(token, SECRET), { event: 'main', teamNumber: '7', problemStatementId: 'ps002', registeredAt: '2025-03-01T04:00:00.000Z' });
+  });
+
+  it('rejects tampered, foreign and malformed tokens', () => {
+    const token = issueReceipt('main', registration, SECRET);
+    const [payload, sig] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ ...JSON.parse(Buffer.from(payload, 'base64url')), p: 'ps001' })).toString('base64url');
+    assert.equal(readReceipt(`${forged}.${sig}`, SECRET), null);
+    assert.equal(readReceipt(token, 'other-secret'), null);
+    assert.equal(readReceipt(`${token}.x`, SECRET), null);
+    assert.equal(readReceipt('not-a-token', SECRET), null);
+    assert.equal(readReceipt(undefined, SECRET), null);
+  });
+
+  it('fails once the registration is withdrawn or changed', () => {
+    const claims = readReceipt(issueReceipt('main', registration, SECRET), SECRET);
+    assert.deepEqual(checkReceipt(claims, registration), { valid: true, reason: null });
+    assert.deepEqual(checkReceipt(claims, null), { valid: false, reason: 'withdrawn' });
+    assert.deepEqual(checkReceipt(claims, { ...registration, problemStatementId: 'ps003' }), { valid: false, reason: 'changed' });
+    // Withdrawing and registering again for the same problem makes a new receipt
+    assert.deepEqual(checkReceipt(claims, { ...registration, registrationDateTime: '2025-03-02T04:00:00.000Z' }), { valid: false, reason: 'changed' });
+  });
+
+  it('generates a secret once and keeps it in the store, so receipts verify after a restart', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'receipts-'));
+    try {
+      const { loadSecret } = require('../receipts');
+      const secret = await loadSecret(new DatabaseManager({ dir, seedDefaults: false }));
+      assert.match(secret, /^[0-9a-f]{64}$/);
+      const token = issueReceipt('main', registration, secret);
+
+      // A restart: a fresh module and store over the same data
+      delete require.cache[require.resolve('../receipts')];
+      const restarted = require('../receipts');
+      const again = await restarted.loadSecret(new DatabaseManager({ dir, seedDefaults: false }));
+      assert.equal(again, secret);
+      assert.equal(restarted.readReceipt(token, again).teamNumber, '7');
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,79 @@
+// Roster files: CSV/XLSX/JSON parsing, team validation and the import plan (no store involved)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const ExcelJS = require('exceljs');
+const { parseRosterFile, planRosterImport, validateTeamInput, publicTeam, rosterSheet } = require('../roster');
+const { toCsv } = require('../spreadsheets');
+
+const stored = (n, extra = {}) => ({ teamNumber: String(n), teamName: `Team ${n}`, teamLeader: `Leader ${n}`, institution: null, contactPhone: null, members: [], ...extra });
+
+describe('parseRosterFile', () => {
+  it('keeps commas, quotes and line breaks inside quoted CSV fields', async () => {
+    const csv = 'Team Number,Team Name,Team Leader,Institution,Member 1 Name,Member 1 Email,Member 2 Name\r\n'
+      + '7,"Bits, Bytes & ""Bugs""","Rao, Asha","Line one\nline two",Asha,asha@example.com,Ravi\r\n';
+    const { errors, records } = await parseRosterFile(csv, 'csv');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records, [{
+      teamNumber: '7', teamName: 'Bits, Bytes & "Bugs"', teamLeader: 'Rao, Asha', institution: 'Line one\nline two',
+      members: [{ name: 'Asha', email: 'asha@example.com' }, { name: 'Ravi' }]
+    }]);
+  });
+
+  it('reads the first worksheet of an XLSX file', async () => {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet('Teams');
+    sheet.addRow(['teamNumber', 'teamName', 'teamLeader', 'Members']);
+    sheet.addRow([12, 'Null Pointers', 'Kiran', 'Kiran <kiran@example.com>; Meena']);
+    const { errors, records } = await parseRosterFile(await workbook.xlsx.writeBuffer(), 'xlsx');
+    assert.deepEqual(errors, []);
+    assert.deepEqual(records, [{ teamNumber: '12', teamName: 'Null Pointers', teamLeader: 'Kiran', members: ['Kiran <kiran@example.com>', 'Meena'] }]);
+  });
+
+  it('reports missing columns and unreadable files', async () => {
+    assert.match((await parseRosterFile('teamNumber,teamName\n1,x', 'csv')).errors[0], /missing the column\(s\): teamLeader/);
+    assert.match((await parseRosterFile('teamNumber,teamName,teamLeader\n1,"x', 'csv')).errors[0], /Unterminated quoted field/);
+    assert.match((await parseRosterFile(Buffer.from('not a workbook'), 'xlsx')).errors[0], /^XLSX could not be read/);
+  });
+
+  it('reads back its own export', async () => {
+    const teams = [stored(1, { institution: 'IIT', contactPhone: '+91 98765 43210', members: [{ name: 'Asha', email: 'asha@example.com' }, { name: 'Ravi', email: null }] }), stored(2)];
+    const { header, rows } = rosterSheet(teams);
+    const { records } = await parseRosterFile(toCsv(header, rows), 'csv');
+    assert.equal(planRosterImport(teams, records).diff.unchanged, 2);
+  });
+});
+
+describe('validateTeamInput', () => {
+  it('checks team numbers, contact details and members', () => {
+    const { errors } = validateTeamInput({ teamNumber: 'bad number', teamName: 'x', teamLeader: 'y', contactPhone: 'call me', members: ['Asha <not-an-email>', ''] }, false);
+    assert.deepEqual(errors, [
+      'teamNumber may only contain letters, numbers, "-" and "_" (max 40)',
+      'contactPhone must be a phone number',
+      'member 1 email is not valid',
+      'member 2 needs a name'
+    ]);
+    assert.deepEqual(validateTeamInput({ members: 'Asha <asha@example.com>; Ravi' }, true).value, { members: [{ name: 'Asha', email: 'asha@example.com' }, { name: 'Ravi', email: null }] });
+  });
+
+  it('keeps emails and phone numbers off the public view', () => {
+    assert.deepEqual(publicTeam(stored(1, { contactPhone: '+91 98765 43210', members: [{ name: 'Asha', email: 'asha@example.com' }] })),
+      { teamNumber: '1', teamName: 'Team 1', teamLeader: 'Leader 1', institution: null, members: [{ name: 'Asha' }] });
+  });
+});
+
+describe('planRosterImport', () => {
+  it('reports every bad row', () => {
+    const plan = planRosterImport([], [{ teamNumber: '1', teamName: 'One', teamLeader: '' }, { teamNumber: '2', teamName: 'Two', teamLeader: 'L' }, { teamNumber: '2', teamName: 'Two', teamLeader: 'L' }]);
+    assert.deepEqual(plan.errors, ['Row 1 (1): teamLeader is required', 'Row 3 (2): teamNumber appears more than once']);
+  });
+
+  it('merges, keeping what the file leaves out, and replaces unless a dropped team is registered', () => {
+    const current = [stored(1, { members: [{ name: 'Asha', email: null }] }), stored(2), stored(3)];
+    const merge = planRosterImport(current, [{ teamNumber: '1', teamName: 'Renamed', teamLeader: 'Leader 1' }, { teamNumber: '4', teamName: 'Four', teamLeader: 'L4' }]);
+    assert.deepEqual(merge.diff, { added: ['4'], updated: ['1'], removed: [], unchanged: 0, changes: { 1: ['teamName'] } });
+    assert.deepEqual(merge.result.upsert[0].members, [{ name: 'Asha', email: null }]);
+    const replace = planRosterImport(current, [{ teamNumber: '1', teamName: 'Team 1', teamLeader: 'Leader 1' }], 'replace', { registered: new Set(['3']) });
+    assert.deepEqual(replace.diff.removed, ['2', '3']);
+    assert.deepEqual(replace.conflicts, [{ type: 'has_registration', teamNumber: '3' }]);
+  });
+});
@@ -0,0 +1,71 @@
+// Snapshot import planning: validation, merge vs replace, diffs and conflicts (no store involved)
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { SNAPSHOT_FORMAT, SNAPSHOT_VERSION, planImport } = require('../snapshot');
+
+const problem = (id, maxSelections = 2) => ({ id, title: `Problem ${id}`, description: '', maxSelections, category: null, difficulty: null, technologies: [] });
+const registration = (teamNumber, problemStatementId, at = '2025-01-01T00:00:00.000Z') => ({ teamNumber, teamName: `Team ${teamNumber}`, teamLeader: `Leader ${teamNumber}`, problemStatementId, registrationDateTime: at });
+const snap = (parts) => ({ format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, problemStatements: [], registrations: [], waitlist: [], accessCodes: [], ...parts });
+
+const current = snap({
+  problemStatements: [problem('ps001'), problem('ps002')],
+  registrations: [registration('1', 'ps001')],
+  roster: [{ teamNumber: '1', teamName: 'Team 1', teamLeader: 'Leader 1' }]
+});
+
+describe('planImport', () => {
+  it('rejects malformed snapshots and unknown versions', () => {
+    assert.deepEqual(planImport(current, [], 'merge').errors, ['Snapshot must be a JSON object']);
+    assert.match(planImport(current, snap({ version: SNAPSHOT_VERSION + 1 })).errors[0], /newer than this server supports/);
+    const bad = planImport(current, snap({ problemStatements: [{ id: 'x', title: '', maxSelections: 0 }], registrations: [{ teamNumber: '2', problemStatementId: 'x' }] }));
+    assert.deepEqual(bad.errors, [
+      'problemStatements[0].title is required',
+      'problemStatements[0].maxSelections must be a whole number of at least 1',
+      'registrations[0].registrationDateTime must be a date'
+    ]);
+    assert.match(planImport(current, snap({}), 'overwrite').errors[0], /mode must be one of/);
+  });
+
+  it('merges new records and reports the diff', () => {
+    const plan = planImport(current, snap({
+      problemStatements: [{ ...problem('ps002', 3), title: 'Renamed' }, problem('ps003')],
+      registrations: [registration('1', 'ps001'), registration('2', 'ps003', '2025-03-01T09:30:00+05:30')],
+      roster: [{ teamNumber: '2', teamName: 'Team 2', teamLeader: 'Leader 2' }]
+    }), 'merge');
+    assert.deepEqual(plan.conflicts, []);
+    assert.deepEqual(plan.diff.problemStatements, { added: ['ps003'], changed: ['ps002'], removed: [], unchanged: 1 });
+    assert.deepEqual(plan.diff.registrations, { added: ['2'], changed: [], removed: [], unchanged: 1 });
+    assert.deepEqual(plan.diff.roster.added, ['2']);
+    assert.equal(plan.result.registrations.find(r => r.teamNumber === '2').registrationDateTime, '2025-03-01T04:00:00.000Z');
+  });
+
+  it('replaces everything and keeps the roster when the snapshot has none', () => {
+    const plan = planImport(current, snap({ problemStatements: [problem('ps009')] }), 'replace');
+    assert.deepEqual(plan.diff.problemStatements.removed, ['ps001', 'ps002']);
+    assert.deepEqual(plan.diff.registrations.removed, ['1']);
+    assert.equal(plan.diff.roster.unchanged, 1);
+  });
+
+  it('reports a team registered for a different problem when merging', () => {
+    const plan = planImport(current, snap({ problemStatements: [problem('ps001'), problem('ps002')], registrations: [registration('1', 'ps002')] }), 'merge');
+    assert.deepEqual(plan.conflicts, [{ type: 'duplicate_team', teamNumber: '1', current: 'ps001', snapshot: 'ps002' }]);
+  });
+
+  it('reports duplicates, unknown problems and over-capacity results', () => {
+    const plan = planImport(current, snap({
+      problemStatements: [problem('ps001', 1)],
+      registrations: [registration('1', 'ps001'), registration('1', 'ps001'), registration('2', 'ps001'), registration('3', 'ps404')]
+    }), 'replace');
+    assert.deepEqual(plan.conflicts, [
+      { type: 'duplicate_team', teamNumber: '1' },
+      { type: 'unknown_problem', teamNumber: '3', problemStatementId: 'ps404' },
+      { type: 'over_capacity', problemStatementId: 'ps001', registrations: 3, maxSelections: 1 }
+    ]);
+  });
+
+  it('accepts a raw data.json', () => {
+    const plan = planImport(current, { problemStatements: [problem('ps001')], registrations: [registration('4', 'ps001')] }, 'merge');
+    assert.deepEqual(plan.errors, []);
+    assert.deepEqual(plan.diff.registrations.added, ['4']);
+  });
+});
@@ -0,0 +1,540 @@
+// Store contract conformance: the same cases run against every backend (see stores.js).
+// Mongo runs only when MONGODB_TEST_URI points at a replica set (transactions need one).
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { STORE_METHODS, DatabaseManager, MongoStore, loadSqliteStore } = require('../stores');
+
+const BACKENDS = {
+  json: (dir, options) => new DatabaseManager({ dir, slug: 'test', ...options }),
+  sqlite: (dir, options) => new (loadSqliteStore())({ dir, slug: 'test', ...options }),
+  mongo: process.env.MONGODB_TEST_URI
+    ? (dir, options) => new MongoStore(process.env.MONGODB_TEST_URI, 'hackathon_test', `t${Date.now()}_${process.hrtime()[1]}_`, options)
+    : null
+};
+
+const team = (n, problemStatementId = 'ps001') => ({ teamNumber: String(n), teamName: `Team ${n}`, teamLeader: `Leader ${n}`, problemStatementId });
+
+for (const [name, factory] of Object.entries(BACKENDS)) {
+  describe(`${name} store`, { skip: !factory && 'MONGODB_TEST_URI not set' }, () => {
+    let dir;
+    let store;
+
+    async function open(options = {}) {
+      store = factory(dir, options);
+      await store.init();
+      return store;
+    }
+
+    beforeEach(() => {
+      dir = fs.mkdtempSync(path.join(os.tmpdir(), `store-${name}-`));
+    });
+
+    afterEach(async () => {
+      if (name === 'mongo' && store && store.db) await store.db.dropDatabase();
+      if (store) await store.close();
+      store = null;
+      fs.rmSync(dir, { recursive: true, force: true });
+    });
+
+    it('implements the whole contract', async () => {
+      await open();
+      STORE_METHODS.forEach(method => assert.equal(typeof store[method], 'function', method));
+    });
+
+    describe('seeding', () => {
+      it('seeds the sample problems into an empty store', async () => {
+        await open();
+        const problems = await store.getAllProblemStatements();
+        assert.deepEqual(problems.map(p => p.id), ['ps001', 'ps002', 'ps003']);
+        problems.forEach(p => {
+          assert.equal(p.max_selections, 2);
+          assert.equal(p.selected_count, 0);
+          assert.equal(p.is_available, true);
+          assert.equal(p.waitlist_count, 0);
+        });
+      });
+
+      it('starts empty without seedDefaults', async () => {
+        await open({ seedDefaults: false });
+        assert.deepEqual(await store.getAllProblemStatements(), []);
+      });
+
+      it('does not seed twice or overwrite existing problems', async () => {
+        await open();
+        await store.createProblemStatement({ id: 'ps009', title: 'Extra', description: 'd', maxSelections: 1 });
+        await store.close();
+        await open();
+        assert.deepEqual((await store.getAllProblemStatements()).map(p => p.id), ['ps001', 'ps002', 'ps003', 'ps009']);
+      });
+
+      it('imports only problems it does not have yet', async () => {
+        await open();
+        await store.importFromJSON({ problemStatements: [
+          { id: 'ps001', title: 'Changed', description: 'd', maxSelections: 9 },
+          { id: 'ps010', title: 'Imported', description: 'd', maxSelections: '3', technologies: ['Go'] }
+        ] });
+        assert.equal((await store.getProblemStatementById('ps001')).title, 'Secure Authentication System');
+        const imported = await store.getProblemStatementById('ps010');
+        assert.equal(imported.maxSelections, 3);
+        assert.deepEqual(imported.technologies, ['Go']);
+      });
+
+      it('upserts and removes problems in one write, or not at all', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.createRegistrationAtomic(team(2));
+        await store.createRegistrationAtomic(team(3, 'ps002'));
+        await store.joinWaitlistAtomic(team(4));
+        const problem = (id, maxSelections) => ({ id, title: `New ${id}`, description: 'd', maxSelections, category: null, difficulty: null, technologies: ['Go'] });
+        const rejected = await store.upsertProblemStatements([problem('ps001', 1), problem('ps009', 2)], { remove: ['ps002'] });
+        assert.deepEqual(rejected, { changes: 0, conflicts: [
+          { type: 'over_capacity', problemStatementId: 'ps001', registrations: 2, maxSelections: 1 },
+          { type: 'has_registrations', problemStatementId: 'ps002', registrations: 1 }
+        ] });
+        assert.equal(await store.getProblemStatementById('ps009'), null);
+        const applied = await store.upsertProblemStatements([problem('ps001', 3), problem('ps009', 2)], { remove: ['ps003'] });
+        assert.equal(applied.changes, 3);
+        assert.deepEqual(applied.promoted.map(p => p.teamNumber), ['4']);
+        const problems = await store.getAllProblemStatements();
+        assert.deepEqual(problems.map(p => p.id).sort(), ['ps001', 'ps002', 'ps009']);
+        const ps001 = problems.find(p => p.id === 'ps001');
+        assert.equal(ps001.title, 'New ps001');
+        assert.equal(ps001.max_selections, 3);
+        assert.deepEqual(ps001.technologies, ['Go']);
+      });
+
+      it('rejects a duplicate problem id', async () => {
+        await open();
+        const res = await store.createProblemStatement({ id: 'ps001', title: 'Again', description: 'd', maxSelections: 1 });
+        assert.equal(res.changes, 0);
+      });
+    });
+
+    describe('capacity', () => {
+      it('refuses registrations beyond maxSelections', async () => {
+        await open();
+        assert.ok(await store.createRegistrationAtomic(team(1)));
+        assert.ok(await store.createRegistrationAtomic(team(2)));
+        assert.equal(await store.createRegistrationAtomic(team(3)), null);
+        const ps001 = (await store.getAllProblemStatements()).find(p => p.id === 'ps001');
+        assert.equal(ps001.selected_count, 2);
+        assert.equal(ps001.is_available, false);
+      });
+
+      it('never overfills under concurrent registrations', async () => {
+        await open();
+        const results = await Promise.all(Array.from({ length: 20 }, (_, i) => store.createRegistrationAtomic(team(100 + i))));
+        assert.equal(results.filter(Boolean).length, 2);
+        assert.equal((await store.getRegistrationsByProblemStatement('ps001')).length, 2);
+      });
+
+      it('never overfills when holds and registrations race for the same seats', async () => {
+        await open();
+        const results = await Promise.all(Array.from({ length: 12 }, (_, i) => (i % 2
+          ? store.createHoldAtomic(team(200 + i), 60).then(r => r.changes === 1)
+          : store.createRegistrationAtomic(team(200 + i)).then(Boolean))));
+        assert.equal(results.filter(Boolean).length, 2);
+        const ps001 = (await store.getAllProblemStatements()).find(p => p.id === 'ps001');
+        assert.equal(ps001.selected_count + ps001.held_count, 2);
+      });
+
+      it('refuses registrations for a missing problem', async () => {
+        await open();
+        assert.equal(await store.createRegistrationAtomic(team(1, 'nope')), null);
+      });
+
+      it('only swaps into a problem with a free slot and promotes into the freed one', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1, 'ps001'));
+        await store.createRegistrationAtomic(team(2, 'ps001'));
+        await store.createRegistrationAtomic(team(3, 'ps002'));
+        await store.createRegistrationAtomic(team(4, 'ps002'));
+        assert.equal(await store.swapRegistrationAtomic('1', 'ps002'), null);
+        await store.joinWaitlistAtomic(team(5, 'ps001'));
+        const swap = await store.swapRegistrationAtomic('1', 'ps003');
+        assert.equal(swap.from, 'ps001');
+        assert.equal(swap.to, 'ps003');
+        assert.deepEqual(swap.promoted.map(p => p.teamNumber), ['5']);
+        assert.equal((await store.getRegistrationByTeamNumber('5')).problemStatementId, 'ps001');
+      });
+
+      it('queues teams on full problems and promotes them in order', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        assert.equal((await store.joinWaitlistAtomic(team(9))).reason, 'available');
+        await store.createRegistrationAtomic(team(2));
+        assert.equal((await store.joinWaitlistAtomic(team(1))).reason, 'registered');
+        assert.equal((await store.joinWaitlistAtomic(team(3))).position, 1);
+        assert.equal((await store.joinWaitlistAtomic(team(4))).position, 2);
+        const removed = await store.deleteRegistration('1');
+        assert.deepEqual(removed.promoted.map(p => p.teamNumber), ['3']);
+        assert.deepEqual((await store.getWaitlist()).map(w => [w.teamNumber, w.position]), [['4', 1]]);
+        const raised = await store.updateProblemStatement('ps001', { max_selections: 3 });
+        assert.deepEqual(raised.promoted.map(p => p.teamNumber), ['4']);
+      });
+
+      it('lets an admin force a team past capacity', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.createRegistrationAtomic(team(2));
+        assert.equal(await store.createRegistrationAtomic(team(3)), null);
+        assert.ok(await store.createRegistrationAtomic(team(3), { force: true }));
+        await store.createRegistrationAtomic(team(4, 'ps002'));
+        assert.equal(await store.swapRegistrationAtomic('4', 'ps001'), null);
+        assert.equal((await store.swapRegistrationAtomic('4', 'ps001', { force: true })).to, 'ps001');
+        const ps001 = (await store.getAllProblemStatements()).find(p => p.id === 'ps001');
+        assert.equal(ps001.selected_count, 4);
+        assert.equal(ps001.is_available, false);
+      });
+
+      it('refuses to lower capacity below the registrations unless forced', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.createRegistrationAtomic(team(2));
+        assert.deepEqual(await store.updateProblemStatement('ps001', { maxSelections: 1 }), { id: 'ps001', changes: 0, reason: 'over_capacity', registered: 2 });
+        assert.equal((await store.getProblemStatementById('ps001')).maxSelections, 2);
+        assert.equal((await store.updateProblemStatement('ps001', { title: 'Renamed', maxSelections: 2 })).changes, 1);
+        assert.equal((await store.updateProblemStatement('ps001', { maxSelections: 1 }, { force: true })).changes, 1);
+        await store.joinWaitlistAtomic(team(3));
+        // Freeing a seat that is over the new limit promotes nobody
+        assert.deepEqual((await store.deleteRegistration('2')).promoted, []);
+        assert.deepEqual((await store.deleteRegistration('1')).promoted.map(p => p.teamNumber), ['3']);
+      });
+
+      it('lowers capacity together with its moves and removals, or not at all', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.createRegistrationAtomic(team(2));
+        await store.createRegistrationAtomic(team(3, 'ps002'));
+        await store.createRegistrationAtomic(team(4, 'ps002'));
+        const blocked = await store.updateProblemStatement('ps001', { maxSelections: 1 }, { moves: [{ teamNumber: '2', problemStatementId: 'ps002' }] });
+        assert.deepEqual(blocked, { id: 'ps001', changes: 0, reason: 'move_conflict', conflicts: [{ teamNumber: '2', problemStatementId: 'ps002', reason: 'problem_full' }] });
+        assert.equal((await store.getProblemStatementById('ps001')).maxSelections, 2);
+        assert.equal((await store.getRegistrationByTeamNumber('2')).problemStatementId, 'ps001');
+
+        const resolved = await store.updateProblemStatement('ps001', { maxSelections: 1 }, { moves: [{ teamNumber: '2', problemStatementId: 'ps003' }], remove: ['1'] });
+        assert.equal(resolved.changes, 1);
+        assert.deepEqual(resolved.moved, [{ teamNumber: '2', from: 'ps001', to: 'ps003' }]);
+        assert.deepEqual(resolved.removed, ['1']);
+        assert.equal((await store.getProblemStatementById('ps001')).maxSelections, 1);
+        assert.equal((await store.getRegistrationByTeamNumber('2')).problemStatementId, 'ps003');
+        assert.equal(await store.isTeamNumberTaken('1'), false);
+      });
+
+      it('commits an allocation completely or not at all', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1, 'ps002'));
+        const rejected = await store.commitAllocation([team(2, 'ps001'), team(1, 'ps003')], { seed: 'a' });
+        assert.deepEqual(rejected.conflicts, [{ teamNumber: '1', reason: 'already_registered' }]);
+        assert.equal(await store.isTeamNumberTaken('2'), false);
+        const full = await store.commitAllocation([team(2, 'ps001'), team(3, 'ps001'), team(4, 'ps001')], { seed: 'b' });
+        assert.deepEqual(full.conflicts, [{ teamNumber: '4', reason: 'problem_full' }]);
+        const ok = await store.commitAllocation([team(2, 'ps001'), team(3, 'ps001')], { seed: 'c' });
+        assert.equal(ok.changes, 2);
+        assert.deepEqual((await store.getAllocationRuns()).map(r => r.seed), ['c']);
+      });
+    });
+
+    describe('duplicate team numbers', () => {
+      it('registers a team only once across problems', async () => {
+        await open();
+        assert.ok(await store.createRegistrationAtomic(team(7, 'ps001')));
+        assert.equal(await store.createRegistrationAtomic(team(7, 'ps002')), null);
+        assert.equal(await store.createRegistrationAtomic({ ...team(' 7 ', 'ps003') }), null);
+        assert.equal(await store.isTeamNumberTaken(' 7'), true);
+        assert.equal((await store.getAllRegistrations()).length, 1);
+      });
+
+      it('lets only one of several concurrent registrations for a team through', async () => {
+        await open();
+        const results = await Promise.all(['ps001', 'ps002', 'ps003'].map(pid => store.createRegistrationAtomic(team(8, pid))));
+        assert.equal(results.filter(Boolean).length, 1);
+        assert.equal((await store.getAllRegistrations()).length, 1);
+      });
+
+      it('keeps one waitlist spot per team', async () => {
+        await open();
+        for (const n of [1, 2, 3, 4]) await store.createRegistrationAtomic(team(n, n <= 2 ? 'ps001' : 'ps002'));
+        await store.joinWaitlistAtomic(team(5, 'ps001'));
+        await store.joinWaitlistAtomic(team(5, 'ps002'));
+        const waitlist = await store.getWaitlist();
+        assert.equal(waitlist.length, 1);
+        assert.equal(waitlist[0].problemStatementId, 'ps002');
+      });
+    });
+
+    describe('cascading deletes', () => {
+      it('removes a deleted problem\'s registrations and waitlist', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1, 'ps001'));
+        await store.createRegistrationAtomic(team(2, 'ps001'));
+        await store.createRegistrationAtomic(team(3, 'ps002'));
+        await store.joinWaitlistAtomic(team(4, 'ps001'));
+        const res = await store.deleteProblemStatement('ps001');
+        assert.equal(res.changes, 1);
+        assert.equal(await store.getProblemStatementById('ps001'), null);
+        assert.deepEqual((await store.getAllRegistrations()).map(r => r.team_number), ['3']);
+        assert.deepEqual(await store.getWaitlist(), []);
+        assert.equal(await store.isTeamNumberTaken('1'), false);
+      });
+
+      it('resets registrations but keeps settings and access codes', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.savePreferences({ ...team(2), preferences: ['ps001', 'ps002'] });
+        await store.updateSettings({ allocationMode: 'preferences' });
+        await store.saveTeamAccessCodes([{ teamNumber: '1', code: 'ABC123' }]);
+        await store.resetAll();
+        assert.deepEqual(await store.getAllRegistrations(), []);
+        assert.deepEqual(await store.getPreferences(), []);
+        assert.equal((await store.getSettings()).allocationMode, 'preferences');
+        assert.equal((await store.getTeamAccessCode('1')).code, 'ABC123');
+        assert.equal((await store.getAllProblemStatements()).length, 3);
+      });
+    });
+
+    describe('snapshots', () => {
+      it('replaces problems, registrations, waitlist and access codes, keeping timestamps', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.saveTeamAccessCodes([{ teamNumber: '1', code: 'OLD' }]);
+        await store.restoreSnapshot({
+          problemStatements: [{ id: 'px1', title: 'Imported', description: 'd', maxSelections: 1, category: null, difficulty: null, technologies: ['Rust'] }],
+          registrations: [{ teamNumber: '5', teamName: 'Five', teamLeader: 'L5', problemStatementId: 'px1', registrationDateTime: '2025-02-01T10:00:00.000Z' }],
+          waitlist: [{ teamNumber: '6', teamName: 'Six', teamLeader: 'L6', problemStatementId: 'px1', joinedAt: '2025-02-01T11:00:00.000Z' }],
+          accessCodes: [{ teamNumber: '5', code: 'NEW', createdAt: '2025-01-01T00:00:00.000Z' }]
+        });
+        assert.deepEqual((await store.getAllProblemStatements()).map(p => [p.id, p.selected_count, p.waitlist_count]), [['px1', 1, 1]]);
+        assert.equal((await store.getRegistrationByTeamNumber('5')).registrationDateTime, '2025-02-01T10:00:00.000Z');
+        assert.equal(await store.isTeamNumberTaken('1'), false);
+        assert.equal((await store.getWaitlist())[0].joinedAt, '2025-02-01T11:00:00.000Z');
+        assert.deepEqual((await store.getTeamAccessCodes()).map(c => c.code), ['NEW']);
+      });
+    });
+
+    describe('roster', () => {
+      const rostered = (n, extra = {}) => ({ teamNumber: String(n), teamName: `Team ${n}`, teamLeader: `Leader ${n}`, institution: null, contactPhone: null, members: [], ...extra });
+
+      it('creates, upserts and removes teams, keeping their order', async () => {
+        await open();
+        assert.deepEqual(await store.createTeam(rostered(2)), { changes: 1 });
+        assert.deepEqual(await store.createTeam(rostered(2, { teamName: 'Again' })), { changes: 0 });
+        await store.upsertTeams([rostered(1, { institution: 'IIT', contactPhone: '+91 98765 43210', members: [{ name: 'Asha', email: 'asha@example.com' }, { name: 'Ravi', email: null }] }), rostered(3)]);
+        await store.upsertTeams([rostered(2, { teamName: 'Two, "the second"' })], { remove: ['3'] });
+        assert.deepEqual((await store.getTeams()).map(t => [t.teamNumber, t.teamName]), [['2', 'Two, "the second"'], ['1', 'Team 1']]);
+        assert.deepEqual(await store.getTeam(' 1 '), rostered(1, { institution: 'IIT', contactPhone: '+91 98765 43210', members: [{ name: 'Asha', email: 'asha@example.com' }, { name: 'Ravi', email: null }] }));
+        assert.equal(await store.getTeam('3'), null);
+      });
+
+      it('survives a reset and is replaced by a snapshot that has one', async () => {
+        await open();
+        await store.upsertTeams([rostered(1), rostered(2)]);
+        await store.resetAll();
+        assert.equal((await store.getTeams()).length, 2);
+        const empty = { problemStatements: [], registrations: [], waitlist: [], accessCodes: [] };
+        await store.restoreSnapshot(empty);
+        assert.equal((await store.getTeams()).length, 2);
+        await store.restoreSnapshot({ ...empty, roster: [rostered(9, { members: [{ name: 'Nia', email: 'nia@example.com' }] })] });
+        assert.deepEqual(await store.getTeams(), [rostered(9, { members: [{ name: 'Nia', email: 'nia@example.com' }] })]);
+      });
+    });
+
+    describe('outbox', () => {
+      const email = (id, createdAt) => ({ id, to: [`${id}@example.com`], subject: `Subject ${id}`, text: 'Hello', template: 'registration', teamNumber: ' 7 ', status: 'queued', attempts: 0, lastError: null, createdAt, nextAttemptAt: createdAt, sentAt: null });
+
+      it('claims due emails once, oldest first, until the lease runs out', async () => {
+        await open();
+        const future = new Date(Date.now() + 60000).toISOString();
+        await store.queueEmails([email('a', '2025-01-01T00:00:02.000Z'), email('b', '2025-01-01T00:00:01.000Z')]);
+        await store.queueEmails([{ ...email('c', '2025-01-01T00:00:03.000Z'), nextAttemptAt: future }]);
+        const claimed = await store.claimEmails({ limit: 5, leaseMs: 60000 });
+        assert.deepEqual(claimed.map(e => [e.id, e.status, e.attempts, e.teamNumber]), [['b', 'sending', 1, '7'], ['a', 'sending', 1, '7']]);
+        assert.deepEqual(await store.claimEmails({ limit: 5, leaseMs: 60000 }), []);
+        // An expired lease makes the email due again
+        await store.updateEmail('a', { nextAttemptAt: '2025-01-01T00:00:00.000Z' });
+        assert.deepEqual((await store.claimEmails({ limit: 5 })).map(e => [e.id, e.attempts]), [['a', 2]]);
+      });
+
+      it('updates emails and lists them newest first, by status', async () => {
+        await open();
+        await store.queueEmails([email('a', '2025-01-01T00:00:01.000Z'), email('b', '2025-01-01T00:00:02.000Z')]);
+        const sent = await store.updateEmail('a', { status: 'sent', sentAt: '2025-01-01T00:01:00.000Z', subject: 'ignored' });
+        assert.equal(sent.status, 'sent');
+        assert.equal(sent.subject, 'Subject a');
+        assert.equal(await store.updateEmail('missing', { status: 'sent' }), null);
+        assert.deepEqual((await store.getOutbox()).map(e => e.id), ['b', 'a']);
+        assert.deepEqual((await store.getOutbox({ status: 'sent' })).map(e => [e.id, e.sentAt]), [['a', '2025-01-01T00:01:00.000Z']]);
+        assert.deepEqual((await store.getOutbox({ limit: 1 })).map(e => e.id), ['b']);
+        await store.resetAll();
+        assert.equal((await store.getOutbox()).length, 2);
+      });
+    });
+
+    describe('webhook deliveries', () => {
+      const delivery = (id, subscriptionId, createdAt) => ({ id, subscriptionId, type: 'registration', payloadId: `p-${id}`, body: '{"id":"p"}', status: 'queued', attempts: 0, lastError: null, responseStatus: null, createdAt, nextAttemptAt: createdAt, deliveredAt: null, replayOf: null });
+
+      it('claims, updates and lists deliveries by status and subscription', async () => {
+        await open();
+        await store.queueWebhookDeliveries([delivery('a', 'wh_1', '2025-01-01T00:00:01.000Z'), delivery('b', 'wh_2', '2025-01-01T00:00:02.000Z')]);
+        const claimed = await store.claimWebhookDeliveries({ limit: 1, leaseMs: 60000 });
+        assert.deepEqual(claimed.map(d => [d.id, d.status, d.attempts]), [['a', 'sending', 1]]);
+        const done = await store.updateWebhookDelivery('a', { status: 'delivered', responseStatus: 204, deliveredAt: '2025-01-01T00:01:00.000Z', body: 'ignored' });
+        assert.deepEqual([done.status, done.responseStatus, done.body], ['delivered', 204, '{"id":"p"}']);
+        assert.equal(await store.updateWebhookDelivery('missing', { status: 'failed' }), null);
+        assert.equal((await store.getWebhookDelivery('b')).payloadId, 'p-b');
+        assert.equal(await store.getWebhookDelivery('missing'), null);
+        await store.queueWebhookDeliveries([{ ...delivery('c', 'wh_1', '2025-01-01T00:00:03.000Z'), replayOf: 'a' }]);
+        assert.deepEqual((await store.getWebhookDeliveries()).map(d => d.id), ['c', 'b', 'a']);
+        assert.deepEqual((await store.getWebhookDeliveries({ subscriptionId: 'wh_1' })).map(d => [d.id, d.replayOf]), [['c', 'a'], ['a', null]]);
+        assert.deepEqual((await store.getWebhookDeliveries({ status: 'delivered' })).map(d => d.id), ['a']);
+        await store.resetAll();
+        assert.equal((await store.getWebhookDeliveries({ limit: 2 })).length, 2);
+      });
+    });
+
+    describe('holds', () => {
+      it('keeps a held seat for its team only', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        const held = await store.createHoldAtomic(team(2), 60);
+        assert.equal(held.changes, 1);
+        assert.equal(held.hold.teamNumber, '2');
+        const ps001 = (await store.getAllProblemStatements()).find(p => p.id === 'ps001');
+        assert.equal(ps001.held_count, 1);
+        assert.equal(ps001.is_available, false);
+        assert.equal((await store.createHoldAtomic(team(3), 60)).reason, 'full');
+        assert.equal(await store.createRegistrationAtomic(team(3)), null);
+        assert.equal((await store.joinWaitlistAtomic(team(3))).position, 1);
+        assert.equal((await store.createHoldAtomic(team(1, 'ps002'), 60)).reason, 'registered');
+        assert.equal((await store.createHoldAtomic(team(4, 'ps404'), 60)).reason, 'not_found');
+        assert.ok(await store.createRegistrationAtomic(team(2)));
+        assert.deepEqual(await store.getHolds(), []);
+      });
+
+      it('replaces a team\'s earlier hold', async () => {
+        await open();
+        await store.createHoldAtomic(team(1), 60);
+        await store.createHoldAtomic(team(1, 'ps002'), 60);
+        assert.deepEqual((await store.getHolds()).map(h => [h.teamNumber, h.problemStatementId]), [['1', 'ps002']]);
+      });
+
+      it('counts held seats when committing an allocation', async () => {
+        await open();
+        await store.createHoldAtomic(team(1), 60);
+        await store.createHoldAtomic(team(2), 60);
+        const full = await store.commitAllocation([team(3, 'ps001')], { seed: 'a' });
+        assert.deepEqual(full.conflicts, [{ teamNumber: '3', reason: 'problem_full' }]);
+        // A team's own hold is its seat
+        const ok = await store.commitAllocation([team(1, 'ps001')], { seed: 'b' });
+        assert.equal(ok.changes, 1);
+        assert.deepEqual((await store.getHolds()).map(h => h.teamNumber), ['2']);
+      });
+
+      it('frees seats on release and expiry and promotes the waitlist', async () => {
+        await open();
+        await store.createRegistrationAtomic(team(1));
+        await store.createHoldAtomic(team(2), 60);
+        await store.joinWaitlistAtomic(team(3));
+        const released = await store.releaseHold('2');
+        assert.equal(released.changes, 1);
+        assert.deepEqual(released.promoted.map(p => p.teamNumber), ['3']);
+        assert.equal((await store.releaseHold('2')).changes, 0);
+
+        await store.createHoldAtomic(team(4, 'ps002'), 60);
+        await store.createHoldAtomic(team(5, 'ps002'), -1);
+        assert.deepEqual((await store.getHolds()).map(h => h.teamNumber), ['4']);
+        const expired = await store.expireHolds();
+        assert.equal(expired.changes, 1);
+        assert.deepEqual(expired.promoted, []);
+        assert.equal((await store.getAllProblemStatements()).find(p => p.id === 'ps002').held_count, 1);
+      });
+
+      it('drops holds on reset', async () => {
+        await open();
+        await store.createHoldAtomic(team(1), 60);
+        await store.resetAll();
+        assert.deepEqual(await store.getHolds(), []);
+      });
+    });
+
+    describe('backups', () => {
+      it('lists backups newest first without their snapshots', async () => {
+        await open();
+        const snapshot = { format: 'hackathon-snapshot', problemStatements: [{ id: 'ps001' }] };
+        await store.saveBackup({ id: 'b1', createdAt: '2025-01-01T00:00:00.000Z', reason: 'manual', snapshot });
+        await store.saveBackup({ id: 'b2', createdAt: '2025-01-02T00:00:00.000Z', reason: 'reset', snapshot });
+        assert.deepEqual(await store.listBackups(), [
+          { id: 'b2', createdAt: '2025-01-02T00:00:00.000Z', reason: 'reset' },
+          { id: 'b1', createdAt: '2025-01-01T00:00:00.000Z', reason: 'manual' }
+        ]);
+        assert.deepEqual((await store.getBackup('b1')).snapshot, snapshot);
+        assert.equal(await store.getBackup('missing'), null);
+      });
+
+      it('deletes backups and keeps them through a reset', async () => {
+        await open();
+        await store.saveBackup({ id: 'b1', createdAt: '2025-01-01T00:00:00.000Z', snapshot: {} });
+        await store.saveBackup({ id: 'b2', createdAt: '2025-01-02T00:00:00.000Z', snapshot: {} });
+        await store.resetAll();
+        assert.equal((await store.deleteBackup('b1')).changes, 1);
+        assert.equal((await store.deleteBackup('b1')).changes, 0);
+        assert.deepEqual((await store.listBackups()).map(b => b.id), ['b2']);
+      });
+    });
+
+    describe('settings, preferences, audit and access codes', () => {
+      it('merges settings patches', async () => {
+        await open();
+        await store.updateSettings({ a: 1, nested: { x: true } });
+        const settings = await store.updateSettings({ b: 'two' });
+        assert.deepEqual(settings, { a: 1, nested: { x: true }, b: 'two' });
+      });
+
+      it('replaces a team\'s preferences', async () => {
+        await open();
+        await store.savePreferences({ ...team(1), preferences: ['ps001'] });
+        await store.savePreferences({ ...team(1), preferences: ['ps002', 'ps003'] });
+        const prefs = await store.getPreferences();
+        assert.equal(prefs.length, 1);
+        assert.deepEqual(prefs[0].preferences, ['ps002', 'ps003']);
+        assert.equal((await store.deletePreferences('1')).changes, 1);
+      });
+
+      it('filters the audit journal newest first', async () => {
+        await open();
+        await store.appendAudit({ at: '2025-01-01T00:00:00.000Z', action: 'registration.create', actor: { type: 'team', id: '1' }, teamNumber: '1' });
+        await store.appendAudit({ at: '2025-01-02T00:00:00.000Z', action: 'problem.update', actor: { type: 'admin', id: 'admin' } });
+        await store.appendAudit({ at: '2025-01-03T00:00:00.000Z', action: 'registration.delete', actor: { type: 'admin', id: 'admin' }, teamNumber: '1' });
+        assert.deepEqual((await store.getAuditLog()).map(e => e.action), ['registration.delete', 'problem.update', 'registration.create']);
+        assert.deepEqual((await store.getAuditLog({ action: 'registration' })).map(e => e.at.slice(8, 10)), ['03', '01']);
+        assert.equal((await store.getAuditLog({ actor: 'admin', teamNumber: '1' })).length, 1);
+        assert.equal((await store.getAuditLog({ from: '2025-01-02T00:00:00.000Z', limit: 1 }))[0].action, 'registration.delete');
+      });
+
+      it('upserts access codes by team', async () => {
+        await open();
+        await store.saveTeamAccessCodes([{ teamNumber: ' 1', code: 'AAA' }, { teamNumber: '2', code: 'BBB' }]);
+        await store.saveTeamAccessCodes([{ teamNumber: '1', code: 'CCC' }]);
+        assert.equal((await store.getTeamAccessCodes()).length, 2);
+        assert.equal((await store.getTeamAccessCode('1')).code, 'CCC');
+        assert.equal(await store.getTeamAccessCode('3'), null);
+      });
+    });
+
+    it('streams registrations in registration order', async () => {
+      await open();
+      await store.createRegistrationAtomic(team(2, 'ps002'));
+      await new Promise(resolve => setTimeout(resolve, 5));
+      await store.createRegistrationAtomic(team(1, 'ps001'));
+      const rows = [];
+      for await (const row of store.iterateRegistrations()) rows.push(row);
+      assert.deepEqual(rows.map(r => [r.team_number, r.problem_statement_id, r.problem_title]), [
+        ['2', 'ps002', 'AI-Powered Code Review Assistant'],
+        ['1', 'ps001', 'Secure Authentication System']
+      ]);
+    });
+  });
+}
@@ -0,0 +1,115 @@
+// Outgoing webhooks: subscription input, signatures, payloads and delivery with retries against a temporary JSON store
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DatabaseManager } = require('../stores');
+const { validateWebhookInput, sign, verifySignature, changesFor, buildDeliveries, replayDelivery, deliverDue } = require('../webhooks');
+
+const subscription = (id, types, extra = {}) => ({ id, url: `https://hooks.example/${id}`, types, active: true, secret: `secret-${id}`, ...extra });
+
+describe('validateWebhookInput', () => {
+  it('checks the URL and event types', () => {
+    assert.deepEqual(validateWebhookInput({ url: 'https://bot.example/hook', types: ['registration', 'registration', 'reset'] }, false), { errors: [], value: { url: 'https://bot.example/hook', types: ['registration', 'reset'] } });
+    assert.deepEqual(validateWebhookInput({ url: 'ftp://x', types: ['hold'] }, false).errors, ['url must be an http(s) URL', 'Unknown webhook type(s): hold']);
+    assert.deepEqual(validateWebhookInput({ active: 'no' }, true).errors, ['active must be true or false']);
+    assert.deepEqual(validateWebhookInput({ description: ' Discord ' }, true), { errors: [], value: { description: 'Discord' } });
+  });
+});
+
+describe('signatures', () => {
+  it('verify with the same secret, body and a recent timestamp only', () => {
+    const body = '{"id":"1"}';
+    const header = sign(body, 'whsec_a');
+    assert.match(header, /^t=\d+,v1=[0-9a-f]{64}$/);
+    assert.equal(verifySignature(header, body, 'whsec_a'), true);
+    assert.equal(verifySignature(header, body, 'whsec_b'), false);
+    assert.equal(verifySignature(header, '{"id":"2"}', 'whsec_a'), false);
+    assert.equal(verifySignature(sign(body, 'whsec_a', 1000), body, 'whsec_a'), false);
+    assert.equal(verifySignature('garbage', body, 'whsec_a'), false);
+  });
+});
+
+describe('changesFor', () => {
+  const registrations = [{ team_number: '7', team_name: 'Team 7', team_leader: 'Leader 7', registration_date_time: '2025-03-01T04:00:00.000Z' }];
+  const problems = [{ id: 'ps001', title: 'Auth', selectedCount: 1, maxSelections: 2 }];
+
+  it('maps registrations, assignments and promotions to registration', () => {
+    const [team] = changesFor('registration', { registrations, problems, newRegistration: { teamNumber: '7', problemStatementId: 'ps001' } });
+    assert.deepEqual(team, { type: 'registration', data: { source: 'team', teamNumber: '7', teamName: 'Team 7', teamLeader: 'Leader 7', registeredAt: '2025-03-01T04:00:00.000Z', problemStatement: { id: 'ps001', title: 'Auth', selectedCount: 1, maxSelections: 2 }, previousProblemStatement: null } });
+    assert.equal(changesFor('assignment', { registrations, problems, action: 'assigned', teamNumber: '7', to: 'ps001' })[0].data.source, 'admin');
+    assert.equal(changesFor('waitlist-promotion', { registrations, problems, promoted: [{ teamNumber: '7', problemStatementId: 'ps001' }] })[0].data.source, 'waitlist');
+  });
+
+  it('maps swaps, moves and allocation commits to registration with the previous problem', () => {
+    const [swap] = changesFor('swap', { registrations, problems, teamNumber: '7', from: 'ps002', to: 'ps001' });
+    assert.deepEqual([swap.type, swap.data.source, swap.data.problemStatement.title, swap.data.previousProblemStatement], ['registration', 'team', 'Auth', { id: 'ps002' }]);
+    const [moved] = changesFor('assignment', { registrations, problems, action: 'moved', teamNumber: '7', from: 'ps001', to: 'ps002' });
+    assert.deepEqual([moved.data.source, moved.data.problemStatement, moved.data.previousProblemStatement.title], ['admin', { id: 'ps002' }, 'Auth']);
+    const allocated = changesFor('allocation', { registrations, problems, assignments: [{ teamNumber: '7', problemStatementId: 'ps001' }, { teamNumber: '8', problemStatementId: 'ps002' }] });
+    assert.deepEqual(allocated.map(c => [c.type, c.data.source, c.data.teamNumber, c.data.previousProblemStatement]), [['registration', 'allocation', '7', null], ['registration', 'allocation', '8', null]]);
+  });
+
+  it('maps deletions, resets and problem updates, and ignores the rest', () => {
+    assert.deepEqual(changesFor('deletion', { problems, deletedTeamNumber: '7', problemStatementId: 'ps001', withdrawn: true })[0].data, { source: 'team', teamNumber: '7', problemStatement: { id: 'ps001', title: 'Auth', selectedCount: 1, maxSelections: 2 } });
+    assert.deepEqual(changesFor('reset', { problems }), [{ type: 'reset', data: {} }]);
+    assert.deepEqual(changesFor('problem-update', { problems: [], action: 'deleted', problemId: 'ps009' }), [{ type: 'problem-update', data: { action: 'deleted', problemStatementId: 'ps009', problemStatement: null } }]);
+    assert.deepEqual(changesFor('phase-change', {}), []);
+  });
+});
+
+describe('deliverDue', () => {
+  let dir;
+  let store;
+
+  beforeEach(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    store = new DatabaseManager({ dir, seedDefaults: false });
+    await store.init();
+  });
+
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  it('posts signed bodies to active subscriptions of the type and retries failures until they fail for good', async () => {
+    const subscriptions = [subscription('wh_1', ['reset']), subscription('wh_2', ['reset'], { active: false }), subscription('wh_3', ['deletion'])];
+    const deliveries = buildDeliveries('main', subscriptions, [{ type: 'reset', data: {} }]);
+    assert.deepEqual(deliveries.map(d => d.subscriptionId), ['wh_1']);
+    assert.deepEqual(JSON.parse(deliveries[0].body), { id: deliveries[0].payloadId, type: 'reset', event: 'main', occurredAt: JSON.parse(deliveries[0].body).occurredAt, data: {} });
+    await store.queueWebhookDeliveries(deliveries);
+
+    const calls = [];
+    let status = 503;
+    const fetchImpl = async (url, options) => {
+      calls.push({ url, options });
+      return { status, body: null };
+    };
+    assert.deepEqual(await deliverDue(store, subscriptions, { fetchImpl, maxAttempts: 2 }), { delivered: 0, retrying: 1, failed: 0 });
+    const { headers, body } = calls[0].options;
+    assert.equal(calls[0].url, 'https://hooks.example/wh_1');
+    assert.equal(headers['X-Webhook-Event'], 'reset');
+    assert.equal(headers['X-Webhook-Id'], deliveries[0].payloadId);
+    assert.equal(verifySignature(headers['X-Webhook-Signature'], body, 'secret-wh_1'), true);
+    let [logged] = await store.getWebhookDeliveries();
+    assert.deepEqual([logged.status, logged.responseStatus, logged.lastError], ['queued', 503, 'HTTP 503']);
+
+    await store.updateWebhookDelivery(logged.id, { nextAttemptAt: new Date().toISOString() });
+    assert.deepEqual(await deliverDue(store, subscriptions, { fetchImpl, maxAttempts: 2 }), { delivered: 0, retrying: 0, failed: 1 });
+
+    // A replay is a new delivery of the same body
+    status = 204;
+    await store.queueWebhookDeliveries([replayDelivery(logged)]);
+    assert.deepEqual(await deliverDue(store, subscriptions, { fetchImpl }), { delivered: 1, retrying: 0, failed: 0 });
+    [logged] = await store.getWebhookDeliveries({ status: 'delivered' });
+    assert.equal(logged.replayOf, deliveries[0].id);
+    assert.equal(calls[2].options.body, calls[0].options.body);
+  });
+
+  it('fails deliveries whose subscription was paused or deleted', async () => {
+    const paused = subscription('wh_1', ['reset']);
+    await store.queueWebhookDeliveries(buildDeliveries('main', [paused, subscription('wh_2', ['reset'])], [{ type: 'reset', data: {} }]));
+    const outcome = await deliverDue(store, [{ ...paused, active: false }], { fetchImpl: async () => assert.fail('nothing is sent') });
+    assert.deepEqual(outcome, { delivered: 0, retrying: 0, failed: 2 });
+    assert.deepEqual((await store.getWebhookDeliveries()).map(d => d.lastError).sort(), ['The subscription is paused', 'The subscription was deleted']);
+  });
+});
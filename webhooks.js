@@ -0,0 +1,195 @@
+// Outgoing webhooks: admins subscribe URLs to event types, and every matching change is POSTed as signed JSON. Each
+// delivery is kept in the event's store, retried with exponential backoff up to WEBHOOK_MAX_ATTEMPTS (default 8)
+// and can be replayed. Subscriptions live in the event's settings (settings.webhooks).
+//
+// Receivers check X-Webhook-Signature ("t=<unix seconds>,v1=<hex>"): the HMAC-SHA256, keyed with the subscription's
+// secret, of "<t>.<raw body>". X-Webhook-Id names the change, so a retried or replayed delivery can be recognised.
+const crypto = require('crypto');
+const { deliveryError, processDue } = require('./delivery_queue');
+
+const WEBHOOK_TYPES = ['registration', 'deletion', 'reset', 'problem-update'];
+const STATUSES = ['queued', 'sending', 'delivered', 'failed'];
+const MAX_ATTEMPTS = Math.max(1, parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '8', 10) || 8);
+const TIMEOUT_MS = Math.max(1000, parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10) || 10000);
+// Seconds between delivery runs; new deliveries also start a run straight away
+const INTERVAL_SECONDS = Math.max(5, parseInt(process.env.WEBHOOK_INTERVAL_SECONDS || '30', 10) || 30);
+const SIGNATURE_TOLERANCE_SECONDS = 5 * 60;
+
+function newSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+// partial: an update, where missing fields are left as they are
+function validateWebhookInput(body, partial) {
+  const errors = [];
+  const value = {};
+  const input = body || {};
+  if (input.url !== undefined || !partial) {
+    let url = null;
+    try { url = new URL(String(input.url || '').trim()); } catch (_) {}
+    if (!url || !['http:', 'https:'].includes(url.protocol)) errors.push('url must be an http(s) URL');
+    else if (url.href.length > 2000) errors.push('url must be at most 2000 characters');
+    else value.url = url.href;
+  }
+  if (input.types !== undefined || !partial) {
+    const types = Array.isArray(input.types) ? Array.from(new Set(input.types.map(String))) : null;
+    if (!types || types.length === 0) errors.push(`types must be a non-empty list of: ${WEBHOOK_TYPES.join(', ')}`);
+    else if (types.some(t => !WEBHOOK_TYPES.includes(t))) errors.push(`Unknown webhook type(s): ${types.filter(t => !WEBHOOK_TYPES.includes(t)).join(', ')}`);
+    else value.types = types;
+  }
+  if (input.description !== undefined) {
+    const description = typeof input.description === 'string' ? input.description.trim() : '';
+    if (description.length > 200) errors.push('description must be at most 200 characters');
+    else value.description = description || null;
+  }
+  if (input.active !== undefined) {
+    if (typeof input.active !== 'boolean') errors.push('active must be true or false');
+    else value.active = input.active;
+  }
+  return { errors, value };
+}
+
+function sign(body, secret, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+// For receivers (and tests): true when header signs body with secret and is recent enough
+function verifySignature(header, body, secret, { toleranceSeconds = SIGNATURE_TOLERANCE_SECONDS, now = Date.now() } = {}) {
+  const parts = Object.fromEntries(String(header || '').split(',').map(p => p.split('=')));
+  const timestamp = parseInt(parts.t, 10);
+  if (!Number.isFinite(timestamp) || !/^[0-9a-f]{64}$/.test(parts.v1 || '')) return false;
+  if (Math.abs(now / 1000 - timestamp) > toleranceSeconds) return false;
+  const expected = sign(body, secret, timestamp).split('v1=')[1];
+  return crypto.timingSafeEqual(Buffer.from(parts.v1, 'hex'), Buffer.from(expected, 'hex'));
+}
+
+// The webhook changes behind one live event (see broadcastUpdate in app.js): [{ type, data }]. Teams are looked up in
+// the registrations the live event carries (the admin view, keyed team_number). A team that changes problem (a swap,
+// an admin move) is a registration with previousProblemStatement set; an allocation commit is one per team placed.
+function changesFor(liveType, data) {
+  const registered = (teamNumber) => (data.registrations || []).find(r => r.team_number === teamNumber) || {};
+  const problem = (id) => {
+    const p = (data.problems || []).find(x => x.id === id);
+    return p ? { id: p.id, title: p.title, selectedCount: p.selectedCount, maxSelections: p.maxSelections } : null;
+  };
+  const registration = (teamNumber, problemStatementId, source, from = null) => ({
+    type: 'registration',
+    data: {
+      source,
+      teamNumber,
+      teamName: registered(teamNumber).team_name || null,
+      teamLeader: registered(teamNumber).team_leader || null,
+      registeredAt: registered(teamNumber).registration_date_time || null,
+      problemStatement: problem(problemStatementId) || { id: problemStatementId },
+      previousProblemStatement: from ? problem(from) || { id: from } : null
+    }
+  });
+  switch (liveType) {
+    case 'registration':
+      return [registration(data.newRegistration.teamNumber, data.newRegistration.problemStatementId, 'team')];
+    case 'swap':
+      return [registration(data.teamNumber, data.to, 'team', data.from)];
+    case 'assignment':
+      return [registration(data.teamNumber, data.to, 'admin', data.action === 'moved' ? data.from : null)];
+    case 'allocation':
+      return (data.assignments || []).map(a => registration(a.teamNumber, a.problemStatementId, 'allocation'));
+    case 'waitlist-promotion':
+      return data.promoted.map(entry => registration(entry.teamNumber, entry.problemStatementId, 'waitlist'));
+    case 'deletion':
+      return [{ type: 'deletion', data: { source: data.withdrawn ? 'team' : 'admin', teamNumber: data.deletedTeamNumber, problemStatement: problem(data.problemStatementId) || { id: data.problemStatementId || null } } }];
+    case 'reset':
+      return [{ type: 'reset', data: {} }];
+    case 'problem-update':
+      return [{ type: 'problem-update', data: { action: data.action, problemStatementId: data.problemId, problemStatement: problem(data.problemId) } }];
+    default:
+      return [];
+  }
+}
+
+function newDelivery(subscription, type, payloadId, body, replayOf = null) {
+  const createdAt = new Date().toISOString();
+  return {
+    id: crypto.randomUUID(),
+    subscriptionId: subscription.id,
+    type,
+    payloadId,
+    body,
+    status: 'queued',
+    attempts: 0,
+    lastError: null,
+    responseStatus: null,
+    createdAt,
+    nextAttemptAt: createdAt,
+    deliveredAt: null,
+    replayOf
+  };
+}
+
+// One delivery per change for each active subscription to its type. type 'ping' (the admin's test) goes to every
+// subscription given.
+function buildDeliveries(eventSlug, subscriptions, changes) {
+  const deliveries = [];
+  changes.forEach(change => {
+    const payloadId = crypto.randomUUID();
+    const body = JSON.stringify({ id: payloadId, type: change.type, event: eventSlug, occurredAt: new Date().toISOString(), data: change.data });
+    subscriptions
+      .filter(s => change.type === 'ping' || (s.active && s.types.includes(change.type)))
+      .forEach(s => deliveries.push(newDelivery(s, change.type, payloadId, body)));
+  });
+  return deliveries;
+}
+
+// The same body again, as a new delivery (so the log keeps both)
+function replayDelivery(delivery) {
+  return newDelivery({ id: delivery.subscriptionId }, delivery.type, delivery.payloadId, delivery.body, delivery.id);
+}
+
+async function post(subscription, delivery, fetchImpl) {
+  const res = await fetchImpl(subscription.url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'User-Agent': 'hackathon-webhooks/1',
+      'X-Webhook-Id': delivery.payloadId,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Event': delivery.type,
+      'X-Webhook-Signature': sign(delivery.body, subscription.secret)
+    },
+    body: delivery.body,
+    redirect: 'manual',
+    signal: AbortSignal.timeout(TIMEOUT_MS)
+  });
+  if (res.body) await res.body.cancel().catch(() => {});
+  return res.status;
+}
+
+// One delivery run: claims due deliveries and posts them one by one to their subscription's current URL and secret
+// (see delivery_queue.js). A 2xx answer counts as delivered. Returns { delivered, retrying, failed }.
+async function deliverDue(store, subscriptions, { fetchImpl = fetch, limit, maxAttempts = MAX_ATTEMPTS } = {}) {
+  const { done, retrying, failed } = await processDue({
+    claim: (options) => store.claimWebhookDeliveries(options),
+    send: async (delivery) => {
+      const subscription = subscriptions.find(s => s.id === delivery.subscriptionId);
+      if (!subscription) throw deliveryError('The subscription was deleted', { permanent: true });
+      if (!subscription.active && delivery.type !== 'ping') throw deliveryError('The subscription is paused', { permanent: true });
+      let responseStatus;
+      try {
+        responseStatus = await post(subscription, delivery, fetchImpl);
+      } catch (error) {
+        throw deliveryError((error && error.message) || String(error), { patch: { responseStatus: null } });
+      }
+      if (responseStatus < 200 || responseStatus >= 300) throw deliveryError(`HTTP ${responseStatus}`, { patch: { responseStatus } });
+      return { status: 'delivered', responseStatus, deliveredAt: new Date().toISOString() };
+    },
+    update: (id, patch) => store.updateWebhookDelivery(id, patch),
+    limit,
+    maxAttempts
+  });
+  return { delivered: done, retrying, failed };
+}
+
+module.exports = {
+  WEBHOOK_TYPES, STATUSES, MAX_ATTEMPTS, INTERVAL_SECONDS,
+  newSecret, validateWebhookInput, sign, verifySignature, changesFor, buildDeliveries, replayDelivery, deliverDue
+};